@@ -0,0 +1,474 @@
+/**
+ * Bot Client Module
+ * A headless player that speaks the game's WebSocket protocol.
+ *
+ * Bots fly between planets (picked at random from the sectors they have
+ * seen, or along a scripted route), land as aliens, sometimes plant a bomb,
+ * chat now and then and answer the server's pings. They move no faster than
+ * a real ship so the server's anti-cheat treats them like any other player.
+ * Traffic and round-trip times are recorded in a shared BotStats.
+ */
+
+const WebSocket = require('ws');
+
+// Same cadence as the browser client (Config.multiplayer.updateInterval)
+const UPDATE_INTERVAL = 100;
+
+// Default cruising speed (units per second); a real ship tops out around 1000 when boosting
+const DEFAULT_SPEED = 600;
+
+// How long a bot stays on a planet after landing (ms)
+const MIN_LANDED_TIME = 2000;
+const MAX_LANDED_TIME = 5000;
+
+// Chance of planting a bomb after landing
+const DEFAULT_BOMB_CHANCE = 0.2;
+
+// Average time between chat messages (ms); 0 turns chat off
+const DEFAULT_CHAT_INTERVAL = 45000;
+
+// How often the WebSocket round trip is measured (ms)
+const LATENCY_PROBE_INTERVAL = 2000;
+
+// Delay before reconnecting after the server dropped the bot (ms)
+const RECONNECT_DELAY = 2000;
+
+// Distance above a planet's surface at which the bot lands
+const LANDING_ALTITUDE = 5;
+
+// Mirrors the state codec on the server: u8 type, then the u32 snapshot seq
+const MESSAGE_STATE_SNAPSHOT = 1;
+
+// Spawn point of every new player (mirrors server.js)
+const SPAWN_POSITION = { x: 0, y: 100, z: 0 };
+
+const CHAT_LINES = [
+  'anyone near the home sector?',
+  'nice planet over here',
+  'watch out for the defenses',
+  'gg',
+  'heading out to the next planet',
+  'this sector is mine!',
+  'who wants to team up?'
+];
+
+// Message counts, bytes and round-trip times collected across any number of bots
+class BotStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.sent = {};
+    this.received = {};
+    this.bytesSent = 0;
+    this.bytesReceived = 0;
+    this.latencies = [];
+  }
+
+  recordSent(type, bytes) {
+    this.sent[type] = (this.sent[type] || 0) + 1;
+    this.bytesSent += bytes;
+  }
+
+  recordReceived(type, bytes) {
+    this.received[type] = (this.received[type] || 0) + 1;
+    this.bytesReceived += bytes;
+  }
+
+  recordLatency(ms) {
+    this.latencies.push(ms);
+  }
+
+  // Current totals; starts a new period when `reset` is set
+  take(reset = false) {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const snapshot = {
+      sent: { ...this.sent },
+      received: { ...this.received },
+      bytesSent: this.bytesSent,
+      bytesReceived: this.bytesReceived,
+      latency: {
+        samples: sorted.length,
+        average: sorted.length ? sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length : null,
+        p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(0.95 * sorted.length) - 1)] : null,
+        max: sorted.length ? sorted[sorted.length - 1] : null
+      }
+    };
+    if (reset) this.reset();
+    return snapshot;
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Sector key of the sector containing a position
+function getSectorKey(position, sectorSize) {
+  const coord = value => Math.round(value / sectorSize);
+  return `SEC-${coord(position.x)}:${coord(position.y)}:${coord(position.z)}`;
+}
+
+// Planet IDs are the sector key followed by the planet's index
+function getPlanetSectorKey(planetId) {
+  return planetId.slice(0, planetId.lastIndexOf('-'));
+}
+
+class BotClient {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Server WebSocket URL, e.g. ws://localhost:3000
+   * @param {string} options.name - Requested display name
+   * @param {string} [options.room] - Room join code; the default room if omitted
+   * @param {boolean} [options.binary] - Ask for binary state snapshots
+   * @param {Array<string|object>} [options.route] - Planet IDs and/or {x, y, z} waypoints
+   *   flown in a loop; random planets if omitted
+   * @param {number} [options.speed] - Cruising speed in units per second
+   * @param {number} [options.bombChance] - Chance of bombing a planet after landing
+   * @param {number} [options.chatInterval] - Average ms between chat messages, 0 for none
+   * @param {BotStats} [options.stats] - Where traffic and latency are recorded
+   * @param {function} [options.log] - Called with status lines
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.name = options.name;
+    this.room = options.room || null;
+    this.binary = !!options.binary;
+    this.route = options.route && options.route.length ? options.route : null;
+    this.speed = options.speed || DEFAULT_SPEED;
+    this.bombChance = options.bombChance !== undefined ? options.bombChance : DEFAULT_BOMB_CHANCE;
+    this.chatInterval = options.chatInterval !== undefined ? options.chatInterval : DEFAULT_CHAT_INTERVAL;
+    this.stats = options.stats || new BotStats();
+    this.log = options.log || (() => {});
+
+    this.socket = null;
+    this.sessionToken = null;
+    this.playerId = null;
+    this.stopped = false;
+    this.connected = false;
+    this.timers = [];
+
+    this.position = { ...SPAWN_POSITION };
+    this.rotation = { x: 0, y: 0, z: 0 };
+    this.inputSeq = 0;
+    this.lastSnapshotSeq = 0;
+    this.lastMoveAt = 0;
+
+    this.sectorSize = null;
+    this.planets = new Map(); // id -> planet, from every sector received
+    this.requestedSectors = new Set();
+    this.destroyedPlanets = new Set();
+    this.bombedPlanets = new Set(); // Planets with a bomb ticking on them
+
+    this.routeIndex = 0;
+    this.target = null; // { position, planet? }
+    this.landedPlanet = null;
+    this.takeOffAt = 0;
+    this.nextChatAt = 0;
+
+    this.pingSentAt = null;
+  }
+
+  // Connect (again, with the session token, after a drop)
+  connect() {
+    // The session wins on the server; name and room only count if it has expired
+    const params = new URLSearchParams({ username: this.name });
+    if (this.room) params.set('room', this.room);
+    if (this.sessionToken) params.set('session', this.sessionToken);
+    if (this.binary) params.set('protocol', 'binary');
+
+    const socket = new WebSocket(`${this.url}?${params}`);
+    this.socket = socket;
+
+    socket.on('message', (message, isBinary) => this.handleMessage(message, isBinary));
+    socket.on('pong', () => this.handleProbeReply());
+    socket.on('close', (code) => this.handleClose(socket, code));
+    socket.on('error', (error) => this.log(`${this.name}: ${error.message}`));
+  }
+
+  // Disconnect for good
+  stop() {
+    this.stopped = true;
+    this.clearTimers();
+    if (this.socket) this.socket.close();
+  }
+
+  clearTimers() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  send(data) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+    const message = JSON.stringify(data);
+    this.socket.send(message);
+    this.stats.recordSent(data.type, Buffer.byteLength(message));
+  }
+
+  handleMessage(message, isBinary) {
+    if (isBinary) {
+      this.stats.recordReceived('snapshot', message.length);
+      if (message.length >= 5 && message.readUInt8(0) === MESSAGE_STATE_SNAPSHOT) {
+        this.lastSnapshotSeq = message.readUInt32LE(1);
+      }
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      this.log(`${this.name}: unreadable message from server`);
+      return;
+    }
+    this.stats.recordReceived(data.type, message.length);
+
+    switch (data.type) {
+      case 'init':
+        this.handleInit(data);
+        break;
+
+      case 'ping':
+        this.send({ type: 'pong', pingTime: data.timestamp });
+        break;
+
+      case 'sectorData':
+        data.sector.planets.forEach((planet) => {
+          if (planet.isDestroyed) {
+            this.destroyedPlanets.add(planet.id);
+          } else {
+            this.planets.set(planet.id, planet);
+          }
+        });
+        break;
+
+      case 'bombPlaced':
+        this.bombedPlanets.add(data.planetId);
+        break;
+
+      case 'planetDestroyed':
+        this.destroyedPlanets.add(data.planetId);
+        this.bombedPlanets.delete(data.planetId);
+        this.planets.delete(data.planetId);
+        if (this.target && this.target.planet && this.target.planet.id === data.planetId) {
+          this.target = null;
+        }
+        if (this.landedPlanet && this.landedPlanet.id === data.planetId) {
+          this.takeOff();
+        }
+        break;
+
+      case 'universeChanged':
+        // Every planet we knew of is gone; land back home and start over
+        this.resetUniverse(data.universe.sectorSize);
+        this.position = { ...SPAWN_POSITION };
+        this.requestSector(getSectorKey(this.position, this.sectorSize));
+        break;
+
+      case 'bombRejected':
+        this.log(`${this.name}: bomb rejected (${data.reason})`);
+        break;
+
+      case 'kicked':
+      case 'banned':
+      case 'roomError':
+        this.log(`${this.name}: ${data.type}${data.reason ? ` (${data.reason})` : ''}`);
+        this.stopped = true;
+        break;
+    }
+  }
+
+  handleInit(data) {
+    const resumed = data.resumed && this.playerId === data.playerId;
+
+    this.playerId = data.playerId;
+    this.sessionToken = data.sessionToken;
+    this.connected = true;
+    this.log(`${this.name}: ${resumed ? 'resumed' : 'joined'} room ${data.room.code} as ${data.playerName}`);
+
+    if (!resumed) {
+      // A new player starts where the server says (the spawn point, unless the
+      // address's last player left progress behind) in a universe we know nothing about
+      this.position = { ...data.players[data.playerId].position };
+      this.inputSeq = 0;
+      this.target = null;
+      this.landedPlanet = null;
+    }
+    this.lastSnapshotSeq = 0;
+    this.resetUniverse(data.universe.sectorSize);
+    this.requestSector(getSectorKey(this.position, this.sectorSize));
+
+    const now = Date.now();
+    this.lastMoveAt = now;
+    this.nextChatAt = now + this.getChatDelay();
+
+    this.clearTimers();
+    this.timers.push(setInterval(() => this.tick(Date.now()), UPDATE_INTERVAL));
+    this.timers.push(setInterval(() => this.probeLatency(), LATENCY_PROBE_INTERVAL));
+  }
+
+  handleClose(socket, code) {
+    if (socket !== this.socket) return;
+
+    this.connected = false;
+    this.clearTimers();
+    if (this.stopped) return;
+
+    this.log(`${this.name}: disconnected (${code}), reconnecting`);
+    setTimeout(() => {
+      if (!this.stopped) this.connect();
+    }, RECONNECT_DELAY);
+  }
+
+  resetUniverse(sectorSize) {
+    this.sectorSize = sectorSize;
+    this.planets.clear();
+    this.requestedSectors.clear();
+    this.destroyedPlanets.clear();
+    this.bombedPlanets.clear();
+    this.target = null;
+    this.landedPlanet = null;
+  }
+
+  requestSector(sectorKey) {
+    if (this.requestedSectors.has(sectorKey)) return;
+    this.requestedSectors.add(sectorKey);
+    this.send({ type: 'requestSectors', sectorKeys: [sectorKey] });
+  }
+
+  // Measure the round trip with a WebSocket ping, which the server answers immediately
+  probeLatency() {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN || this.pingSentAt !== null) return;
+    this.pingSentAt = Date.now();
+    this.socket.ping();
+  }
+
+  handleProbeReply() {
+    if (this.pingSentAt === null) return;
+    this.stats.recordLatency(Date.now() - this.pingSentAt);
+    this.pingSentAt = null;
+  }
+
+  getChatDelay() {
+    // Anywhere from half to one and a half times the average
+    return this.chatInterval * (0.5 + Math.random());
+  }
+
+  tick(now) {
+    const elapsed = (now - this.lastMoveAt) / 1000;
+    this.lastMoveAt = now;
+
+    if (this.landedPlanet) {
+      if (now >= this.takeOffAt) this.takeOff();
+    } else {
+      if (!this.target) this.target = this.pickTarget();
+      if (this.target) this.flyTowardTarget(elapsed);
+    }
+
+    // Discover the planets of every sector we pass through
+    if (this.sectorSize) {
+      this.requestSector(getSectorKey(this.position, this.sectorSize));
+    }
+
+    this.send({
+      type: 'updatePosition',
+      position: this.position,
+      rotation: this.rotation,
+      seq: ++this.inputSeq,
+      ack: this.lastSnapshotSeq || undefined,
+      timestamp: now
+    });
+
+    if (this.chatInterval > 0 && now >= this.nextChatAt) {
+      this.nextChatAt = now + this.getChatDelay();
+      this.send({ type: 'chat', message: CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)] });
+    }
+  }
+
+  // Next place to fly to, or null while waiting for sector data
+  pickTarget() {
+    if (this.route) {
+      const waypoint = this.route[this.routeIndex % this.route.length];
+
+      if (typeof waypoint !== 'string') {
+        this.routeIndex++;
+        return { position: waypoint };
+      }
+
+      if (this.destroyedPlanets.has(waypoint)) {
+        this.routeIndex++;
+        return null;
+      }
+      const planet = this.planets.get(waypoint);
+      if (!planet) {
+        this.requestSector(getPlanetSectorKey(waypoint));
+        return null;
+      }
+      this.routeIndex++;
+      return { position: planet.position, planet };
+    }
+
+    const candidates = [...this.planets.values()];
+    if (candidates.length === 0) return null;
+    const planet = candidates[Math.floor(Math.random() * candidates.length)];
+    return { position: planet.position, planet };
+  }
+
+  flyTowardTarget(elapsed) {
+    const { planet } = this.target;
+
+    // Planets are approached from above and landed on at their surface
+    const destination = planet
+      ? { ...planet.position, y: planet.position.y + planet.size + LANDING_ALTITUDE }
+      : this.target.position;
+
+    const remaining = distance(this.position, destination);
+    const step = this.speed * elapsed;
+
+    if (remaining > 0) {
+      const dx = destination.x - this.position.x;
+      const dy = destination.y - this.position.y;
+      const dz = destination.z - this.position.z;
+      this.rotation = {
+        x: Math.atan2(dy, Math.hypot(dx, dz)),
+        y: Math.atan2(dx, dz),
+        z: 0
+      };
+    }
+
+    if (step < remaining) {
+      const fraction = step / remaining;
+      this.position = {
+        x: this.position.x + (destination.x - this.position.x) * fraction,
+        y: this.position.y + (destination.y - this.position.y) * fraction,
+        z: this.position.z + (destination.z - this.position.z) * fraction
+      };
+      return;
+    }
+
+    this.position = { ...destination };
+    this.target = null;
+    if (planet) this.land(planet);
+  }
+
+  land(planet) {
+    this.landedPlanet = planet;
+    this.takeOffAt = Date.now() + MIN_LANDED_TIME + Math.random() * (MAX_LANDED_TIME - MIN_LANDED_TIME);
+    this.send({ type: 'alienMode', isAlienMode: true, planetId: planet.id });
+
+    if (!this.bombedPlanets.has(planet.id) && Math.random() < this.bombChance) {
+      this.send({ type: 'placeBomb', planetId: planet.id, position: this.position, size: 1 });
+    }
+  }
+
+  takeOff() {
+    this.landedPlanet = null;
+    this.send({ type: 'alienMode', isAlienMode: false });
+  }
+}
+
+module.exports = {
+  BotClient,
+  BotStats
+};
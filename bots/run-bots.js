@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Bot Runner
+ * Spawns a number of bot clients against a server and reports their round-trip
+ * latency and message throughput while they play.
+ *
+ *   node bots/run-bots.js --count 20 --url ws://localhost:3000 --duration 60
+ *
+ * Run with --help for every option.
+ */
+
+const fs = require('fs');
+const { BotClient, BotStats } = require('./bot-client');
+
+const DEFAULT_OPTIONS = {
+  count: 5,
+  url: 'ws://localhost:3000',
+  room: null,
+  name: 'BOT',
+  duration: 0,
+  ramp: 100,
+  report: 5,
+  binary: false,
+  route: null,
+  speed: undefined,
+  bombChance: undefined,
+  chatInterval: undefined,
+  verbose: false
+};
+
+const USAGE = `Usage: node bots/run-bots.js [options]
+
+  --count <n>           Number of bots (default ${DEFAULT_OPTIONS.count})
+  --url <url>           Server WebSocket URL (default ${DEFAULT_OPTIONS.url})
+  --room <code>         Room join code (default: the server's default room)
+  --name <prefix>       Bot name prefix; bots are named PREFIX-1, PREFIX-2, ... (default ${DEFAULT_OPTIONS.name})
+  --duration <s>        Stop after this many seconds (default: run until Ctrl+C)
+  --ramp <ms>           Delay between bot connections (default ${DEFAULT_OPTIONS.ramp})
+  --report <s>          Seconds between reports (default ${DEFAULT_OPTIONS.report})
+  --binary              Use binary state snapshots
+  --route <file>        JSON array of planet IDs and/or {x, y, z} waypoints to fly
+                        in a loop (default: random planets)
+  --speed <units/s>     Cruising speed
+  --bomb-chance <0-1>   Chance of bombing a planet after landing
+  --chat-interval <s>   Average seconds between chat messages, 0 for none
+  --verbose             Log every bot's connection events
+  --help                Show this help`;
+
+// Options that take a value, and how the value is read
+const VALUE_OPTIONS = {
+  '--count': ['count', Number],
+  '--url': ['url', String],
+  '--room': ['room', String],
+  '--name': ['name', String],
+  '--duration': ['duration', Number],
+  '--ramp': ['ramp', Number],
+  '--report': ['report', Number],
+  '--route': ['route', String],
+  '--speed': ['speed', Number],
+  '--bomb-chance': ['bombChance', Number],
+  '--chat-interval': ['chatInterval', Number]
+};
+
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help') {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (arg === '--binary') {
+      options.binary = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (VALUE_OPTIONS[arg] && i + 1 < args.length) {
+      const [key, parse] = VALUE_OPTIONS[arg];
+      const value = parse(args[++i]);
+      if (typeof value === 'number' && (isNaN(value) || value < 0)) {
+        fail(`${arg} needs a non-negative number`);
+      }
+      options[key] = value;
+    } else {
+      fail(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function loadRoute(filePath) {
+  let route;
+  try {
+    route = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    fail(`Could not read route ${filePath}: ${error.message}`);
+  }
+
+  const isWaypoint = point => typeof point === 'string' ||
+    (point && ['x', 'y', 'z'].every(axis => typeof point[axis] === 'number'));
+  if (!Array.isArray(route) || route.length === 0 || !route.every(isWaypoint)) {
+    fail(`Route ${filePath} must be a non-empty array of planet IDs and {x, y, z} waypoints`);
+  }
+  return route;
+}
+
+function formatRate(count, seconds) {
+  return (count / seconds).toFixed(1);
+}
+
+function sumCounts(counts) {
+  return Object.values(counts).reduce((sum, count) => sum + count, 0);
+}
+
+// Busiest message types first, e.g. "updatePosition 50.0, chat 0.2"
+function formatTypes(counts, seconds) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${type} ${formatRate(count, seconds)}`)
+    .join(', ');
+}
+
+function formatLatency(latency) {
+  if (latency.samples === 0) return 'latency -';
+  return `latency avg ${latency.average.toFixed(1)}ms p95 ${latency.p95}ms max ${latency.max}ms`;
+}
+
+function printReport(label, snapshot, seconds, connectedCount, botCount) {
+  console.log(
+    `[${label}] bots ${connectedCount}/${botCount} | ` +
+    `sent ${formatRate(sumCounts(snapshot.sent), seconds)} msg/s ` +
+    `${formatRate(snapshot.bytesSent / 1024, seconds)} KB/s | ` +
+    `received ${formatRate(sumCounts(snapshot.received), seconds)} msg/s ` +
+    `${formatRate(snapshot.bytesReceived / 1024, seconds)} KB/s | ` +
+    formatLatency(snapshot.latency)
+  );
+}
+
+function run(options) {
+  const route = options.route ? loadRoute(options.route) : null;
+  const periodStats = new BotStats();
+  const totalStats = new BotStats();
+  const bots = [];
+  const timers = [];
+  const startedAt = Date.now();
+
+  // Every message is counted for the current report and for the final summary
+  const stats = {
+    recordSent: (type, bytes) => { periodStats.recordSent(type, bytes); totalStats.recordSent(type, bytes); },
+    recordReceived: (type, bytes) => { periodStats.recordReceived(type, bytes); totalStats.recordReceived(type, bytes); },
+    recordLatency: (ms) => { periodStats.recordLatency(ms); totalStats.recordLatency(ms); }
+  };
+  const log = message => console.log(message);
+
+  console.log(`Starting ${options.count} bots against ${options.url}${options.room ? ` (room ${options.room})` : ''}`);
+
+  for (let i = 0; i < options.count; i++) {
+    const bot = new BotClient({
+      url: options.url,
+      name: `${options.name}-${i + 1}`,
+      room: options.room,
+      binary: options.binary,
+      route,
+      speed: options.speed,
+      bombChance: options.bombChance,
+      chatInterval: options.chatInterval !== undefined ? options.chatInterval * 1000 : undefined,
+      stats,
+      // Problems are always worth reporting; joins and reconnects only when asked
+      log: message => {
+        if (options.verbose || !/: (joined|resumed) /.test(message)) log(message);
+      }
+    });
+    bots.push(bot);
+    timers.push(setTimeout(() => bot.connect(), i * options.ramp));
+  }
+
+  let lastReportAt = startedAt;
+  timers.push(setInterval(() => {
+    const now = Date.now();
+    const seconds = (now - lastReportAt) / 1000;
+    lastReportAt = now;
+
+    printReport(`${Math.round((now - startedAt) / 1000)}s`, periodStats.take(true), seconds,
+      bots.filter(bot => bot.connected).length, bots.length);
+  }, options.report * 1000));
+
+  let stopping = false;
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    timers.forEach(clearTimeout);
+
+    const seconds = (Date.now() - startedAt) / 1000;
+    const snapshot = totalStats.take();
+    console.log('');
+    printReport(`total ${Math.round(seconds)}s`, snapshot, seconds, bots.filter(bot => bot.connected).length, bots.length);
+    console.log(`  sent/s:     ${formatTypes(snapshot.sent, seconds) || '-'}`);
+    console.log(`  received/s: ${formatTypes(snapshot.received, seconds) || '-'}`);
+
+    bots.forEach(bot => bot.stop());
+    // Let the close frames go out before exiting
+    setTimeout(() => process.exit(0), 500);
+  };
+
+  if (options.duration > 0) {
+    timers.push(setTimeout(stop, options.duration * 1000));
+  }
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+run(parseArgs(process.argv.slice(2)));
@@ -15,9 +15,18 @@ import * as portal from './modules/portal.js';
 import * as ui from './modules/ui.js';
 import mobileControls from './modules/mobile-controls.js';
 import * as network from './modules/network.js';
+import * as objectPool from './modules/object-pool.js';
+import * as lodManager from './modules/lod-manager.js';
+import * as planetaryDefense from './modules/planetary-defense.js';
+import { updateWeapons } from './modules/weapons.js';
+import * as saveSystem from './modules/save-system.js';
+import { showLobby } from './modules/lobby.js';
 import { createPlayerShip } from './modules/player.js';
 import { showMessage, createExplosionFlash } from './modules/ui.js';
 import Config from './config.js';
+import { createSeededRandom } from './modules/random.js';
+import * as simulation from './modules/simulation.js';
+import { on, GameEvents } from './modules/event-bus.js';
 
 // Main application class
 class GameApp {
@@ -25,6 +34,7 @@ class GameApp {
         this.scene = null;
         this.renderer = null;
         this.clock = null;
+        this.nebulae = [];
         
         // Initialize the game
         this.initialize();
@@ -38,6 +48,10 @@ class GameApp {
         // Initialize game systems
         this.initGameSystems();
         
+        // Restore saved progress (picks the saved universe seed, so it runs
+        // before anything seeded is generated)
+        saveSystem.loadGame();
+        
         // Initialize performance optimization systems
         this.initPerformanceOptimizations();
         
@@ -79,9 +93,15 @@ class GameApp {
         // Add ship upgrades button
         ui.addUpgradesButton();
         
+        // Respawn buttons on the game over screen
+        ui.setupGameOverScreen();
+        
         // Initialize alien symbols
         ui.updateAlienSymbols();
         
+        // Start autosaving progress
+        saveSystem.initializeSaveSystem();
+        
         // Start animation loop
         this.animate();
         
@@ -162,11 +182,14 @@ class GameApp {
         
         const starVertices = [];
         
+        // The sky is part of the seeded universe
+        const random = createSeededRandom('stars');
+        
         // Create stars
         for (let i = 0; i < 200000; i++) {
-            const x = (Math.random() - 0.5) * gameState.universeSize;
-            const y = (Math.random() - 0.5) * gameState.universeSize;
-            const z = (Math.random() - 0.5) * gameState.universeSize;
+            const x = (random() - 0.5) * gameState.universeSize;
+            const y = (random() - 0.5) * gameState.universeSize;
+            const z = (random() - 0.5) * gameState.universeSize;
             
             starVertices.push(x, y, z);
         }
@@ -195,11 +218,13 @@ class GameApp {
             0xff1493  // Deep pink
         ];
         
+        const random = createSeededRandom('nebulae');
+        
         for (let i = 0; i < 20; i++) {
-            const nebulaSize = 10000 + Math.random() * 20000;
+            const nebulaSize = 10000 + random() * 20000;
             const distance = gameState.universeSize * 0.4;
-            const angle = Math.random() * Math.PI * 2;
-            const elevation = (Math.random() - 0.5) * Math.PI;
+            const angle = random() * Math.PI * 2;
+            const elevation = (random() - 0.5) * Math.PI;
             
             const x = Math.cos(angle) * Math.cos(elevation) * distance;
             const y = Math.sin(elevation) * distance;
@@ -207,7 +232,7 @@ class GameApp {
             
             const nebulaGeometry = new THREE.PlaneGeometry(nebulaSize, nebulaSize);
             const nebulaMaterial = new THREE.MeshBasicMaterial({
-                color: nebulaColors[Math.floor(Math.random() * nebulaColors.length)],
+                color: nebulaColors[Math.floor(random() * nebulaColors.length)],
                 transparent: true,
                 opacity: 0.3,
                 side: THREE.DoubleSide,
@@ -220,12 +245,37 @@ class GameApp {
             // Orient the nebula to face the center of the universe roughly
             nebula.lookAt(0, 0, 0);
             // Add some random rotation
-            nebula.rotation.z = Math.random() * Math.PI * 2;
+            nebula.rotation.z = random() * Math.PI * 2;
             
             this.scene.add(nebula);
+            this.nebulae.push(nebula);
         }
     }
     
+    // Replace the stars, nebulae and wormholes with those of the current universe seed
+    rebuildSeededScenery() {
+        gameState.stars.forEach(stars => {
+            this.scene.remove(stars);
+            stars.geometry.dispose();
+        });
+        gameState.stars = [];
+        
+        this.nebulae.forEach(nebula => {
+            this.scene.remove(nebula);
+            nebula.geometry.dispose();
+        });
+        this.nebulae = [];
+        
+        gameState.wormholes.forEach(wormhole => {
+            gameState.mainScene.remove(wormhole.group);
+            lodManager.removeWormholeFromLOD(wormhole);
+        });
+        gameState.wormholes = [];
+        
+        this.createStarfield();
+        this.createWormhole();
+    }
+    
     // Create player ship
     createPlayerShip() {
         // Ship group
@@ -390,11 +440,14 @@ class GameApp {
         // Create a base group for the wormhole
         const wormholeGroup = new THREE.Group();
         
+        // Wormholes are seeded by their index in the universe
+        const random = createSeededRandom('wormhole', gameState.wormholes.length);
+        
         // Random position for the wormhole
         const position = new THREE.Vector3(
-            (Math.random() - 0.5) * Config.universe.size * 0.5,
-            (Math.random() - 0.5) * Config.universe.size * 0.5,
-            (Math.random() - 0.5) * Config.universe.size * 0.5
+            (random() - 0.5) * Config.universe.size * 0.5,
+            (random() - 0.5) * Config.universe.size * 0.5,
+            (random() - 0.5) * Config.universe.size * 0.5
         );
         
         // Set position
@@ -439,9 +492,9 @@ class GameApp {
         
         // Store destination information
         const destination = {
-            x: (Math.random() - 0.5) * Config.universe.size * 0.8,
-            y: (Math.random() - 0.5) * Config.universe.size * 0.8,
-            z: (Math.random() - 0.5) * Config.universe.size * 0.8
+            x: (random() - 0.5) * Config.universe.size * 0.8,
+            y: (random() - 0.5) * Config.universe.size * 0.8,
+            z: (random() - 0.5) * Config.universe.size * 0.8
         };
         
         // Create a wormhole object to store in game state
@@ -451,8 +504,8 @@ class GameApp {
             blackHole: blackHole,
             position: position,
             destination: destination,
-            rotationSpeed: Math.random() * 0.01 + 0.005,
-            pulsateSpeed: Math.random() * 0.002 + 0.001,
+            rotationSpeed: random() * 0.01 + 0.005,
+            pulsateSpeed: random() * 0.002 + 0.001,
             pulsateDirection: 1,
             pulsateAmount: 0
         };
@@ -461,9 +514,7 @@ class GameApp {
         gameState.wormholes.push(wormhole);
         
         // Apply Level of Detail (LOD) optimization
-        import('./modules/lod-manager.js').then(module => {
-            module.applyWormholeLOD(wormhole);
-        });
+        lodManager.applyWormholeLOD(wormhole);
         
         console.log("Created wormhole at", position);
     }
@@ -487,6 +538,22 @@ class GameApp {
         // Add a debounce mechanism to prevent rapid toggling
         let lastClickTime = 0;
         
+        const connect = () => {
+            // Show connecting status
+            button.textContent = 'CONNECTING...';
+            button.disabled = true; // Prevent additional clicks during connection
+            
+            // Enable multiplayer
+            network.initMultiplayer();
+            
+            // Reset button state after a delay
+            setTimeout(() => {
+                button.disabled = false;
+                button.textContent = gameState.multiplayer.enabled ? 
+                    'DISABLE MULTIPLAYER' : 'ENABLE MULTIPLAYER';
+            }, 3000);
+        };
+        
         button.addEventListener('click', () => {
             try {
                 // Debounce clicks to prevent rapid toggling which can cause issues
@@ -504,20 +571,16 @@ class GameApp {
                     
                     // Ensure game state is clean
                     gameState.multiplayer.otherPlayers.clear();
+                    network.forgetRoom();
+                } else if (gameState.multiplayer.roomCode) {
+                    // Join code from the URL: go straight to that room
+                    connect();
                 } else {
-                    // Show connecting status
-                    button.textContent = 'CONNECTING...';
-                    button.disabled = true; // Prevent additional clicks during connection
-                    
-                    // Enable multiplayer
-                    network.initMultiplayer();
-                    
-                    // Reset button state after a delay
-                    setTimeout(() => {
-                        button.disabled = false;
-                        button.textContent = gameState.multiplayer.enabled ? 
-                            'DISABLE MULTIPLAYER' : 'ENABLE MULTIPLAYER';
-                    }, 3000);
+                    // Let the player pick a room first
+                    showLobby(roomCode => {
+                        gameState.multiplayer.roomCode = roomCode;
+                        connect();
+                    });
                 }
             } catch (error) {
                 console.error("Error toggling multiplayer:", error);
@@ -661,7 +724,7 @@ class GameApp {
                 // Update controls
                 if (gameState.isAlienMode) {
                     updateAlienControls(delta, inputHandler.inputState);
-                } else {
+                } else if (!gameState.isDead) {
                     updateShipControls(delta, inputHandler.inputState);
                 }
                 
@@ -684,6 +747,9 @@ class GameApp {
                 // Update debris and particles using object pooling
                 this.updatePooledObjects(delta);
                 
+                // Fire the ship's weapons and check their shots for hits
+                updateWeapons(delta, inputHandler.inputState);
+                
                 // Update tractor beam
                 this.updateTractorBeam();
                 
@@ -691,14 +757,14 @@ class GameApp {
                 this.updateDebrisGeneration(delta);
                 
                 // Update planetary defense systems
-                import('./modules/planetary-defense.js').then(module => {
-                    module.updatePlanetaryDefenses(delta);
-                });
+                planetaryDefense.updatePlanetaryDefenses(delta);
+                
+                // Smooth remote players and apply server corrections to ours
+                network.updateRemotePlayers();
+                network.applyPositionCorrection(delta);
                 
                 // Update LOD (Level of Detail) for objects
-                import('./modules/lod-manager.js').then(module => {
-                    module.updateLOD();
-                });
+                lodManager.updateLOD();
                 
                 // Send position updates if in multiplayer mode - less frequently for better performance
                 if (gameState.multiplayer.enabled && !gameState.isAlienMode) {
@@ -777,42 +843,34 @@ class GameApp {
     
     // Update bombs countdown and state
     updateBombs(delta) {
-        // Loop through bombs in reverse to safely remove items
-        for (let i = gameState.bombs.length - 1; i >= 0; i--) {
-            const bomb = gameState.bombs[i];
-            if (!bomb.isActive) continue;
-            
-            // Update countdown
-            bomb.countdown -= delta;
-            
-            // Check if bomb should explode
-            if (bomb.countdown <= 0) {
-                // Remove bomb
-                gameState.mainScene.remove(bomb.group);
-                bomb.isActive = false;
-                
-                // Create explosion
-                const explosionPosition = new THREE.Vector3();
-                bomb.group.getWorldPosition(explosionPosition);
-                
-                // Create explosion effect based on bomb size
-                const explosionSize = 30 * bomb.size;
-                
-                // Flash screen proportional to bomb size
-                const flashColor = `rgba(255, 100, 0, ${0.3 * bomb.size})`;
-                createExplosionFlash(flashColor);
-                
-                // Show explosion message
-                showMessage(`EXPLOSION DETECTED - MAGNITUDE ${bomb.size}`, 2000);
-                
-                // Destroy planet
-                if (bomb.targetPlanet && !bomb.targetPlanet.isDestroyed) {
-                    planetGenerator.destroyPlanet(bomb.targetPlanet);
-                }
-                
-                // Remove bomb from array
-                gameState.bombs.splice(i, 1);
-            }
+        simulation.updateBombs(gameState.bombs, delta);
+    }
+    
+    // Blow up a bomb whose countdown ran out
+    handleBombExplosion(bomb) {
+        // Remove bomb
+        gameState.mainScene.remove(bomb.group);
+        
+        // Create explosion
+        const explosionPosition = new THREE.Vector3();
+        bomb.group.getWorldPosition(explosionPosition);
+        
+        // Create explosion effect based on bomb size
+        const explosionSize = 30 * bomb.size;
+        
+        // Flash screen proportional to bomb size
+        const flashColor = `rgba(255, 100, 0, ${0.3 * bomb.size})`;
+        createExplosionFlash(flashColor);
+        
+        // Show explosion message
+        showMessage(`EXPLOSION DETECTED - MAGNITUDE ${bomb.size}`, 2000);
+        
+        // Destroy planet (in multiplayer the server decides, see network.js),
+        // unless the planet's own countdown already dealt with the bomb or its shield holds
+        if (bomb.targetPlanet && !bomb.targetPlanet.isDestroyed && bomb.targetPlanet.hasBomb &&
+            !gameState.planetsManager.serverAuthoritative &&
+            !simulation.shieldAbsorbsBomb(bomb.targetPlanet, bomb.size)) {
+            planetGenerator.destroyPlanet(bomb.targetPlanet);
         }
     }
     
@@ -821,7 +879,8 @@ class GameApp {
         // Create global access to game methods
         window.gameApp = {
             hideTutorial: this.hideTutorial,
-            createDebris: (position, count, size) => this.createDebris(position, count, size)
+            saveGame: saveSystem.saveGame,
+            clearSave: saveSystem.clearSave
         };
         
         // Expose portal module for minimap access
@@ -841,6 +900,12 @@ class GameApp {
                 planetsPerSector: Config.planets.planetsPerSector,
                 sectors: {},
                 sectorSize: Config.universe.sectorSize,
+                serverAuthoritative: false,
+                universeSeed: null,
+                loadedSectors: new Set(),
+                requestedSectors: new Set(),
+                exploredSectors: new Set(),
+                destroyedPlanets: new Set()
             };
         }
         
@@ -851,6 +916,16 @@ class GameApp {
         gameState.nearestPlanet = null;
         gameState.nearestPlanetDistance = Infinity;
         gameState.playerSector = "ALPHA-1";
+        
+        // The simulation counts bombs down; blowing them up in the scene happens here
+        on(GameEvents.BOMB_EXPLODED, ({ bomb }) => this.handleBombExplosion(bomb));
+        
+        // Destroyed planets break up into debris
+        on(GameEvents.PLANET_EXPLODED, ({ planet }) => this.createPlanetDebris(planet));
+        on(GameEvents.PLANET_DESTROYED, ({ planet }) => this.createPlanetDebris(planet));
+        
+        // Joining a server's universe moves its wormholes, which the server checks jumps against
+        on(GameEvents.UNIVERSE_SEED_CHANGED, () => this.rebuildSeededScenery());
     }
     
     // Update nearest planet information
@@ -887,18 +962,21 @@ class GameApp {
             document.getElementById('planet-distance').textContent = Math.floor(minDistance);
             document.getElementById('planet-composition').textContent = nearest.type;
             document.getElementById('planet-status').textContent = nearest.hasBomb ? 'BOMB PLANTED' : 'INTACT';
+            document.getElementById('planet-defenses').textContent = nearest.hasDefenses ?
+                `TIER ${nearest.defenseSystems.tier.level + 1} - ${nearest.defenseSystems.tier.name}` : 'NONE';
         } else {
             document.getElementById('planet-name').textContent = 'NONE';
             document.getElementById('planet-distance').textContent = '∞';
             document.getElementById('planet-composition').textContent = 'UNKNOWN';
             document.getElementById('planet-status').textContent = 'INTACT';
+            document.getElementById('planet-defenses').textContent = 'NONE';
         }
     }
     
     // Update tractor beam
     updateTractorBeam() {
-        // Only active when not in alien mode and tractor beam is on
-        if (gameState.isAlienMode || !gameState.isTractorBeamActive) {
+        // Only active when flying the ship and tractor beam is on
+        if (gameState.isAlienMode || gameState.isDead || !gameState.isTractorBeamActive) {
             // Remove tractor beam if it exists
             if (gameState.tractorBeamEffect) {
                 gameState.mainScene.remove(gameState.tractorBeamEffect);
@@ -1008,29 +1086,12 @@ class GameApp {
             
             // Check if close enough to collect
             if (debrisPosition.distanceTo(shipPosition) < 5) {
-                // Add resource value
-                gameState.resourcesCollected += debris.value;
-                
-                // Add score based on debris value
-                const scoreValue = debris.value * 10;
-                gameState.updateScore(scoreValue);
-                
-                // Show message
-                showMessage(`RESOURCE COLLECTED: +${debris.value} (+${scoreValue} POINTS)`, 1000);
+                // Add resources and score (the UI shows the message)
+                simulation.collectResources(gameState, debris.value);
                 
                 // Create a visual effect for resource collection
                 this.createResourceCollectionEffect(debrisPosition);
                 
-                // Occasionally remind player about upgrades
-                if (Math.random() < 0.2 && gameState.resourcesCollected >= 40) {
-                    // Don't show this reminder too frequently
-                    const now = Date.now();
-                    if (!this.lastUpgradeReminder || now - this.lastUpgradeReminder > 30000) { // 30 seconds between reminders
-                        showMessage("RESOURCES CAN BE USED FOR SHIP UPGRADES - PRESS SHIP UPGRADES BUTTON", 3000);
-                        this.lastUpgradeReminder = now;
-                    }
-                }
-                
                 // Remove debris
                 gameState.mainScene.remove(debris.mesh);
                 gameState.debris.splice(i, 1);
@@ -1057,24 +1118,22 @@ class GameApp {
         }, 100);
         
         // Create particle burst effect using object pool
-        import('./modules/object-pool.js').then(module => {
-            for (let i = 0; i < 5; i++) {
-                // Create particles that radiate outward
-                const velocity = new THREE.Vector3(
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10
-                );
-                
-                module.getParticle(gameState.mainScene, {
-                    position: position.clone(),
-                    velocity: velocity,
-                    color: 0x00ffff,
-                    size: 0.5,
-                    life: 0.5
-                });
-            }
-        });
+        for (let i = 0; i < 5; i++) {
+            // Create particles that radiate outward
+            const velocity = new THREE.Vector3(
+                (Math.random() - 0.5) * 10,
+                (Math.random() - 0.5) * 10,
+                (Math.random() - 0.5) * 10
+            );
+            
+            objectPool.getParticle(gameState.mainScene, {
+                position: position.clone(),
+                velocity: velocity,
+                color: 0x00ffff,
+                size: 0.5,
+                life: 0.5
+            });
+        }
     }
     
     // Update debris positions and rotations
@@ -1105,34 +1164,41 @@ class GameApp {
         }
     }
     
+    // Scatter debris where a planet was, based on its size
+    createPlanetDebris(planet) {
+        const planetPosition = new THREE.Vector3();
+        planet.group.getWorldPosition(planetPosition);
+        
+        const debrisCount = Math.floor(planet.size * 0.5);
+        this.createDebris(planetPosition, debrisCount, planet.size * 0.1);
+    }
+    
     // Create debris using object pooling
     createDebris(position, count = 5, size = 1) {
-        import('./modules/object-pool.js').then(module => {
-            for (let i = 0; i < count; i++) {
-                // Random velocity for each debris piece
-                const velocity = new THREE.Vector3(
-                    (Math.random() - 0.5) * 20,
-                    (Math.random() - 0.5) * 20,
-                    (Math.random() - 0.5) * 20
-                );
-                
-                // Random size variation
-                const debrisSize = size * (0.5 + Math.random() * 0.5);
-                
-                // Random color
-                const colors = [0x777777, 0x555555, 0x999999];
-                const color = colors[Math.floor(Math.random() * colors.length)];
-                
-                // Get debris from pool
-                module.getDebris(this.scene, {
-                    position: position.clone(),
-                    velocity: velocity,
-                    size: debrisSize,
-                    color: color,
-                    life: 5 + Math.random() * 5 // 5-10 seconds lifespan
-                });
-            }
-        });
+        for (let i = 0; i < count; i++) {
+            // Random velocity for each debris piece
+            const velocity = new THREE.Vector3(
+                (Math.random() - 0.5) * 20,
+                (Math.random() - 0.5) * 20,
+                (Math.random() - 0.5) * 20
+            );
+            
+            // Random size variation
+            const debrisSize = size * (0.5 + Math.random() * 0.5);
+            
+            // Random color
+            const colors = [0x777777, 0x555555, 0x999999];
+            const color = colors[Math.floor(Math.random() * colors.length)];
+            
+            // Get debris from pool
+            objectPool.getDebris(this.scene, {
+                position: position.clone(),
+                velocity: velocity,
+                size: debrisSize,
+                color: color,
+                life: 5 + Math.random() * 5 // 5-10 seconds lifespan
+            });
+        }
     }
     
     // Initialize performance optimization systems
@@ -1140,22 +1206,16 @@ class GameApp {
         console.log("Initializing performance optimization systems");
         
         // Initialize object pooling system
-        import('./modules/object-pool.js').then(module => {
-            module.initializeObjectPools(this.scene);
-        });
+        objectPool.initializeObjectPools(this.scene);
         
         // Initialize Level of Detail (LOD) system
-        import('./modules/lod-manager.js').then(module => {
-            module.initializeLOD(this.scene);
-        });
+        lodManager.initializeLOD(this.scene);
     }
     
     // Update all pooled objects (debris, particles, etc.)
     updatePooledObjects(delta) {
         // Update object pools
-        import('./modules/object-pool.js').then(module => {
-            module.updateObjectPools(delta);
-        });
+        objectPool.updateObjectPools(delta);
     }
     
     // Generate debris randomly for the player to collect
@@ -1194,26 +1254,24 @@ class GameApp {
                 );
                 
                 // Create debris with a higher value (more valuable resource)
-                import('./modules/object-pool.js').then(module => {
-                    // Random velocity
-                    const velocity = new THREE.Vector3(
-                        (Math.random() - 0.5) * 5,
-                        (Math.random() - 0.5) * 5,
-                        (Math.random() - 0.5) * 5
-                    );
-                    
-                    // Create debris with a random value between 5-20
-                    const value = Math.floor(Math.random() * 16) + 5;
-                    
-                    // Get debris from pool with higher value
-                    module.getDebris(this.scene, {
-                        position: position,
-                        velocity: velocity, 
-                        size: 1.5 + Math.random(),
-                        color: 0x88aaff, // Blueish color to distinguish valuable resources
-                        life: 15, // Longer life
-                        value: value // Set the resource value
-                    });
+                // Random velocity
+                const velocity = new THREE.Vector3(
+                    (Math.random() - 0.5) * 5,
+                    (Math.random() - 0.5) * 5,
+                    (Math.random() - 0.5) * 5
+                );
+                
+                // Create debris with a random value between 5-20
+                const value = Math.floor(Math.random() * 16) + 5;
+                
+                // Get debris from pool with higher value
+                objectPool.getDebris(this.scene, {
+                    position: position,
+                    velocity: velocity, 
+                    size: 1.5 + Math.random(),
+                    color: 0x88aaff, // Blueish color to distinguish valuable resources
+                    life: 15, // Longer life
+                    value: value // Set the resource value
                 });
             }
             
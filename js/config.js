@@ -7,7 +7,8 @@ const Config = {
     // Universe settings
     universe: {
         size: 200000,
-        sectorSize: 10000
+        sectorSize: 10000,
+        seed: null // Universe seed; null picks one at random (override with ?seed=...)
     },
     
     // Player settings
@@ -26,6 +27,7 @@ const Config = {
         maxDistance: 50000,
         checkInterval: 5,
         planetsPerSector: 8,
+        starterPlanets: 5, // Extra planets close to spawn in the home sector
         types: [
             'Rocky', 'Gaseous', 'Molten', 'Frozen', 
             'Toxic', 'Oceanic', 'Desert', 'Crystalline'
@@ -47,9 +49,88 @@ const Config = {
         maxSize: 3
     },
     
+    // Ship weapon settings (damage goes up 20% per weapons upgrade level)
+    weapons: {
+        laser: {
+            damage: 10,
+            speed: 400, // Units per second
+            cooldown: 0.15, // Seconds between shots
+            life: 1.5 // Seconds before a shot fizzles out
+        },
+        torpedo: {
+            damage: 40,
+            speed: 200,
+            cooldown: 1,
+            life: 4,
+            blastRadius: 20, // Defenses this close to the impact are hit too
+            startingCount: 4, // One more per weapons upgrade level
+            reloadTime: 10 // Seconds to build a new torpedo
+        }
+    },
+    
+    // Countermeasure settings (flares that lure homing missiles away)
+    countermeasures: {
+        startingCount: 3, // One more per countermeasures upgrade level
+        cooldown: 1, // Seconds between launches
+        reloadTime: 20, // Seconds to build a new one
+        flareLife: 3, // Seconds a flare burns
+        lureRadius: 400 // Missiles this close to the ship chase the flares instead
+    },
+    
+    // Dodge roll settings
+    dodge: {
+        distance: 25, // Units the ship slides sideways during a roll
+        duration: 0.5, // Seconds a roll takes
+        cooldown: 1.5, // Seconds between rolls
+        fuelCost: 15, // Boost fuel a roll burns
+        breakLockDistance: 60 // Missiles this close lose their lock when the ship rolls
+    },
+    
+    // Planetary defense settings
+    defenses: {
+        difficulty: 0, // Added to every planet's tier, e.g. -1 for an easier game (override with ?difficulty=...)
+        sectorsPerTier: 2, // Sectors out from the origin before defenses get a tier tougher
+        // From the home sectors outward; the last tier covers everything beyond
+        tiers: [
+            { name: 'LOW', defenseProbability: 0.25, turretCount: { min: 1, max: 2 }, projectileSpeed: 80, missileTurnRate: 1, damageMultiplier: 0.6 },
+            { name: 'MODERATE', defenseProbability: 0.4, turretCount: { min: 2, max: 4 }, projectileSpeed: 100, missileTurnRate: 1.5, damageMultiplier: 1 },
+            { name: 'HIGH', defenseProbability: 0.55, turretCount: { min: 3, max: 5 }, projectileSpeed: 130, missileTurnRate: 2, damageMultiplier: 1.5 },
+            { name: 'EXTREME', defenseProbability: 0.7, turretCount: { min: 4, max: 6 }, projectileSpeed: 160, missileTurnRate: 2.5, damageMultiplier: 2 }
+        ]
+    },
+    
+    // Planet shield settings
+    planetShields: {
+        maxHealth: 100,
+        regenRate: 5, // Health per second once the shield stops taking hits
+        regenDelay: 3, // Seconds without a hit before it starts to regenerate
+        rebootTime: 20, // Seconds a shield stays down before rebooting (if its generator survives)
+        bombDamage: 30 // Damage per size level of a bomb too small to get through
+    },
+    
+    // Death settings
+    death: {
+        resourceLoss: 0.25, // Share of resources lost when the ship is destroyed
+        bombLoss: 0.5, // Share of bombs lost when the ship is destroyed
+        respawnDelay: 3 // Seconds before the game over screen offers a respawn
+    },
+    
+    // Save settings
+    save: {
+        storageKey: 'cosmic-chaos-save',
+        autosaveInterval: 30, // Seconds between automatic saves
+        serverProfile: false // Also keep a copy of the save on the server (/api/profile)
+    },
+    
     // Multiplayer settings
     multiplayer: {
-        updateInterval: 100
+        updateInterval: 100,
+        binaryProtocol: true, // Ask the server for compact binary state snapshots
+        interpolationDelay: 200, // ms remote players are drawn in the past (two server updates)
+        maxExtrapolation: 250, // ms to keep extrapolating when updates are late
+        snapshotBufferSize: 30, // Snapshots kept per remote player
+        reconciliationThreshold: 0.5, // Server corrections smaller than this are ignored
+        reconciliationRate: 10 // How quickly corrections are blended in (per second)
     },
     
     // Alien mode settings
@@ -6,6 +6,8 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
 import gameState from './game-state.js';
 import { showMessage } from './ui.js';
+import { emit, GameEvents } from './event-bus.js';
+import { canBombPenetrate, serverAcceptsBomb } from './simulation.js';
 
 /**
  * Updates alien controls based on player input
@@ -151,30 +153,32 @@ export function isNearShip() {
 
 /**
  * Place a bomb at the alien's current position
- * @returns {Object|null} The placed bomb or null if unsuccessful
+ * @returns {boolean} Whether a bomb was placed
  */
 export function placeBomb() {
     try {
         // Prevent placing multiple bombs on same planet
         if (gameState.landedOnPlanet.hasBomb) {
             showMessage("BOMB ALREADY PLACED ON THIS PLANET", 2000);
-            return null;
+            return false;
         }
         
         // Make sure we have bombs left
         if (gameState.bombsRemaining <= 0) {
             showMessage("NO BOMBS REMAINING", 2000);
-            return null;
+            return false;
         }
         
-        // Get alien position for bomb placement
+        // In multiplayer a shield never lets a small bomb through, so don't waste one
+        if (gameState.planetsManager.serverAuthoritative && !serverAcceptsBomb(gameState.landedOnPlanet, gameState.bombSize)) {
+            showMessage("PLANET SHIELD ACTIVE - ONLY A SIZE 3 BOMB WILL GET THROUGH", 3000);
+            return false;
+        }
+        
+        // Where the bomb sits in the main scene
         let bombPosition;
-        let bomb = null;
         
         if (gameState.currentScene === gameState.flatScene) {
-            // In flat scene, place bomb at alien's position
-            bombPosition = gameState.alienModel.position.clone();
-            
             // Add bomb to main scene at corresponding position relative to planet
             // Get the planet position
             const planetPosition = new THREE.Vector3();
@@ -187,48 +191,27 @@ export function placeBomb() {
             ).normalize();
             
             // Place bomb on planet surface near the ship
-            const realBombPosition = new THREE.Vector3().addVectors(
+            bombPosition = new THREE.Vector3().addVectors(
                 planetPosition,
                 surfaceNormal.multiplyScalar(gameState.landedOnPlanet.size + 0.5)
             );
-            
-            // Create bomb in main scene
-            import('./player.js').then(module => {
-                bomb = module.createBomb(realBombPosition, gameState.bombSize);
-                bomb.targetPlanet = gameState.landedOnPlanet;
-            });
         } else {
             // In main scene, place bomb at alien's position
             bombPosition = new THREE.Vector3();
             gameState.alienModel.getWorldPosition(bombPosition);
-            
-            // Create bomb at alien's position
-            import('./player.js').then(module => {
-                bomb = module.createBomb(bombPosition, gameState.bombSize);
-                bomb.targetPlanet = gameState.landedOnPlanet;
-            });
-        }
-        
-        // Send bomb placement to server if multiplayer is enabled
-        if (gameState.multiplayer.enabled) {
-            const alienPosition = new THREE.Vector3();
-            gameState.alienModel.getWorldPosition(alienPosition);
-            
-            import('./network.js').then(module => {
-                module.sendBombPlacement(
-                    gameState.landedOnPlanet.id,
-                    alienPosition,
-                    gameState.bombSize
-                );
-            });
         }
         
         // Show feedback message
         showMessage(`BOMB PLACED - DETONATION IN 10 SECONDS`, 2000);
         
+        if (!canBombPenetrate(gameState.landedOnPlanet, gameState.bombSize)) {
+            showMessage("WARNING: PLANET SHIELD ACTIVE - ONLY A SIZE 3 BOMB WILL GET THROUGH", 3000);
+        }
+        
         // Mark planet as having a bomb
         gameState.landedOnPlanet.hasBomb = true;
         gameState.landedOnPlanet.bombCountdown = 10;
+        gameState.landedOnPlanet.bombSize = gameState.bombSize;
         
         // Update HUD bombs count
         gameState.bombsRemaining--;
@@ -236,7 +219,16 @@ export function placeBomb() {
         // Update UI
         gameState.updateUI();
         
-        return bomb;
+        // The player module shows the bomb and the network module tells the server
+        emit(GameEvents.BOMB_PLACED, {
+            planet: gameState.landedOnPlanet,
+            position: bombPosition,
+            size: gameState.bombSize,
+            countdown: gameState.landedOnPlanet.bombCountdown,
+            isOwnBomb: true
+        });
+        
+        return true;
     } catch (error) {
         console.error("Error placing bomb:", error);
         // Reset state to prevent game from freezing
@@ -245,7 +237,7 @@ export function placeBomb() {
             gameState.bombsRemaining = Math.max(0, gameState.bombsRemaining - 1);
             gameState.updateUI();
         }
-        return null;
+        return false;
     }
 }
 
@@ -0,0 +1,127 @@
+/**
+ * Event Bus Module
+ * Game events that modules publish and subscribe to
+ *
+ * Publishers don't know who is listening, so the UI, audio, network and
+ * achievements can react to what happens in the game without importing the
+ * modules that make it happen (and without the circular imports that used
+ * to be worked around with import().then()).
+ */
+
+/**
+ * Every game event. Publishing or subscribing to a name not listed here
+ * throws, so a typo fails loudly instead of going unheard.
+ */
+export const GameEvents = Object.freeze({
+    // { points, score }
+    SCORE_CHANGED: 'scoreChanged',
+    // { amount, points, total } - resources picked up
+    RESOURCE_COLLECTED: 'resourceCollected',
+    // { type, level, cost }
+    UPGRADE_PURCHASED: 'upgradePurchased',
+    // { amount, damage, source, shields, shieldsDepleted } - amount is before shield upgrades
+    DAMAGE_TAKEN: 'damageTaken',
+    // { planet, kind, position, points } - kind is 'turret', 'missileLauncher' or 'shieldGenerator',
+    // position is relative to the planet
+    DEFENSE_DESTROYED: 'defenseDestroyed',
+    // { planet } - weapon fire or a bomb brought a planet's shield down
+    PLANET_SHIELD_DOWN: 'planetShieldDown',
+    // { planet } - a planet's shield rebooted
+    PLANET_SHIELD_RESTORED: 'planetShieldRestored',
+    // { planet, damage } - a planet's shield took a bomb that was too small to get through
+    BOMB_ABSORBED: 'bombAbsorbed',
+    // { direction } - the ship started a dodge roll (1 right, -1 left)
+    SHIP_DODGED: 'shipDodged',
+    // { remaining } - the ship launched countermeasures
+    COUNTERMEASURES_DEPLOYED: 'countermeasuresDeployed',
+    // { cause, stats, penalty } - the shields ran out and the ship was destroyed
+    PLAYER_DIED: 'playerDied',
+    // { inSector } - the player asked to fly again, in the sector the ship was lost in or at spawn
+    RESPAWN_REQUESTED: 'respawnRequested',
+    // { position } - the player is flying again
+    PLAYER_RESPAWNED: 'playerRespawned',
+    // { planet, position, size, countdown, isOwnBomb } - position is in the main scene
+    BOMB_PLACED: 'bombPlaced',
+    // { bomb } - a bomb's countdown ran out
+    BOMB_EXPLODED: 'bombExploded',
+    // { planet, points } - a planet's own bomb countdown ran out
+    PLANET_EXPLODED: 'planetExploded',
+    // { planet, awarded, resources } - awarded is false for another player's bomb
+    PLANET_DESTROYED: 'planetDestroyed',
+    // { planet } - the ship touched down
+    SHIP_LANDED: 'shipLanded',
+    // { isAlienMode, planet } - the player left or returned to the ship
+    ALIEN_MODE_CHANGED: 'alienModeChanged',
+    // { key, name } - the player flew into a sector nobody had mapped
+    SECTOR_DISCOVERED: 'sectorDiscovered',
+    // { sectorKeys } - sectors the server should send us
+    SECTORS_NEEDED: 'sectorsNeeded',
+    // { universe } - the server gave our room a fresh universe
+    UNIVERSE_CHANGED: 'universeChanged',
+    // { seed } - the universe seed was replaced (e.g. by the multiplayer server's)
+    UNIVERSE_SEED_CHANGED: 'universeSeedChanged'
+});
+
+const knownEvents = new Set(Object.values(GameEvents));
+
+// Handlers by event name
+const listeners = new Map();
+
+function checkEvent(event) {
+    if (!knownEvents.has(event)) {
+        throw new Error(`Unknown game event: ${event}`);
+    }
+}
+
+/**
+ * Subscribe to a game event
+ * @param {string} event - One of GameEvents
+ * @param {Function} handler - Called with the event data
+ * @returns {Function} Unsubscribes the handler
+ */
+export function on(event, handler) {
+    checkEvent(event);
+
+    if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+
+    return () => off(event, handler);
+}
+
+/**
+ * Unsubscribe from a game event
+ * @param {string} event - One of GameEvents
+ * @param {Function} handler - The handler passed to on()
+ */
+export function off(event, handler) {
+    checkEvent(event);
+
+    const handlers = listeners.get(event);
+    if (handlers) {
+        handlers.delete(handler);
+    }
+}
+
+/**
+ * Publish a game event to its subscribers, in the order they subscribed
+ * @param {string} event - One of GameEvents
+ * @param {Object} data - Event data (see GameEvents)
+ */
+export function emit(event, data = {}) {
+    checkEvent(event);
+
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while being called
+    [...handlers].forEach(handler => {
+        // One broken subscriber shouldn't stop the others or the game loop
+        try {
+            handler(data);
+        } catch (error) {
+            console.error(`Error in ${event} handler:`, error);
+        }
+    });
+}
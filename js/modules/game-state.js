@@ -4,6 +4,7 @@
  */
 
 import Config from '../config.js';
+import { createUpgrades, createWeapons, createDodge, createRun, addScore, canUpgrade, getUpgradeCost, applyUpgrade, refreshUpgradeEffects, getTractorBeamRange, getTractorBeamStrength, takeDamage } from './simulation.js';
 
 class GameState {
     constructor() {
@@ -51,41 +52,20 @@ class GameState {
         this.universeSize = Config.universe.size;
         this.minimapElements = [];
         this.playerSector = "ALPHA-1";
+        this.playerSectorKey = "SEC-0:0:0"; // Key of the sector the ship is in, where it can respawn
         this.minimapUpdateTimer = 0;
         this.minimapUpdateInterval = Config.ui.minimapUpdateInterval;
         this.score = 0;
+        this.isDead = false; // Ship destroyed, waiting to respawn
+        this.run = createRun(); // Stats for the current life
         this.screenWidgetsHidden = false; // Track if screen widgets are hidden
         
         // Ship upgrades system
-        this.upgrades = {
-            // Engine upgrades
-            engineLevel: 0,
-            maxEngineLevel: 5,
-            engineUpgradeCost: 50,
-            
-            // Shield upgrades
-            shieldLevel: 0,
-            maxShieldLevel: 5,
-            shieldUpgradeCost: 60,
-            
-            // Tractor beam upgrades
-            tractorBeamLevel: 0,
-            maxTractorBeamLevel: 5,
-            tractorBeamUpgradeCost: 40,
-            
-            // Bomb upgrades
-            bombCapacityLevel: 0,
-            maxBombCapacityLevel: 5,
-            bombCapacityUpgradeCost: 70,
-            
-            // Boost upgrades
-            boostLevel: 0,
-            maxBoostLevel: 5,
-            boostUpgradeCost: 55,
-
-            // Flag to show the upgrade UI
-            isUpgradeUIVisible: false
-        };
+        this.upgrades = createUpgrades();
+        
+        // Laser, torpedoes and countermeasures
+        this.weapons = createWeapons();
+        this.dodge = createDodge();
         
         this.planetsManager = {
             minPlanetCount: Config.planets.minCount,
@@ -96,6 +76,12 @@ class GameState {
             planetsPerSector: Config.planets.planetsPerSector,
             sectors: {},
             sectorSize: Config.universe.sectorSize,
+            serverAuthoritative: false, // True while the multiplayer server owns the universe
+            universeSeed: null,
+            loadedSectors: new Set(), // Sector keys received from the server
+            requestedSectors: new Set(), // Sector keys requested but not yet received
+            exploredSectors: new Set(), // Sector keys explored in earlier sessions
+            destroyedPlanets: new Set() // IDs of planets destroyed in this universe
         };
         this.shipOrientation = {
             yaw: 0,
@@ -110,15 +96,31 @@ class GameState {
         this.multiplayer = {
             enabled: false,
             socket: null,
-            playerId: null,
+            playerId: null, // Issued by the server
+            playerName: null, // Display name, unique within the room
             playerColor: null,
-            otherPlayers: new Map(),
+            otherPlayers: new Map(), // Nearby players the server is sending us
+            roster: new Map(), // Every connected player (ID -> { id, color }), near or not
+            roomCode: new URLSearchParams(window.location.search).get('room'), // Room to join, null for the default room
+            room: null, // Info about the room we're in, from the server
             chatMessages: [],
+            mutedPlayers: new Set(), // Player IDs whose chat we've muted with /mute
+            blockedPlayers: new Set(), // Player IDs we've blocked with /block
             lastPositionUpdate: 0,
             lastServerMessage: 0,
             updateInterval: 100, // Increased from 50ms to 100ms for better performance
             playerLimit: 10, // Max number of players to render simultaneously
-            renderedPlayers: new Set() // Track which players are currently being rendered
+            renderedPlayers: new Set(), // Track which players are currently being rendered
+            serverTimeOffset: null, // Estimated server clock minus local clock (ms)
+            inputSequence: 0, // Sequence number of the last position update sent
+            pendingInputs: [], // Sent position updates the server hasn't acknowledged
+            positionCorrection: { x: 0, y: 0, z: 0 }, // Server correction still to apply to our ship
+            protocol: 'json', // State protocol agreed with the server ('json' or 'binary')
+            netIds: new Map(), // Binary snapshot netId -> player ID
+            snapshotHistory: new Map(), // Decoded binary snapshots by seq, used as delta bases
+            lastSnapshotSeq: 0, // Newest binary snapshot decoded
+            lastProgressUpdate: 0, // When our resources and upgrades were last reported
+            lastProgressSent: null // What was reported, to skip sending it again
         };
         
         // Alien communication
@@ -140,6 +142,7 @@ class GameState {
             turretProjectiles: [],
             missileProjectiles: [],
             shieldBubbles: [],
+            flares: [], // Countermeasures luring missiles away
             lastAttackTime: 0,
             attackInterval: 5, // Seconds between planetary defense activation
         };
@@ -159,31 +162,13 @@ class GameState {
         this.boostFuel = Config.player.maxBoostFuel;
         this.score = 0;
         this.resourcesCollected = 0;
+        this.isDead = false;
+        this.run = createRun();
         
-        // Reset upgrades
-        this.upgrades = {
-            engineLevel: 0,
-            maxEngineLevel: 5,
-            engineUpgradeCost: 50,
-            
-            shieldLevel: 0,
-            maxShieldLevel: 5,
-            shieldUpgradeCost: 60,
-            
-            tractorBeamLevel: 0,
-            maxTractorBeamLevel: 5,
-            tractorBeamUpgradeCost: 40,
-            
-            bombCapacityLevel: 0,
-            maxBombCapacityLevel: 5,
-            bombCapacityUpgradeCost: 70,
-            
-            boostLevel: 0,
-            maxBoostLevel: 5,
-            boostUpgradeCost: 55,
-            
-            isUpgradeUIVisible: false
-        };
+        // Reset upgrades and weapons
+        this.upgrades = createUpgrades();
+        this.weapons = createWeapons();
+        this.dodge = createDodge();
         
         // Reset state
         this.isAlienMode = false;
@@ -199,6 +184,7 @@ class GameState {
         this.planetaryDefenses.turretProjectiles = [];
         this.planetaryDefenses.missileProjectiles = [];
         this.planetaryDefenses.shieldBubbles = [];
+        this.planetaryDefenses.flares = [];
         
         // Update UI
         this.updateUI();
@@ -215,6 +201,8 @@ class GameState {
         const boostMeterFill = document.getElementById('boost-meter-fill');
         const scoreElement = document.getElementById('score');
         const resourcesElement = document.getElementById('resources');
+        const torpedoesElement = document.getElementById('torpedoes');
+        const countermeasuresElement = document.getElementById('countermeasures');
         
         if (speedElement) speedElement.textContent = Math.abs(this.speed).toFixed(1);
         if (shieldsElement) shieldsElement.textContent = this.shields;
@@ -222,6 +210,8 @@ class GameState {
         if (destroyedElement) destroyedElement.textContent = this.planetsDestroyed;
         if (scoreElement) scoreElement.textContent = this.score;
         if (resourcesElement) resourcesElement.textContent = this.resourcesCollected;
+        if (torpedoesElement) torpedoesElement.textContent = this.weapons.torpedoesRemaining;
+        if (countermeasuresElement) countermeasuresElement.textContent = this.weapons.countermeasuresRemaining;
         
         // Update coordinates if player ship exists
         if (this.playerShip) {
@@ -249,105 +239,39 @@ class GameState {
     }
     
     updateScore(points) {
-        this.score += points;
-        this.updateUI();
+        addScore(this, points);
     }
     
-    // Ship upgrade methods
+    // Ship upgrade methods (the rules live in the simulation module)
     
     // Check if an upgrade is available
     canUpgrade(upgradeType) {
-        const upgrades = this.upgrades;
-        
-        switch (upgradeType) {
-            case 'engine':
-                return upgrades.engineLevel < upgrades.maxEngineLevel && 
-                       this.resourcesCollected >= this.getUpgradeCost('engine');
-            case 'shield':
-                return upgrades.shieldLevel < upgrades.maxShieldLevel && 
-                       this.resourcesCollected >= this.getUpgradeCost('shield');
-            case 'tractorBeam':
-                return upgrades.tractorBeamLevel < upgrades.maxTractorBeamLevel && 
-                       this.resourcesCollected >= this.getUpgradeCost('tractorBeam');
-            case 'bombCapacity':
-                return upgrades.bombCapacityLevel < upgrades.maxBombCapacityLevel && 
-                       this.resourcesCollected >= this.getUpgradeCost('bombCapacity');
-            case 'boost':
-                return upgrades.boostLevel < upgrades.maxBoostLevel && 
-                       this.resourcesCollected >= this.getUpgradeCost('boost');
-            default:
-                return false;
-        }
+        return canUpgrade(this, upgradeType);
     }
     
     // Get the cost of an upgrade
     getUpgradeCost(upgradeType) {
-        const upgrades = this.upgrades;
-        const level = upgrades[`${upgradeType}Level`];
-        const baseCost = upgrades[`${upgradeType}UpgradeCost`];
-        
-        // Each level costs 50% more than the previous
-        return Math.round(baseCost * Math.pow(1.5, level));
+        return getUpgradeCost(this, upgradeType);
     }
     
     // Apply an upgrade
     applyUpgrade(upgradeType) {
-        if (!this.canUpgrade(upgradeType)) return false;
-        
-        const cost = this.getUpgradeCost(upgradeType);
-        this.resourcesCollected -= cost;
-        
-        const upgrades = this.upgrades;
-        
-        switch (upgradeType) {
-            case 'engine':
-                upgrades.engineLevel++;
-                // Increase max speed by 20% per level
-                this.maxSpeed = Config.player.maxSpeed * (1 + 0.2 * upgrades.engineLevel);
-                break;
-                
-            case 'shield':
-                upgrades.shieldLevel++;
-                // Increase max shields by 25% per level
-                const baseShields = 100;
-                this.shields = baseShields * (1 + 0.25 * upgrades.shieldLevel);
-                break;
-                
-            case 'tractorBeam':
-                upgrades.tractorBeamLevel++;
-                // Tractor beam enhancements are applied in the tractor beam logic
-                break;
-                
-            case 'bombCapacity':
-                upgrades.bombCapacityLevel++;
-                // Increase bomb capacity by 1 per level
-                this.bombsRemaining += 1;
-                Config.bombs.startingCount = 3 + upgrades.bombCapacityLevel;
-                break;
-                
-            case 'boost':
-                upgrades.boostLevel++;
-                // Improve boost in various ways
-                this.maxBoostFuel = Config.player.maxBoostFuel * (1 + 0.3 * upgrades.boostLevel);
-                this.boostFuel = this.maxBoostFuel; // Refill boost
-                this.boostRechargeRate = Config.player.boostRechargeRate * (1 + 0.2 * upgrades.boostLevel);
-                break;
-        }
-        
-        this.updateUI();
-        return true;
+        return applyUpgrade(this, upgradeType);
+    }
+    
+    // Reapply the stat bonuses of the current upgrade levels (e.g. after loading a save)
+    refreshUpgradeEffects() {
+        refreshUpgradeEffects(this);
     }
     
     // Get tractor beam range based on upgrade level
     getTractorBeamRange() {
-        const baseRange = 100;
-        return baseRange * (1 + 0.3 * this.upgrades.tractorBeamLevel);
+        return getTractorBeamRange(this);
     }
     
     // Get tractor beam pull strength based on upgrade level
     getTractorBeamStrength() {
-        const baseStrength = 30;
-        return baseStrength * (1 + 0.25 * this.upgrades.tractorBeamLevel);
+        return getTractorBeamStrength(this);
     }
     
     // Toggle upgrade UI visibility
@@ -356,22 +280,9 @@ class GameState {
         this.isPaused = this.upgrades.isUpgradeUIVisible; // Pause game while upgrades are open
     }
     
-    // Set shield damage based on current level
-    takeDamage(amount) {
-        // Reduce damage based on shield level (10% reduction per level)
-        const damageReduction = 0.1 * this.upgrades.shieldLevel;
-        const reducedDamage = amount * (1 - damageReduction);
-        
-        // Apply damage to shields
-        this.shields = Math.max(0, this.shields - reducedDamage);
-        this.updateUI();
-        
-        // Check if shields are depleted
-        if (this.shields <= 0) {
-            // Game over logic could go here
-            return true; // Shields depleted
-        }
-        return false; // Shields still active
+    // Damage the shields; returns true if they are depleted
+    takeDamage(amount, source = null) {
+        return takeDamage(this, amount, source);
     }
 }
 
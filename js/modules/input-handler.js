@@ -19,6 +19,11 @@ class InputHandler {
             boost: false,
             placeBomb: false,
             cycleBombSize: false,
+            fireLaser: false,
+            fireTorpedo: false,
+            dodgeLeft: false,
+            dodgeRight: false,
+            deployCountermeasure: false,
             mouseX: 0,
             mouseY: 0
         };
@@ -102,6 +107,21 @@ class InputHandler {
                     gameState.isTractorBeamActive = true;
                 }
                 break;
+            case 'KeyF':
+                this.inputState.fireLaser = true;
+                break;
+            case 'KeyR':
+                this.inputState.fireTorpedo = true;
+                break;
+            case 'KeyZ':
+                this.inputState.dodgeLeft = true;
+                break;
+            case 'KeyC':
+                this.inputState.dodgeRight = true;
+                break;
+            case 'KeyX':
+                this.inputState.deployCountermeasure = true;
+                break;
             case 'Escape':
                 this.toggleTutorial();
                 break;
@@ -139,6 +159,21 @@ class InputHandler {
                 gameState.isTractorBeamActive = false;
                 this.inputState.placeBomb = false;
                 break;
+            case 'KeyF':
+                this.inputState.fireLaser = false;
+                break;
+            case 'KeyR':
+                this.inputState.fireTorpedo = false;
+                break;
+            case 'KeyZ':
+                this.inputState.dodgeLeft = false;
+                break;
+            case 'KeyC':
+                this.inputState.dodgeRight = false;
+                break;
+            case 'KeyX':
+                this.inputState.deployCountermeasure = false;
+                break;
         }
     }
     
@@ -0,0 +1,119 @@
+/**
+ * Interpolation Module
+ * Snapshot buffers for smoothing networked movement
+ *
+ * Remote players are drawn slightly in the past (Config.multiplayer.interpolationDelay)
+ * so there are usually two snapshots to blend between. When packets run late
+ * the last known velocity is extrapolated for a short while instead.
+ */
+
+import Config from '../config.js';
+
+/**
+ * Add a snapshot to a buffer, keeping it ordered by time and bounded in size
+ * @param {Array} buffer - Snapshot buffer
+ * @param {Object} snapshot - { time, position: {x, y, z}, rotation: {x, y, z} }
+ * @returns {boolean} False if the snapshot was a duplicate or out of date
+ */
+export function pushSnapshot(buffer, snapshot) {
+    const newest = buffer[buffer.length - 1];
+
+    // The server resends the last position until a new one arrives
+    if (newest && snapshot.time <= newest.time) return false;
+
+    buffer.push(snapshot);
+
+    while (buffer.length > Config.multiplayer.snapshotBufferSize) {
+        buffer.shift();
+    }
+
+    return true;
+}
+
+/**
+ * Sample a snapshot buffer at a point in time
+ * @param {Array} buffer - Snapshot buffer, oldest first
+ * @param {number} renderTime - Time to sample, in the same clock as the snapshots
+ * @returns {Object|null} { position, rotation } or null if the buffer is empty
+ */
+export function sampleSnapshots(buffer, renderTime) {
+    if (buffer.length === 0) return null;
+
+    const oldest = buffer[0];
+    const newest = buffer[buffer.length - 1];
+
+    if (buffer.length === 1 || renderTime <= oldest.time) {
+        return { position: { ...oldest.position }, rotation: { ...oldest.rotation } };
+    }
+
+    // Packets are late: extrapolate from the last two snapshots, but not for long
+    if (renderTime >= newest.time) {
+        const previous = buffer[buffer.length - 2];
+        const ahead = Math.min(renderTime - newest.time, Config.multiplayer.maxExtrapolation);
+        const t = 1 + ahead / (newest.time - previous.time);
+
+        return {
+            position: lerpVector(previous.position, newest.position, t),
+            rotation: { ...newest.rotation }
+        };
+    }
+
+    // Find the snapshots on either side of the render time
+    let index = buffer.length - 1;
+    while (index > 0 && buffer[index - 1].time > renderTime) {
+        index--;
+    }
+
+    const from = buffer[index - 1];
+    const to = buffer[index];
+    const t = (renderTime - from.time) / (to.time - from.time);
+
+    return {
+        position: lerpVector(from.position, to.position, t),
+        rotation: lerpRotation(from.rotation, to.rotation, t)
+    };
+}
+
+/**
+ * Track the offset between the server clock and ours from a server timestamp.
+ * The estimate follows improvements immediately and drifts back slowly, so one
+ * slow packet doesn't push remote players further into the past.
+ * @param {number|null} currentOffset - Previous estimate, or null for none
+ * @param {number} serverTime - Timestamp sent by the server
+ * @param {number} localTime - Local time the message arrived
+ * @returns {number} New estimate of serverTime - localTime
+ */
+export function updateClockOffset(currentOffset, serverTime, localTime) {
+    const sample = serverTime - localTime;
+
+    if (currentOffset === null || sample > currentOffset) {
+        return sample;
+    }
+
+    return currentOffset + (sample - currentOffset) * 0.05;
+}
+
+// Linear interpolation between two {x, y, z} vectors
+function lerpVector(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+// Interpolate Euler angles along the shortest way round
+function lerpRotation(a, b, t) {
+    return {
+        x: lerpAngle(a.x, b.x, t),
+        y: lerpAngle(a.y, b.y, t),
+        z: lerpAngle(a.z, b.z, t)
+    };
+}
+
+function lerpAngle(a, b, t) {
+    let difference = (b - a) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return a + difference * t;
+}
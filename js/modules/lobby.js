@@ -0,0 +1,167 @@
+/**
+ * Lobby Module
+ * Room browser shown before connecting to the multiplayer server
+ *
+ * Lists the server's public rooms and lets the player join one, join a
+ * private room by its code, or create a new room with its own universe seed.
+ */
+
+import { showMessage } from './ui.js';
+
+// Called with the chosen room code once the player picks a room
+let onJoinRoom = null;
+
+// Open the lobby; `onJoin(roomCode)` is called when a room is chosen
+export function showLobby(onJoin) {
+    onJoinRoom = onJoin;
+
+    const lobby = createLobby();
+    lobby.style.display = 'block';
+    refreshRoomList();
+}
+
+export function hideLobby() {
+    const lobby = document.getElementById('lobby-panel');
+    if (lobby) lobby.style.display = 'none';
+}
+
+// Build the lobby panel the first time it's needed
+function createLobby() {
+    let lobby = document.getElementById('lobby-panel');
+    if (lobby) return lobby;
+
+    lobby = document.createElement('div');
+    lobby.id = 'lobby-panel';
+
+    const title = document.createElement('h2');
+    title.textContent = 'MULTIPLAYER ROOMS';
+    lobby.appendChild(title);
+
+    // Public rooms
+    const roomList = document.createElement('ul');
+    roomList.id = 'lobby-room-list';
+    lobby.appendChild(roomList);
+
+    const refreshButton = createButton('REFRESH', refreshRoomList);
+    lobby.appendChild(refreshButton);
+
+    // Join by code
+    const joinRow = document.createElement('div');
+    joinRow.className = 'lobby-row';
+
+    const codeInput = document.createElement('input');
+    codeInput.id = 'lobby-code-input';
+    codeInput.placeholder = 'JOIN CODE';
+    codeInput.maxLength = 8;
+    joinRow.appendChild(codeInput);
+
+    joinRow.appendChild(createButton('JOIN', () => {
+        const code = codeInput.value.trim().toUpperCase();
+        if (code) joinRoom(code);
+    }));
+    lobby.appendChild(joinRow);
+
+    // Create a room
+    const createRow = document.createElement('div');
+    createRow.className = 'lobby-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.id = 'lobby-name-input';
+    nameInput.placeholder = 'ROOM NAME';
+    nameInput.maxLength = 32;
+    createRow.appendChild(nameInput);
+
+    const seedInput = document.createElement('input');
+    seedInput.id = 'lobby-seed-input';
+    seedInput.placeholder = 'SEED (OPTIONAL)';
+    seedInput.maxLength = 64;
+    createRow.appendChild(seedInput);
+
+    const publicLabel = document.createElement('label');
+    const publicCheckbox = document.createElement('input');
+    publicCheckbox.type = 'checkbox';
+    publicCheckbox.checked = true;
+    publicLabel.appendChild(publicCheckbox);
+    publicLabel.appendChild(document.createTextNode(' PUBLIC'));
+    createRow.appendChild(publicLabel);
+
+    createRow.appendChild(createButton('CREATE', () => {
+        createRoom({
+            name: nameInput.value.trim() || undefined,
+            seed: seedInput.value.trim() || undefined,
+            isPublic: publicCheckbox.checked
+        });
+    }));
+    lobby.appendChild(createRow);
+
+    lobby.appendChild(createButton('CANCEL', hideLobby));
+
+    // Keep game controls from reacting while typing
+    lobby.addEventListener('keydown', (event) => event.stopPropagation());
+    lobby.addEventListener('keyup', (event) => event.stopPropagation());
+
+    document.getElementById('ui-container').appendChild(lobby);
+    return lobby;
+}
+
+function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'lobby-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Fetch the public rooms and show them
+function refreshRoomList() {
+    const roomList = document.getElementById('lobby-room-list');
+    if (!roomList) return;
+
+    fetch('/api/rooms')
+        .then(response => response.json())
+        .then(data => {
+            roomList.innerHTML = '';
+
+            data.rooms.forEach(room => {
+                const item = document.createElement('li');
+                item.className = 'lobby-room';
+
+                const label = document.createElement('span');
+                label.textContent = `${room.name} [${room.code}] ${room.playerCount}/${room.maxPlayers}`;
+                item.appendChild(label);
+
+                const joinButton = createButton('JOIN', () => joinRoom(room.code));
+                joinButton.disabled = room.playerCount >= room.maxPlayers;
+                item.appendChild(joinButton);
+
+                roomList.appendChild(item);
+            });
+        })
+        .catch(error => {
+            console.error('Error loading rooms:', error);
+            roomList.textContent = 'COULD NOT LOAD ROOMS';
+        });
+}
+
+// Create a room on the server and join it
+function createRoom(options) {
+    fetch('/api/rooms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(options)
+    })
+        .then(response => response.json().then(data => {
+            if (!response.ok) throw new Error(data.error);
+            return data;
+        }))
+        .then(room => joinRoom(room.code))
+        .catch(error => {
+            console.error('Error creating room:', error);
+            showMessage(`COULD NOT CREATE ROOM: ${error.message.toUpperCase()}`, 3000);
+        });
+}
+
+function joinRoom(code) {
+    hideLobby();
+    if (onJoinRoom) onJoinRoom(code);
+}
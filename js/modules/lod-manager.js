@@ -145,6 +145,13 @@ export function addWormholeToLOD(wormhole) {
     return wormhole;
 }
 
+/**
+ * Stop managing a wormhole that has been removed from the scene
+ */
+export function removeWormholeFromLOD(wormhole) {
+    managedObjects.wormholes = managedObjects.wormholes.filter(managed => managed !== wormhole);
+}
+
 /**
  * Add an other player to be managed by the LOD system
  */
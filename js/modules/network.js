@@ -4,7 +4,24 @@
  */
 
 import gameState from './game-state.js';
-import { showMessage, createActiveUsersList, updateActiveUsersList, createChatInterface, addChatMessage } from './ui.js';
+import { showMessage, createActiveUsersList, updateActiveUsersList, createChatInterface, addChatMessage, clearChatMessages } from './ui.js';
+import { adoptServerUniverse, releaseServerUniverse, loadServerSector, destroyPlanet } from './planet-generator.js';
+import { pushSnapshot, sampleSnapshots, updateClockOffset } from './interpolation.js';
+import { decodeSnapshot, entryToPlayerData } from './state-codec.js';
+import Config from '../config.js';
+import { on, emit, GameEvents } from './event-bus.js';
+
+// sessionStorage key for the server-issued session token (per tab, so two tabs never share a player)
+const SESSION_STORAGE_KEY = 'cosmic-chaos-session';
+
+// WebSocket close code the server uses when it restarts (1012 Service Restart),
+// and how long to wait before the first reconnect attempt (ms)
+const SERVER_RESTART_CODE = 1012;
+const SERVER_RESTART_RETRY_DELAY = 2000;
+
+// How often our resources and upgrades may be reported to the server (ms)
+const PROGRESS_UPDATE_INTERVAL = 1000;
+const PROGRESS_UPGRADES = ['engineLevel', 'shieldLevel', 'tractorBeamLevel', 'bombCapacityLevel', 'boostLevel', 'weaponsLevel', 'countermeasuresLevel'];
 
 // Initialize multiplayer connection
 export function initMultiplayer() {
@@ -22,12 +39,27 @@ export function initMultiplayer() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.hostname;
     const port = host === 'localhost' ? ':3000' : '';
-    const wsUrl = `${protocol}//${host}${port}`;
+    const params = new URLSearchParams();
+    if (Config.multiplayer.binaryProtocol) params.set('protocol', 'binary');
+    if (gameState.multiplayer.roomCode) params.set('room', gameState.multiplayer.roomCode);
+    
+    // Resume our session after a dropped connection or a reload
+    const sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (sessionToken) params.set('session', sessionToken);
+    
+    // Players arriving through a portal bring their name and color along
+    const pageParams = new URLSearchParams(window.location.search);
+    if (pageParams.get('username')) params.set('username', pageParams.get('username'));
+    if (pageParams.get('color')) params.set('color', pageParams.get('color'));
+    
+    const query = params.toString() ? `?${params}` : '';
+    const wsUrl = `${protocol}//${host}${port}${query}`;
     
     console.log(`Connecting to WebSocket server at ${wsUrl}`);
     
     try {
         const socket = new WebSocket(wsUrl);
+        socket.binaryType = 'arraybuffer';
         gameState.multiplayer.socket = socket;
         
         // Set a connection timeout
@@ -72,6 +104,12 @@ export function initMultiplayer() {
         // Listen for messages
         socket.addEventListener('message', (event) => {
             try {
+                // Binary frames are state snapshots; everything else is JSON
+                if (event.data instanceof ArrayBuffer) {
+                    handleBinarySnapshot(event.data);
+                    return;
+                }
+                
                 const data = JSON.parse(event.data);
                 handleServerMessage(data);
             } catch (error) {
@@ -85,6 +123,12 @@ export function initMultiplayer() {
             console.log('Disconnected from multiplayer server:', event.code, event.reason);
             
             if (gameState.multiplayer.enabled) {
+                // The restarted server keeps our session, so start the backoff over for it
+                if (event.code === SERVER_RESTART_CODE) {
+                    gameState.multiplayer.connectionRetries = 0;
+                    gameState.multiplayer.retryDelay = SERVER_RESTART_RETRY_DELAY;
+                }
+                
                 // Only try to reconnect if we were previously connected and didn't intentionally disconnect
                 handleConnectionFailure();
             } else {
@@ -107,6 +151,17 @@ export function initMultiplayer() {
     }
 }
 
+// Forget the current room and session so the next connection starts fresh
+// and goes through the lobby
+export function forgetRoom() {
+    gameState.multiplayer.roomCode = null;
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    
+    const url = new URL(window.location.href);
+    url.searchParams.delete('room');
+    window.history.replaceState(null, '', url);
+}
+
 // Handle connection failures with exponential backoff
 function handleConnectionFailure() {
     if (!gameState.multiplayer) return;
@@ -149,6 +204,20 @@ export function disableMultiplayer(userInitiated = true) {
     gameState.multiplayer.enabled = false;
     gameState.multiplayer.socket = null;
     
+    // Resume local planet generation
+    releaseServerUniverse();
+    
+    // Forget prediction state tied to this connection
+    gameState.multiplayer.serverTimeOffset = null;
+    gameState.multiplayer.pendingInputs = [];
+    gameState.multiplayer.positionCorrection = { x: 0, y: 0, z: 0 };
+    gameState.multiplayer.protocol = 'json';
+    gameState.multiplayer.netIds.clear();
+    gameState.multiplayer.snapshotHistory.clear();
+    gameState.multiplayer.roster.clear();
+    gameState.multiplayer.room = null;
+    gameState.multiplayer.lastSnapshotSeq = 0;
+    
     // Clean up other players with error handling
     try {
         gameState.multiplayer.otherPlayers.forEach((player) => {
@@ -182,43 +251,121 @@ function handleServerMessage(data) {
     switch (data.type) {
         case 'init':
             // Initial connection data
+            const previousPlayerId = gameState.multiplayer.playerId;
             gameState.multiplayer.playerId = data.playerId;
+            gameState.multiplayer.playerName = data.playerName;
             gameState.multiplayer.playerColor = data.playerColor;
+            sessionStorage.setItem(SESSION_STORAGE_KEY, data.sessionToken);
+            gameState.multiplayer.protocol = data.protocol || 'json';
+            gameState.multiplayer.room = data.room;
+            gameState.multiplayer.roomCode = data.room.code;
+            
+            // Put the join code in the address bar so it can be shared
+            const url = new URL(window.location.href);
+            url.searchParams.set('room', data.room.code);
+            window.history.replaceState(null, '', url);
+            
+            // Our own netId; other players' arrive as they come into range
+            gameState.multiplayer.netIds.set(data.players[data.playerId].netId, data.playerId);
             
             // Update player ship color
             updatePlayerShipColor(data.playerColor);
             
-            // Initialize other players
+            // Replace locally generated planets with the server's universe
+            adoptServerUniverse(data.universe);
+            
+            // Ships are created when the server says a player is nearby
             Object.values(data.players).forEach(playerData => {
                 if (playerData.id !== gameState.multiplayer.playerId) {
-                    createOtherPlayerShip(playerData);
+                    addToRoster(playerData);
                 }
             });
             
+            if (data.resumed) {
+                restoreSession(data.players[data.playerId], previousPlayerId === data.playerId);
+            } else if (gameState.playerShip) {
+                // A new player starts where the server expects: the spawn point, or
+                // where the last player from our address left off
+                const start = data.players[data.playerId].position;
+                gameState.playerShip.position.set(start.x, start.y, start.z);
+            }
+            
+            // Every connection starts the server's checks from our current progress
+            gameState.multiplayer.lastProgressSent = null;
+            
+            // Catch up on the room's recent chat
+            setChatFilters(data.chatFilters || {});
+            clearChatMessages();
+            gameState.multiplayer.chatMessages = [];
+            (data.chatHistory || []).forEach(chatData => receiveChatMessage(chatData, false));
+            
             // Update UI
             updateActiveUsersList();
             
-            showMessage(`ASSIGNED PLAYER ID: ${data.playerId}`, 3000);
+            showMessage(data.resumed ?
+                `RECONNECTED AS ${data.playerName}` :
+                `JOINED ${data.room.name.toUpperCase()} AS ${data.playerName}`, 3000);
+            break;
+            
+        case 'roomError':
+            // The room doesn't exist or is full; don't keep retrying it
+            showMessage(`CANNOT JOIN ROOM: ${data.reason}`, 3000);
+            forgetRoom();
+            disableMultiplayer(true);
+            break;
+            
+        case 'kicked':
+        case 'banned':
+            // The server's anti-cheat removed us; reconnecting won't help
+            showMessage(data.type === 'banned' ?
+                `CONNECTION REFUSED: ${data.reason}` :
+                `DISCONNECTED: ${data.reason}`, 5000);
+            forgetRoom();
+            disableMultiplayer(true);
             break;
             
         case 'playerJoined':
             // New player joined
-            createOtherPlayerShip(data.player);
-            showMessage(`PLAYER ${data.player.id} JOINED`, 2000);
+            addToRoster(data.player);
+            showMessage(`PLAYER ${data.player.name} JOINED`, 2000);
             updateActiveUsersList();
             break;
             
         case 'playerLeft':
             // Player left
+            showMessage(`PLAYER ${getPlayerName(data.playerId)} LEFT`, 2000);
+            gameState.multiplayer.roster.delete(data.playerId);
             removeOtherPlayerShip(data.playerId);
-            showMessage(`PLAYER ${data.playerId} LEFT`, 2000);
             updateActiveUsersList();
             break;
             
+        case 'playerEntered':
+            // A player came within range
+            gameState.multiplayer.netIds.set(data.player.netId, data.player.id);
+            if (!gameState.multiplayer.otherPlayers.has(data.player.id)) {
+                createOtherPlayerShip(data.player);
+            }
+            break;
+            
+        case 'playerExited':
+            // A player went out of range
+            removeOtherPlayerShip(data.playerId);
+            break;
+            
         case 'gameState':
-            // Update all player positions
+            // Keep our estimate of the server clock current
+            gameState.multiplayer.serverTimeOffset = updateClockOffset(
+                gameState.multiplayer.serverTimeOffset,
+                data.timestamp,
+                Date.now()
+            );
+            
+            // Buffer all player positions
             updateOtherPlayersPositions(data.players);
             
+            // Check our own predicted position against the server's
+            reconcileOwnShip(data.players[gameState.multiplayer.playerId]);
+            
             // Update connection status timestamp
             gameState.multiplayer.lastServerMessage = Date.now();
             break;
@@ -246,24 +393,96 @@ function handleServerMessage(data) {
             updateOtherPlayerAlienMode(data.playerId, data.isAlienMode, data.planetId);
             break;
             
+        case 'playerDied':
+            // A player's ship was destroyed
+            handleOtherPlayerDeath(data);
+            break;
+            
+        case 'playerRespawned':
+            // A destroyed player is flying again
+            handleOtherPlayerRespawn(data.playerId);
+            break;
+            
         case 'bombPlaced':
             // A player placed a bomb
             handleOtherPlayerBombPlacement(data);
             break;
             
+        case 'bombRejected':
+            // The server refused our bomb
+            handleBombRejection(data);
+            break;
+            
         case 'planetDestroyed':
             // A planet was destroyed
             handleOtherPlayerPlanetDestruction(data.planetId, data.playerId);
             break;
             
+        case 'sectorData':
+            // Sector contents from the server's universe
+            loadServerSector(data.sector);
+            break;
+            
         case 'chat':
             // Chat message received
-            receiveChatMessage(data);
-            // Show a notification message
-            if (data.playerId !== gameState.multiplayer.playerId) {
-                showMessage(`MESSAGE FROM ${data.playerId}`, 2000);
-            }
+            receiveChatMessage(data, true);
+            break;
+            
+        case 'chatFilters':
+            setChatFilters(data);
             break;
+            
+        case 'serverNotice':
+            // Announcement from the server admin
+            showMessage(`SERVER: ${data.message}`, 5000);
+            receiveChatMessage({ channel: 'system', message: `SERVER: ${data.message}` }, false);
+            break;
+            
+        case 'universeChanged':
+            handleUniverseChanged(data.universe);
+            break;
+            
+        case 'serverShutdown':
+            // We'll be reconnected to the restarted server with the same session
+            showMessage(`SERVER RESTARTING IN ${data.countdown}S - YOU WILL BE RECONNECTED`, data.countdown * 1000);
+            break;
+    }
+}
+
+// Decode a binary state snapshot and handle it like a JSON gameState
+function handleBinarySnapshot(buffer) {
+    const multiplayer = gameState.multiplayer;
+    
+    const snapshot = decodeSnapshot(buffer, seq => multiplayer.snapshotHistory.get(seq));
+    if (!snapshot) {
+        console.warn('Dropped binary snapshot with unknown base');
+        return;
+    }
+    
+    // Keep decoded snapshots around as bases for the server's deltas
+    multiplayer.snapshotHistory.set(snapshot.seq, snapshot.state);
+    multiplayer.snapshotHistory.delete(snapshot.seq - 64);
+    multiplayer.lastSnapshotSeq = snapshot.seq;
+    
+    const players = {};
+    snapshot.state.forEach((entry, netId) => {
+        const playerId = multiplayer.netIds.get(netId);
+        if (!playerId) return;
+        players[playerId] = { id: playerId, ...entryToPlayerData(entry) };
+    });
+    
+    handleServerMessage({
+        type: 'gameState',
+        players,
+        timestamp: snapshot.timestamp
+    });
+    
+    // Acks ride along with position updates; send one on its own while we're not moving
+    if (Date.now() - multiplayer.lastPositionUpdate > multiplayer.updateInterval * 2) {
+        sendToServer({
+            type: 'stateAck',
+            seq: snapshot.seq
+        });
     }
 }
 
@@ -326,6 +545,41 @@ function removeActiveUsersList() {
     }
 }
 
+// Remember a connected player for the active users list
+function addToRoster(playerData) {
+    gameState.multiplayer.roster.set(playerData.id, {
+        id: playerData.id,
+        name: playerData.name,
+        color: playerData.color
+    });
+}
+
+// Display name for a player ID
+function getPlayerName(playerId) {
+    const player = gameState.multiplayer.roster.get(playerId);
+    return player ? player.name : playerId;
+}
+
+// Sync up with a session the server resumed
+function restoreSession(ownData, sameConnection) {
+    // After a page reload our ship starts over at spawn; put it back where the session left it
+    if (!sameConnection && ownData && gameState.playerShip) {
+        gameState.playerShip.position.set(ownData.position.x, ownData.position.y, ownData.position.z);
+        gameState.playerShip.rotation.set(ownData.rotation.x, ownData.rotation.y, ownData.rotation.z);
+    }
+    
+    // Our local landed state is what counts from here on
+    sendAlienModeUpdate(
+        gameState.isAlienMode,
+        gameState.landedOnPlanet ? gameState.landedOnPlanet.id : null
+    );
+
+    // So is our wreck: the server has to expect a respawn jump
+    if (gameState.isDead) {
+        sendPlayerDeath();
+    }
+}
+
 // Create ship model for other players
 function createOtherPlayerShip(playerData) {
     // Use Three.js library to create the ship
@@ -374,7 +628,7 @@ function createOtherPlayerShip(playerData) {
     textContext.font = 'Bold 24px Arial';
     textContext.fillStyle = playerData.color;
     textContext.textAlign = 'center';
-    textContext.fillText(playerData.id, 128, 32);
+    textContext.fillText(playerData.name || playerData.id, 128, 32);
     
     const textTexture = new THREE.CanvasTexture(textCanvas);
     const textMaterial = new THREE.SpriteMaterial({ map: textTexture });
@@ -414,7 +668,9 @@ function createOtherPlayerShip(playerData) {
         alienModel: alienModel,
         color: playerData.color,
         isAlienMode: playerData.isAlienMode,
-        landedPlanetId: playerData.landedPlanetId
+        isDead: !!playerData.isDead,
+        landedPlanetId: playerData.landedPlanetId,
+        snapshots: [] // Timestamped positions from the server, oldest first
     });
 }
 
@@ -467,6 +723,10 @@ function createOtherPlayerAlien(playerData) {
 
 // Remove other player ship
 function removeOtherPlayerShip(playerId) {
+    gameState.multiplayer.netIds.forEach((id, netId) => {
+        if (id === playerId) gameState.multiplayer.netIds.delete(netId);
+    });
+    
     const player = gameState.multiplayer.otherPlayers.get(playerId);
     if (player) {
         if (gameState.mainScene) {
@@ -529,41 +789,18 @@ function updateOtherPlayersPositions(playersData) {
             // Skip updates if player model isn't available
             if (!player.model && !player.alienModel) return;
             
-            // Show this player's model
-            if (player.model) player.model.visible = !player.isAlienMode;
-            if (player.alienModel) player.alienModel.visible = player.isAlienMode;
-            
-            // Update position and rotation with minimal interpolation to save performance
-            if (!player.isAlienMode && player.model) {
-                // Update ship position with smooth interpolation
-                player.model.position.lerp(
-                    new THREE.Vector3(
-                        playerData.position.x,
-                        playerData.position.y,
-                        playerData.position.z
-                    ),
-                    0.1 // Reduced for smoother motion
-                );
-                
-                // Update rotation
-                if (playerData.rotation) {
-                    player.model.rotation.set(
-                        playerData.rotation.x,
-                        playerData.rotation.y,
-                        playerData.rotation.z
-                    );
-                }
-            } else if (player.isAlienMode && player.alienModel) {
-                // Update alien position if in alien mode
-                player.alienModel.position.lerp(
-                    new THREE.Vector3(
-                        playerData.position.x,
-                        playerData.position.y,
-                        playerData.position.z
-                    ),
-                    0.1 // Reduced for smoother motion
-                );
-            }
+            // Show this player's model (none while their ship is destroyed)
+            if (player.model) player.model.visible = !player.isAlienMode && !player.isDead;
+            if (player.alienModel) player.alienModel.visible = player.isAlienMode && !player.isDead;
+            
+            // Models are moved every frame in updateRemotePlayers
+            bufferPlayerSnapshot(player, playerData);
+        });
+        
+        // Keep buffering players outside the limit so they don't jump when they return
+        sortedPlayers.slice(playerLimit).forEach(({ data: playerData }) => {
+            const player = gameState.multiplayer.otherPlayers.get(playerData.id);
+            if (player) bufferPlayerSnapshot(player, playerData);
         });
         
         // Hide players that are too far away to save rendering resources
@@ -579,6 +816,99 @@ function updateOtherPlayersPositions(playersData) {
     }
 }
 
+// Add a server position to a remote player's snapshot buffer
+function bufferPlayerSnapshot(player, playerData) {
+    if (!player.snapshots) player.snapshots = [];
+    
+    pushSnapshot(player.snapshots, {
+        time: playerData.updatedAt || Date.now() + (gameState.multiplayer.serverTimeOffset || 0),
+        position: playerData.position,
+        rotation: playerData.rotation || { x: 0, y: 0, z: 0 }
+    });
+}
+
+// Move remote players to their interpolated positions (called every frame)
+export function updateRemotePlayers() {
+    if (!gameState.multiplayer.enabled) return;
+    
+    // Draw remote players slightly in the past, in server time
+    const renderTime = Date.now() + (gameState.multiplayer.serverTimeOffset || 0) -
+        Config.multiplayer.interpolationDelay;
+    
+    gameState.multiplayer.renderedPlayers.forEach(playerId => {
+        const player = gameState.multiplayer.otherPlayers.get(playerId);
+        if (!player || !player.snapshots) return;
+        
+        const sample = sampleSnapshots(player.snapshots, renderTime);
+        if (!sample) return;
+        
+        if (!player.isAlienMode && player.model) {
+            player.model.position.set(sample.position.x, sample.position.y, sample.position.z);
+            player.model.rotation.set(sample.rotation.x, sample.rotation.y, sample.rotation.z);
+        } else if (player.isAlienMode && player.alienModel) {
+            player.alienModel.position.set(sample.position.x, sample.position.y, sample.position.z);
+        }
+    });
+}
+
+// Compare the server's copy of our position with what we sent for the same
+// update, and queue a correction if the server disagreed
+function reconcileOwnShip(ownData) {
+    const multiplayer = gameState.multiplayer;
+    if (!ownData || !Number.isInteger(ownData.seq)) return;
+    
+    // Drop updates the server has now processed
+    const acknowledged = multiplayer.pendingInputs.find(input => input.seq === ownData.seq);
+    multiplayer.pendingInputs = multiplayer.pendingInputs.filter(input => input.seq > ownData.seq);
+    if (!acknowledged) return;
+    
+    const error = {
+        x: ownData.position.x - acknowledged.position.x,
+        y: ownData.position.y - acknowledged.position.y,
+        z: ownData.position.z - acknowledged.position.z
+    };
+    const errorSize = Math.sqrt(error.x * error.x + error.y * error.y + error.z * error.z);
+    if (errorSize < Config.multiplayer.reconciliationThreshold) return;
+    
+    // Movement since then was predicted from the wrong start; shift it by the error
+    multiplayer.pendingInputs.forEach(input => {
+        input.position.x += error.x;
+        input.position.y += error.y;
+        input.position.z += error.z;
+    });
+    
+    multiplayer.positionCorrection = error;
+}
+
+// Blend any pending server correction into our ship (called every frame)
+export function applyPositionCorrection(delta) {
+    const correction = gameState.multiplayer.positionCorrection;
+    if (!gameState.playerShip || (!correction.x && !correction.y && !correction.z)) return;
+    
+    const blend = Math.min(1, Config.multiplayer.reconciliationRate * delta);
+    const step = {
+        x: correction.x * blend,
+        y: correction.y * blend,
+        z: correction.z * blend
+    };
+    
+    gameState.playerShip.position.x += step.x;
+    gameState.playerShip.position.y += step.y;
+    gameState.playerShip.position.z += step.z;
+    
+    correction.x -= step.x;
+    correction.y -= step.y;
+    correction.z -= step.z;
+    
+    // Snap the last sliver so the correction finishes
+    if (Math.abs(correction.x) + Math.abs(correction.y) + Math.abs(correction.z) < 0.01) {
+        gameState.playerShip.position.x += correction.x;
+        gameState.playerShip.position.y += correction.y;
+        gameState.playerShip.position.z += correction.z;
+        gameState.multiplayer.positionCorrection = { x: 0, y: 0, z: 0 };
+    }
+}
+
 // Toggle alien mode for other player
 function updateOtherPlayerAlienMode(playerId, isAlienMode, planetId) {
     const player = gameState.multiplayer.otherPlayers.get(playerId);
@@ -608,18 +938,110 @@ function updateOtherPlayerAlienMode(playerId, isAlienMode, planetId) {
     }
 }
 
-// Handle bomb placement by other player
+// Hide a player whose ship was destroyed until they respawn
+function handleOtherPlayerDeath(data) {
+    if (data.playerId === gameState.multiplayer.playerId) return;
+    
+    showMessage(`${getPlayerName(data.playerId)} WAS DESTROYED${data.cause ? ` BY ${data.cause}` : ''}`, 3000);
+    
+    const player = gameState.multiplayer.otherPlayers.get(data.playerId);
+    if (!player) return;
+    
+    player.isDead = true;
+    player.isAlienMode = false;
+    player.landedPlanetId = null;
+    if (player.model) player.model.visible = false;
+    if (player.alienModel) player.alienModel.visible = false;
+}
+
+// Show a respawned player again
+function handleOtherPlayerRespawn(playerId) {
+    const player = gameState.multiplayer.otherPlayers.get(playerId);
+    if (!player) return;
+    
+    player.isDead = false;
+    
+    // Don't glide the ship from its wreck to where it respawned
+    player.snapshots = [];
+}
+
+// Handle a bomb accepted by the server
 function handleOtherPlayerBombPlacement(data) {
-    // This function will be implemented in the game logic module
-    // For now, just show a message
-    showMessage(`PLAYER ${data.playerId} PLACED A BOMB`, 2000);
+    const planet = gameState.planets.find(p => p.id === data.planetId);
+    if (!planet || planet.isDestroyed) return;
+    
+    // The server's countdown is the one that counts
+    planet.hasBomb = true;
+    planet.bombCountdown = data.countdown;
+    
+    // Our own bomb is already on screen
+    if (data.playerId === gameState.multiplayer.playerId) return;
+    
+    // Show the other player's bomb on the planet surface
+    emit(GameEvents.BOMB_PLACED, {
+        planet,
+        position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+        size: data.size || 1,
+        countdown: data.countdown,
+        isOwnBomb: false
+    });
+    
+    showMessage(`PLAYER ${getPlayerName(data.playerId)} PLACED A BOMB ON ${planet.name}`, 2000);
+}
+
+// Undo a bomb placement the server refused
+function handleBombRejection(data) {
+    const planet = gameState.planets.find(p => p.id === data.planetId);
+    if (planet) {
+        planet.hasBomb = false;
+        planet.bombCountdown = 0;
+    }
+    
+    // Remove the bomb we already showed and give it back
+    for (let i = gameState.bombs.length - 1; i >= 0; i--) {
+        const bomb = gameState.bombs[i];
+        if (bomb.targetPlanet && bomb.targetPlanet.id === data.planetId) {
+            gameState.mainScene.remove(bomb.group);
+            bomb.isActive = false;
+            gameState.bombs.splice(i, 1);
+        }
+    }
+    gameState.bombsRemaining++;
+    gameState.updateUI();
+    
+    showMessage(`BOMB REJECTED: ${data.reason}`, 2000);
+}
+
+// The server gave our room a fresh universe (new seed, or planets reset)
+function handleUniverseChanged(universeInfo) {
+    // Bombs and landings belonged to the old planets; our pending bombs are given back
+    gameState.bombs.forEach(bomb => {
+        gameState.mainScene.remove(bomb.group);
+        bomb.isActive = false;
+    });
+    gameState.bombsRemaining += gameState.bombs.length;
+    gameState.bombs = [];
+    gameState.updateUI();
+    
+    // Anyone landed is sent back to their ship by the player module
+    emit(GameEvents.UNIVERSE_CHANGED, { universe: universeInfo });
+    
+    adoptServerUniverse(universeInfo);
+    showMessage('THE UNIVERSE HAS BEEN RESET', 3000);
 }
 
-// Handle planet destruction by other player
+// Apply a planet destruction decided by the server
 function handleOtherPlayerPlanetDestruction(planetId, playerId) {
-    // This function will be implemented in the game logic module
-    // For now, just show a message
-    showMessage(`PLANET DESTROYED BY PLAYER ${playerId}`, 2000);
+    const planet = gameState.planets.find(p => p.id === planetId);
+    if (!planet || planet.isDestroyed) return;
+    
+    // Only the bomber earns resources and score
+    const isOwnBomb = playerId === gameState.multiplayer.playerId;
+    destroyPlanet(planet, isOwnBomb);
+    
+    if (!isOwnBomb) {
+        showMessage(`PLANET ${planet.name} DESTROYED BY PLAYER ${playerId}`, 2000);
+    }
 }
 
 // Update player ship color
@@ -638,6 +1060,12 @@ function updatePlayerShipColor(color) {
 export function sendPositionUpdate(force = false) {
     if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) return;
     
+    // A wreck doesn't move; the server waits for the respawn position
+    if (gameState.isDead) return;
+    
+    // Nothing to report until `init` has said where we start
+    if (!gameState.multiplayer.room) return;
+    
     try {
         // Check if it's time to send an update, or if we're forcing an update
         const now = Date.now();
@@ -660,19 +1088,54 @@ export function sendPositionUpdate(force = false) {
             z: gameState.playerShip.rotation.z
         };
         
+        // Remember what we sent so the server's echo can be checked against it
+        const seq = ++gameState.multiplayer.inputSequence;
+        gameState.multiplayer.pendingInputs.push({ seq, position: { ...position } });
+        if (gameState.multiplayer.pendingInputs.length > 100) {
+            gameState.multiplayer.pendingInputs.shift();
+        }
+        
         // Send to server
         sendToServer({
             type: 'updatePosition',
             position,
             rotation,
+            seq,
+            ack: gameState.multiplayer.lastSnapshotSeq || undefined,
             timestamp: now
         });
+        
+        sendProgressUpdate(now);
     } catch (error) {
         console.error("Error sending position update:", error);
         // Don't disable multiplayer here to allow recovery
     }
 }
 
+// Report our resources and upgrade levels when they change, so the server
+// can check them against what we could have earned
+function sendProgressUpdate(now, force = false) {
+    const multiplayer = gameState.multiplayer;
+    if (!force && now - multiplayer.lastProgressUpdate < PROGRESS_UPDATE_INTERVAL) return;
+    
+    const upgrades = {};
+    PROGRESS_UPGRADES.forEach(level => {
+        upgrades[level] = gameState.upgrades[level];
+    });
+    
+    const progress = JSON.stringify({ resources: gameState.resourcesCollected, upgrades });
+    if (!force && progress === multiplayer.lastProgressSent) return;
+    
+    multiplayer.lastProgressUpdate = now;
+    multiplayer.lastProgressSent = progress;
+    
+    sendToServer({
+        type: 'progress',
+        resources: gameState.resourcesCollected,
+        upgrades
+    });
+}
+
 // Send alien mode update to server
 export function sendAlienModeUpdate(isAlienMode, planetId = null) {
     if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) return;
@@ -684,8 +1147,8 @@ export function sendAlienModeUpdate(isAlienMode, planetId = null) {
     });
 }
 
-// Send bomb placement to server
-export function sendBombPlacement(planetId, position) {
+// Send bomb placement to server; the server runs the countdown
+export function sendBombPlacement(planetId, position, size = 1) {
     if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) return;
     
     sendToServer({
@@ -696,20 +1159,61 @@ export function sendBombPlacement(planetId, position) {
             y: position.y,
             z: position.z
         },
-        countdown: 10
+        size
     });
 }
 
-// Send planet destruction to server
-export function sendPlanetDestruction(planetId) {
+// Tell the server our ship was destroyed
+export function sendPlayerDeath(cause = null) {
     if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) return;
     
     sendToServer({
-        type: 'planetDestroyed',
-        planetId
+        type: 'playerDied',
+        cause
     });
 }
 
+// Request sector contents from the server
+export function requestSectors(sectorKeys) {
+    if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) return;
+    
+    sendToServer({
+        type: 'requestSectors',
+        sectorKeys
+    });
+}
+
+// Tell the server what the player does (the senders do nothing while offline)
+on(GameEvents.ALIEN_MODE_CHANGED, ({ isAlienMode, planet }) => {
+    sendAlienModeUpdate(isAlienMode, planet ? planet.id : null);
+});
+
+on(GameEvents.BOMB_PLACED, ({ planet, position, size, isOwnBomb }) => {
+    if (isOwnBomb) {
+        sendBombPlacement(planet.id, position, size);
+    }
+});
+
+on(GameEvents.SECTORS_NEEDED, ({ sectorKeys }) => {
+    requestSectors(sectorKeys);
+});
+
+on(GameEvents.PLAYER_DIED, ({ cause }) => {
+    sendPlayerDeath(cause);
+    
+    // The server checks the death penalty against our next claim
+    if (gameState.multiplayer.enabled && gameState.multiplayer.socket) {
+        sendProgressUpdate(Date.now(), true);
+    }
+});
+
+on(GameEvents.PLAYER_RESPAWNED, () => {
+    // Predictions and corrections from before the respawn no longer apply
+    gameState.multiplayer.pendingInputs = [];
+    gameState.multiplayer.positionCorrection = { x: 0, y: 0, z: 0 };
+    sendPositionUpdate(true);
+});
+
 // Send chat message to server
 function sendChatMessage(message) {
     if (!gameState.multiplayer.enabled || !gameState.multiplayer.socket) {
@@ -734,30 +1238,50 @@ function sendChatMessage(message) {
     console.log('Sending chat message:', chatData);
     sendToServer(chatData);
     
+    // Slash commands are answered by the server
+    if (truncatedMessage.startsWith('/')) return;
+    
     // Also add the message to our own chat (immediate feedback)
     addChatMessage(
-        gameState.multiplayer.playerId,
+        gameState.multiplayer.playerName,
         truncatedMessage,
         gameState.multiplayer.playerColor
     );
 }
 
-// Receive and display chat message
-function receiveChatMessage(data) {
+// Receive and display chat message; `isLive` is false for replayed history
+function receiveChatMessage(data, isLive) {
     console.log('Received chat message:', data);
     
-    // Skip if message is from self (already added)
-    if (data.playerId === gameState.multiplayer.playerId) {
+    // Whispers, team messages, emotes and server notices; plain messages are 'all'
+    const channel = data.channel || 'all';
+    const isOwnMessage = data.playerId === gameState.multiplayer.playerId;
+    
+    // Skip our own plain messages (already added), unless they're history
+    if (isLive && isOwnMessage && channel === 'all') {
+        return;
+    }
+    
+    // The server already holds back chat from muted and blocked players
+    if (isMutedPlayer(data.playerId)) {
         return;
     }
     
     // Add the message to the chat UI
-    addChatMessage(data.playerId, data.message, data.playerColor);
+    addChatMessage(data.playerName, data.message, data.playerColor, {
+        channel,
+        team: data.team,
+        // For whispers, the other side of the conversation
+        whisperName: isOwnMessage ? data.targetName : data.playerName,
+        isOutgoing: isOwnMessage
+    });
     
     // Store message in history
     gameState.multiplayer.chatMessages.push({
         playerId: data.playerId,
+        playerName: data.playerName,
         playerColor: data.playerColor,
+        channel,
         message: data.message,
         timestamp: Date.now()
     });
@@ -767,6 +1291,13 @@ function receiveChatMessage(data) {
         gameState.multiplayer.chatMessages.shift();
     }
     
+    if (!isLive) return;
+    
+    // Show a notification message
+    if (!isOwnMessage && channel !== 'system') {
+        showMessage(`MESSAGE FROM ${data.playerName}`, 2000);
+    }
+    
     // Always make chat visible when receiving messages
     const chatContainer = document.getElementById('chat-container');
     if (chatContainer) {
@@ -784,6 +1315,17 @@ function receiveChatMessage(data) {
     }
 }
 
+// Remember who we've muted and blocked (player IDs, from the server)
+function setChatFilters(data) {
+    gameState.multiplayer.mutedPlayers = new Set(data.muted || []);
+    gameState.multiplayer.blockedPlayers = new Set(data.blocked || []);
+}
+
+function isMutedPlayer(playerId) {
+    return gameState.multiplayer.mutedPlayers.has(playerId) ||
+        gameState.multiplayer.blockedPlayers.has(playerId);
+}
+
 // Send data to server
 function sendToServer(data) {
     try {
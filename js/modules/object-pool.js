@@ -5,6 +5,7 @@
 
 import gameState from './game-state.js';
 import Config from '../config.js';
+import { collectResources } from './simulation.js';
 
 // Maintain pools for different object types
 const pools = {
@@ -429,6 +430,9 @@ export function getProjectile(scene, options = {}) {
         // Source (which planet/entity fired it)
         projectile.source = options.source || null;
         
+        // Shots from the player's own weapons can't hit the player
+        projectile.fromPlayer = !!options.fromPlayer;
+        
         // Life (in seconds)
         projectile.life = options.life || 5.0;
         projectile.maxLife = projectile.life;
@@ -538,6 +542,7 @@ function resetProjectile(projectile) {
     projectile.speed = 0;
     projectile.damage = 0;
     projectile.source = null;
+    projectile.fromPlayer = false;
     projectile.life = 0;
     projectile.maxLife = 0;
     
@@ -647,27 +652,7 @@ export function updateObjectPools(delta) {
                 if (distance < 5) {
                     // Add resources and score
                     if (debris.value) {
-                        gameState.resourcesCollected += debris.value;
-                        
-                        // Add score based on debris value
-                        const scoreValue = debris.value * 10;
-                        gameState.updateScore(scoreValue);
-                        
-                        // Import UI module to show message
-                        import('./ui.js').then(module => {
-                            if (module && module.showMessage) {
-                                module.showMessage(`RESOURCE COLLECTED: +${debris.value} UNITS (+${scoreValue} POINTS)`, 1500);
-                            }
-                        });
-                        
-                        // Occasionally remind about ship upgrades
-                        if (Math.random() < 0.2 && gameState.resourcesCollected >= 40) {
-                            import('./ui.js').then(module => {
-                                if (module && module.showMessage) {
-                                    module.showMessage("RESOURCES CAN BE USED FOR SHIP UPGRADES - PRESS SHIP UPGRADES BUTTON", 3000);
-                                }
-                            });
-                        }
+                        collectResources(gameState, debris.value);
                     }
                     
                     // Reset debris
@@ -738,7 +723,7 @@ export function updateObjectPools(delta) {
             }
             
             // Check for collisions with player
-            if (gameState.playerShip && !gameState.isAlienMode) {
+            if (gameState.playerShip && !gameState.isAlienMode && !projectile.fromPlayer) {
                 const playerPosition = new THREE.Vector3();
                 gameState.playerShip.getWorldPosition(playerPosition);
                 
@@ -746,12 +731,8 @@ export function updateObjectPools(delta) {
                 const hitDistance = 2; // Collision distance
                 
                 if (distance < hitDistance) {
-                    // Import planetary defense module to handle hit
-                    import('./planetary-defense.js').then(module => {
-                        if (typeof module.handlePlayerHit === 'function') {
-                            module.handlePlayerHit(projectile.damage, "PROJECTILE HIT");
-                        }
-                    });
+                    // Damage the shields (the camera shake and messages follow from the damage event)
+                    gameState.takeDamage(projectile.damage, "PROJECTILE HIT");
                     
                     // Create explosion at hit location
                     getExplosion(gameState.mainScene, {
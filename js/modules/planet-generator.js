@@ -5,70 +5,81 @@
 
 import gameState from './game-state.js';
 import Config from '../config.js';
-import { showMessage } from './ui.js';
 import * as planetaryDefense from './planetary-defense.js';
+import * as simulation from './simulation.js';
+import { on, emit, GameEvents } from './event-bus.js';
+import { applyPlanetLOD } from './lod-manager.js';
+import { getDebris } from './object-pool.js';
+import { createSeededRandom, getUniverseSeed, setUniverseSeed } from './random.js';
 
 // Available planet types
 const planetTypes = Config.planets.types;
 
+// Key of the home sector around spawn
+const HOME_SECTOR_KEY = 'SEC-0:0:0';
+
+// Special sectors with unique characteristics
+const SPECIAL_SECTORS = {
+    'SEC-10:5:-5': { name: 'INFERNO-3', planetTypes: ['Molten'] },        // Lava sector
+    'SEC-8:-4:10': { name: 'CRYSTAL-7', planetTypes: ['Crystalline'] },   // Crystal sector
+    'SEC-8:9:11': { name: 'GLACIUS-VOID', planetTypes: ['Frozen'] },      // Ice sector
+    'SEC-9:-7:-10': { name: 'AQUARIS-DEEP', planetTypes: ['Oceanic'] }    // Water sector
+};
+
+// Fallback ID counter for planets created without an explicit ID
+let nextPlanetIndex = 0;
+
+// Seeded stream used to replenish planets in distant sectors
+let replenishRandom = null;
+let replenishCount = 0;
+
 // Planet generation functions
 export function initializePlanetSystem(scene) {
-    // Initialize the sectors system
-    initializeSectors();
+    gameState.planetsManager.universeSeed = getUniverseSeed();
+    console.log(`Universe seed: ${getUniverseSeed()}`);
     
-    // Create initial planets in different sectors
-    for (const sectorKey in gameState.planetsManager.sectors) {
-        const sector = gameState.planetsManager.sectors[sectorKey];
-        
-        // Generate planets for this sector
-        for (let i = 0; i < gameState.planetsManager.planetsPerSector; i++) {
-            // Calculate position within sector bounds
-            const position = new THREE.Vector3(
-                sector.center.x + (Math.random() - 0.5) * sector.size,
-                sector.center.y + (Math.random() - 0.5) * sector.size,
-                sector.center.z + (Math.random() - 0.5) * sector.size
-            );
-            
-            const size = 30 + Math.random() * 70;
-            const type = getRandomPlanetType(sector.planetTypes || planetTypes);
-            
-            const planet = createPlanet(scene, position, size, type);
-            planet.sector = sectorKey;
+    // Create a grid of sectors to organize the universe
+    const sectorGridSize = 7; // 7x7x7 grid of sectors
+    const offset = Math.floor(sectorGridSize / 2);
+    const sectorKeys = [];
+    
+    for (let x = -offset; x <= offset; x++) {
+        for (let y = -offset; y <= offset; y++) {
+            for (let z = -offset; z <= offset; z++) {
+                sectorKeys.push(`SEC-${x}:${y}:${z}`);
+            }
         }
     }
     
-    // Create a few close planets for immediate gameplay
-    for (let i = 0; i < 5; i++) {
-        const distance = 1000 + Math.random() * 1500;
-        const angle = Math.random() * Math.PI * 2;
-        const height = (Math.random() - 0.5) * 500;
-        
-        const position = new THREE.Vector3(
-            Math.cos(angle) * distance,
-            height,
-            Math.sin(angle) * distance
-        );
-        
-        const size = 30 + Math.random() * 70;
-        const type = getRandomPlanetType();
-        
-        createPlanet(scene, position, size, type);
-    }
+    // Add the special sectors
+    sectorKeys.push(...Object.keys(SPECIAL_SECTORS));
+    
+    // Generate every sector and its planets
+    sectorKeys.forEach(sectorKey => {
+        const contents = generateSectorContents(sectorKey);
+        registerSector(contents, sectorKey === HOME_SECTOR_KEY);
+        spawnSectorPlanets(scene, contents);
+    });
 }
 
 // Create a single planet
-export function createPlanet(scene, position, size = 50, type = getRandomPlanetType()) {
+// `properties` may carry server-assigned id, name and rotationSpeed
+export function createPlanet(scene, position, size = 50, type = getRandomPlanetType(), properties = {}) {
     // Create the planet
     const planetGroup = new THREE.Group();
     planetGroup.position.copy(position);
     
+    // Add an ID to the planet
+    const planetId = properties.id || `planet-${nextPlanetIndex++}`;
+    
+    // Appearance is seeded by the planet ID, so a planet looks the same every visit
+    const random = createSeededRandom('planet', planetId);
+    
     // Generate planet properties
-    const planetName = getRandomPlanetName();
+    const planetName = properties.name || getRandomPlanetName(random);
     const planetSize = size;
-    const planetRotationSpeed = Math.random() * 0.001 - 0.0005;
-    
-    // Add an ID to the planet
-    const planetId = 'planet-' + Math.random().toString(36).substr(2, 9);
+    const planetRotationSpeed = properties.rotationSpeed !== undefined ?
+        properties.rotationSpeed : random() * 0.001 - 0.0005;
     
     // Create geometry and material based on planet type
     let planetGeometry, planetMaterial;
@@ -84,65 +95,65 @@ export function createPlanet(scene, position, size = 50, type = getRandomPlanetT
     switch (type) {
         case 'Rocky':
             planetColor = new THREE.Color(
-                0.5 + Math.random() * 0.2,
-                0.3 + Math.random() * 0.2,
-                0.1 + Math.random() * 0.2
+                0.5 + random() * 0.2,
+                0.3 + random() * 0.2,
+                0.1 + random() * 0.2
             );
             break;
         case 'Gaseous':
             planetColor = new THREE.Color(
-                0.6 + Math.random() * 0.4,
-                0.6 + Math.random() * 0.4,
-                0.7 + Math.random() * 0.3
+                0.6 + random() * 0.4,
+                0.6 + random() * 0.4,
+                0.7 + random() * 0.3
             );
             break;
         case 'Molten':
             planetColor = new THREE.Color(
-                0.8 + Math.random() * 0.2,
-                0.2 + Math.random() * 0.3,
-                0.05 + Math.random() * 0.1
+                0.8 + random() * 0.2,
+                0.2 + random() * 0.3,
+                0.05 + random() * 0.1
             );
             break;
         case 'Frozen':
             planetColor = new THREE.Color(
-                0.8 + Math.random() * 0.2,
-                0.8 + Math.random() * 0.2,
-                0.9 + Math.random() * 0.1
+                0.8 + random() * 0.2,
+                0.8 + random() * 0.2,
+                0.9 + random() * 0.1
             );
             break;
         case 'Toxic':
             planetColor = new THREE.Color(
-                0.2 + Math.random() * 0.2,
-                0.7 + Math.random() * 0.3,
-                0.2 + Math.random() * 0.2
+                0.2 + random() * 0.2,
+                0.7 + random() * 0.3,
+                0.2 + random() * 0.2
             );
             break;
         case 'Oceanic':
             planetColor = new THREE.Color(
-                0.0 + Math.random() * 0.1,
-                0.4 + Math.random() * 0.3,
-                0.7 + Math.random() * 0.3
+                0.0 + random() * 0.1,
+                0.4 + random() * 0.3,
+                0.7 + random() * 0.3
             );
             break;
         case 'Desert':
             planetColor = new THREE.Color(
-                0.8 + Math.random() * 0.2,
-                0.7 + Math.random() * 0.2,
-                0.3 + Math.random() * 0.2
+                0.8 + random() * 0.2,
+                0.7 + random() * 0.2,
+                0.3 + random() * 0.2
             );
             break;
         case 'Crystalline':
             planetColor = new THREE.Color(
-                0.5 + Math.random() * 0.5,
-                0.5 + Math.random() * 0.5,
-                0.5 + Math.random() * 0.5
+                0.5 + random() * 0.5,
+                0.5 + random() * 0.5,
+                0.5 + random() * 0.5
             );
             break;
         default:
             planetColor = new THREE.Color(
-                0.5 + Math.random() * 0.5,
-                0.5 + Math.random() * 0.5,
-                0.5 + Math.random() * 0.5
+                0.5 + random() * 0.5,
+                0.5 + random() * 0.5,
+                0.5 + random() * 0.5
             );
     }
     
@@ -212,128 +223,149 @@ export function createPlanet(scene, position, size = 50, type = getRandomPlanetT
     planetaryDefense.initializeDefenseSystem(planetObject);
     
     // Apply Level of Detail (LOD) optimization
-    import('./lod-manager.js').then(module => {
-        module.applyPlanetLOD(planetObject);
-    });
+    applyPlanetLOD(planetObject);
     
     return planetObject;
 }
 
-// Initialize sectors for the universe
-function initializeSectors() {
-    // Create a grid of sectors to organize the universe
+
+// Deterministically generate a sector's contents from the universe seed and
+// its key. Keep in sync with Universe.generateSector in server/universe.js.
+export function generateSectorContents(sectorKey) {
+    const [x, y, z] = sectorKey.slice(4).split(':').map(Number);
+    const random = createSeededRandom(sectorKey);
+    const special = SPECIAL_SECTORS[sectorKey];
+    const isHome = sectorKey === HOME_SECTOR_KEY;
     const sectorSize = gameState.planetsManager.sectorSize;
-    const sectorGridSize = 7; // 7x7x7 grid of sectors
-    const offset = Math.floor(sectorGridSize / 2);
     
-    // Generate sector grid
-    for (let x = -offset; x <= offset; x++) {
-        for (let y = -offset; y <= offset; y++) {
-            for (let z = -offset; z <= offset; z++) {
-                // Skip the center sector (0,0,0) as it's handled separately
-                if (x === 0 && y === 0 && z === 0) continue;
-                
-                const sectorKey = `SEC-${x}:${y}:${z}`;
-                const sectorName = generateSectorName(x, y, z);
-                
-                gameState.planetsManager.sectors[sectorKey] = {
-                    name: sectorName,
-                    center: new THREE.Vector3(
-                        x * sectorSize,
-                        y * sectorSize,
-                        z * sectorSize
-                    ),
-                    size: sectorSize,
-                    explored: false,
-                    planetTypes: getRandomSectorPlanetTypes()
-                };
-            }
+    let name;
+    let sectorPlanetTypes;
+    
+    if (special) {
+        name = special.name;
+        sectorPlanetTypes = [...special.planetTypes];
+    } else if (isHome) {
+        name = "ALPHA-1";
+        sectorPlanetTypes = [...planetTypes]; // All types available in home sector
+    } else {
+        name = generateSectorName(x, y, z);
+        sectorPlanetTypes = getRandomSectorPlanetTypes(random);
+    }
+    
+    const center = {
+        x: x * sectorSize,
+        y: y * sectorSize,
+        z: z * sectorSize
+    };
+    
+    const planets = [];
+    
+    for (let i = 0; i < gameState.planetsManager.planetsPerSector; i++) {
+        // Calculate position within sector bounds
+        const position = {
+            x: center.x + (random() - 0.5) * sectorSize,
+            y: center.y + (random() - 0.5) * sectorSize,
+            z: center.z + (random() - 0.5) * sectorSize
+        };
+        planets.push(createPlanetDescriptor(`${sectorKey}-${i}`, sectorKey, position, sectorPlanetTypes, random));
+    }
+    
+    // Create a few close planets for immediate gameplay
+    if (isHome) {
+        for (let i = 0; i < Config.planets.starterPlanets; i++) {
+            const distance = 1000 + random() * 1500;
+            const angle = random() * Math.PI * 2;
+            const height = (random() - 0.5) * 500;
+            
+            const position = {
+                x: Math.cos(angle) * distance,
+                y: height,
+                z: Math.sin(angle) * distance
+            };
+            const index = gameState.planetsManager.planetsPerSector + i;
+            planets.push(createPlanetDescriptor(`${sectorKey}-${index}`, sectorKey, position, planetTypes, random));
         }
     }
     
-    // Add the home sector
-    gameState.planetsManager.sectors["SEC-0:0:0"] = {
-        name: "ALPHA-1",
-        center: new THREE.Vector3(0, 0, 0),
+    return {
+        key: sectorKey,
+        name,
+        center,
         size: sectorSize,
-        explored: true,
-        planetTypes: [...planetTypes] // All types available in home sector
+        planetTypes: sectorPlanetTypes,
+        special: !!special,
+        planets
     };
-    
-    // Create special sectors with unique characteristics
-    createSpecialSectors();
 }
 
-// Create special sectors with unique characteristics
-function createSpecialSectors() {
-    // 1. Lava sector - only molten planets
-    const lavaSectorKey = `SEC-10:5:-5`;
-    gameState.planetsManager.sectors[lavaSectorKey] = {
-        name: "INFERNO-3",
-        center: new THREE.Vector3(
-            10 * gameState.planetsManager.sectorSize,
-            5 * gameState.planetsManager.sectorSize,
-            -5 * gameState.planetsManager.sectorSize
-        ),
-        size: gameState.planetsManager.sectorSize,
-        explored: false,
-        planetTypes: ['Molten'],
-        special: true
+// Describe a single planet of a sector
+function createPlanetDescriptor(id, sectorKey, position, allowedTypes, random) {
+    const size = 30 + random() * 70;
+    const type = getRandomPlanetType(allowedTypes, random);
+    const name = getRandomPlanetName(random);
+    const rotationSpeed = random() * 0.001 - 0.0005;
+    
+    return {
+        id,
+        sector: sectorKey,
+        position,
+        size,
+        type,
+        name,
+        rotationSpeed
     };
-    
-    // 2. Crystal sector - only crystalline planets
-    const crystalSectorKey = `SEC-8:-4:10`;
-    gameState.planetsManager.sectors[crystalSectorKey] = {
-        name: "CRYSTAL-7",
-        center: new THREE.Vector3(
-            8 * gameState.planetsManager.sectorSize,
-            -4 * gameState.planetsManager.sectorSize,
-            10 * gameState.planetsManager.sectorSize
-        ),
-        size: gameState.planetsManager.sectorSize,
-        explored: false,
-        planetTypes: ['Crystalline'],
-        special: true
+}
+
+// Store a sector's metadata in the planets manager
+function registerSector(contents, explored = false) {
+    const manager = gameState.planetsManager;
+    const existing = manager.sectors[contents.key];
+    
+    manager.sectors[contents.key] = {
+        name: contents.name,
+        center: new THREE.Vector3(contents.center.x, contents.center.y, contents.center.z),
+        size: contents.size,
+        explored: explored || (existing ? existing.explored : false) || manager.exploredSectors.has(contents.key),
+        planetTypes: contents.planetTypes,
+        special: contents.special || undefined
     };
     
-    // 3. Ice sector - only frozen planets
-    const iceSectorKey = `SEC-8:9:11`;
-    gameState.planetsManager.sectors[iceSectorKey] = {
-        name: "GLACIUS-VOID",
-        center: new THREE.Vector3(
-            8 * gameState.planetsManager.sectorSize,
-            9 * gameState.planetsManager.sectorSize,
-            11 * gameState.planetsManager.sectorSize
-        ),
-        size: gameState.planetsManager.sectorSize,
-        explored: false,
-        planetTypes: ['Frozen'],
-        special: true
-    };
+    return manager.sectors[contents.key];
+}
+
+// Create the planets described by a sector's contents
+function spawnSectorPlanets(scene, contents) {
+    const manager = gameState.planetsManager;
     
-    // 4. Water sector - only oceanic planets
-    const waterSectorKey = `SEC-9:-7:-10`;
-    gameState.planetsManager.sectors[waterSectorKey] = {
-        name: "AQUARIS-DEEP",
-        center: new THREE.Vector3(
-            9 * gameState.planetsManager.sectorSize,
-            -7 * gameState.planetsManager.sectorSize,
-            -10 * gameState.planetsManager.sectorSize
-        ),
-        size: gameState.planetsManager.sectorSize,
-        explored: false,
-        planetTypes: ['Oceanic'],
-        special: true
-    };
+    contents.planets.forEach(planetData => {
+        // Destroyed planets are gone for everyone
+        if (planetData.isDestroyed) return;
+        
+        // Planets destroyed in a saved session stay destroyed offline
+        if (!manager.serverAuthoritative && manager.destroyedPlanets.has(planetData.id)) return;
+        
+        const position = new THREE.Vector3(
+            planetData.position.x,
+            planetData.position.y,
+            planetData.position.z
+        );
+        
+        const planet = createPlanet(scene, position, planetData.size, planetData.type, {
+            id: planetData.id,
+            name: planetData.name,
+            rotationSpeed: planetData.rotationSpeed
+        });
+        planet.sector = contents.key;
+    });
 }
 
 // Generate a random planet name
-function getRandomPlanetName() {
+function getRandomPlanetName(random = Math.random) {
     const prefixes = Config.planets.namePrefixes;
     const suffixes = Config.planets.nameSuffixes;
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = prefixes[Math.floor(random() * prefixes.length)];
+    const suffix = suffixes[Math.floor(random() * suffixes.length)];
     
     return prefix + suffix;
 }
@@ -357,14 +389,14 @@ function generateSectorName(x, y, z) {
 }
 
 // Get random subset of planet types for a sector
-function getRandomSectorPlanetTypes() {
+function getRandomSectorPlanetTypes(random = Math.random) {
     // Each sector has a subset of possible planet types
     const types = [...planetTypes];
-    const typeCount = 3 + Math.floor(Math.random() * 3); // 3-5 types per sector
+    const typeCount = 3 + Math.floor(random() * 3); // 3-5 types per sector
     
     // Shuffle and slice to get random subset
     for (let i = types.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [types[i], types[j]] = [types[j], types[i]];
     }
     
@@ -372,8 +404,8 @@ function getRandomSectorPlanetTypes() {
 }
 
 // Get a random planet type
-function getRandomPlanetType(allowedTypes = planetTypes) {
-    return allowedTypes[Math.floor(Math.random() * allowedTypes.length)];
+function getRandomPlanetType(allowedTypes = planetTypes, random = Math.random) {
+    return allowedTypes[Math.floor(random() * allowedTypes.length)];
 }
 
 // Check and generate new planets as needed
@@ -396,6 +428,12 @@ export function checkAndGeneratePlanets(delta) {
     
     gameState.planetsManager.checkTimer = 0;
     
+    // The server owns the universe in multiplayer - only request nearby sectors
+    if (gameState.planetsManager.serverAuthoritative) {
+        updatePlayerSector();
+        return;
+    }
+    
     // Count intact planets
     const intactPlanets = gameState.planets.filter(planet => !planet.isDestroyed).length;
     
@@ -424,51 +462,16 @@ function updatePlanetRotations(delta) {
 
 // Update bomb countdowns
 function updateBombCountdowns(delta) {
-    gameState.planets.forEach(planet => {
-        if (planet.hasBomb && !planet.isDestroyed) {
-            planet.bombCountdown -= delta;
-            
-            if (planet.bombCountdown <= 0) {
-                explodePlanet(planet);
-            }
-        }
-    });
+    // In multiplayer the server runs the countdown and sends planetDestroyed
+    if (gameState.planetsManager.serverAuthoritative) return;
+    
+    simulation.updatePlanetBombs(gameState, delta);
 }
 
-// Explode a planet
-function explodePlanet(planet) {
-    // Set planet as destroyed
-    planet.isDestroyed = true;
-    
-    // Get planet position
-    const planetPosition = new THREE.Vector3();
-    planet.group.getWorldPosition(planetPosition);
-    
-    // Hide the planet
+// Hide a planet whose bomb countdown ran out (the app breaks it into debris)
+on(GameEvents.PLANET_EXPLODED, ({ planet }) => {
     planet.group.visible = false;
-    
-    // Update destroyed count
-    gameState.planetsDestroyed++;
-    
-    // Update HUD
-    const destroyedElement = document.getElementById('destroyed');
-    if (destroyedElement) {
-        destroyedElement.textContent = gameState.planetsDestroyed;
-    }
-    
-    // Add score based on planet size and type
-    const scoreValue = Math.floor(planet.size * 10);
-    gameState.updateScore(scoreValue);
-    
-    // Show message
-    showMessage(`PLANET ${planet.name} DESTROYED! +${scoreValue} POINTS`, 3000);
-    
-    // Create debris from the destroyed planet
-    if (window.gameApp && window.gameApp.createDebris) {
-        const debrisCount = Math.floor(planet.size * 0.5);
-        window.gameApp.createDebris(planetPosition, debrisCount, planet.size * 0.1);
-    }
-}
+});
 
 // Find the nearest planet to the player
 function findNearestPlanet() {
@@ -526,50 +529,32 @@ function updatePlayerSector() {
     const sectorZ = Math.floor(playerPos.z / sectorSize);
     
     const sectorKey = `SEC-${sectorX}:${sectorY}:${sectorZ}`;
+    gameState.playerSectorKey = sectorKey;
     
-    // Look up sector name or generate if not found
-    if (gameState.planetsManager.sectors[sectorKey]) {
+    // In multiplayer the server supplies sector contents
+    if (gameState.planetsManager.serverAuthoritative) {
+        requestSectorsAround(sectorX, sectorY, sectorZ);
+        
+        const sector = gameState.planetsManager.sectors[sectorKey];
+        if (sector) {
+            gameState.playerSector = sector.name;
+            sector.explored = true;
+        }
+    } else if (gameState.planetsManager.sectors[sectorKey]) {
         gameState.playerSector = gameState.planetsManager.sectors[sectorKey].name;
         
         // Mark sector as explored
         gameState.planetsManager.sectors[sectorKey].explored = true;
     } else {
         // Create a new sector if we've moved out of mapped space
-        gameState.planetsManager.sectors[sectorKey] = {
-            name: generateSectorName(sectorX, sectorY, sectorZ),
-            center: new THREE.Vector3(
-                sectorX * sectorSize,
-                sectorY * sectorSize,
-                sectorZ * sectorSize
-            ),
-            size: sectorSize,
-            explored: true,
-            planetTypes: getRandomSectorPlanetTypes()
-        };
-        
-        gameState.playerSector = gameState.planetsManager.sectors[sectorKey].name;
+        const contents = generateSectorContents(sectorKey);
+        const sector = registerSector(contents, true);
+        gameState.playerSector = sector.name;
         
         // Generate planets for the new sector
-        for (let i = 0; i < gameState.planetsManager.planetsPerSector; i++) {
-            const sector = gameState.planetsManager.sectors[sectorKey];
-            const position = new THREE.Vector3(
-                sector.center.x + (Math.random() - 0.5) * sector.size,
-                sector.center.y + (Math.random() - 0.5) * sector.size,
-                sector.center.z + (Math.random() - 0.5) * sector.size
-            );
-            
-            const size = 30 + Math.random() * 70;
-            const type = getRandomPlanetType(sector.planetTypes);
-            
-            // Get the current Three.js scene from gameState
-            const scene = gameState.currentScene;
-            
-            const planet = createPlanet(scene, position, size, type);
-            planet.sector = sectorKey;
-        }
+        spawnSectorPlanets(gameState.mainScene, contents);
         
-        // Show discovery message
-        showMessage(`NEW SECTOR DISCOVERED: ${gameState.playerSector}`, 3000);
+        emit(GameEvents.SECTOR_DISCOVERED, { key: sectorKey, name: sector.name });
     }
     
     // Update HUD
@@ -579,10 +564,99 @@ function updatePlayerSector() {
     }
 }
 
+// Request the player's sector and its neighbours from the server
+function requestSectorsAround(sectorX, sectorY, sectorZ) {
+    const manager = gameState.planetsManager;
+    const missingKeys = [];
+    
+    for (let x = sectorX - 1; x <= sectorX + 1; x++) {
+        for (let y = sectorY - 1; y <= sectorY + 1; y++) {
+            for (let z = sectorZ - 1; z <= sectorZ + 1; z++) {
+                const key = `SEC-${x}:${y}:${z}`;
+                if (!manager.loadedSectors.has(key) && !manager.requestedSectors.has(key)) {
+                    manager.requestedSectors.add(key);
+                    missingKeys.push(key);
+                }
+            }
+        }
+    }
+    
+    if (missingKeys.length === 0) return;
+    
+    // The network module asks the server for them
+    emit(GameEvents.SECTORS_NEEDED, { sectorKeys: missingKeys });
+}
+
+// Switch to the server's universe: drop locally generated planets and
+// request the sectors around the player
+export function adoptServerUniverse(universeInfo) {
+    const manager = gameState.planetsManager;
+    
+    // Remove every locally generated planet from the scene
+    gameState.planets.forEach(planet => {
+        if (planet.group.parent) {
+            planet.group.parent.remove(planet.group);
+        }
+    });
+    gameState.planets = [];
+    gameState.planetaryDefenses.shieldBubbles = [];
+    gameState.nearestPlanet = null;
+    gameState.nearestPlanetDistance = Infinity;
+    
+    manager.serverAuthoritative = true;
+    const previousSeed = getUniverseSeed();
+    if (universeInfo) {
+        setUniverseSeed(universeInfo.seed);
+    }
+    manager.universeSeed = getUniverseSeed();
+    manager.loadedSectors.clear();
+    manager.requestedSectors.clear();
+    
+    updatePlayerSector();
+    
+    // The sky and wormholes are seeded too; the app rebuilds them to match the server's
+    if (manager.universeSeed !== previousSeed) {
+        emit(GameEvents.UNIVERSE_SEED_CHANGED, { seed: manager.universeSeed });
+    }
+}
+
+// Return to local generation when leaving multiplayer
+export function releaseServerUniverse() {
+    const manager = gameState.planetsManager;
+    manager.serverAuthoritative = false;
+    manager.requestedSectors.clear();
+}
+
+// Create the planets of a sector received from the server
+export function loadServerSector(sectorData) {
+    const manager = gameState.planetsManager;
+    if (!manager.serverAuthoritative || !sectorData) return;
+    
+    const sectorKey = sectorData.key;
+    manager.requestedSectors.delete(sectorKey);
+    if (manager.loadedSectors.has(sectorKey)) return;
+    manager.loadedSectors.add(sectorKey);
+    
+    // Keep sector metadata (name, explored flag) in sync with the server
+    registerSector(sectorData);
+    
+    spawnSectorPlanets(gameState.mainScene, {
+        key: sectorKey,
+        planets: sectorData.planets.filter(planetData =>
+            !gameState.planets.some(planet => planet.id === planetData.id))
+    });
+}
+
 // Generate a new planet in a distant sector
 function generateNewPlanet() {
     // Get the scene from gameState
-    const scene = gameState.currentScene;
+    const scene = gameState.mainScene;
+    
+    // Replenished planets come from their own seeded stream
+    if (!replenishRandom) {
+        replenishRandom = createSeededRandom('replenish');
+    }
+    const random = replenishRandom;
     
     // Get player position
     const playerPosition = gameState.playerShip.position.clone();
@@ -593,7 +667,7 @@ function generateNewPlanet() {
     let attempts = 0;
     
     do {
-        selectedSectorKey = sectorKeys[Math.floor(Math.random() * sectorKeys.length)];
+        selectedSectorKey = sectorKeys[Math.floor(random() * sectorKeys.length)];
         const sector = gameState.planetsManager.sectors[selectedSectorKey];
         const distance = playerPosition.distanceTo(sector.center);
         
@@ -609,12 +683,12 @@ function generateNewPlanet() {
     if (attempts >= 20) {
         // Generate a new sector in a random direction from player
         const direction = new THREE.Vector3(
-            Math.random() - 0.5,
-            Math.random() - 0.5,
-            Math.random() - 0.5
+            random() - 0.5,
+            random() - 0.5,
+            random() - 0.5
         ).normalize();
         
-        const distanceFromPlayer = 30000 + Math.random() * 20000;
+        const distanceFromPlayer = 30000 + random() * 20000;
         const newSectorCenter = playerPosition.clone().add(
             direction.multiplyScalar(distanceFromPlayer)
         );
@@ -627,17 +701,7 @@ function generateNewPlanet() {
         selectedSectorKey = `SEC-${sectorX}:${sectorY}:${sectorZ}`;
         
         if (!gameState.planetsManager.sectors[selectedSectorKey]) {
-            gameState.planetsManager.sectors[selectedSectorKey] = {
-                name: generateSectorName(sectorX, sectorY, sectorZ),
-                center: new THREE.Vector3(
-                    sectorX * sectorSize,
-                    sectorY * sectorSize,
-                    sectorZ * sectorSize
-                ),
-                size: sectorSize,
-                explored: false,
-                planetTypes: getRandomSectorPlanetTypes()
-            };
+            registerSector(generateSectorContents(selectedSectorKey));
         }
     }
     
@@ -645,49 +709,37 @@ function generateNewPlanet() {
     
     // Random position within the sector
     const position = new THREE.Vector3(
-        sector.center.x + (Math.random() - 0.5) * sector.size,
-        sector.center.y + (Math.random() - 0.5) * sector.size,
-        sector.center.z + (Math.random() - 0.5) * sector.size
+        sector.center.x + (random() - 0.5) * sector.size,
+        sector.center.y + (random() - 0.5) * sector.size,
+        sector.center.z + (random() - 0.5) * sector.size
     );
     
     // Size and type
-    const size = 30 + Math.random() * 70;
-    const type = getRandomPlanetType(sector.planetTypes);
+    const size = 30 + random() * 70;
+    const type = getRandomPlanetType(sector.planetTypes, random);
     
     // Create the planet
-    const planet = createPlanet(scene, position, size, type);
+    const planet = createPlanet(scene, position, size, type, {
+        id: `${selectedSectorKey}-r${replenishCount++}`
+    });
     planet.sector = selectedSectorKey;
     
     return planet;
 }
 
 // Destroy a planet
-export function destroyPlanet(planet) {
-    if (planet.isDestroyed) return;
-    
-    // Mark planet as destroyed
-    planet.isDestroyed = true;
-    
-    // Clean up any defense systems
-    if (planet.hasDefenses) {
-        // Disable defenses to prevent further attacks
-        planet.hasDefenses = false;
-        
-        // Remove shield if it exists
-        if (planet.defenseSystems && planet.defenseSystems.hasShield) {
-            if (planet.defenseSystems.shieldMesh) {
-                planet.defenseSystems.shieldMesh.visible = false;
-            }
+// `awardRewards` is false when another player's bomb destroyed it
+export function destroyPlanet(planet, awardRewards = true) {
+    // Marks the planet destroyed, disables its defenses and awards resources and score
+    if (!simulation.destroyPlanet(gameState, planet, awardRewards)) return;
+    
+    // Remove shield if it exists
+    if (planet.defenseSystems && planet.defenseSystems.hasShield) {
+        if (planet.defenseSystems.shieldMesh) {
+            planet.defenseSystems.shieldMesh.visible = false;
         }
     }
     
-    // Send planet destruction to server if multiplayer is enabled
-    if (gameState.multiplayer.enabled) {
-        import('./network.js').then(module => {
-            module.sendPlanetDestruction(planet.id);
-        });
-    }
-    
     // Create explosion
     const planetPosition = new THREE.Vector3();
     planet.group.getWorldPosition(planetPosition);
@@ -695,115 +747,59 @@ export function destroyPlanet(planet) {
     // Size explosion based on planet size and bomb size
     let explosionSize = planet.size * 2;
     
-    // Create additional debris based on planet size
-    const debrisCount = Math.floor(planet.size * 0.5);
-    import('../app.js').then(module => {
-        window.gameApp.createDebris(planetPosition, debrisCount, planet.size * 0.1);
-    });
-
-    // Additionally, create valuable debris for collecting with tractor beam
-    import('./object-pool.js').then(module => {
-        // Create a smaller number of high-value debris chunks
-        const valuableDebrisCount = Math.floor(planet.size * 0.3);
-        
-        for (let i = 0; i < valuableDebrisCount; i++) {
-            // Random position near the planet center
-            const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * planet.size * 2,
-                (Math.random() - 0.5) * planet.size * 2,
-                (Math.random() - 0.5) * planet.size * 2
-            );
-            
-            const debrisPosition = planetPosition.clone().add(offset);
-            
-            // Random velocity away from center
-            const direction = offset.clone().normalize();
-            const speed = 5 + Math.random() * 15;
-            const velocity = direction.multiplyScalar(speed);
-            
-            // Create valuable debris based on planet type
-            let color, value;
-            
-            switch(planet.type) {
-                case 'Crystalline':
-                    color = 0x00ffff; // Cyan
-                    value = Math.floor(Math.random() * 10) + 15; // 15-25
-                    break;
-                case 'Molten':
-                    color = 0xff6600; // Orange
-                    value = Math.floor(Math.random() * 8) + 12; // 12-20
-                    break;
-                case 'Oceanic':
-                    color = 0x0088ff; // Blue
-                    value = Math.floor(Math.random() * 6) + 10; // 10-16
-                    break;
-                default:
-                    color = 0xaaaaaa; // Gray
-                    value = Math.floor(Math.random() * 5) + 5; // 5-10
-            }
-            
-            module.getDebris(gameState.mainScene, {
-                position: debrisPosition,
-                velocity: velocity,
-                size: 1 + Math.random() * 1.5,
-                color: color,
-                life: 20 + Math.random() * 10,
-                value: value // Set explicit resource value
-            });
-        }
-    });
-    
-    // Hide the planet
-    planet.group.visible = false;
-    
-    // Award resources based on planet size and type
-    const baseResources = Math.floor(planet.size / 2);
-    let resourceMultiplier = 1;
-    
-    // Certain planet types yield more resources
-    switch(planet.type) {
-        case 'Crystalline':
-            resourceMultiplier = 2;
-            break;
-        case 'Molten':
-            resourceMultiplier = 1.5;
-            break;
-        case 'Oceanic':
-            resourceMultiplier = 1.25;
-            break;
-    }
-    
-    const resourcesGained = Math.floor(baseResources * resourceMultiplier);
-    gameState.resourcesCollected += resourcesGained;
-    
-    // Increment counter and update UI
-    gameState.planetsDestroyed++;
-    document.getElementById('destroyed').textContent = gameState.planetsDestroyed;
+    // The app breaks the planet into debris when it hears it was destroyed;
+    // here we add a smaller number of high-value chunks for the tractor beam
+    const valuableDebrisCount = Math.floor(planet.size * 0.3);
     
-    // Show destruction rating with resources gained
-    import('./ui.js').then(module => {
-        module.showDestructionRating(planet, resourcesGained);
-        module.createExplosionFlash(`rgba(255, 100, 0, ${0.3 + (planet.size / 200)})`);
-        module.showMessage(`PLANET DESTROYED: +${resourcesGained} RESOURCES`, 3000);
-    });
-    
-    // Add score based on planet size
-    const scoreGain = planet.size * 10;
-    gameState.updateScore(scoreGain);
-    
-    // If a player is landed on this planet, force them to take off
-    if (gameState.landedOnPlanet === planet) {
-        // Force exit alien mode
-        if (gameState.isAlienMode) {
-            import('./player.js').then(module => {
-                module.toggleAlienMode();
-            });
+    for (let i = 0; i < valuableDebrisCount; i++) {
+        // Random position near the planet center
+        const offset = new THREE.Vector3(
+            (Math.random() - 0.5) * planet.size * 2,
+            (Math.random() - 0.5) * planet.size * 2,
+            (Math.random() - 0.5) * planet.size * 2
+        );
+        
+        const debrisPosition = planetPosition.clone().add(offset);
+        
+        // Random velocity away from center
+        const direction = offset.clone().normalize();
+        const speed = 5 + Math.random() * 15;
+        const velocity = direction.multiplyScalar(speed);
+        
+        // Create valuable debris based on planet type
+        let color, value;
+        
+        switch(planet.type) {
+            case 'Crystalline':
+                color = 0x00ffff; // Cyan
+                value = Math.floor(Math.random() * 10) + 15; // 15-25
+                break;
+            case 'Molten':
+                color = 0xff6600; // Orange
+                value = Math.floor(Math.random() * 8) + 12; // 12-20
+                break;
+            case 'Oceanic':
+                color = 0x0088ff; // Blue
+                value = Math.floor(Math.random() * 6) + 10; // 10-16
+                break;
+            default:
+                color = 0xaaaaaa; // Gray
+                value = Math.floor(Math.random() * 5) + 5; // 5-10
         }
         
-        // Take off from the planet
-        gameState.landedOnPlanet = null;
+        getDebris(gameState.mainScene, {
+            position: debrisPosition,
+            velocity: velocity,
+            size: 1 + Math.random() * 1.5,
+            color: color,
+            life: 20 + Math.random() * 10,
+            value: value // Set explicit resource value
+        });
     }
     
+    // Hide the planet (a player landed on it is sent back to their ship by the player module)
+    planet.group.visible = false;
+    
     // Remove the planet after a delay
     setTimeout(() => {
         if (planet.group.parent) {
@@ -4,18 +4,48 @@
  */
 
 import gameState from './game-state.js';
-import { showMessage } from './ui.js';
+import Config from '../config.js';
+import { showMessage, showMissileLock } from './ui.js';
+import { on, GameEvents } from './event-bus.js';
+import { createSeededRandom } from './random.js';
+import * as simulation from './simulation.js';
 
-// Constants for defense system
+// Constants for defense system (damage and turret projectile speed are scaled by the planet's tier)
 const TURRET_DAMAGE = 5;
 const MISSILE_DAMAGE = 15;
+const TURRET_HEALTH = 30; // Damage the ship's weapons have to deal to knock one out
+const MISSILE_LAUNCHER_HEALTH = 60;
+const SHIELD_GENERATOR_HEALTH = 80;
+// Seconds between shots from one turret or launcher
+const COOLDOWNS = {
+    turret: { min: 2, max: 5 },
+    missileLauncher: { min: 5, max: 9 }
+};
+const AIM_SPEED = 3; // How quickly turrets and launchers swing round to the player
 const ATTACK_PROBABILITY = 0.3; // 30% chance of attack when player is near
-const DEFENSIVE_PLANET_PROBABILITY = 0.4; // 40% of planets have defenses
+
+// Tiers added to every planet's, from the URL (?difficulty=...) or the config
+const difficulty = resolveDifficulty();
+
+function resolveDifficulty() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const urlDifficulty = parseInt(urlParams.get('difficulty'), 10);
+    
+    return Number.isInteger(urlDifficulty) ? urlDifficulty : Config.defenses.difficulty;
+}
 
 // Initialize the defense system for a planet
 export function initializeDefenseSystem(planet) {
+    // Seed by planet ID so a given universe always arms the same planets
+    const random = createSeededRandom('defense', planet.id);
+    
+    // Planets further from the origin are more often defended, and better.
+    // The server's universe is armed at the default difficulty, as the server expects.
+    const tier = simulation.getDefenseTier(planet.group.position,
+        gameState.planetsManager.serverAuthoritative ? Config.defenses.difficulty : difficulty);
+    
     // Determine if this planet should have defenses based on probability
-    if (Math.random() > DEFENSIVE_PLANET_PROBABILITY) {
+    if (random() > tier.defenseProbability) {
         planet.hasDefenses = false;
         return;
     }
@@ -24,24 +54,26 @@ export function initializeDefenseSystem(planet) {
     
     // Randomize defense systems
     planet.defenseSystems = {
-        hasTurrets: Math.random() > 0.3, // 70% chance for turrets
-        hasMissiles: Math.random() > 0.6, // 40% chance for missiles
-        hasShield: Math.random() > 0.7, // 30% chance for shield
-        attackCooldown: 0,
+        tier,
+        hasTurrets: random() > 0.3, // 70% chance for turrets
+        hasMissiles: random() > 0.6, // 40% chance for missiles
+        hasShield: random() > 0.7, // 30% chance for shield
         attackRange: planet.size * 5, // Attack range is 5x planet size
-        turretPositions: [], // Will store turret positions
-        missilePositions: [], // Will store missile launcher positions
+        turretPositions: [], // Turrets, positioned relative to the planet's center
+        missilePositions: [], // Missile launchers, positioned relative to the planet's center
         shieldActive: false,
+        shieldGenerator: null, // Keeps the shield rebooting until it's destroyed
         lastAttackTime: 0
     };
     
     // Create turret positions around the planet
     if (planet.defenseSystems.hasTurrets) {
-        const turretCount = Math.floor(Math.random() * 3) + 2; // 2-4 turrets
+        const { min, max } = tier.turretCount;
+        const turretCount = min + Math.floor(random() * (max - min + 1));
         for (let i = 0; i < turretCount; i++) {
             // Position turrets evenly around the planet
             const angle = (i / turretCount) * Math.PI * 2;
-            const elevation = Math.random() * Math.PI - Math.PI / 2;
+            const elevation = random() * Math.PI - Math.PI / 2;
             
             const x = Math.cos(angle) * Math.cos(elevation);
             const y = Math.sin(elevation);
@@ -54,17 +86,17 @@ export function initializeDefenseSystem(planet) {
                 z: z * (planet.size * 1.05)
             };
             
-            planet.defenseSystems.turretPositions.push(position);
+            planet.defenseSystems.turretPositions.push(createEmplacement(planet, 'turret', position, TURRET_HEALTH));
         }
     }
     
     // Create missile positions
     if (planet.defenseSystems.hasMissiles) {
-        const missileCount = Math.floor(Math.random() * 2) + 1; // 1-2 missile launchers
+        const missileCount = Math.floor(random() * 2) + 1; // 1-2 missile launchers
         for (let i = 0; i < missileCount; i++) {
             // Position missile launchers evenly around the planet
             const angle = (i / missileCount) * Math.PI * 2;
-            const elevation = Math.random() * Math.PI - Math.PI / 2;
+            const elevation = random() * Math.PI - Math.PI / 2;
             
             const x = Math.cos(angle) * Math.cos(elevation);
             const y = Math.sin(elevation);
@@ -77,18 +109,151 @@ export function initializeDefenseSystem(planet) {
                 z: z * (planet.size * 1.05)
             };
             
-            planet.defenseSystems.missilePositions.push(position);
+            planet.defenseSystems.missilePositions.push(createEmplacement(planet, 'missileLauncher', position, MISSILE_LAUNCHER_HEALTH));
         }
     }
     
     // Shield properties
     if (planet.defenseSystems.hasShield) {
         planet.defenseSystems.shieldActive = true;
-        planet.defenseSystems.shieldHealth = 100;
+        planet.defenseSystems.shieldHealth = Config.planetShields.maxHealth;
+        planet.defenseSystems.maxShieldHealth = Config.planetShields.maxHealth;
+        planet.defenseSystems.shieldRegenDelay = 0;
+        planet.defenseSystems.shieldRebootTimer = 0;
         createPlanetShield(planet);
+        
+        // The generator sits under the shield, so it can only be shot while the shield is down
+        const angle = random() * Math.PI * 2;
+        const elevation = random() * Math.PI - Math.PI / 2;
+        const position = {
+            x: Math.cos(angle) * Math.cos(elevation) * (planet.size * 1.05),
+            y: Math.sin(elevation) * (planet.size * 1.05),
+            z: Math.sin(angle) * Math.cos(elevation) * (planet.size * 1.05)
+        };
+        
+        planet.defenseSystems.shieldGenerator = createEmplacement(planet, 'shieldGenerator', position, SHIELD_GENERATOR_HEALTH);
     }
 }
 
+// Seconds until a turret or launcher can fire again
+function randomCooldown(kind) {
+    const cooldown = COOLDOWNS[kind];
+    if (!cooldown) return 0;
+    
+    return cooldown.min + Math.random() * (cooldown.max - cooldown.min);
+}
+
+// Create a turret, missile launcher or shield generator on the planet's surface
+function createEmplacement(planet, kind, position, health) {
+    const models = {
+        turret: createTurretModel,
+        missileLauncher: createMissileLauncherModel,
+        shieldGenerator: createShieldGeneratorModel
+    };
+    const model = models[kind]();
+    
+    // Stand it upright on the surface
+    model.mesh.position.set(position.x, position.y, position.z);
+    model.mesh.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(position.x, position.y, position.z).normalize()
+    );
+    
+    // The group doesn't spin with the planet, so the mesh stays where the shots are aimed
+    planet.group.add(model.mesh);
+    
+    return {
+        ...position,
+        kind,
+        health,
+        maxHealth: health,
+        cooldown: randomCooldown(kind),
+        mesh: model.mesh,
+        head: model.head, // The part that swings round to aim (or spins, on a generator)
+        material: model.material
+    };
+}
+
+// A domed base with a twin-barrelled head; the barrels point along the head's +Z
+function createTurretModel() {
+    const material = new THREE.MeshPhongMaterial({ color: 0x777788, shininess: 60 });
+    const mesh = new THREE.Group();
+    
+    const base = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.6, 1, 12), material);
+    base.position.y = 0.5;
+    mesh.add(base);
+    
+    const head = new THREE.Group();
+    head.position.y = 1.5;
+    head.add(new THREE.Mesh(new THREE.SphereGeometry(0.9, 12, 8), material));
+    
+    [-0.35, 0.35].forEach(offset => {
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 2.5, 8), material);
+        barrel.rotation.x = Math.PI / 2;
+        barrel.position.set(offset, 0, 1.25);
+        head.add(barrel);
+    });
+    
+    mesh.add(head);
+    
+    return { mesh, head, material };
+}
+
+// A block with a rack of launch tubes that points along its +Z
+function createMissileLauncherModel() {
+    const material = new THREE.MeshPhongMaterial({ color: 0x665544, shininess: 30 });
+    const mesh = new THREE.Group();
+    
+    const base = new THREE.Mesh(new THREE.BoxGeometry(2.5, 1, 2.5), material);
+    base.position.y = 0.5;
+    mesh.add(base);
+    
+    const head = new THREE.Group();
+    head.position.y = 1.8;
+    
+    for (let i = 0; i < 4; i++) {
+        const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 2.2, 8), material);
+        tube.rotation.x = Math.PI / 2;
+        tube.position.set(i % 2 === 0 ? -0.4 : 0.4, i < 2 ? -0.4 : 0.4, 0);
+        head.add(tube);
+    }
+    
+    mesh.add(head);
+    
+    return { mesh, head, material };
+}
+
+// A pylon with a spinning ring around its top
+function createShieldGeneratorModel() {
+    const material = new THREE.MeshPhongMaterial({ color: 0x557788, shininess: 80 });
+    const mesh = new THREE.Group();
+    
+    const pylon = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 1.2, 3, 8), material);
+    pylon.position.y = 1.5;
+    mesh.add(pylon);
+    
+    const head = new THREE.Group();
+    head.position.y = 3.3;
+    head.add(new THREE.Mesh(
+        new THREE.SphereGeometry(0.6, 12, 8),
+        new THREE.MeshBasicMaterial({ color: 0x00ffff })
+    ));
+    
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(1.3, 0.15, 8, 24), material);
+    ring.rotation.x = Math.PI / 2;
+    head.add(ring);
+    
+    mesh.add(head);
+    
+    return { mesh, head, material };
+}
+
+// Glow red as it takes damage
+function showEmplacementDamage(emplacement) {
+    const damage = 1 - emplacement.health / emplacement.maxHealth;
+    emplacement.material.emissive.setRGB(damage * 0.8, 0, 0);
+}
+
 // Create a shield visual around the planet
 function createPlanetShield(planet) {
     const shieldGeometry = new THREE.SphereGeometry(planet.size * 1.2, 32, 32);
@@ -127,6 +292,15 @@ export function updatePlanetaryDefenses(delta) {
     gameState.planets.forEach(planet => {
         if (!planet.hasDefenses || planet.isDestroyed) return;
         
+        // The generator spins while it's powering the shield
+        const generator = planet.defenseSystems.shieldGenerator;
+        if (generator) {
+            if (planet.defenseSystems.shieldActive) {
+                generator.head.rotation.y += delta * 2;
+            }
+            showEmplacementDamage(generator);
+        }
+        
         // Get planet position
         const planetPosition = new THREE.Vector3();
         planet.group.getWorldPosition(planetPosition);
@@ -136,56 +310,78 @@ export function updatePlanetaryDefenses(delta) {
         
         // Only activate defenses if player is within range
         if (distanceToPlayer < planet.defenseSystems.attackRange) {
-            // Add a cooldown between attacks
-            planet.defenseSystems.attackCooldown -= delta;
+            // If planet has a shield and it's the player's first time getting close
+            if (planet.defenseSystems.hasShield && 
+                planet.defenseSystems.shieldActive && 
+                !planet.defenseSystems.shieldWarningShown) {
+                
+                showMessage(`WARNING: ${planet.name.toUpperCase()} HAS ACTIVE DEFENSE SHIELD`, 3000);
+                planet.defenseSystems.shieldWarningShown = true;
+            }
             
             // Evaluate if we should attack based on proximity and random chance
             const proximityFactor = 1 - (distanceToPlayer / planet.defenseSystems.attackRange);
             const attackProbability = ATTACK_PROBABILITY * proximityFactor;
             
-            // Only try to attack if cooldown is over
-            if (planet.defenseSystems.attackCooldown <= 0) {
-                // If planet has a shield and it's the player's first time getting close
-                if (planet.defenseSystems.hasShield && 
-                    planet.defenseSystems.shieldActive && 
-                    !planet.defenseSystems.shieldWarningShown) {
-                    
-                    showMessage(`WARNING: ${planet.name.toUpperCase()} HAS ACTIVE DEFENSE SHIELD`, 3000);
-                    planet.defenseSystems.shieldWarningShown = true;
+            // Each turret and launcher aims and reloads on its own. Copies, since
+            // the lists can shrink while we go through them.
+            [...planet.defenseSystems.turretPositions].forEach(turret => {
+                if (updateEmplacement(planet, turret, playerPosition, attackProbability, delta)) {
+                    launchTurretAttack(planet, turret, playerPosition);
                 }
-                
-                // Check if it's time for an attack
-                if (Math.random() < attackProbability) {
-                    // Choose attack type based on available systems
-                    if (planet.defenseSystems.hasTurrets && Math.random() < 0.7) {
-                        launchTurretAttack(planet, playerPosition);
-                    } else if (planet.defenseSystems.hasMissiles) {
-                        launchMissileAttack(planet, playerPosition);
-                    }
-                    
-                    // Reset attack cooldown
-                    planet.defenseSystems.attackCooldown = 2 + Math.random() * 3; // 2-5 seconds
-                    planet.defenseSystems.lastAttackTime = Date.now();
+            });
+            [...planet.defenseSystems.missilePositions].forEach(launcher => {
+                if (updateEmplacement(planet, launcher, playerPosition, attackProbability, delta)) {
+                    launchMissileAttack(planet, launcher, playerPosition);
                 }
-            }
+            });
         }
     });
     
     // Update existing projectiles
     updateProjectiles(delta);
+    updateFlares(delta);
+    updateMissileLockWarning(playerPosition);
+    
+    // Regenerate worn down shields and reboot collapsed ones
+    simulation.updatePlanetShields(gameState, delta);
     
     // Update shield visuals
     updateShields(delta);
 }
 
-// Launch a turret attack from a planet
-function launchTurretAttack(planet, playerPosition) {
-    if (!planet.defenseSystems.hasTurrets) return;
+// Aim a turret or launcher at the player and count down its cooldown
+// Returns true when it should fire
+function updateEmplacement(planet, emplacement, playerPosition, attackProbability, delta) {
+    const worldPosition = new THREE.Vector3(
+        planet.group.position.x + emplacement.x,
+        planet.group.position.y + emplacement.y,
+        planet.group.position.z + emplacement.z
+    );
+    const toPlayer = new THREE.Vector3().subVectors(playerPosition, worldPosition);
+    
+    // Swing round toward the player
+    const previous = emplacement.head.quaternion.clone();
+    emplacement.head.lookAt(playerPosition);
+    const target = emplacement.head.quaternion.clone();
+    emplacement.head.quaternion.copy(previous).slerp(target, Math.min(1, AIM_SPEED * delta));
+    
+    showEmplacementDamage(emplacement);
     
-    // Get a random turret position
-    const turretIndex = Math.floor(Math.random() * planet.defenseSystems.turretPositions.length);
-    const turretPosition = planet.defenseSystems.turretPositions[turretIndex];
+    emplacement.cooldown -= delta;
+    if (emplacement.cooldown > 0) return false;
     
+    // It can't shoot through the planet, so the player has to be above its horizon
+    const isInSight = toPlayer.dot(new THREE.Vector3(emplacement.x, emplacement.y, emplacement.z)) > 0;
+    if (!isInSight || Math.random() >= attackProbability) return false;
+    
+    emplacement.cooldown = randomCooldown(emplacement.kind);
+    planet.defenseSystems.lastAttackTime = Date.now();
+    return true;
+}
+
+// Launch a turret attack from a planet
+function launchTurretAttack(planet, turretPosition, playerPosition) {
     // Convert turret position to world coordinates
     const worldTurretPosition = new THREE.Vector3(
         planet.group.position.x + turretPosition.x,
@@ -214,13 +410,14 @@ function launchTurretAttack(planet, playerPosition) {
     gameState.mainScene.add(projectile);
     
     // Add to projectiles array for tracking
-    const speed = 100; // Units per second
+    const tier = planet.defenseSystems.tier;
+    const speed = tier.projectileSpeed; // Units per second
     gameState.planetaryDefenses.turretProjectiles.push({
         mesh: projectile,
         direction: direction,
         speed: speed,
         lifespan: 5, // 5 seconds max lifespan
-        damage: TURRET_DAMAGE,
+        damage: TURRET_DAMAGE * tier.damageMultiplier,
         source: planet
     });
     
@@ -229,13 +426,7 @@ function launchTurretAttack(planet, playerPosition) {
 }
 
 // Launch a missile attack from a planet
-function launchMissileAttack(planet, playerPosition) {
-    if (!planet.defenseSystems.hasMissiles) return;
-    
-    // Get a random missile launcher position
-    const launcherIndex = Math.floor(Math.random() * planet.defenseSystems.missilePositions.length);
-    const launcherPosition = planet.defenseSystems.missilePositions[launcherIndex];
-    
+function launchMissileAttack(planet, launcherPosition, playerPosition) {
     // Convert missile position to world coordinates
     const worldLauncherPosition = new THREE.Vector3(
         planet.group.position.x + launcherPosition.x,
@@ -280,6 +471,7 @@ function launchMissileAttack(planet, playerPosition) {
     gameState.mainScene.add(missile);
     
     // Add to missiles array for tracking
+    const tier = planet.defenseSystems.tier;
     const speed = 50; // Units per second
     gameState.planetaryDefenses.missileProjectiles.push({
         mesh: missile,
@@ -288,9 +480,9 @@ function launchMissileAttack(planet, playerPosition) {
         speed: speed,
         acceleration: 10, // Units per second squared
         maxSpeed: 120, // Maximum speed
-        turnRate: 1.5, // How quickly it can adjust course
+        turnRate: tier.missileTurnRate, // How quickly it can adjust course
         lifespan: 10, // 10 seconds max lifespan
-        damage: MISSILE_DAMAGE,
+        damage: MISSILE_DAMAGE * tier.damageMultiplier,
         source: planet
     });
     
@@ -472,21 +664,26 @@ function updateProjectiles(delta) {
             const playerPosition = new THREE.Vector3();
             gameState.playerShip.getWorldPosition(playerPosition);
             
-            // Calculate desired direction to player
-            const toPlayer = new THREE.Vector3().subVectors(
-                playerPosition,
-                missile.mesh.position
-            ).normalize();
+            // Home in on the player, or on the flare that lured it away
+            const target = getMissileTarget(missile, playerPosition);
             
-            // Smoothly adjust direction using turn rate
-            const adjustedDirection = new THREE.Vector3()
-                .addVectors(
-                    missile.direction.clone().multiplyScalar(1 - missile.turnRate * delta),
-                    toPlayer.clone().multiplyScalar(missile.turnRate * delta)
-                )
-                .normalize();
-            
-            missile.direction = adjustedDirection;
+            if (target) {
+                // Calculate desired direction to target
+                const toTarget = new THREE.Vector3().subVectors(
+                    target,
+                    missile.mesh.position
+                ).normalize();
+                
+                // Smoothly adjust direction using turn rate
+                const adjustedDirection = new THREE.Vector3()
+                    .addVectors(
+                        missile.direction.clone().multiplyScalar(1 - missile.turnRate * delta),
+                        toTarget.clone().multiplyScalar(missile.turnRate * delta)
+                    )
+                    .normalize();
+                
+                missile.direction = adjustedDirection;
+            }
             
             // Orient missile to point in direction of travel
             missile.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), missile.direction);
@@ -506,6 +703,14 @@ function updateProjectiles(delta) {
             // Update lifespan
             missile.lifespan -= delta;
             
+            // Lured missiles blow up on their flare
+            if (missile.decoy && target && missile.mesh.position.distanceTo(target) < 3) {
+                createExplosionEffect(missile.mesh.position);
+                gameState.mainScene.remove(missile.mesh);
+                gameState.planetaryDefenses.missileProjectiles.splice(i, 1);
+                continue;
+            }
+            
             // Check collision with player
             const distance = missile.mesh.position.distanceTo(playerPosition);
             const hitDistance = 3; // Missile has larger collision radius
@@ -532,32 +737,173 @@ function updateProjectiles(delta) {
     }
 }
 
-// Handle player being hit by projectile
-function handlePlayerHit(damage, damageSource) {
-    // Check if shields are depleted
-    const shieldsDown = gameState.takeDamage(damage);
+// Where a missile is heading: the player, the flare it's chasing, or
+// nowhere (straight on) once its flare burns out or the player shook it off
+function getMissileTarget(missile, playerPosition) {
+    if (missile.decoy) {
+        return missile.decoy.life > 0 ? missile.decoy.mesh.position : null;
+    }
+    
+    return missile.lockLost ? null : playerPosition;
+}
+
+// Point the missile lock warning at the nearest missile still homing in on the player
+function updateMissileLockWarning(playerPosition) {
+    if (gameState.isAlienMode || gameState.isDead) {
+        showMissileLock(null);
+        return;
+    }
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
     
-    // Shake camera to indicate hit
-    shakeCamera();
+    gameState.planetaryDefenses.missileProjectiles.forEach(missile => {
+        if (getMissileTarget(missile, playerPosition) !== playerPosition) return;
+        
+        const distance = missile.mesh.position.distanceTo(playerPosition);
+        if (distance < nearestDistance) {
+            nearest = missile;
+            nearestDistance = distance;
+        }
+    });
+    
+    if (!nearest) {
+        showMissileLock(null);
+        return;
+    }
+    
+    // Direction to the missile as the camera sees it (0 is straight up the screen)
+    const cameraRotation = gameState.camera.getWorldQuaternion(new THREE.Quaternion()).invert();
+    const toMissile = new THREE.Vector3()
+        .subVectors(nearest.mesh.position, playerPosition)
+        .applyQuaternion(cameraRotation);
+    
+    showMissileLock({ angle: Math.atan2(toMissile.x, toMissile.y), distance: nearestDistance });
+}
+
+// Launch flares behind the ship and lure nearby missiles onto them
+function launchFlares() {
+    if (!gameState.playerShip) return;
     
-    // Create hit flash effect
-    const flash = document.getElementById('explosion-flash');
-    flash.style.backgroundColor = 'rgba(255, 0, 0, 0.3)';
-    setTimeout(() => {
-        flash.style.backgroundColor = 'rgba(255, 100, 0, 0)';
-    }, 200);
+    const shipPosition = new THREE.Vector3();
+    gameState.playerShip.getWorldPosition(shipPosition);
     
-    // Show damage message
-    showMessage(`${damageSource} HIT: -${damage} SHIELDS`, 2000);
+    const backward = new THREE.Vector3(0, 0, 1).applyQuaternion(gameState.playerShip.quaternion);
     
-    if (shieldsDown) {
-        // Shields are depleted!
-        showMessage("WARNING: SHIELDS DEPLETED", 3000);
+    const flares = [];
+    for (let i = 0; i < 3; i++) {
+        const flareMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffdd66,
+            transparent: true,
+            opacity: 1
+        });
+        const flare = new THREE.Mesh(new THREE.SphereGeometry(0.4, 8, 8), flareMaterial);
+        flare.position.copy(shipPosition).add(backward.clone().multiplyScalar(3));
+        flare.add(new THREE.PointLight(0xffaa33, 2, 30));
+        
+        gameState.mainScene.add(flare);
+        
+        // Spray out behind the ship
+        const velocity = backward.clone().multiplyScalar(20).add(new THREE.Vector3(
+            (Math.random() - 0.5) * 30,
+            (Math.random() - 0.5) * 30,
+            (Math.random() - 0.5) * 30
+        ));
+        
+        flares.push({
+            mesh: flare,
+            velocity: velocity,
+            life: Config.countermeasures.flareLife
+        });
+    }
+    
+    gameState.planetaryDefenses.flares.push(...flares);
+    
+    // Missiles homing in on the ship go for a flare instead
+    let luredCount = 0;
+    gameState.planetaryDefenses.missileProjectiles.forEach(missile => {
+        if (missile.decoy || missile.lockLost) return;
+        if (missile.mesh.position.distanceTo(shipPosition) > Config.countermeasures.lureRadius) return;
         
-        // Add further game over logic here if needed
+        missile.decoy = flares[Math.floor(Math.random() * flares.length)];
+        luredCount++;
+    });
+    
+    showMessage(luredCount > 0 ? `COUNTERMEASURES LAUNCHED - ${luredCount} MISSILE(S) DECOYED` : "COUNTERMEASURES LAUNCHED", 1500);
+}
+
+// Drift and burn out the flares
+function updateFlares(delta) {
+    const flares = gameState.planetaryDefenses.flares;
+    
+    for (let i = flares.length - 1; i >= 0; i--) {
+        const flare = flares[i];
+        
+        flare.mesh.position.add(flare.velocity.clone().multiplyScalar(delta));
+        flare.velocity.multiplyScalar(0.98);
+        flare.life -= delta;
+        flare.mesh.material.opacity = Math.max(0, flare.life / Config.countermeasures.flareLife);
+        
+        if (flare.life <= 0) {
+            gameState.mainScene.remove(flare.mesh);
+            flares.splice(i, 1);
+        }
     }
 }
 
+// Handle player being hit by projectile
+function handlePlayerHit(damage, damageSource) {
+    // The camera shake below and the UI's flash and messages follow from the damage event
+    gameState.takeDamage(damage, damageSource);
+}
+
+// Shake camera to indicate hit
+on(GameEvents.DAMAGE_TAKEN, () => shakeCamera());
+
+// Blow up turrets and missile launchers the player's weapons knock out
+on(GameEvents.DEFENSE_DESTROYED, ({ planet, position }) => {
+    if (position.mesh) {
+        planet.group.remove(position.mesh);
+    }
+    
+    createExplosionEffect(new THREE.Vector3(
+        planet.group.position.x + position.x,
+        planet.group.position.y + position.y,
+        planet.group.position.z + position.z
+    ));
+});
+
+// Flares lure homing missiles away from the ship
+on(GameEvents.COUNTERMEASURES_DEPLOYED, () => launchFlares());
+
+// A roll at the last moment shakes off missiles that are nearly on the ship
+on(GameEvents.SHIP_DODGED, () => {
+    if (!gameState.playerShip) return;
+    
+    const shipPosition = new THREE.Vector3();
+    gameState.playerShip.getWorldPosition(shipPosition);
+    
+    let shakenOff = 0;
+    gameState.planetaryDefenses.missileProjectiles.forEach(missile => {
+        if (missile.decoy || missile.lockLost) return;
+        
+        if (missile.mesh.position.distanceTo(shipPosition) <= Config.dodge.breakLockDistance) {
+            missile.lockLost = true;
+            shakenOff++;
+        }
+    });
+    
+    if (shakenOff > 0) {
+        showMessage("MISSILE LOCK BROKEN", 1500);
+    }
+});
+
+// Take down a shield worn out by weapon fire or bombs
+on(GameEvents.PLANET_SHIELD_DOWN, ({ planet }) => deactivateShield(planet));
+
+// Bring back a shield that rebooted
+on(GameEvents.PLANET_SHIELD_RESTORED, ({ planet }) => activateShield(planet));
+
 // Create explosion effect when missile hits player
 function createExplosionEffect(position) {
     // Create explosion geometry
@@ -726,25 +1072,27 @@ function updateShields(delta) {
         }
         
         // Update shield opacity based on pulse
-        shield.mesh.material.opacity = 0.2 + shield.pulseAmount;
+        let opacity = 0.2 + shield.pulseAmount;
+        
+        // Flicker more often and shift from cyan to red as the shield wears down
+        const defenses = shield.planet.defenseSystems;
+        const health = defenses.shieldHealth / defenses.maxShieldHealth;
+        if (Math.random() < (1 - health) * 0.3) {
+            opacity *= Math.random() * 0.5;
+        }
+        
+        shield.mesh.material.opacity = opacity;
+        shield.mesh.material.color.setRGB(1 - health, health, health);
     });
 }
 
 // Check if player's bomb can penetrate shield
 export function canBombPenetrate(planet) {
-    // Bomb always works if no defenses or no shield
-    if (!planet.hasDefenses || !planet.defenseSystems.hasShield) return true;
-    
-    // If shield is active, check if bomb size can penetrate
-    if (planet.defenseSystems.shieldActive) {
-        // Only the largest bombs (level 3) can penetrate shields
-        return gameState.bombSize >= 3;
-    }
-    
-    return true;
+    // Only the largest bombs (level 3) get through an active shield; smaller ones just damage it
+    return simulation.canBombPenetrate(planet, gameState.bombSize);
 }
 
-// Deactivate shield when hit by a large bomb
+// Deactivate shield when its health runs out
 export function deactivateShield(planet) {
     if (!planet.hasDefenses || !planet.defenseSystems.hasShield) return;
     
@@ -766,4 +1114,26 @@ export function deactivateShield(planet) {
     
     // Show shield down message
     showMessage(`${planet.name.toUpperCase()} SHIELD DEACTIVATED`, 2000);
-} 
\ No newline at end of file
+} 
+
+// Turn a rebooted shield back on
+export function activateShield(planet) {
+    if (!planet.hasDefenses || !planet.defenseSystems.hasShield) return;
+    
+    planet.defenseSystems.shieldActive = true;
+    
+    if (planet.defenseSystems.shieldMesh) {
+        planet.defenseSystems.shieldMesh.visible = true;
+        
+        // Track it again so it pulses
+        gameState.planetaryDefenses.shieldBubbles.push({
+            mesh: planet.defenseSystems.shieldMesh,
+            planet: planet,
+            activationTime: Date.now(),
+            pulseDirection: 1,
+            pulseAmount: 0
+        });
+    }
+    
+    showMessage(`${planet.name.toUpperCase()} SHIELD REBOOTED`, 2000);
+}
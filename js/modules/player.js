@@ -7,7 +7,11 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.m
 import gameState from './game-state.js';
 import Config from '../config.js';
 import { showMessage, createExplosionFlash, updateBombSizeIndicator } from './ui.js';
-import { sendAlienModeUpdate, sendBombPlacement } from './network.js';
+import * as shipControls from './ship-controls.js';
+import * as alienControls from './alien-controls.js';
+import * as simulation from './simulation.js';
+import { getExplosion, getParticle } from './object-pool.js';
+import { on, emit, GameEvents } from './event-bus.js';
 
 /**
  * Creates the player's spaceship
@@ -104,15 +108,11 @@ export function toggleAlienMode() {
     
     gameState.isAlienMode = !gameState.isAlienMode;
     
-    // Send alien mode update to server if multiplayer is enabled
-    if (gameState.multiplayer && gameState.multiplayer.enabled) {
-        import('./network.js').then(module => {
-            module.sendAlienModeUpdate(
-                gameState.isAlienMode, 
-                gameState.landedOnPlanet ? gameState.landedOnPlanet.id : null
-            );
-        });
-    }
+    // The network module tells the server
+    emit(GameEvents.ALIEN_MODE_CHANGED, {
+        isAlienMode: gameState.isAlienMode,
+        planet: gameState.landedOnPlanet
+    });
     
     if (gameState.isAlienMode) {
         // Exit as alien
@@ -277,7 +277,7 @@ export function isNearShip() {
  * Attempt to land on a nearby planet
  */
 export function attemptLanding() {
-    if (gameState.isAlienMode || !gameState.nearestPlanet) return;
+    if (gameState.isAlienMode || gameState.isDead || !gameState.nearestPlanet) return;
     
     // Check if we're close enough to land
     const landingDistance = gameState.nearestPlanet.size * 2;
@@ -290,9 +290,7 @@ export function attemptLanding() {
         }
         
         // Landing logic is implemented in ship-controls.js
-        import('./ship-controls.js').then(module => {
-            module.attemptLanding();
-        });
+        shipControls.attemptLanding();
     } else {
         showMessage("TOO FAR TO LAND", 2000);
     }
@@ -334,9 +332,7 @@ export function placeBomb() {
     }
     
     // Implemented in alien-controls.js
-    import('./alien-controls.js').then(module => {
-        module.placeBomb();
-    });
+    alienControls.placeBomb();
 }
 
 /**
@@ -408,3 +404,87 @@ export function createBomb(position, bombScale = 1) {
         return null;
     }
 }
+
+// Step out as the alien shortly after touching down
+on(GameEvents.SHIP_LANDED, () => {
+    setTimeout(() => {
+        toggleAlienMode();
+    }, 500);
+});
+
+// Show bombs as they are placed, ours and other players'
+on(GameEvents.BOMB_PLACED, ({ planet, position, size, countdown }) => {
+    const bomb = createBomb(position, size);
+    if (bomb) {
+        bomb.targetPlanet = planet;
+        bomb.countdown = countdown;
+    }
+});
+
+// Return to the ship and leave a planet that is gone
+function leavePlanet() {
+    if (!gameState.landedOnPlanet) return;
+    
+    if (gameState.isAlienMode) {
+        toggleAlienMode();
+    }
+    gameState.landedOnPlanet = null;
+}
+
+on(GameEvents.PLANET_DESTROYED, ({ planet }) => {
+    if (gameState.landedOnPlanet === planet) leavePlanet();
+});
+
+on(GameEvents.PLANET_EXPLODED, ({ planet }) => {
+    if (gameState.landedOnPlanet === planet) leavePlanet();
+});
+
+on(GameEvents.UNIVERSE_CHANGED, leavePlanet);
+
+/**
+ * Rebuild a destroyed ship and fly again
+ * @param {boolean} inSector - Respawn in the sector the ship was lost in instead of at spawn
+ */
+function respawn(inSector = false) {
+    const sectorKey = inSector ? gameState.playerSectorKey : null;
+    if (!simulation.respawnPlayer(gameState, gameState.playerShip, sectorKey)) return;
+    
+    gameState.playerShip.visible = true;
+    showMessage("SHIP REBUILT - SHIELDS AT FULL POWER", 3000);
+}
+
+// The game over screen's respawn buttons
+on(GameEvents.RESPAWN_REQUESTED, ({ inSector }) => respawn(inSector));
+
+// Blow the ship apart when the shields run out
+on(GameEvents.PLAYER_DIED, () => {
+    leavePlanet();
+    
+    const shipPosition = new THREE.Vector3();
+    gameState.playerShip.getWorldPosition(shipPosition);
+    
+    getExplosion(gameState.mainScene, {
+        position: shipPosition,
+        color: 0xff6600,
+        size: 12,
+        life: 2.5
+    });
+    
+    // Hull fragments flying off in every direction
+    for (let i = 0; i < 30; i++) {
+        getParticle(gameState.mainScene, {
+            position: shipPosition,
+            color: Math.random() > 0.5 ? 0x888899 : 0xffaa00,
+            size: 0.3 + Math.random() * 0.4,
+            velocity: new THREE.Vector3(
+                (Math.random() - 0.5) * 4,
+                (Math.random() - 0.5) * 4,
+                (Math.random() - 0.5) * 4
+            ),
+            life: 1.5 + Math.random()
+        });
+    }
+    
+    createExplosionFlash('rgba(255, 60, 0, 0.8)');
+    gameState.playerShip.visible = false;
+});
@@ -323,7 +323,7 @@ export function checkExitPortalEntry() {
             
             // Add portal flag and player info
             newParams.append('portal', 'true');
-            newParams.append('username', gameState.multiplayer.playerId || 'player');
+            newParams.append('username', gameState.multiplayer.playerName || 'player');
             newParams.append('color', gameState.multiplayer.playerColor || 'white');
             newParams.append('speed', gameState.speed.toString());
             
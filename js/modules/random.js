@@ -0,0 +1,98 @@
+/**
+ * Random Module
+ * Seedable pseudo-random number generation for the procedural universe
+ *
+ * The hash and generator match server/universe.js, so a universe seed plus a
+ * sector key produces the same planets locally and on the multiplayer server.
+ */
+
+import Config from '../config.js';
+
+// Seed requested via the URL or config, if any
+const requestedSeed = resolveRequestedSeed();
+
+// Whether the active seed was picked at random rather than requested
+let seedIsRandom = requestedSeed === null;
+
+// Active universe seed (string)
+let universeSeed = seedIsRandom ? Math.random().toString(36).substr(2, 9) : requestedSeed;
+
+// Pick the seed from the URL (?seed=...), then the config; null if neither sets one
+function resolveRequestedSeed() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const urlSeed = urlParams.get('seed');
+
+    if (urlSeed) return urlSeed;
+    if (Config.universe.seed !== null && Config.universe.seed !== undefined) {
+        return String(Config.universe.seed);
+    }
+
+    return null;
+}
+
+/**
+ * Hash a string into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} 32-bit hash
+ */
+export function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a generator derived from the universe seed and a set of keys,
+ * e.g. createSeededRandom('SEC-1:0:2') or createSeededRandom('defense', planetId)
+ * @param {...(string|number)} keys - Keys identifying the generated content
+ * @returns {Function} Seeded generator
+ */
+export function createSeededRandom(...keys) {
+    return createRandom(hashString([universeSeed, ...keys].join(':')));
+}
+
+/**
+ * Get the active universe seed
+ * @returns {string} Universe seed
+ */
+export function getUniverseSeed() {
+    return universeSeed;
+}
+
+/**
+ * Replace the active universe seed (e.g. with the multiplayer server's)
+ * @param {string|number} seed - New universe seed
+ */
+export function setUniverseSeed(seed) {
+    if (seed === null || seed === undefined) return;
+    universeSeed = String(seed);
+    seedIsRandom = false;
+}
+
+/**
+ * Check whether the active seed was picked at random, i.e. neither the URL,
+ * the config nor a call to setUniverseSeed asked for a specific universe
+ * @returns {boolean} True if the seed is random
+ */
+export function isUniverseSeedRandom() {
+    return seedIsRandom;
+}
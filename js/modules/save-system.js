@@ -0,0 +1,270 @@
+/**
+ * Save System Module
+ * Persists player progress and explored universe state across sessions
+ *
+ * Saves live in localStorage and, when Config.save.serverProfile is on, are
+ * mirrored to the server's /api/profile route. Universe state (explored
+ * sectors, destroyed planets) is stored per universe seed, since planet IDs
+ * are only meaningful within the universe that generated them.
+ */
+
+import gameState from './game-state.js';
+import Config from '../config.js';
+import { showMessage, updateAlienSymbols } from './ui.js';
+import { getUniverseSeed, setUniverseSeed, isUniverseSeedRandom } from './random.js';
+
+// Current save format version
+export const SAVE_VERSION = 1;
+
+// Upgrade levels stored in a save
+const UPGRADE_LEVELS = ['engineLevel', 'shieldLevel', 'tractorBeamLevel', 'bombCapacityLevel', 'boostLevel', 'weaponsLevel', 'countermeasuresLevel'];
+
+// Migrations from each older save version to the next one.
+// When the format changes, bump SAVE_VERSION and add an entry keyed by the
+// version it upgrades from, e.g. `1: save => ({ ...save, version: 2, ... })`.
+const SAVE_MIGRATIONS = {};
+
+// Most recently loaded or written save, kept so that universe state for
+// other seeds survives when this session saves
+let currentSave = null;
+
+// Timer for automatic saves
+let autosaveTimer = null;
+
+// Load the local save and apply it before the universe is generated.
+// Must run before any seeded content (stars, planets) is created.
+export function loadGame() {
+    const save = readLocalSave();
+    if (!save) return false;
+
+    // Return to the last visited universe unless a seed was requested
+    if (isUniverseSeedRandom() && save.lastSeed) {
+        setUniverseSeed(save.lastSeed);
+    }
+
+    applySaveData(save);
+    return true;
+}
+
+// Start autosaving and, if enabled, sync with the server profile
+export function initializeSaveSystem() {
+    if (autosaveTimer) {
+        clearInterval(autosaveTimer);
+    }
+    autosaveTimer = setInterval(() => saveGame(), Config.save.autosaveInterval * 1000);
+
+    // Save when the page is closed
+    window.addEventListener('beforeunload', () => saveGame());
+
+    if (Config.save.serverProfile) {
+        loadServerProfile();
+    }
+}
+
+// Write the current progress to localStorage (and the server profile)
+export function saveGame() {
+    const save = createSaveData();
+    currentSave = save;
+
+    try {
+        localStorage.setItem(Config.save.storageKey, JSON.stringify(save));
+    } catch (error) {
+        console.error('Error writing save:', error);
+    }
+
+    if (Config.save.serverProfile) {
+        saveServerProfile(save);
+    }
+
+    return save;
+}
+
+// Delete the local save; progress in the running session is kept
+export function clearSave() {
+    currentSave = null;
+    localStorage.removeItem(Config.save.storageKey);
+    showMessage("SAVE DATA CLEARED", 2000);
+}
+
+// Upgrade a save of any older version to the current format.
+// Returns null if the data is not a usable save.
+export function migrateSave(save) {
+    if (!save || typeof save !== 'object') return null;
+
+    let migrated = save;
+    let version = Number.isInteger(save.version) ? save.version : 0;
+
+    while (version < SAVE_VERSION) {
+        const migration = SAVE_MIGRATIONS[version];
+        if (!migration) {
+            console.warn(`No migration for save version ${version}`);
+            return null;
+        }
+        migrated = migration(migrated);
+        version = migrated.version;
+    }
+
+    // Saves from a newer build can't be read safely
+    if (version > SAVE_VERSION) {
+        console.warn(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        return null;
+    }
+
+    return migrated;
+}
+
+// Read and migrate the save stored in localStorage
+function readLocalSave() {
+    try {
+        const stored = localStorage.getItem(Config.save.storageKey);
+        if (!stored) return null;
+
+        return migrateSave(JSON.parse(stored));
+    } catch (error) {
+        console.error('Error reading save:', error);
+        return null;
+    }
+}
+
+// Build a save from the current game state
+function createSaveData() {
+    const manager = gameState.planetsManager;
+    const seed = getUniverseSeed();
+
+    // Explored sectors: those restored from earlier sessions plus this one's
+    const exploredSectors = new Set(manager.exploredSectors);
+    for (const sectorKey in manager.sectors) {
+        if (manager.sectors[sectorKey].explored) {
+            exploredSectors.add(sectorKey);
+        }
+    }
+
+    const upgrades = {};
+    UPGRADE_LEVELS.forEach(level => {
+        upgrades[level] = gameState.upgrades[level];
+    });
+
+    const universes = currentSave ? { ...currentSave.universes } : {};
+    universes[seed] = {
+        exploredSectors: Array.from(exploredSectors),
+        destroyedPlanets: Array.from(manager.destroyedPlanets)
+    };
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        profileId: getProfileId(),
+        lastSeed: seed,
+        player: {
+            score: gameState.score,
+            resourcesCollected: gameState.resourcesCollected,
+            planetsDestroyed: gameState.planetsDestroyed,
+            upgrades
+        },
+        discoveredSymbols: gameState.discoveredMessages
+            .filter(message => message.discovered)
+            .map(message => message.symbol),
+        universes
+    };
+}
+
+// Apply a (migrated) save to the game state
+function applySaveData(save) {
+    currentSave = save;
+
+    // Player progress
+    const player = save.player || {};
+    gameState.score = player.score || 0;
+    gameState.resourcesCollected = player.resourcesCollected || 0;
+    gameState.planetsDestroyed = player.planetsDestroyed || 0;
+
+    const upgrades = player.upgrades || {};
+    UPGRADE_LEVELS.forEach(level => {
+        const maxLevel = gameState.upgrades[`max${level.charAt(0).toUpperCase()}${level.slice(1)}`];
+        const savedLevel = Number.isInteger(upgrades[level]) ? upgrades[level] : 0;
+        gameState.upgrades[level] = Math.max(0, Math.min(savedLevel, maxLevel));
+    });
+    gameState.refreshUpgradeEffects();
+
+    // Alien symbols
+    const discoveredSymbols = save.discoveredSymbols || [];
+    gameState.discoveredMessages.forEach(message => {
+        if (discoveredSymbols.includes(message.symbol)) {
+            message.discovered = true;
+        }
+    });
+    updateAlienSymbols();
+
+    applyUniverseState(save);
+}
+
+// Restore explored sectors and destroyed planets for the active universe
+function applyUniverseState(save) {
+    const manager = gameState.planetsManager;
+    const universe = save.universes && save.universes[getUniverseSeed()];
+    if (!universe) return;
+
+    (universe.exploredSectors || []).forEach(sectorKey => {
+        manager.exploredSectors.add(sectorKey);
+        if (manager.sectors[sectorKey]) {
+            manager.sectors[sectorKey].explored = true;
+        }
+    });
+
+    (universe.destroyedPlanets || []).forEach(planetId => {
+        manager.destroyedPlanets.add(planetId);
+    });
+
+    // Hide planets that were already created before the save arrived
+    if (!manager.serverAuthoritative) {
+        gameState.planets.forEach(planet => {
+            if (manager.destroyedPlanets.has(planet.id) && !planet.isDestroyed) {
+                planet.isDestroyed = true;
+                planet.group.visible = false;
+            }
+        });
+    }
+}
+
+// Get this browser's profile ID, creating one on first use
+function getProfileId() {
+    const key = `${Config.save.storageKey}-profile`;
+    let profileId = localStorage.getItem(key);
+
+    if (!profileId) {
+        profileId = 'profile-' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+        localStorage.setItem(key, profileId);
+    }
+
+    return profileId;
+}
+
+// Fetch the server copy of the save and apply it if it's newer
+function loadServerProfile() {
+    fetch(`/api/profile/${getProfileId()}`)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => {
+            const save = migrateSave(data);
+            if (!save) return;
+
+            if (!currentSave || save.savedAt > currentSave.savedAt) {
+                applySaveData(save);
+                showMessage("PROFILE LOADED FROM SERVER", 2000);
+            }
+        })
+        .catch(error => {
+            console.error('Error loading server profile:', error);
+        });
+}
+
+// Send a save to the server profile
+function saveServerProfile(save) {
+    fetch(`/api/profile/${save.profileId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(save),
+        keepalive: true // Lets the request finish while the page unloads
+    }).catch(error => {
+        console.error('Error saving server profile:', error);
+    });
+}
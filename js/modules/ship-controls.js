@@ -7,6 +7,8 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.m
 import gameState from './game-state.js';
 import { showMessage } from './ui.js';
 import Config from '../config.js';
+import { updateShipPhysics, startDodge, deployCountermeasure } from './simulation.js';
+import { emit, GameEvents } from './event-bus.js';
 
 /**
  * Updates ship controls based on player input
@@ -16,142 +18,27 @@ import Config from '../config.js';
 export function updateShipControls(delta, inputState) {
     if (gameState.isAlienMode || gameState.isLoading) return;
     
-    // Calculate movement speed with improved acceleration and deceleration
-    const maxSpeed = gameState.maxSpeed;
-    const acceleration = 0.8 * delta; // Slightly reduced for more control
-    const deceleration = 1.5 * delta; // Increased for faster stopping
-    
-    // Apply boost if active and has fuel
-    const canBoost = gameState.boostFuel > 0 && inputState.boost;
-    gameState.isBoostActive = canBoost;
-    const speedMultiplier = gameState.isBoostActive ? gameState.boostMultiplier : 1;
-    
-    // Update boost mechanics
-    updateBoostMechanics(delta, inputState.boost);
-    
-    // Create movement vectors for all directions
-    const forwardVector = new THREE.Vector3(0, 0, -1).applyQuaternion(gameState.playerShip.quaternion);
-    const rightVector = new THREE.Vector3(1, 0, 0).applyQuaternion(gameState.playerShip.quaternion);
-    const upVector = new THREE.Vector3(0, 1, 0).applyQuaternion(gameState.playerShip.quaternion);
-    
     // Store current velocity vector if not yet initialized
     if (!gameState.currentVelocity) {
         gameState.currentVelocity = new THREE.Vector3(0, 0, 0);
     }
     
-    // Calculate desired movement direction from input
-    const moveDirection = new THREE.Vector3(0, 0, 0);
-    
-    if (inputState.moveForward) moveDirection.add(forwardVector);
-    if (inputState.moveBackward) moveDirection.sub(forwardVector);
-    if (inputState.moveRight) moveDirection.add(rightVector);
-    if (inputState.moveLeft) moveDirection.sub(rightVector);
-    if (inputState.moveUp) moveDirection.add(upVector);
-    
-    // Flag to determine if there's any directional input
-    const hasInput = moveDirection.length() > 0;
-    
-    if (hasInput) {
-        // Normalize direction
-        moveDirection.normalize();
-        
-        // Apply acceleration towards the desired direction
-        const targetVelocity = moveDirection.clone().multiplyScalar(maxSpeed * speedMultiplier);
-        
-        // Smoothly interpolate current velocity towards target velocity
-        gameState.currentVelocity.lerp(targetVelocity, acceleration);
-        
-        // Speed HUD shows magnitude of current velocity
-        gameState.speed = gameState.currentVelocity.length();
-    } else {
-        // No input - gradually decelerate to zero
-        if (gameState.currentVelocity.length() > 0) {
-            // Apply deceleration towards zero velocity
-            if (gameState.currentVelocity.length() < deceleration) {
-                // If very slow, just stop completely
-                gameState.currentVelocity.set(0, 0, 0);
-            } else {
-                // Apply deceleration in the opposite direction of movement
-                const decelerationVector = gameState.currentVelocity.clone().normalize().multiplyScalar(-deceleration);
-                gameState.currentVelocity.add(decelerationVector);
-            }
-            
-            // Update speed display
-            gameState.speed = gameState.currentVelocity.length();
+    // Evasive maneuvers, in flight only (the rules hold them back until they've cooled down)
+    if (!gameState.landedOnPlanet) {
+        if (inputState.dodgeLeft || inputState.dodgeRight) {
+            startDodge(gameState, inputState.dodgeRight ? 1 : -1);
+        }
+        if (inputState.deployCountermeasure) {
+            deployCountermeasure(gameState);
         }
     }
     
-    // Apply the current velocity to the ship position
-    gameState.playerShip.position.add(gameState.currentVelocity);
-    
-    // Use a better camera control system that prevents gimbal lock
-    // and ensures consistent up/down control
-    
-    // Track yaw and pitch separately rather than directly manipulating rotation
-    if (!gameState.shipOrientation) {
-        gameState.shipOrientation = {
-            yaw: 0,
-            pitch: 0
-        };
-    }
+    // Movement, boost fuel and orientation are game rules; the simulation applies them
+    updateShipPhysics(gameState, gameState.playerShip, inputState, delta);
     
-    // Only update if we have mouse input
-    if (typeof inputState.mouseX !== 'undefined' && typeof inputState.mouseY !== 'undefined') {
-        // Update orientation based on mouse movement
-        const lookSpeed = 0.07;
-        gameState.shipOrientation.yaw -= inputState.mouseX * lookSpeed;
-        gameState.shipOrientation.pitch += inputState.mouseY * lookSpeed;
-        
-        // Clamp pitch to prevent flipping
-        const pitchLimit = Math.PI / 2.5;
-        gameState.shipOrientation.pitch = Math.max(-pitchLimit, Math.min(pitchLimit, gameState.shipOrientation.pitch));
-        
-        // Apply rotations in the correct order using quaternions to avoid gimbal lock
-        // Reset rotation first
-        gameState.playerShip.rotation.set(0, 0, 0);
-        gameState.playerShip.quaternion.setFromEuler(new THREE.Euler(0, 0, 0));
-        
-        // Apply yaw (rotation around Y axis)
-        const yawQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), gameState.shipOrientation.yaw);
-        gameState.playerShip.quaternion.multiply(yawQuat);
-        
-        // Apply pitch (rotation around X axis)
-        const pitchQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), gameState.shipOrientation.pitch);
-        gameState.playerShip.quaternion.multiply(pitchQuat);
-        
-        // Add roll effect while turning (bank into turns)
-        if (Math.abs(inputState.mouseX) > 0.05) {
-            // Calculate roll based on turning rate and direction
-            const targetRoll = -inputState.mouseX * 0.5; // Max roll of 0.5 radians
-            
-            // Apply roll (rotation around Z axis)
-            const rollQuat = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), targetRoll);
-            gameState.playerShip.quaternion.multiply(rollQuat);
-        }
-    }
-}
-
-/**
- * Update boost mechanics for the ship
- * @param {number} delta - Time elapsed since last frame
- * @param {boolean} boostActive - Whether boost is active
- */
-function updateBoostMechanics(delta, boostActive) {
-    // Update boost fuel
-    if (gameState.isBoostActive && gameState.boostFuel > 0) {
-        // Drain fuel while boosting
-        gameState.boostFuel = Math.max(0, gameState.boostFuel - gameState.boostDrainRate * delta);
-        
-        // Create boost particles if not in alien mode
-        if (!gameState.isAlienMode && gameState.boostFuel > 0 && Math.random() > 0.5) {
-            createBoostParticle();
-        }
-    } else if (!gameState.isBoostActive && gameState.boostFuel < gameState.maxBoostFuel) {
-        // Recharge fuel when not boosting
-        gameState.boostFuel = Math.min(
-            gameState.maxBoostFuel, 
-            gameState.boostFuel + gameState.boostRechargeRate * delta
-        );
+    // Create boost particles while the boost is burning
+    if (gameState.isBoostActive && gameState.boostFuel > 0 && Math.random() > 0.5) {
+        createBoostParticle();
     }
 }
 
@@ -331,14 +218,8 @@ export function attemptLanding() {
                 // Show success message
                 showMessage("LANDING SUCCESSFUL", 2000);
                 
-                // Automatically enter alien mode after landing with a slight delay
-                setTimeout(() => {
-                    // Function to toggle alien mode would be called here
-                    // This is typically handled by a separate module
-                    import('./player.js').then(module => {
-                        module.toggleAlienMode();
-                    });
-                }, 500);
+                // The player module steps out as the alien
+                emit(GameEvents.SHIP_LANDED, { planet: gameState.landedOnPlanet });
             }
         }
         
@@ -0,0 +1,1054 @@
+/**
+ * Simulation Module
+ * The game rules, free of Three.js and the DOM so they can run headless
+ *
+ * Ship physics, boost fuel, upgrades, weapons, planet shields, damage, death
+ * and respawning, bomb countdowns and resource awards work on a plain state
+ * object (the GameState singleton in the browser, createPlayerState() in tests)
+ * and on anything with x/y/z (and w) fields, so Three.js vectors and
+ * quaternions can be passed straight in. Instead of touching the HUD or the
+ * scene the rules publish events on the event bus, which the renderer and UI
+ * subscribe to.
+ */
+
+import Config from '../config.js';
+import { emit, GameEvents } from './event-bus.js';
+
+// Upgrade tracks, in the order they are shown
+export const UPGRADE_TYPES = ['engine', 'shield', 'tractorBeam', 'bombCapacity', 'boost', 'weapons', 'countermeasures'];
+
+// Resource multipliers by planet type (mirrors server/anti-cheat.js)
+const PLANET_RESOURCE_MULTIPLIERS = {
+    Crystalline: 2,
+    Molten: 1.5,
+    Oceanic: 1.25
+};
+
+// Ship handling
+const ACCELERATION = 0.8; // Share of the way to the target velocity per second
+const DECELERATION = 1.5; // Speed lost per second without input
+const LOOK_SPEED = 0.07;
+const PITCH_LIMIT = Math.PI / 2.5;
+const MAX_ROLL = 0.5; // Radians of bank at full turn rate
+
+const BASE_SHIELDS = 100;
+
+// How close a shot has to pass to a turret, missile launcher or shield generator to hit it
+const EMPLACEMENT_HIT_RADIUS = 5;
+
+// Score for knocking out planetary defenses
+const DEFENSE_SCORES = {
+    turret: 50,
+    missileLauncher: 100,
+    shieldGenerator: 150
+};
+
+// Bombs this big go straight through planet shields
+const SHIELD_PENETRATING_BOMB_SIZE = 3;
+
+const FORWARD = { x: 0, y: 0, z: -1 };
+const RIGHT = { x: 1, y: 0, z: 0 };
+const UP = { x: 0, y: 1, z: 0 };
+
+/**
+ * Fresh upgrade levels and costs
+ */
+export function createUpgrades() {
+    return {
+        // Engine upgrades
+        engineLevel: 0,
+        maxEngineLevel: 5,
+        engineUpgradeCost: 50,
+
+        // Shield upgrades
+        shieldLevel: 0,
+        maxShieldLevel: 5,
+        shieldUpgradeCost: 60,
+
+        // Tractor beam upgrades
+        tractorBeamLevel: 0,
+        maxTractorBeamLevel: 5,
+        tractorBeamUpgradeCost: 40,
+
+        // Bomb upgrades
+        bombCapacityLevel: 0,
+        maxBombCapacityLevel: 5,
+        bombCapacityUpgradeCost: 70,
+
+        // Boost upgrades
+        boostLevel: 0,
+        maxBoostLevel: 5,
+        boostUpgradeCost: 55,
+
+        // Weapon upgrades
+        weaponsLevel: 0,
+        maxWeaponsLevel: 5,
+        weaponsUpgradeCost: 65,
+
+        // Countermeasure upgrades
+        countermeasuresLevel: 0,
+        maxCountermeasuresLevel: 5,
+        countermeasuresUpgradeCost: 45,
+
+        // Flag to show the upgrade UI
+        isUpgradeUIVisible: false
+    };
+}
+
+/**
+ * Weapon cooldowns, torpedo stock and countermeasures
+ */
+export function createWeapons() {
+    return {
+        laserCooldown: 0,
+        torpedoCooldown: 0,
+        torpedoesRemaining: Config.weapons.torpedo.startingCount,
+        torpedoReload: 0, // Seconds spent building the next torpedo
+        countermeasureCooldown: 0,
+        countermeasuresRemaining: Config.countermeasures.startingCount,
+        countermeasureReload: 0
+    };
+}
+
+/**
+ * Dodge roll state: how long the current roll has left, and until the next one
+ */
+export function createDodge() {
+    return {
+        timer: 0,
+        cooldown: 0,
+        direction: 0 // 1 rolls right, -1 left
+    };
+}
+
+/**
+ * Stats for the current life, shown on the game over screen
+ * @param {number} now - Current time in ms
+ */
+export function createRun(now = Date.now()) {
+    return {
+        startedAt: now,
+        score: 0,
+        planetsDestroyed: 0,
+        resourcesCollected: 0
+    };
+}
+
+/**
+ * A player's state with just what the rules need, for running them headless
+ */
+export function createPlayerState(now = Date.now()) {
+    return {
+        shields: BASE_SHIELDS,
+        speed: 0,
+        maxSpeed: Config.player.maxSpeed,
+        boostMultiplier: Config.player.boostMultiplier,
+        isBoostActive: false,
+        boostFuel: Config.player.maxBoostFuel,
+        maxBoostFuel: Config.player.maxBoostFuel,
+        boostRechargeRate: Config.player.boostRechargeRate,
+        boostDrainRate: Config.player.boostDrainRate,
+        currentVelocity: { x: 0, y: 0, z: 0 },
+        shipOrientation: { yaw: 0, pitch: 0 },
+        bombsRemaining: Config.bombs.startingCount,
+        bombs: [],
+        planets: [],
+        planetsDestroyed: 0,
+        resourcesCollected: 0,
+        score: 0,
+        isDead: false,
+        run: createRun(now),
+        weapons: createWeapons(),
+        dodge: createDodge(),
+        upgrades: createUpgrades()
+    };
+}
+
+// Quaternion helpers (same conventions as THREE.Quaternion)
+
+function quaternionFromAxisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return { x: axis.x * s, y: axis.y * s, z: axis.z * s, w: Math.cos(angle / 2) };
+}
+
+function multiplyQuaternions(a, b) {
+    return {
+        x: a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+        y: a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+        z: a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+        w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+    };
+}
+
+function rotateVector(v, q) {
+    const ix = q.w * v.x + q.y * v.z - q.z * v.y;
+    const iy = q.w * v.y + q.z * v.x - q.x * v.z;
+    const iz = q.w * v.z + q.x * v.y - q.y * v.x;
+    const iw = -q.x * v.x - q.y * v.y - q.z * v.z;
+
+    return {
+        x: ix * q.w + iw * -q.x + iy * -q.z - iz * -q.y,
+        y: iy * q.w + iw * -q.y + iz * -q.x - ix * -q.z,
+        z: iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x
+    };
+}
+
+function vectorLength(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+/**
+ * Move and turn the ship for one frame
+ * @param {Object} state - Player state (speed, boost, velocity and orientation fields)
+ * @param {Object} ship - Anything with a position {x, y, z} and quaternion {x, y, z, w}
+ * @param {Object} input - Current input state
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updateShipPhysics(state, ship, input, delta) {
+    const maxSpeed = state.maxSpeed;
+    const acceleration = ACCELERATION * delta;
+    const deceleration = DECELERATION * delta;
+
+    // Apply boost if active and has fuel
+    state.isBoostActive = state.boostFuel > 0 && !!input.boost;
+    const speedMultiplier = state.isBoostActive ? state.boostMultiplier : 1;
+
+    updateBoostFuel(state, delta);
+
+    // Movement directions relative to where the ship is facing
+    const forward = rotateVector(FORWARD, ship.quaternion);
+    const right = rotateVector(RIGHT, ship.quaternion);
+    const up = rotateVector(UP, ship.quaternion);
+
+    if (!state.currentVelocity) {
+        state.currentVelocity = { x: 0, y: 0, z: 0 };
+    }
+    const velocity = state.currentVelocity;
+
+    // Desired movement direction from input
+    const direction = { x: 0, y: 0, z: 0 };
+    const addDirection = (vector, sign) => {
+        direction.x += vector.x * sign;
+        direction.y += vector.y * sign;
+        direction.z += vector.z * sign;
+    };
+    if (input.moveForward) addDirection(forward, 1);
+    if (input.moveBackward) addDirection(forward, -1);
+    if (input.moveRight) addDirection(right, 1);
+    if (input.moveLeft) addDirection(right, -1);
+    if (input.moveUp) addDirection(up, 1);
+
+    const directionLength = vectorLength(direction);
+
+    if (directionLength > 0) {
+        // Ease the velocity toward full speed in the desired direction
+        const targetSpeed = maxSpeed * speedMultiplier / directionLength;
+        velocity.x += (direction.x * targetSpeed - velocity.x) * acceleration;
+        velocity.y += (direction.y * targetSpeed - velocity.y) * acceleration;
+        velocity.z += (direction.z * targetSpeed - velocity.z) * acceleration;
+
+        state.speed = vectorLength(velocity);
+    } else {
+        const speed = vectorLength(velocity);
+
+        // No input - gradually decelerate to zero
+        if (speed > 0) {
+            if (speed < deceleration) {
+                velocity.x = 0;
+                velocity.y = 0;
+                velocity.z = 0;
+            } else {
+                const scale = (speed - deceleration) / speed;
+                velocity.x *= scale;
+                velocity.y *= scale;
+                velocity.z *= scale;
+            }
+
+            state.speed = vectorLength(velocity);
+        }
+    }
+
+    ship.position.x += velocity.x;
+    ship.position.y += velocity.y;
+    ship.position.z += velocity.z;
+
+    updateDodge(state, ship, delta);
+
+    // Yaw and pitch are tracked separately so up/down control stays consistent
+    if (typeof input.mouseX !== 'undefined' && typeof input.mouseY !== 'undefined') {
+        const orientation = state.shipOrientation;
+        orientation.yaw -= input.mouseX * LOOK_SPEED;
+        orientation.pitch += input.mouseY * LOOK_SPEED;
+
+        // Clamp pitch to prevent flipping
+        orientation.pitch = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, orientation.pitch));
+
+        let rotation = multiplyQuaternions(
+            quaternionFromAxisAngle(UP, orientation.yaw),
+            quaternionFromAxisAngle(RIGHT, orientation.pitch)
+        );
+
+        // Bank into turns
+        if (Math.abs(input.mouseX) > 0.05) {
+            rotation = multiplyQuaternions(rotation, quaternionFromAxisAngle({ x: 0, y: 0, z: 1 }, -input.mouseX * MAX_ROLL));
+        }
+
+        // One full barrel roll over the course of a dodge
+        if (state.dodge && state.dodge.timer > 0) {
+            const progress = 1 - state.dodge.timer / Config.dodge.duration;
+            const rollAngle = -state.dodge.direction * Math.PI * 2 * progress;
+            rotation = multiplyQuaternions(rotation, quaternionFromAxisAngle({ x: 0, y: 0, z: 1 }, rollAngle));
+        }
+
+        ship.quaternion.x = rotation.x;
+        ship.quaternion.y = rotation.y;
+        ship.quaternion.z = rotation.z;
+        ship.quaternion.w = rotation.w;
+    }
+}
+
+/**
+ * Start a dodge roll to one side if the last one has cooled down and there's
+ * the boost fuel for it, publishing shipDodged
+ * @param {Object} state - Player state
+ * @param {number} direction - 1 to roll right, -1 to roll left
+ * @returns {boolean} True if the ship started rolling
+ */
+export function startDodge(state, direction) {
+    const dodge = state.dodge;
+    const settings = Config.dodge;
+    if (dodge.timer > 0 || dodge.cooldown > 0 || state.boostFuel < settings.fuelCost) return false;
+    
+    state.boostFuel -= settings.fuelCost;
+    dodge.timer = settings.duration;
+    dodge.cooldown = settings.cooldown;
+    dodge.direction = Math.sign(direction);
+    
+    emit(GameEvents.SHIP_DODGED, { direction: dodge.direction });
+    return true;
+}
+
+// Slide the ship sideways while it rolls
+function updateDodge(state, ship, delta) {
+    const dodge = state.dodge;
+    if (!dodge) return;
+    
+    dodge.cooldown = Math.max(0, dodge.cooldown - delta);
+    if (dodge.timer <= 0) return;
+    
+    const step = Math.min(delta, dodge.timer);
+    dodge.timer -= step;
+    
+    // Slide along the heading's right, not the ship's, which spins with the roll
+    const right = rotateVector(RIGHT, quaternionFromAxisAngle(UP, state.shipOrientation.yaw));
+    const distance = Config.dodge.distance * (step / Config.dodge.duration) * dodge.direction;
+    ship.position.x += right.x * distance;
+    ship.position.y += right.y * distance;
+    ship.position.z += right.z * distance;
+}
+
+/**
+ * Drain boost fuel while boosting, recharge it otherwise
+ * @param {Object} state - Player state
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updateBoostFuel(state, delta) {
+    if (state.isBoostActive && state.boostFuel > 0) {
+        state.boostFuel = Math.max(0, state.boostFuel - state.boostDrainRate * delta);
+    } else if (!state.isBoostActive && state.boostFuel < state.maxBoostFuel) {
+        state.boostFuel = Math.min(state.maxBoostFuel, state.boostFuel + state.boostRechargeRate * delta);
+    }
+}
+
+// Get the cost of the next level of an upgrade
+export function getUpgradeCost(state, upgradeType) {
+    const upgrades = state.upgrades;
+    const level = upgrades[`${upgradeType}Level`];
+    const baseCost = upgrades[`${upgradeType}UpgradeCost`];
+
+    // Each level costs 50% more than the previous
+    return Math.round(baseCost * Math.pow(1.5, level));
+}
+
+// Check if an upgrade is available and affordable
+export function canUpgrade(state, upgradeType) {
+    if (!UPGRADE_TYPES.includes(upgradeType)) return false;
+
+    const upgrades = state.upgrades;
+    const maxLevel = upgrades[`max${upgradeType.charAt(0).toUpperCase()}${upgradeType.slice(1)}Level`];
+
+    return upgrades[`${upgradeType}Level`] < maxLevel &&
+           state.resourcesCollected >= getUpgradeCost(state, upgradeType);
+}
+
+// Buy the next level of an upgrade; false if it isn't available or affordable
+export function applyUpgrade(state, upgradeType) {
+    if (!canUpgrade(state, upgradeType)) return false;
+
+    const cost = getUpgradeCost(state, upgradeType);
+    state.resourcesCollected -= cost;
+
+    const upgrades = state.upgrades;
+    upgrades[`${upgradeType}Level`]++;
+
+    switch (upgradeType) {
+        case 'shield':
+            // Shields are topped up to the new maximum
+            state.shields = getMaxShields(state);
+            break;
+
+        case 'bombCapacity':
+            // One more bomb now, and one more per level from now on
+            state.bombsRemaining += 1;
+            Config.bombs.startingCount = 3 + upgrades.bombCapacityLevel;
+            break;
+
+        case 'boost':
+            applyBoostUpgrade(state);
+            state.boostFuel = state.maxBoostFuel; // Refill boost
+            break;
+
+        case 'engine':
+            applyEngineUpgrade(state);
+            break;
+
+        case 'weapons':
+            // One more torpedo now, and room for one more from now on
+            state.weapons.torpedoesRemaining += 1;
+            break;
+
+        case 'countermeasures':
+            state.weapons.countermeasuresRemaining += 1;
+            break;
+
+        // Tractor beam enhancements are read through getTractorBeamRange/Strength,
+        // weapon damage through getWeaponDamage
+    }
+
+    emit(GameEvents.UPGRADE_PURCHASED, { type: upgradeType, level: upgrades[`${upgradeType}Level`], cost });
+    return true;
+}
+
+// Increase max speed by 20% per engine level
+function applyEngineUpgrade(state) {
+    state.maxSpeed = Config.player.maxSpeed * (1 + 0.2 * state.upgrades.engineLevel);
+}
+
+// More fuel (30% per level) that recharges faster (20% per level)
+function applyBoostUpgrade(state) {
+    const boostLevel = state.upgrades.boostLevel;
+    state.maxBoostFuel = Config.player.maxBoostFuel * (1 + 0.3 * boostLevel);
+    state.boostRechargeRate = Config.player.boostRechargeRate * (1 + 0.2 * boostLevel);
+}
+
+// Reapply the stat bonuses of the current upgrade levels (e.g. after loading a save)
+export function refreshUpgradeEffects(state) {
+    applyEngineUpgrade(state);
+    applyBoostUpgrade(state);
+    state.shields = getMaxShields(state);
+    state.boostFuel = state.maxBoostFuel;
+    Config.bombs.startingCount = 3 + state.upgrades.bombCapacityLevel;
+}
+
+// Full shields, 25% more per shield level
+export function getMaxShields(state) {
+    return BASE_SHIELDS * (1 + 0.25 * state.upgrades.shieldLevel);
+}
+
+// Tractor beam range based on upgrade level
+export function getTractorBeamRange(state) {
+    const baseRange = 100;
+    return baseRange * (1 + 0.3 * state.upgrades.tractorBeamLevel);
+}
+
+// Tractor beam pull strength based on upgrade level
+export function getTractorBeamStrength(state) {
+    const baseStrength = 30;
+    return baseStrength * (1 + 0.25 * state.upgrades.tractorBeamLevel);
+}
+
+// Damage of a laser or torpedo hit, 20% more per weapons level
+export function getWeaponDamage(state, weapon) {
+    return Config.weapons[weapon].damage * (1 + 0.2 * state.upgrades.weaponsLevel);
+}
+
+// Torpedoes the ship can carry, one more per weapons level
+export function getTorpedoCapacity(state) {
+    return Config.weapons.torpedo.startingCount + state.upgrades.weaponsLevel;
+}
+
+/**
+ * Fire a weapon if it is ready (and, for torpedoes, one is left)
+ * @param {Object} state - Player state
+ * @param {string} weapon - 'laser' or 'torpedo'
+ * @returns {Object|null} The shot {weapon, damage, speed, life, blastRadius}, or null if it didn't fire
+ */
+export function fireWeapon(state, weapon) {
+    const config = Config.weapons[weapon];
+    if (!config) return null;
+    
+    const weapons = state.weapons;
+    if (weapons[`${weapon}Cooldown`] > 0) return null;
+    
+    if (weapon === 'torpedo') {
+        if (weapons.torpedoesRemaining <= 0) return null;
+        weapons.torpedoesRemaining--;
+    }
+    
+    weapons[`${weapon}Cooldown`] = config.cooldown;
+    
+    return {
+        weapon,
+        damage: getWeaponDamage(state, weapon),
+        speed: config.speed,
+        life: config.life,
+        blastRadius: config.blastRadius || 0
+    };
+}
+
+// Countermeasures the ship can carry, one more per countermeasures level
+export function getCountermeasureCapacity(state) {
+    return Config.countermeasures.startingCount + state.upgrades.countermeasuresLevel;
+}
+
+/**
+ * Launch countermeasures if they're ready and any are left, publishing
+ * countermeasuresDeployed so the defenses can lure their missiles away
+ * @param {Object} state - Player state
+ * @returns {boolean} True if countermeasures were launched
+ */
+export function deployCountermeasure(state) {
+    const weapons = state.weapons;
+    if (weapons.countermeasureCooldown > 0 || weapons.countermeasuresRemaining <= 0) return false;
+    
+    weapons.countermeasuresRemaining--;
+    weapons.countermeasureCooldown = Config.countermeasures.cooldown;
+    
+    emit(GameEvents.COUNTERMEASURES_DEPLOYED, { remaining: weapons.countermeasuresRemaining });
+    return true;
+}
+
+// Build up one of the ship's stocks (e.g. torpedoes) to capacity
+function restock(weapons, countField, reloadField, capacity, reloadTime, delta) {
+    if (weapons[countField] >= capacity) {
+        weapons[reloadField] = 0;
+        return;
+    }
+    
+    weapons[reloadField] += delta;
+    if (weapons[reloadField] >= reloadTime) {
+        weapons[reloadField] = 0;
+        weapons[countField]++;
+    }
+}
+
+/**
+ * Cool the weapons down and build torpedoes and countermeasures up to capacity
+ * @param {Object} state - Player state
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updateWeaponSystems(state, delta) {
+    const weapons = state.weapons;
+    weapons.laserCooldown = Math.max(0, weapons.laserCooldown - delta);
+    weapons.torpedoCooldown = Math.max(0, weapons.torpedoCooldown - delta);
+    weapons.countermeasureCooldown = Math.max(0, weapons.countermeasureCooldown - delta);
+    
+    restock(weapons, 'torpedoesRemaining', 'torpedoReload',
+        getTorpedoCapacity(state), Config.weapons.torpedo.reloadTime, delta);
+    restock(weapons, 'countermeasuresRemaining', 'countermeasureReload',
+        getCountermeasureCapacity(state), Config.countermeasures.reloadTime, delta);
+}
+
+function distanceBetween(a, b) {
+    return vectorLength({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+}
+
+// How far along the segment from `from` to `to` (0-1) it first touches a
+// sphere, or null if it misses
+function segmentSphereHit(from, to, center, radius) {
+    const d = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+    const f = { x: from.x - center.x, y: from.y - center.y, z: from.z - center.z };
+    
+    const c = f.x * f.x + f.y * f.y + f.z * f.z - radius * radius;
+    if (c <= 0) return 0; // Starts inside
+    
+    const a = d.x * d.x + d.y * d.y + d.z * d.z;
+    const b = 2 * (f.x * d.x + f.y * d.y + f.z * d.z);
+    const discriminant = b * b - 4 * a * c;
+    if (a === 0 || discriminant < 0) return null;
+    
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+// Damage a turret, missile launcher or shield generator, knocking it out when its health runs out
+function damageEmplacement(state, planet, kind, emplacement, damage) {
+    emplacement.health -= damage;
+    if (emplacement.health > 0) return;
+    
+    const defenses = planet.defenseSystems;
+    if (kind === 'shieldGenerator') {
+        // Without its generator the shield never comes back up
+        if (defenses.shieldGenerator !== emplacement) return;
+        defenses.shieldGenerator = null;
+    } else {
+        const emplacements = kind === 'turret' ? defenses.turretPositions : defenses.missilePositions;
+        const index = emplacements.indexOf(emplacement);
+        if (index === -1) return;
+        
+        emplacements.splice(index, 1);
+        if (kind === 'turret') {
+            defenses.hasTurrets = emplacements.length > 0;
+        } else {
+            defenses.hasMissiles = emplacements.length > 0;
+        }
+    }
+    
+    const points = DEFENSE_SCORES[kind];
+    addScore(state, points);
+    
+    emit(GameEvents.DEFENSE_DESTROYED, { planet, kind, position: emplacement, points });
+}
+
+/**
+ * Defense difficulty tier at a point in space. It rises every few sectors
+ * out from the origin (counting the sector furthest along any axis).
+ * @param {Object} position - Point in space, e.g. a planet's position
+ * @param {number} [difficulty] - Tiers added on top, negative for an easier game
+ * @returns {Object} The tier's settings from Config.defenses.tiers, with its
+ *   index as `level`
+ */
+export function getDefenseTier(position, difficulty = Config.defenses.difficulty) {
+    const sectorSize = Config.universe.sectorSize;
+    const sectorDistance = Math.max(
+        Math.abs(Math.floor(position.x / sectorSize)),
+        Math.abs(Math.floor(position.y / sectorSize)),
+        Math.abs(Math.floor(position.z / sectorSize))
+    );
+    
+    const tiers = Config.defenses.tiers;
+    const level = Math.floor(sectorDistance / Config.defenses.sectorsPerTier) + difficulty;
+    const clampedLevel = Math.max(0, Math.min(tiers.length - 1, level));
+    
+    return { ...tiers[clampedLevel], level: clampedLevel };
+}
+
+/**
+ * Damage a planet's shield, bringing it down when its health runs out.
+ * Regeneration waits for a pause in the damage.
+ * @param {Object} planet - Planet with an active shield
+ * @param {number} damage - Shield health to take off
+ * @returns {boolean} True if the shield went down
+ */
+export function damagePlanetShield(planet, damage) {
+    const defenses = planet.defenseSystems;
+    const settings = Config.planetShields;
+    
+    defenses.shieldHealth = Math.max(0, defenses.shieldHealth - damage);
+    defenses.shieldRegenDelay = settings.regenDelay;
+    
+    if (defenses.shieldHealth > 0) return false;
+    
+    defenses.shieldActive = false;
+    defenses.shieldRebootTimer = settings.rebootTime;
+    emit(GameEvents.PLANET_SHIELD_DOWN, { planet });
+    return true;
+}
+
+/**
+ * Regenerate planet shields after a pause in the damage, and reboot shields
+ * that went down once their timeout runs out, unless the generator is gone
+ * @param {Object} state - Player state with the planets
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updatePlanetShields(state, delta) {
+    const settings = Config.planetShields;
+    
+    state.planets.forEach(planet => {
+        if (planet.isDestroyed || !planet.hasDefenses || !planet.defenseSystems.hasShield) return;
+        
+        const defenses = planet.defenseSystems;
+        
+        if (defenses.shieldActive) {
+            if (defenses.shieldRegenDelay > 0) {
+                defenses.shieldRegenDelay -= delta;
+            } else {
+                defenses.shieldHealth = Math.min(
+                    defenses.maxShieldHealth,
+                    defenses.shieldHealth + settings.regenRate * delta
+                );
+            }
+        } else if (defenses.shieldGenerator) {
+            defenses.shieldRebootTimer -= delta;
+            
+            if (defenses.shieldRebootTimer <= 0) {
+                defenses.shieldActive = true;
+                defenses.shieldHealth = defenses.maxShieldHealth;
+                defenses.shieldRegenDelay = 0;
+                emit(GameEvents.PLANET_SHIELD_RESTORED, { planet });
+            }
+        }
+    });
+}
+
+/**
+ * Whether a bomb of this size would get through a planet's shield
+ * @param {Object} planet - Planet the bomb is on
+ * @param {number} bombSize - Bomb size (1-3)
+ * @returns {boolean} True if there is no active shield or the bomb is big enough
+ */
+export function canBombPenetrate(planet, bombSize) {
+    if (!planet.hasDefenses || !planet.defenseSystems.hasShield) return true;
+    if (!planet.defenseSystems.shieldActive) return true;
+    
+    return bombSize >= SHIELD_PENETRATING_BOMB_SIZE;
+}
+
+/**
+ * Check whether the multiplayer server will take a bomb. It doesn't see weapon
+ * fire wear shields down, so a shielded planet needs a bomb that gets through
+ * even a shield at full strength.
+ * @param {Object} planet - Planet to bomb
+ * @param {number} bombSize - Bomb size (1-3)
+ * @returns {boolean} True if the server will accept the bomb
+ */
+export function serverAcceptsBomb(planet, bombSize) {
+    if (!planet.hasDefenses || !planet.defenseSystems.hasShield) return true;
+    
+    return bombSize >= SHIELD_PENETRATING_BOMB_SIZE;
+}
+
+/**
+ * Let a planet's shield take a bomb going off on it. Smaller bombs only
+ * damage an active shield and the planet survives; the biggest bombs bring
+ * the shield down and go through.
+ * @param {Object} planet - Planet with the bomb
+ * @param {number} bombSize - Bomb size (1-3)
+ * @returns {boolean} True if the shield held and the planet survives
+ */
+export function shieldAbsorbsBomb(planet, bombSize) {
+    if (!planet.hasDefenses || !planet.defenseSystems.hasShield || !planet.defenseSystems.shieldActive) {
+        return false;
+    }
+    
+    if (canBombPenetrate(planet, bombSize)) {
+        damagePlanetShield(planet, planet.defenseSystems.shieldHealth);
+        return false;
+    }
+    
+    const damage = Config.planetShields.bombDamage * bombSize;
+    planet.hasBomb = false;
+    planet.bombCountdown = 0;
+    
+    emit(GameEvents.BOMB_ABSORBED, { planet, damage });
+    damagePlanetShield(planet, damage);
+    return true;
+}
+
+/**
+ * Check one frame of a shot's flight against a planet: an active shield
+ * stops it and loses health, otherwise it hits the first turret, missile
+ * launcher or shield generator in its way, or the planet itself. A torpedo's
+ * blast also hits every emplacement near the impact.
+ * @param {Object} state - Player state
+ * @param {Object} planet - Planet the shot is near
+ * @param {Object} from - Where the shot was last frame, relative to the planet's center
+ * @param {Object} to - Where the shot is now, relative to the planet's center
+ * @param {number} damage - Damage of the shot
+ * @param {number} [blastRadius] - Radius of the torpedo blast
+ * @returns {Object|null} The hit {target, point} (target is 'shield', 'turret',
+ *   'missileLauncher', 'shieldGenerator' or 'planet', point is relative to the planet),
+ *   or null for a miss
+ */
+export function resolveShot(state, planet, from, to, damage, blastRadius = 0) {
+    const defenses = planet.hasDefenses ? planet.defenseSystems : null;
+    const center = { x: 0, y: 0, z: 0 };
+    
+    // Nearest thing along the shot's path
+    let hit = null;
+    const consider = (t, target, emplacement = null) => {
+        if (t !== null && (!hit || t < hit.t)) {
+            hit = { t, target, emplacement };
+        }
+    };
+    
+    if (defenses && defenses.hasShield && defenses.shieldActive) {
+        consider(segmentSphereHit(from, to, center, planet.size * 1.2), 'shield');
+    } else {
+        if (defenses) {
+            defenses.turretPositions.forEach(turret => {
+                consider(segmentSphereHit(from, to, turret, EMPLACEMENT_HIT_RADIUS), 'turret', turret);
+            });
+            defenses.missilePositions.forEach(launcher => {
+                consider(segmentSphereHit(from, to, launcher, EMPLACEMENT_HIT_RADIUS), 'missileLauncher', launcher);
+            });
+            if (defenses.shieldGenerator) {
+                const generator = defenses.shieldGenerator;
+                consider(segmentSphereHit(from, to, generator, EMPLACEMENT_HIT_RADIUS), 'shieldGenerator', generator);
+            }
+        }
+        consider(segmentSphereHit(from, to, center, planet.size), 'planet');
+    }
+    
+    if (!hit) return null;
+    
+    const point = {
+        x: from.x + (to.x - from.x) * hit.t,
+        y: from.y + (to.y - from.y) * hit.t,
+        z: from.z + (to.z - from.z) * hit.t
+    };
+    
+    if (hit.target === 'shield') {
+        damagePlanetShield(planet, damage);
+        return { target: hit.target, point };
+    }
+    
+    if (defenses) {
+        // The one that was hit, and with a torpedo everything near it. filter()
+        // copies the lists, since knocked out emplacements are removed from them.
+        const isHit = emplacement => emplacement === hit.emplacement ||
+            (blastRadius > 0 && distanceBetween(point, emplacement) <= blastRadius);
+        
+        defenses.turretPositions.filter(isHit).forEach(turret => {
+            damageEmplacement(state, planet, 'turret', turret, damage);
+        });
+        defenses.missilePositions.filter(isHit).forEach(launcher => {
+            damageEmplacement(state, planet, 'missileLauncher', launcher, damage);
+        });
+        if (defenses.shieldGenerator && isHit(defenses.shieldGenerator)) {
+            damageEmplacement(state, planet, 'shieldGenerator', defenses.shieldGenerator, damage);
+        }
+    }
+    
+    return { target: hit.target, point };
+}
+
+/**
+ * Damage the ship's shields, destroying it when they run out
+ * @param {Object} state - Player state
+ * @param {number} amount - Damage before shield upgrades
+ * @param {string} [source] - What hit the ship, e.g. "MISSILE IMPACT"
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if the shields are depleted
+ */
+export function takeDamage(state, amount, source = null, now = Date.now()) {
+    // A wreck can't be hit again
+    if (state.isDead) return false;
+    
+    // Reduce damage based on shield level (10% reduction per level)
+    const damage = amount * (1 - 0.1 * state.upgrades.shieldLevel);
+    state.shields = Math.max(0, state.shields - damage);
+
+    const shieldsDepleted = state.shields <= 0;
+    emit(GameEvents.DAMAGE_TAKEN, { amount, damage, source, shields: state.shields, shieldsDepleted });
+    
+    if (shieldsDepleted) {
+        killPlayer(state, source, now);
+    }
+    return shieldsDepleted;
+}
+
+// What the current life has earned so far
+export function getRunStats(state, now = Date.now()) {
+    const run = state.run;
+    return {
+        time: Math.max(0, now - run.startedAt), // ms
+        score: run.score,
+        planetsDestroyed: run.planetsDestroyed,
+        resourcesCollected: run.resourcesCollected
+    };
+}
+
+/**
+ * Destroy the ship: stop it, take the death penalty and publish playerDied
+ * @param {Object} state - Player state
+ * @param {string} [cause] - What destroyed the ship
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} False if the ship was already destroyed
+ */
+export function killPlayer(state, cause = null, now = Date.now()) {
+    if (state.isDead) return false;
+    
+    state.isDead = true;
+    state.shields = 0;
+    state.speed = 0;
+    state.isBoostActive = false;
+    if (state.currentVelocity) {
+        state.currentVelocity.x = 0;
+        state.currentVelocity.y = 0;
+        state.currentVelocity.z = 0;
+    }
+    
+    // Lose a share of what was carried (rounded down, so small amounts survive)
+    const penalty = {
+        resources: Math.floor(state.resourcesCollected * Config.death.resourceLoss),
+        bombs: Math.floor(state.bombsRemaining * Config.death.bombLoss)
+    };
+    state.resourcesCollected -= penalty.resources;
+    state.bombsRemaining -= penalty.bombs;
+    
+    emit(GameEvents.PLAYER_DIED, { cause, stats: getRunStats(state, now), penalty });
+    return true;
+}
+
+/**
+ * Where a destroyed ship comes back: the spawn point, or the middle of a
+ * sector the player visited (the spawn point for the home sector)
+ * @param {string|null} sectorKey - "SEC-x:y:z", or null for the spawn point
+ * @param {number} sectorSize - Width of a sector
+ * @returns {Object} Position {x, y, z}
+ */
+export function getRespawnPosition(sectorKey, sectorSize) {
+    const coords = sectorKey ? sectorKey.slice(4).split(':').map(Number) : null;
+    if (!coords || coords.length !== 3 || coords.some(isNaN) || coords.every(coord => coord === 0)) {
+        return { ...Config.player.startPosition };
+    }
+    
+    // Sector keys come from floor(position / sectorSize) (see updatePlayerSector)
+    const [x, y, z] = coords;
+    return {
+        x: (x + 0.5) * sectorSize,
+        y: (y + 0.5) * sectorSize,
+        z: (z + 0.5) * sectorSize
+    };
+}
+
+/**
+ * Bring a destroyed ship back with full shields and boost, starting a new run
+ * @param {Object} state - Player state
+ * @param {Object} ship - Anything with a position {x, y, z} and quaternion {x, y, z, w}
+ * @param {string|null} sectorKey - Sector to respawn in, or null for the spawn point
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} False if the ship wasn't destroyed
+ */
+export function respawnPlayer(state, ship, sectorKey = null, now = Date.now()) {
+    if (!state.isDead) return false;
+    
+    const position = getRespawnPosition(sectorKey, Config.universe.sectorSize);
+    ship.position.x = position.x;
+    ship.position.y = position.y;
+    ship.position.z = position.z;
+    ship.quaternion.x = 0;
+    ship.quaternion.y = 0;
+    ship.quaternion.z = 0;
+    ship.quaternion.w = 1;
+    
+    state.shipOrientation.yaw = 0;
+    state.shipOrientation.pitch = 0;
+    state.shields = getMaxShields(state);
+    state.boostFuel = state.maxBoostFuel;
+    state.isDead = false;
+    state.run = createRun(now);
+    
+    emit(GameEvents.PLAYER_RESPAWNED, { position });
+    return true;
+}
+
+export function addScore(state, points) {
+    state.score += points;
+    state.run.score += points;
+    emit(GameEvents.SCORE_CHANGED, { points, score: state.score });
+}
+
+// Resources picked up (e.g. debris pulled in by the tractor beam), worth 10 points each
+export function collectResources(state, amount) {
+    const points = amount * 10;
+    state.resourcesCollected += amount;
+    state.run.resourcesCollected += amount;
+    addScore(state, points);
+
+    emit(GameEvents.RESOURCE_COLLECTED, { amount, points, total: state.resourcesCollected });
+}
+
+// Resources for destroying a planet, based on its size and type
+export function getPlanetResourceYield(planet) {
+    const baseResources = Math.floor(planet.size / 2);
+    return Math.floor(baseResources * (PLANET_RESOURCE_MULTIPLIERS[planet.type] || 1));
+}
+
+function markPlanetDestroyed(state, planet) {
+    planet.isDestroyed = true;
+    if (state.planetsManager) {
+        state.planetsManager.destroyedPlanets.add(planet.id);
+    }
+}
+
+/**
+ * Destroy a planet, awarding resources and score for it
+ * @param {Object} state - Player state
+ * @param {Object} planet - Planet to destroy
+ * @param {boolean} awardRewards - False when another player's bomb destroyed it
+ * @returns {boolean} False if the planet was already destroyed
+ */
+export function destroyPlanet(state, planet, awardRewards = true) {
+    if (planet.isDestroyed) return false;
+
+    markPlanetDestroyed(state, planet);
+
+    // Defenses go down with the planet
+    planet.hasDefenses = false;
+
+    let resources = 0;
+    if (awardRewards) {
+        resources = getPlanetResourceYield(planet);
+        state.resourcesCollected += resources;
+        state.planetsDestroyed++;
+        state.run.resourcesCollected += resources;
+        state.run.planetsDestroyed++;
+        addScore(state, planet.size * 10);
+    }
+
+    emit(GameEvents.PLANET_DESTROYED, { planet, awarded: awardRewards, resources });
+    return true;
+}
+
+// A planet's own bomb countdown ran out: score only, the debris holds the resources
+function explodePlanet(state, planet) {
+    markPlanetDestroyed(state, planet);
+    state.planetsDestroyed++;
+    state.run.planetsDestroyed++;
+
+    const points = Math.floor(planet.size * 10);
+    addScore(state, points);
+
+    emit(GameEvents.PLANET_EXPLODED, { planet, points });
+}
+
+/**
+ * Count down placed bombs, publishing bombExploded for (and removing) each one that goes off
+ * @param {Array} bombs - Bombs with countdown and isActive fields
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updateBombs(bombs, delta) {
+    // Loop in reverse to safely remove items
+    for (let i = bombs.length - 1; i >= 0; i--) {
+        const bomb = bombs[i];
+        if (!bomb.isActive) continue;
+
+        bomb.countdown -= delta;
+
+        if (bomb.countdown <= 0) {
+            bomb.isActive = false;
+            bombs.splice(i, 1);
+            emit(GameEvents.BOMB_EXPLODED, { bomb });
+        }
+    }
+}
+
+/**
+ * Count down the bombs planted on planets, exploding planets whose countdown
+ * runs out (unless a planet shield absorbs the bomb)
+ * @param {Object} state - Player state with the planets
+ * @param {number} delta - Time elapsed since last frame
+ */
+export function updatePlanetBombs(state, delta) {
+    state.planets.forEach(planet => {
+        if (planet.hasBomb && !planet.isDestroyed) {
+            planet.bombCountdown -= delta;
+
+            if (planet.bombCountdown <= 0 && !shieldAbsorbsBomb(planet, planet.bombSize || 1)) {
+                explodePlanet(state, planet);
+            }
+        }
+    });
+}
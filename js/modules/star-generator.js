@@ -5,6 +5,7 @@
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
 import gameState from './game-state.js';
+import { createSeededRandom } from './random.js';
 
 /**
  * Creates a starfield of points in 3D space
@@ -32,13 +33,16 @@ export function createStars(scene, options = {}) {
     // Create vertices array for star positions
     const starVertices = [];
     
+    // Seed the layout so a universe seed always shows the same sky
+    const random = createSeededRandom('stars', distribution, gameState.stars.length);
+    
     // Generate star positions based on distribution type
     if (distribution === 'cluster') {
         // Create clustered star distribution
-        createClusteredStars(count, universeSize, starVertices);
+        createClusteredStars(count, universeSize, starVertices, random);
     } else {
         // Create uniform star distribution (default)
-        createUniformStars(count, universeSize, starVertices);
+        createUniformStars(count, universeSize, starVertices, random);
     }
     
     // Set geometry attributes
@@ -61,12 +65,13 @@ export function createStars(scene, options = {}) {
  * @param {number} count - Number of stars to create
  * @param {number} universeSize - Size of universe bounds
  * @param {Array} vertices - Array to populate with vertex positions
+ * @param {Function} random - Seeded random number generator
  */
-function createUniformStars(count, universeSize, vertices) {
+function createUniformStars(count, universeSize, vertices, random) {
     for (let i = 0; i < count; i++) {
-        const x = (Math.random() - 0.5) * universeSize;
-        const y = (Math.random() - 0.5) * universeSize;
-        const z = (Math.random() - 0.5) * universeSize;
+        const x = (random() - 0.5) * universeSize;
+        const y = (random() - 0.5) * universeSize;
+        const z = (random() - 0.5) * universeSize;
         
         vertices.push(x, y, z);
     }
@@ -77,30 +82,31 @@ function createUniformStars(count, universeSize, vertices) {
  * @param {number} count - Number of stars to create
  * @param {number} universeSize - Size of universe bounds
  * @param {Array} vertices - Array to populate with vertex positions
+ * @param {Function} random - Seeded random number generator
  */
-function createClusteredStars(count, universeSize, vertices) {
+function createClusteredStars(count, universeSize, vertices, random) {
     // Create cluster centers
     const clusterCount = Math.floor(count / 1000) + 5;
     const clusterCenters = [];
     
     for (let i = 0; i < clusterCount; i++) {
         clusterCenters.push({
-            x: (Math.random() - 0.5) * universeSize * 0.8,
-            y: (Math.random() - 0.5) * universeSize * 0.8,
-            z: (Math.random() - 0.5) * universeSize * 0.8,
-            radius: 5000 + Math.random() * 15000
+            x: (random() - 0.5) * universeSize * 0.8,
+            y: (random() - 0.5) * universeSize * 0.8,
+            z: (random() - 0.5) * universeSize * 0.8,
+            radius: 5000 + random() * 15000
         });
     }
     
     // Generate stars around clusters
     for (let i = 0; i < count; i++) {
         // Select a random cluster
-        const cluster = clusterCenters[Math.floor(Math.random() * clusterCenters.length)];
+        const cluster = clusterCenters[Math.floor(random() * clusterCenters.length)];
         
         // Generate a random offset within the cluster radius
-        const radius = Math.random() * cluster.radius;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
+        const radius = random() * cluster.radius;
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1);
         
         const x = cluster.x + radius * Math.sin(phi) * Math.cos(theta);
         const y = cluster.y + radius * Math.sin(phi) * Math.sin(theta);
@@ -128,11 +134,13 @@ export function createNebulae(scene, count = 20) {
         0xff1493  // Deep pink
     ];
     
+    const random = createSeededRandom('nebulae');
+    
     for (let i = 0; i < count; i++) {
-        const nebulaSize = 10000 + Math.random() * 20000;
+        const nebulaSize = 10000 + random() * 20000;
         const distance = gameState.universeSize * 0.4;
-        const angle = Math.random() * Math.PI * 2;
-        const elevation = (Math.random() - 0.5) * Math.PI;
+        const angle = random() * Math.PI * 2;
+        const elevation = (random() - 0.5) * Math.PI;
         
         const x = Math.cos(angle) * Math.cos(elevation) * distance;
         const y = Math.sin(elevation) * distance;
@@ -140,7 +148,7 @@ export function createNebulae(scene, count = 20) {
         
         const nebulaGeometry = new THREE.PlaneGeometry(nebulaSize, nebulaSize);
         const nebulaMaterial = new THREE.MeshBasicMaterial({
-            color: nebulaColors[Math.floor(Math.random() * nebulaColors.length)],
+            color: nebulaColors[Math.floor(random() * nebulaColors.length)],
             transparent: true,
             opacity: 0.3,
             side: THREE.DoubleSide,
@@ -153,7 +161,7 @@ export function createNebulae(scene, count = 20) {
         // Orient the nebula to face the center of the universe roughly
         nebula.lookAt(0, 0, 0);
         // Add some random rotation
-        nebula.rotation.z = Math.random() * Math.PI * 2;
+        nebula.rotation.z = random() * Math.PI * 2;
         
         scene.add(nebula);
     }
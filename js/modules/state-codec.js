@@ -0,0 +1,174 @@
+/**
+ * State Codec Module
+ * Decodes the binary `gameState` snapshots sent to clients that negotiate
+ * `?protocol=binary`. The encoder and the frame layout are documented in
+ * server/state-codec.js - keep the two in sync.
+ */
+
+export const MESSAGE_STATE_SNAPSHOT = 1;
+
+// Fixed-point steps per world unit
+const POSITION_SCALE = 16;
+
+// Entry flags
+const FLAG_POSITION_FULL = 0x01;
+const FLAG_POSITION_DELTA = 0x02;
+const FLAG_ROTATION = 0x04;
+const FLAG_ALIEN_MODE = 0x08;
+const FLAG_LANDED = 0x10;
+const FLAG_INPUT_SEQ = 0x20;
+const FLAG_UPDATED_AT = 0x40;
+
+const QUATERNION_RANGE = Math.SQRT1_2;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Decode a binary snapshot frame
+ * @param {ArrayBuffer} buffer - Frame received from the server
+ * @param {Function} getBaseState - Returns the decoded state for a snapshot seq, or undefined
+ * @returns {Object|null} { seq, timestamp, state } where state maps netId to the
+ *     quantized entry, or null if the frame's base snapshot is unknown
+ */
+export function decodeSnapshot(buffer, getBaseState) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const type = view.getUint8(offset); offset += 1;
+    if (type !== MESSAGE_STATE_SNAPSHOT) return null;
+
+    const seq = view.getUint32(offset, true); offset += 4;
+    const baseSeq = view.getUint32(offset, true); offset += 4;
+    const timestamp = view.getFloat64(offset, true); offset += 8;
+    const entryCount = view.getUint16(offset, true); offset += 2;
+    const removedCount = view.getUint16(offset, true); offset += 2;
+
+    let baseState = null;
+    if (baseSeq !== 0) {
+        baseState = getBaseState(baseSeq);
+        if (!baseState) return null;
+    }
+
+    // Start from the base snapshot and apply the changes
+    const state = new Map(baseState || []);
+
+    for (let i = 0; i < removedCount; i++) {
+        state.delete(view.getUint16(offset, true)); offset += 2;
+    }
+
+    for (let i = 0; i < entryCount; i++) {
+        const netId = view.getUint16(offset, true); offset += 2;
+        const flags = view.getUint8(offset); offset += 1;
+
+        const base = state.get(netId);
+        const entry = base ? { ...base, position: { ...base.position } } : {
+            netId,
+            position: { x: 0, y: 0, z: 0 },
+            rotation: 0,
+            landedPlanetId: null,
+            updatedAt: timestamp,
+            seq: null
+        };
+
+        entry.isAlienMode = (flags & FLAG_ALIEN_MODE) !== 0;
+
+        if (flags & FLAG_POSITION_FULL) {
+            entry.position.x = view.getInt32(offset, true); offset += 4;
+            entry.position.y = view.getInt32(offset, true); offset += 4;
+            entry.position.z = view.getInt32(offset, true); offset += 4;
+        } else if (flags & FLAG_POSITION_DELTA) {
+            entry.position.x += view.getInt16(offset, true); offset += 2;
+            entry.position.y += view.getInt16(offset, true); offset += 2;
+            entry.position.z += view.getInt16(offset, true); offset += 2;
+        }
+
+        if (flags & FLAG_ROTATION) {
+            entry.rotation = view.getUint32(offset, true); offset += 4;
+        }
+
+        if (flags & FLAG_LANDED) {
+            const length = view.getUint8(offset); offset += 1;
+            entry.landedPlanetId = length > 0 ?
+                textDecoder.decode(new Uint8Array(buffer, offset, length)) : null;
+            offset += length;
+        }
+
+        if (flags & FLAG_INPUT_SEQ) {
+            entry.seq = view.getUint32(offset, true); offset += 4;
+        }
+
+        if (flags & FLAG_UPDATED_AT) {
+            entry.updatedAt = timestamp - view.getUint16(offset, true); offset += 2;
+        }
+
+        state.set(netId, entry);
+    }
+
+    return { seq, timestamp, state };
+}
+
+/**
+ * Convert a decoded entry to the player data shape of a JSON `gameState`
+ * @param {Object} entry - Quantized entry from decodeSnapshot
+ * @returns {Object} { position, rotation, isAlienMode, landedPlanetId, updatedAt, seq }
+ */
+export function entryToPlayerData(entry) {
+    return {
+        position: {
+            x: entry.position.x / POSITION_SCALE,
+            y: entry.position.y / POSITION_SCALE,
+            z: entry.position.z / POSITION_SCALE
+        },
+        rotation: quaternionToEuler(unpackQuaternion(entry.rotation)),
+        isAlienMode: entry.isAlienMode,
+        landedPlanetId: entry.landedPlanetId,
+        updatedAt: entry.updatedAt,
+        seq: entry.seq
+    };
+}
+
+// Unpack a "smallest three" 32-bit quaternion into [x, y, z, w]
+function unpackQuaternion(packed) {
+    const largest = packed >>> 30;
+    const quaternion = [0, 0, 0, 0];
+    let sumOfSquares = 0;
+    let shift = 20;
+
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const value = (((packed >>> shift) & 0x3ff) - 511) / 511 * QUATERNION_RANGE;
+        quaternion[i] = value;
+        sumOfSquares += value * value;
+        shift -= 10;
+    }
+
+    quaternion[largest] = Math.sqrt(Math.max(0, 1 - sumOfSquares));
+    return quaternion;
+}
+
+// Convert a quaternion to Euler angles in XYZ order (matches THREE.Euler)
+function quaternionToEuler([x, y, z, w]) {
+    const m11 = 1 - 2 * (y * y + z * z);
+    const m12 = 2 * (x * y - w * z);
+    const m13 = 2 * (x * z + w * y);
+    const m22 = 1 - 2 * (x * x + z * z);
+    const m23 = 2 * (y * z - w * x);
+    const m32 = 2 * (y * z + w * x);
+    const m33 = 1 - 2 * (x * x + y * y);
+
+    const rotationY = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+    if (Math.abs(m13) < 0.9999999) {
+        return {
+            x: Math.atan2(-m23, m33),
+            y: rotationY,
+            z: Math.atan2(-m12, m11)
+        };
+    }
+
+    return {
+        x: Math.atan2(m32, m22),
+        y: rotationY,
+        z: 0
+    };
+}
@@ -5,6 +5,7 @@
 
 import gameState from './game-state.js';
 import Config from '../config.js';
+import { on, emit, GameEvents } from './event-bus.js';
 
 // Show a timed message in the message box
 export function showMessage(text, duration = 2000) {
@@ -536,6 +537,177 @@ export function createExplosionFlash(color = 'rgba(255, 100, 0, 0.3)') {
     }, 200);
 }
 
+// Feedback for game events (the HUD numbers refresh every frame)
+
+let lastUpgradeReminder = 0;
+
+on(GameEvents.RESOURCE_COLLECTED, ({ amount, points, total }) => {
+    showMessage(`RESOURCE COLLECTED: +${amount} (+${points} POINTS)`, 1000);
+    
+    // Occasionally remind the player about upgrades, but not too often
+    const now = Date.now();
+    if (Math.random() < 0.2 && total >= 40 && now - lastUpgradeReminder > 30000) {
+        showMessage("RESOURCES CAN BE USED FOR SHIP UPGRADES - PRESS SHIP UPGRADES BUTTON", 3000);
+        lastUpgradeReminder = now;
+    }
+});
+
+on(GameEvents.PLANET_DESTROYED, ({ planet, awarded, resources }) => {
+    // Everyone watching sees the blast, only the bomber gets the rating
+    createExplosionFlash(`rgba(255, 100, 0, ${0.3 + (planet.size / 200)})`);
+    
+    if (awarded) {
+        showDestructionRating(planet, resources);
+        showMessage(`PLANET DESTROYED: +${resources} RESOURCES`, 3000);
+    }
+});
+
+on(GameEvents.PLANET_EXPLODED, ({ planet, points }) => {
+    showMessage(`PLANET ${planet.name} DESTROYED! +${points} POINTS`, 3000);
+});
+
+const DEFENSE_NAMES = {
+    turret: 'TURRET',
+    missileLauncher: 'MISSILE LAUNCHER',
+    shieldGenerator: 'SHIELD GENERATOR'
+};
+
+on(GameEvents.DEFENSE_DESTROYED, ({ planet, kind, points }) => {
+    showMessage(`${DEFENSE_NAMES[kind]} DESTROYED: +${points} POINTS`, 2000);
+    
+    if (kind === 'shieldGenerator') {
+        showMessage(`${planet.name.toUpperCase()} SHIELD WILL NOT REBOOT`, 3000);
+    } else if (!planet.defenseSystems.hasTurrets && !planet.defenseSystems.hasMissiles) {
+        showMessage(`${planet.name.toUpperCase()} WEAPONS SILENCED`, 3000);
+    }
+});
+
+on(GameEvents.BOMB_ABSORBED, ({ planet, damage }) => {
+    showMessage(`${planet.name.toUpperCase()} SHIELD ABSORBED THE BLAST: -${damage} SHIELD`, 3000);
+});
+
+on(GameEvents.SECTOR_DISCOVERED, ({ name }) => {
+    showMessage(`NEW SECTOR DISCOVERED: ${name}`, 3000);
+});
+
+on(GameEvents.DAMAGE_TAKEN, ({ amount, source, shieldsDepleted }) => {
+    createExplosionFlash('rgba(255, 0, 0, 0.3)');
+    
+    if (source) {
+        showMessage(`${source} HIT: -${amount} SHIELDS`, 2000);
+    }
+    
+    if (shieldsDepleted) {
+        showMessage("WARNING: SHIELDS DEPLETED", 3000);
+    }
+});
+
+on(GameEvents.PLAYER_DIED, showGameOver);
+
+on(GameEvents.PLAYER_RESPAWNED, () => {
+    const gameOver = document.getElementById('game-over');
+    if (gameOver) gameOver.classList.add('hidden');
+});
+
+// Format a duration in ms as m:ss
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Show the game over screen with the stats of the life that just ended
+function showGameOver({ cause, stats, penalty }) {
+    const gameOver = document.getElementById('game-over');
+    if (!gameOver) return;
+    
+    document.getElementById('death-cause').textContent = cause || 'UNKNOWN';
+    document.getElementById('run-time').textContent = formatDuration(stats.time);
+    document.getElementById('run-score').textContent = stats.score;
+    document.getElementById('run-planets').textContent = stats.planetsDestroyed;
+    document.getElementById('run-resources').textContent = stats.resourcesCollected;
+    document.getElementById('penalty-resources').textContent = penalty.resources;
+    document.getElementById('penalty-bombs').textContent = penalty.bombs;
+    document.getElementById('respawn-sector').textContent = gameState.playerSector;
+    
+    // Let the explosion play out before offering a respawn
+    const respawnButtons = document.getElementById('respawn-buttons');
+    respawnButtons.classList.add('hidden');
+    setTimeout(() => {
+        respawnButtons.classList.remove('hidden');
+    }, Config.death.respawnDelay * 1000);
+    
+    gameOver.classList.remove('hidden');
+}
+
+// Hook up the respawn buttons on the game over screen
+export function setupGameOverScreen() {
+    const homeButton = document.getElementById('respawn-home');
+    const sectorButton = document.getElementById('respawn-in-sector');
+    if (!homeButton || !sectorButton) return;
+    
+    homeButton.addEventListener('click', () => {
+        emit(GameEvents.RESPAWN_REQUESTED, { inSector: false });
+    });
+    sectorButton.addEventListener('click', () => {
+        emit(GameEvents.RESPAWN_REQUESTED, { inSector: true });
+    });
+}
+
+// Missile lock warning tone, made on the fly so there are no audio files to load
+let audioContext = null;
+let lastLockToneTime = 0;
+
+function playLockTone() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    
+    // Browsers only allow audio after the player has pressed a key or clicked, which they have by now
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+    }
+    
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'square';
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.05, audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.1);
+    
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + 0.1);
+}
+
+/**
+ * Show or hide the missile lock warning
+ * @param {Object|null} lock - The nearest missile locked on to the ship: its
+ *   screen direction `angle` (radians clockwise from straight up) and
+ *   `distance`, or null when nothing is locked on
+ */
+export function showMissileLock(lock) {
+    const warning = document.getElementById('missile-lock');
+    if (!warning) return;
+    
+    if (!lock) {
+        warning.classList.add('hidden');
+        return;
+    }
+    
+    warning.classList.remove('hidden');
+    document.getElementById('missile-lock-arrow').style.transform = `rotate(${lock.angle}rad)`;
+    document.getElementById('missile-lock-distance').textContent = Math.floor(lock.distance);
+    
+    // Beep faster as the missile closes in
+    const now = Date.now();
+    const toneInterval = Math.max(150, Math.min(1000, lock.distance * 2));
+    if (now - lastLockToneTime > toneInterval) {
+        lastLockToneTime = now;
+        playLockTone();
+    }
+}
+
 // Create and return Active Users UI component
 export function createActiveUsersList() {
     // Check if it already exists
@@ -580,20 +752,26 @@ export function updateActiveUsersList() {
     const list = document.getElementById('active-users-list');
     if (!list) return;
     
+    // Show which room we're in
+    const title = document.getElementById('active-users-title');
+    if (title && gameState.multiplayer.room) {
+        title.textContent = `ACTIVE PILOTS - ROOM ${gameState.multiplayer.room.code}`;
+    }
+    
     // Clear existing list
     list.innerHTML = '';
     
     // Add current player
-    addUserToList(list, gameState.multiplayer.playerId, gameState.multiplayer.playerColor, true);
+    addUserToList(list, gameState.multiplayer.playerName, gameState.multiplayer.playerColor, true);
     
-    // Add other players
-    gameState.multiplayer.otherPlayers.forEach((player) => {
-        addUserToList(list, player.id, player.color);
+    // Add other players, including those out of range
+    gameState.multiplayer.roster.forEach((player) => {
+        addUserToList(list, player.name, player.color);
     });
 }
 
 // Add a user to the active users list
-function addUserToList(list, id, color, isCurrentUser = false) {
+function addUserToList(list, name, color, isCurrentUser = false) {
     const item = document.createElement('li');
     item.className = 'active-user';
     
@@ -603,7 +781,7 @@ function addUserToList(list, id, color, isCurrentUser = false) {
     
     const userId = document.createElement('div');
     userId.className = 'user-id';
-    userId.textContent = id + (isCurrentUser ? ' (YOU)' : '');
+    userId.textContent = name + (isCurrentUser ? ' (YOU)' : '');
     
     item.appendChild(colorDot);
     item.appendChild(userId);
@@ -675,7 +853,7 @@ export function createChatInterface() {
         const chatInput = document.createElement('input');
         chatInput.id = 'chat-input';
         chatInput.type = 'text';
-        chatInput.placeholder = 'Type message...';
+        chatInput.placeholder = 'Type message... (/help for commands)';
         chatInput.style.flex = '1';
         chatInput.style.padding = '5px';
         chatInput.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
@@ -720,7 +898,8 @@ export function createChatInterface() {
 }
 
 // Add chat message to interface
-export function addChatMessage(playerId, message, playerColor) {
+// `options.channel` is 'all' (default), 'whisper', 'team', 'emote' or 'system'
+export function addChatMessage(playerName, message, playerColor, options = {}) {
     const chatMessages = document.getElementById('chat-messages');
     if (!chatMessages) return;
     
@@ -730,7 +909,7 @@ export function addChatMessage(playerId, message, playerColor) {
     
     // Create sender element
     const senderElement = document.createElement('span');
-    senderElement.textContent = `${playerId}: `;
+    senderElement.textContent = `${playerName}: `;
     senderElement.style.color = playerColor;
     senderElement.style.fontWeight = 'bold';
     
@@ -738,6 +917,33 @@ export function addChatMessage(playerId, message, playerColor) {
     const textElement = document.createElement('span');
     textElement.textContent = message;
     
+    // Each channel gets its own look
+    switch (options.channel) {
+        case 'whisper':
+            senderElement.textContent = options.isOutgoing ?
+                `[TO ${options.whisperName}] ` :
+                `[FROM ${options.whisperName}] `;
+            textElement.style.color = '#ff88ff';
+            textElement.style.fontStyle = 'italic';
+            break;
+            
+        case 'team':
+            senderElement.textContent = `[${options.team}] ${playerName}: `;
+            textElement.style.color = '#88ff88';
+            break;
+            
+        case 'emote':
+            senderElement.textContent = `* ${playerName} `;
+            textElement.style.color = playerColor;
+            textElement.style.fontStyle = 'italic';
+            break;
+            
+        case 'system':
+            senderElement.textContent = '';
+            textElement.style.color = '#ffff00';
+            break;
+    }
+    
     // Add elements to message
     messageElement.appendChild(senderElement);
     messageElement.appendChild(textElement);
@@ -749,82 +955,83 @@ export function addChatMessage(playerId, message, playerColor) {
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Remove every message from the chat window
+export function clearChatMessages() {
+    const chatMessages = document.getElementById('chat-messages');
+    if (chatMessages) chatMessages.innerHTML = '';
+}
+
 // Update the UI for upgrades
 export function updateUpgradesUI() {
     const upgradeCards = document.querySelectorAll('.upgrade-card');
     const upgradesPanel = document.getElementById('upgrades-panel');
     
-    // Get gameState from module
-    import('./game-state.js').then(module => {
-        const gameState = module.default;
+    // Show/hide the upgrades panel based on visibility flag
+    if (upgradesPanel) {
+        upgradesPanel.style.display = gameState.upgrades.isUpgradeUIVisible ? 'block' : 'none';
         
-        // Show/hide the upgrades panel based on visibility flag
-        if (upgradesPanel) {
-            upgradesPanel.style.display = gameState.upgrades.isUpgradeUIVisible ? 'block' : 'none';
-            
-            // Update resources display
-            const resourcesDisplay = document.getElementById('upgrades-resources');
-            if (resourcesDisplay) {
-                resourcesDisplay.textContent = `AVAILABLE RESOURCES: ${gameState.resourcesCollected}`;
-            }
+        // Update resources display
+        const resourcesDisplay = document.getElementById('upgrades-resources');
+        if (resourcesDisplay) {
+            resourcesDisplay.textContent = `AVAILABLE RESOURCES: ${gameState.resourcesCollected}`;
+        }
+    }
+    
+    upgradeCards.forEach(card => {
+        const upgradeType = card.dataset.upgradeType;
+        const level = gameState.upgrades[`${upgradeType}Level`];
+        const maxLevel = gameState.upgrades[`${upgradeType}MaxLevel`];
+        const cost = gameState.getUpgradeCost(upgradeType);
+        const canUpgrade = gameState.canUpgrade(upgradeType);
+        
+        // Update level
+        const levelElement = card.querySelector('.upgrade-level');
+        if (levelElement) {
+            levelElement.textContent = level;
         }
         
-        upgradeCards.forEach(card => {
-            const upgradeType = card.dataset.upgradeType;
-            const level = gameState.upgrades[`${upgradeType}Level`];
-            const maxLevel = gameState.upgrades[`${upgradeType}MaxLevel`];
-            const cost = gameState.getUpgradeCost(upgradeType);
-            const canUpgrade = gameState.canUpgrade(upgradeType);
-            
-            // Update level
-            const levelElement = card.querySelector('.upgrade-level');
-            if (levelElement) {
-                levelElement.textContent = level;
-            }
-            
-            // Update max level
-            const maxLevelElement = card.querySelector('.upgrade-max-level');
-            if (maxLevelElement) {
-                maxLevelElement.textContent = `/ ${maxLevel}`;
-            }
+        // Update max level
+        const maxLevelElement = card.querySelector('.upgrade-max-level');
+        if (maxLevelElement) {
+            maxLevelElement.textContent = `/ ${maxLevel}`;
+        }
+        
+        // Update cost
+        const costElement = card.querySelector('.upgrade-cost');
+        if (costElement) {
+            costElement.textContent = `${cost} RESOURCES`;
             
-            // Update cost
-            const costElement = card.querySelector('.upgrade-cost');
-            if (costElement) {
-                costElement.textContent = `${cost} RESOURCES`;
-                
-                // Change color based on affordability
-                if (gameState.resourcesCollected >= cost) {
-                    costElement.style.color = '#ff0';
-                } else {
-                    costElement.style.color = '#f55';
-                }
+            // Change color based on affordability
+            if (gameState.resourcesCollected >= cost) {
+                costElement.style.color = '#ff0';
+            } else {
+                costElement.style.color = '#f55';
             }
-            
-            // Update button state
-            const button = card.querySelector('.upgrade-button');
-            if (button) {
-                if (level >= maxLevel) {
-                    button.textContent = 'MAX LEVEL';
-                    button.disabled = true;
-                    button.style.backgroundColor = 'rgba(100, 100, 100, 0.5)';
-                    button.style.color = '#888';
-                    button.style.cursor = 'not-allowed';
-                } else if (canUpgrade) {
-                    button.textContent = 'UPGRADE';
-                    button.disabled = false;
-                    button.style.backgroundColor = 'rgba(0, 255, 255, 0.2)';
-                    button.style.color = '#0ff';
-                    button.style.cursor = 'pointer';
-                } else {
-                    button.textContent = 'NEED MORE RESOURCES';
-                    button.disabled = true;
-                    button.style.backgroundColor = 'rgba(100, 100, 100, 0.5)';
-                    button.style.color = '#f55';
-                    button.style.cursor = 'not-allowed';
-                }
+        }
+        
+        // Update button state
+        const button = card.querySelector('.upgrade-button');
+        if (button) {
+            if (level >= maxLevel) {
+                button.textContent = 'MAX LEVEL';
+                button.disabled = true;
+                button.style.backgroundColor = 'rgba(100, 100, 100, 0.5)';
+                button.style.color = '#888';
+                button.style.cursor = 'not-allowed';
+            } else if (canUpgrade) {
+                button.textContent = 'UPGRADE';
+                button.disabled = false;
+                button.style.backgroundColor = 'rgba(0, 255, 255, 0.2)';
+                button.style.color = '#0ff';
+                button.style.cursor = 'pointer';
+            } else {
+                button.textContent = 'NEED MORE RESOURCES';
+                button.disabled = true;
+                button.style.backgroundColor = 'rgba(100, 100, 100, 0.5)';
+                button.style.color = '#f55';
+                button.style.cursor = 'not-allowed';
             }
-        });
+        }
     });
 }
 
@@ -867,11 +1074,8 @@ export function addUpgradesButton() {
     
     // Add click handler
     button.addEventListener('click', () => {
-        import('./game-state.js').then(module => {
-            const gameState = module.default;
-            gameState.toggleUpgradeUI();
-            updateUpgradesUI();
-        });
+        gameState.toggleUpgradeUI();
+        updateUpgradesUI();
     });
     
     // Add to DOM
@@ -891,39 +1095,35 @@ function updateUpgradesButtonAppearance() {
     const button = document.getElementById('upgrades-toggle');
     if (!button) return;
     
-    import('./game-state.js').then(module => {
-        const gameState = module.default;
-        
-        // Check if player has enough resources for any upgrade
-        let hasResources = false;
-        const upgradeTypes = ['engine', 'shield', 'tractorBeam', 'bombCapacity', 'boost'];
-        
-        for (const type of upgradeTypes) {
-            if (gameState.canUpgrade(type)) {
-                hasResources = true;
-                break;
-            }
-        }
-        
-        // Update button appearance based on resource availability
-        if (hasResources) {
-            // Create a pulsing effect to draw attention
-            const time = Date.now() / 1000;
-            const pulse = Math.sin(time * 3) * 0.5 + 0.5; // 0 to 1 value
-            const glowIntensity = 5 + (pulse * 10);
-            
-            button.style.boxShadow = `0 0 ${glowIntensity}px rgba(0, 255, 255, 0.7)`;
-            button.style.border = '2px solid #0ff';
-            button.style.color = '#0ff';
-            button.textContent = 'SHIP UPGRADES AVAILABLE!';
-        } else {
-            // Reset appearance
-            button.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.3)';
-            button.style.border = '2px solid #0ff';
-            button.style.color = '#0ff';
-            button.textContent = 'SHIP UPGRADES';
+    // Check if player has enough resources for any upgrade
+    let hasResources = false;
+    const upgradeTypes = ['engine', 'shield', 'tractorBeam', 'bombCapacity', 'boost', 'weapons', 'countermeasures'];
+    
+    for (const type of upgradeTypes) {
+        if (gameState.canUpgrade(type)) {
+            hasResources = true;
+            break;
         }
-    });
+    }
+    
+    // Update button appearance based on resource availability
+    if (hasResources) {
+        // Create a pulsing effect to draw attention
+        const time = Date.now() / 1000;
+        const pulse = Math.sin(time * 3) * 0.5 + 0.5; // 0 to 1 value
+        const glowIntensity = 5 + (pulse * 10);
+        
+        button.style.boxShadow = `0 0 ${glowIntensity}px rgba(0, 255, 255, 0.7)`;
+        button.style.border = '2px solid #0ff';
+        button.style.color = '#0ff';
+        button.textContent = 'SHIP UPGRADES AVAILABLE!';
+    } else {
+        // Reset appearance
+        button.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.3)';
+        button.style.border = '2px solid #0ff';
+        button.style.color = '#0ff';
+        button.textContent = 'SHIP UPGRADES';
+    }
 }
 
 // Toggle chat visibility
@@ -1061,6 +1261,18 @@ export function createUpgradesUI() {
                 name: 'BOOST SYSTEM',
                 description: 'Increases boost capacity by 30% and recharge rate by 20% per level',
                 icon: '⚡'
+            },
+            {
+                id: 'weapons',
+                name: 'WEAPONS',
+                description: 'Increases laser and torpedo damage by 20% and torpedo capacity by 1 per level',
+                icon: '🎯'
+            },
+            {
+                id: 'countermeasures',
+                name: 'COUNTERMEASURES',
+                description: 'Adds +1 countermeasure to capacity per level',
+                icon: '🎇'
             }
         ];
         
@@ -1088,11 +1300,8 @@ export function createUpgradesUI() {
         closeButton.style.fontSize = '16px';
         
         closeButton.addEventListener('click', () => {
-            import('./game-state.js').then(module => {
-                const gameState = module.default;
-                gameState.toggleUpgradeUI();
-                updateUpgradesUI();
-            });
+            gameState.toggleUpgradeUI();
+            updateUpgradesUI();
         });
         
         closeButtonContainer.appendChild(closeButton);
@@ -1201,21 +1410,18 @@ function createUpgradeCard(upgrade) {
     upgradeButton.addEventListener('click', function() {
         const upgradeType = this.parentElement.dataset.upgradeType;
         
-        import('./game-state.js').then(module => {
-            const gameState = module.default;
-            const success = gameState.applyUpgrade(upgradeType);
+        const success = gameState.applyUpgrade(upgradeType);
+        
+        if (success) {
+            // Show success message
+            showMessage(`${upgrade.name} UPGRADED TO LEVEL ${gameState.upgrades[`${upgradeType}Level`]}`, 2000);
             
-            if (success) {
-                // Show success message
-                showMessage(`${upgrade.name} UPGRADED TO LEVEL ${gameState.upgrades[`${upgradeType}Level`]}`, 2000);
-                
-                // Update UI
-                updateUpgradesUI();
-            } else {
-                // Show failure message
-                showMessage('NOT ENOUGH RESOURCES FOR UPGRADE', 2000);
-            }
-        });
+            // Update UI
+            updateUpgradesUI();
+        } else {
+            // Show failure message
+            showMessage('NOT ENOUGH RESOURCES FOR UPGRADE', 2000);
+        }
     });
     
     // Assemble the card
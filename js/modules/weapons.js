@@ -0,0 +1,159 @@
+/**
+ * Weapons Module
+ * Fires the ship's laser and torpedoes and checks their shots against planetary defenses
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.128.0/build/three.module.js';
+import gameState from './game-state.js';
+import { showMessage } from './ui.js';
+import { fireWeapon, updateWeaponSystems, resolveShot } from './simulation.js';
+import { getProjectile, getExplosion, releaseObject } from './object-pool.js';
+
+// How each weapon's shots look
+const SHOT_STYLES = {
+    laser: { color: 0x00ffff, size: 0.6, explosionSize: 1 },
+    torpedo: { color: 0xff00ff, size: 1.5, explosionSize: 4 }
+};
+
+// Shots in flight: { projectile, lastPosition, damage, blastRadius, weapon }
+const shots = [];
+
+// When the "no torpedoes" message was last shown, so holding the key doesn't spam it
+let lastEmptyMessageTime = 0;
+
+/**
+ * Cool the weapons down, fire them on input and check shots in flight for hits
+ * @param {number} delta - Time elapsed since last frame
+ * @param {Object} inputState - Current input state
+ */
+export function updateWeapons(delta, inputState) {
+    updateWeaponSystems(gameState, delta);
+
+    const canFire = gameState.playerShip && !gameState.isAlienMode &&
+        !gameState.landedOnPlanet && !gameState.isDead;
+
+    if (canFire) {
+        if (inputState.fireLaser) {
+            fire('laser', delta);
+        }
+        if (inputState.fireTorpedo) {
+            fire('torpedo', delta);
+        }
+    }
+
+    updateShots();
+}
+
+/**
+ * Fire a weapon from the ship's nose if it's ready
+ */
+function fire(weapon, delta) {
+    if (weapon === 'torpedo' && gameState.weapons.torpedoesRemaining <= 0) {
+        const now = Date.now();
+        if (now - lastEmptyMessageTime > 2000) {
+            lastEmptyMessageTime = now;
+            showMessage("NO TORPEDOES - RELOADING", 1500);
+        }
+        return;
+    }
+
+    const shot = fireWeapon(gameState, weapon);
+    if (!shot) return;
+
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(gameState.playerShip.quaternion);
+
+    const position = new THREE.Vector3();
+    gameState.playerShip.getWorldPosition(position);
+    position.add(direction.clone().multiplyScalar(3));
+
+    // The ship moves `speed` units per frame, so shots keep up with it
+    const shipSpeed = delta > 0 ? gameState.speed / delta : 0;
+
+    const style = SHOT_STYLES[weapon];
+    const projectile = getProjectile(gameState.mainScene, {
+        position,
+        direction,
+        speed: shot.speed + shipSpeed,
+        damage: shot.damage,
+        life: shot.life,
+        color: style.color,
+        size: style.size,
+        fromPlayer: true
+    });
+    if (!projectile) return;
+
+    shots.push({
+        projectile,
+        lastPosition: position.clone(),
+        damage: shot.damage,
+        blastRadius: shot.blastRadius,
+        weapon
+    });
+}
+
+/**
+ * Check how far each shot flew this frame against the planets it passed
+ */
+function updateShots() {
+    for (let i = shots.length - 1; i >= 0; i--) {
+        const shot = shots[i];
+        const projectile = shot.projectile;
+
+        // Shots that fizzled out (or whose projectile the pool handed to someone else)
+        if (!projectile.isActive || !projectile.fromPlayer) {
+            shots.splice(i, 1);
+            continue;
+        }
+
+        const hit = findHit(shot);
+
+        if (hit) {
+            getExplosion(gameState.mainScene, {
+                position: hit,
+                color: SHOT_STYLES[shot.weapon].color,
+                size: SHOT_STYLES[shot.weapon].explosionSize,
+                life: 0.5
+            });
+
+            releaseObject(projectile, 'projectile');
+            shots.splice(i, 1);
+            continue;
+        }
+
+        shot.lastPosition.copy(projectile.position);
+    }
+}
+
+/**
+ * Resolve a shot's path this frame against nearby planets
+ * @returns {THREE.Vector3|null} Where the shot hit, or null if it's still flying
+ */
+function findHit(shot) {
+    const from = shot.lastPosition;
+    const to = shot.projectile.position;
+    const travel = from.distanceTo(to);
+
+    for (const planet of gameState.planets) {
+        if (planet.isDestroyed || !planet.group) continue;
+
+        const center = planet.group.position;
+
+        // Skip planets the shot isn't anywhere near (the shield sits at 1.2x the planet's size)
+        if (to.distanceTo(center) > planet.size * 1.2 + travel) continue;
+
+        const hit = resolveShot(
+            gameState,
+            planet,
+            { x: from.x - center.x, y: from.y - center.y, z: from.z - center.z },
+            { x: to.x - center.x, y: to.y - center.y, z: to.z - center.z },
+            shot.damage,
+            shot.blastRadius
+        );
+
+        if (hit) {
+            return new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z).add(center);
+        }
+    }
+
+    return null;
+}
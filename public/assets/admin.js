@@ -0,0 +1,190 @@
+/**
+ * Admin Console
+ * Page script for /admin; everything goes through the server's /api/admin
+ * endpoints, authenticated with the ADMIN_TOKEN the server was started with.
+ */
+
+// sessionStorage key for the admin token (forgotten when the tab closes)
+const TOKEN_STORAGE_KEY = 'cosmic-chaos-admin-token';
+
+// How often the tables are refreshed (ms)
+const REFRESH_INTERVAL = 5000;
+
+let refreshTimer = null;
+
+// Call an admin endpoint; resolves with the JSON response or rejects with the server's error
+function adminRequest(method, path, body) {
+    return fetch(`/api/admin${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_STORAGE_KEY)}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(response => response.json().then(data => {
+        if (!response.ok) throw new Error(data.error);
+        return data;
+    }));
+}
+
+function setStatus(text, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    status.className = isError ? 'error' : '';
+}
+
+// Reload every table
+function refresh() {
+    Promise.all([
+        adminRequest('GET', '/metrics'),
+        adminRequest('GET', '/rooms'),
+        adminRequest('GET', '/players'),
+        adminRequest('GET', '/violations')
+    ])
+        .then(([metrics, roomData, playerData, violationData]) => {
+            setStatus(`UPDATED ${new Date().toLocaleTimeString()}`);
+            showMetrics(metrics);
+            showRooms(roomData.rooms);
+            showPlayers(playerData.players);
+            showViolations(violationData.violations);
+        })
+        .catch(error => {
+            setStatus(error.message.toUpperCase(), true);
+        });
+}
+
+function showMetrics(metrics) {
+    document.getElementById('metrics').textContent = [
+        `UPTIME: ${Math.floor(metrics.uptime)}S`,
+        `MEMORY: ${(metrics.memory.rss / 1048576).toFixed(1)}MB`,
+        `PLAYERS: ${metrics.players}`,
+        `ROOMS: ${metrics.rooms}`,
+        `SESSIONS: ${metrics.sessions}`,
+        `BANNED ADDRESSES: ${metrics.antiCheat.bannedAddresses}`
+    ].join('\n');
+}
+
+function showRooms(rooms) {
+    const rows = document.getElementById('rooms');
+    rows.innerHTML = '';
+
+    rooms.forEach(room => {
+        const row = createRow([
+            room.code,
+            room.name,
+            `${room.playerCount}/${room.maxPlayers}`,
+            room.seed,
+            room.destroyedPlanets,
+            room.activeBombs
+        ]);
+
+        const actions = document.createElement('td');
+        actions.appendChild(createButton('NEW SEED', () => {
+            const seed = prompt(`New universe seed for ${room.code} (empty for random):`);
+            if (seed === null) return;
+            runAction(adminRequest('PUT', `/rooms/${room.code}/seed`, { seed }));
+        }));
+        actions.appendChild(createButton('RESET PLANETS', () => {
+            if (!confirm(`Bring back every destroyed planet in ${room.code}?`)) return;
+            runAction(adminRequest('POST', `/rooms/${room.code}/reset-planets`));
+        }));
+        row.appendChild(actions);
+
+        rows.appendChild(row);
+    });
+}
+
+function showPlayers(players) {
+    const rows = document.getElementById('players');
+    rows.innerHTML = '';
+
+    players.forEach(player => {
+        const position = player.position;
+        const row = createRow([
+            player.moderator ? `${player.name} (MOD)` : player.name,
+            player.id,
+            player.room,
+            player.address,
+            player.latency !== null ? `${player.latency}MS` : '-',
+            `${Math.round(position.x)}, ${Math.round(position.y)}, ${Math.round(position.z)}`
+        ]);
+
+        const actions = document.createElement('td');
+        actions.appendChild(createButton('KICK', () => {
+            const reason = prompt(`Kick ${player.name}? Reason (optional):`);
+            if (reason === null) return;
+            runAction(adminRequest('POST', `/players/${player.id}/kick`, { reason }));
+        }));
+        row.appendChild(actions);
+
+        rows.appendChild(row);
+    });
+}
+
+function showViolations(violations) {
+    const rows = document.getElementById('violations');
+    rows.innerHTML = '';
+
+    violations.forEach(violation => {
+        rows.appendChild(createRow([
+            new Date(violation.at).toLocaleTimeString(),
+            `${violation.name} (${violation.playerId})`,
+            violation.address,
+            violation.type,
+            violation.details,
+            violation.score.toFixed(1)
+        ]));
+    });
+}
+
+function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Run an action, then refresh to show its effect
+function runAction(request) {
+    request
+        .then(refresh)
+        .catch(error => setStatus(error.message.toUpperCase(), true));
+}
+
+function connect() {
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, document.getElementById('admin-token').value);
+
+    clearInterval(refreshTimer);
+    refresh();
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+}
+
+document.getElementById('login-button').addEventListener('click', connect);
+
+document.getElementById('notice-button').addEventListener('click', () => {
+    const messageInput = document.getElementById('notice-message');
+    const room = document.getElementById('notice-room').value.trim();
+
+    runAction(adminRequest('POST', '/notice', {
+        message: messageInput.value,
+        room: room || undefined
+    }).then(() => {
+        messageInput.value = '';
+    }));
+});
+
+// Pick up where we left off after a reload
+if (sessionStorage.getItem(TOKEN_STORAGE_KEY)) {
+    document.getElementById('admin-token').value = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    connect();
+}
@@ -0,0 +1,37 @@
+/**
+ * Admin Module
+ * Authentication for the admin REST API used by the /admin console.
+ *
+ * The admin API is only enabled when the ADMIN_TOKEN environment variable is
+ * set. Requests have to send the token as `Authorization: Bearer <token>`.
+ */
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+// Express middleware that only lets requests carrying the admin token through
+function requireAdminToken(adminToken, logger = console) {
+  const expectedHash = adminToken ? hashToken(adminToken) : null;
+
+  return (req, res, next) => {
+    if (!expectedHash) {
+      return res.status(503).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+    }
+
+    // Compare hashes so the comparison takes the same time whatever the token
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match || !crypto.timingSafeEqual(hashToken(match[1]), expectedHash)) {
+      logger.log(`[ADMIN] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAdminToken
+};
@@ -0,0 +1,499 @@
+/**
+ * Anti-Cheat Module
+ * Server-side plausibility checks for what clients report.
+ *
+ * Position updates are checked against how far the ship could have flown
+ * since the last one (or a known wormhole jump), deaths against how often a
+ * ship can plausibly be destroyed, resource and upgrade claims against what
+ * the player could have earned, and every message type is rate limited.
+ * Failed checks are recorded as weighted violations; players whose score
+ * passes the kick threshold are kicked, and addresses kicked repeatedly are
+ * banned for a while.
+ */
+
+// Ship movement (mirrors Config.player and GameState.applyUpgrade on the client).
+// Velocity is applied once per frame, so the top speed also depends on frame rate.
+const BASE_MAX_SPEED = 3;
+const BOOST_MULTIPLIER = 6;
+const ENGINE_BONUS_PER_LEVEL = 0.2;
+const MAX_FRAME_RATE = 144;
+
+// Extra room for frame spikes and network jitter
+const MOVEMENT_TOLERANCE = 1.5;
+const MOVEMENT_SLACK = 50;
+
+// Most flying time a burst of delayed updates may use up at once (ms)
+const MOVEMENT_WINDOW = 1000;
+
+// How far from a wormhole a jump may start and end. The client teleports a
+// second after entering, so the ship may have flown on a fair way by then.
+const WORMHOLE_ENTRY_RADIUS = 6000;
+const WORMHOLE_EXIT_RADIUS = 500;
+
+// Where a destroyed ship may come back (mirrors getRespawnPosition in
+// js/modules/simulation.js): the spawn point, or the middle of the sector it
+// was destroyed in. Neighbouring sectors are allowed too, since the last
+// position the server accepted may be just across a sector boundary.
+const SPAWN_POSITION = { x: 0, y: 100, z: 0 };
+const RESPAWN_RADIUS = 500;
+const RESPAWN_SECTOR_RANGE = 1;
+
+// Deaths allowed within the window (ms); each one lets the ship respawn far
+// from its wreck, so more than this is treated as a teleport
+const MAX_DEATHS = 3;
+const DEATH_WINDOW = 60 * 1000;
+
+// Share of resources a destroyed ship loses (mirrors Config.death.resourceLoss)
+const DEATH_RESOURCE_LOSS = 0.25;
+
+// Upgrades (mirrors GameState.upgrades on the client)
+const UPGRADE_BASE_COSTS = {
+  engineLevel: 50,
+  shieldLevel: 60,
+  tractorBeamLevel: 40,
+  bombCapacityLevel: 70,
+  boostLevel: 55,
+  weaponsLevel: 65,
+  countermeasuresLevel: 45
+};
+const MAX_UPGRADE_LEVEL = 5;
+
+// Resources a player can pick up from passive debris, per second, and the
+// most of it that can build up unclaimed
+const PASSIVE_RESOURCE_RATE = 10;
+const MAX_PASSIVE_CREDIT = 600;
+const RESOURCE_SLACK = 50;
+
+// Planet rewards (mirrors destroyPlanet and the debris values in planet-generator.js)
+const PLANET_TYPE_MULTIPLIERS = { Crystalline: 2, Molten: 1.5, Oceanic: 1.25 };
+const MAX_DEBRIS_VALUES = { Crystalline: 24, Molten: 19, Oceanic: 15 };
+const DEFAULT_MAX_DEBRIS_VALUE = 9;
+const DEBRIS_PER_SIZE = 0.3;
+
+// Messages allowed per second, and how many may arrive at once
+const RATE_LIMITS = {
+  updatePosition: { rate: 20, burst: 40 },
+  stateAck: { rate: 20, burst: 40 },
+  alienMode: { rate: 2, burst: 5 },
+  placeBomb: { rate: 1, burst: 3 },
+  requestSectors: { rate: 5, burst: 30 },
+  chat: { rate: 1, burst: 5 },
+  pong: { rate: 1, burst: 3 },
+  progress: { rate: 2, burst: 5 }
+};
+const DEFAULT_RATE_LIMIT = { rate: 5, burst: 10 };
+
+// How much each kind of violation adds to a player's score
+const VIOLATION_WEIGHTS = {
+  movement: 5,
+  deaths: 5,
+  resources: 10,
+  upgrades: 10,
+  rateLimit: 2
+};
+
+// Score at which a player is kicked, and how fast it decays (points per second)
+const KICK_THRESHOLD = 20;
+const SCORE_DECAY_RATE = 0.1;
+
+// Kicks from one address within the window that get it banned, and for how long (ms)
+const BAN_KICK_COUNT = 3;
+const BAN_KICK_WINDOW = 60 * 60 * 1000;
+const BAN_DURATION = 30 * 60 * 1000;
+
+// Violations kept for inspection
+const VIOLATION_LOG_SIZE = 200;
+
+// Player records are kept this long after the player was last heard from (ms)
+const RECORD_TIMEOUT = 10 * 60 * 1000;
+
+// Furthest the ship can fly per second at the given engine level
+function getMaxSpeed(engineLevel) {
+  return BASE_MAX_SPEED * (1 + ENGINE_BONUS_PER_LEVEL * engineLevel) *
+    BOOST_MULTIPLIER * MAX_FRAME_RATE * MOVEMENT_TOLERANCE;
+}
+
+// Most resources destroying a planet can yield: the reward plus every debris chunk
+function getMaxPlanetYield(planet) {
+  const multiplier = PLANET_TYPE_MULTIPLIERS[planet.type] || 1;
+  return getMaxDebrisYield(planet) + Math.floor(Math.floor(planet.size / 2) * multiplier);
+}
+
+// Most resources the debris of a destroyed planet is worth
+function getMaxDebrisYield(planet) {
+  const debrisValue = MAX_DEBRIS_VALUES[planet.type] || DEFAULT_MAX_DEBRIS_VALUE;
+  return Math.floor(planet.size * DEBRIS_PER_SIZE) * debrisValue;
+}
+
+// Resources spent buying levels `from` (exclusive) to `to` (inclusive) of an upgrade
+function getUpgradeCost(upgrade, from, to) {
+  let cost = 0;
+  for (let level = from; level < to; level++) {
+    cost += Math.round(UPGRADE_BASE_COSTS[upgrade] * Math.pow(1.5, level));
+  }
+  return cost;
+}
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+class AntiCheat {
+  constructor(options = {}) {
+    // Where violations and bans are logged
+    this.logger = options.logger || console;
+
+    // Per-player records keyed by player ID; kept across reconnects
+    this.records = new Map();
+
+    // Progress baselines of the last player to leave from each address, so
+    // coming back as a new player (without a session) doesn't reset the
+    // resource checks. Keyed by address.
+    this.departedProgress = new Map();
+
+    // Recent kick times keyed by address, and ban expiry times
+    this.kicks = new Map();
+    this.bans = new Map();
+
+    // Most recent violations, oldest first
+    this.violations = [];
+  }
+
+  // Start or pick up tracking for a connected player
+  track(player, address, now = Date.now()) {
+    const departed = this.departedProgress.get(address);
+    let record = this.records.get(player.id);
+    if (!record) {
+      record = {
+        playerId: player.id,
+        score: 0,
+        scoreUpdatedAt: now,
+        buckets: {},
+        movementBudget: 0,
+        movementUpdatedAt: now,
+        position: null, // Last position the movement checks accepted
+        progress: null, // Last accepted resources and upgrade levels
+        credit: 0, // Resources the player could have earned since then
+        creditUpdatedAt: now,
+        deaths: [], // Times of recent deaths
+        deathPenaltyDue: false // Whether the next progress claim has to show a death's losses
+      };
+      this.records.set(player.id, record);
+
+      // Pick up where the address's last player left off, position included.
+      // Players sharing an address one after the other may get one failed
+      // check before the new player's claim becomes the baseline.
+      if (departed) {
+        this.departedProgress.delete(address);
+        Object.assign(record, departed.baseline);
+      }
+    } else if (departed && departed.playerId === player.id) {
+      // They resumed their own session, so there's nobody to hand it to
+      this.departedProgress.delete(address);
+    }
+
+    record.name = player.name;
+    record.address = address;
+    record.lastSeenAt = now;
+    return record;
+  }
+
+  // Note that a player left (or was kicked), keeping their progress baseline
+  // and last position for their address
+  release(playerId, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record || !record.address || !record.progress) return;
+
+    this.departedProgress.set(record.address, {
+      playerId,
+      baseline: {
+        progress: record.progress,
+        credit: record.credit,
+        creditUpdatedAt: record.creditUpdatedAt,
+        deathPenaltyDue: record.deathPenaltyDue,
+        position: record.position
+      },
+      departedAt: now
+    });
+  }
+
+  // Check a message against its type's rate limit; over-limit messages should be dropped
+  allowMessage(playerId, type, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+    record.lastSeenAt = now;
+
+    const limit = RATE_LIMITS[type] || DEFAULT_RATE_LIMIT;
+    const key = RATE_LIMITS[type] ? type : 'default';
+    let bucket = record.buckets[key];
+    if (!bucket) {
+      bucket = record.buckets[key] = { tokens: limit.burst, updatedAt: now, limited: false };
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+      // Only the first dropped message of a flood counts as a violation
+      if (!bucket.limited) {
+        bucket.limited = true;
+        this.recordViolation(record, 'rateLimit', `${type} over ${limit.rate}/s`, now);
+      }
+      return false;
+    }
+
+    bucket.tokens -= 1;
+    bucket.limited = false;
+    return true;
+  }
+
+  // Check a reported move from `from` to `to`; rejected moves should not be applied
+  checkMovement(playerId, from, to, wormholes, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+
+    // Until the first progress claim the engine level is unknown, so assume the best
+    const engineLevel = record.progress ? record.progress.upgrades.engineLevel : MAX_UPGRADE_LEVEL;
+    const maxSpeed = getMaxSpeed(engineLevel);
+
+    record.movementBudget = Math.min(
+      maxSpeed * MOVEMENT_WINDOW / 1000,
+      record.movementBudget + (now - record.movementUpdatedAt) / 1000 * maxSpeed
+    );
+    record.movementUpdatedAt = now;
+
+    const moved = distance(from, to);
+    if (moved <= record.movementBudget + MOVEMENT_SLACK) {
+      record.movementBudget = Math.max(0, record.movementBudget - moved);
+      record.position = { x: to.x, y: to.y, z: to.z };
+      return true;
+    }
+
+    // Wormholes work both ways: the return wormhole sits next to the destination
+    const throughWormhole = wormholes.some(({ position, destination }) =>
+      (distance(from, position) < WORMHOLE_ENTRY_RADIUS && distance(to, destination) < WORMHOLE_EXIT_RADIUS) ||
+      (distance(from, destination) < WORMHOLE_ENTRY_RADIUS && distance(to, position) < WORMHOLE_EXIT_RADIUS)
+    );
+    if (throughWormhole) {
+      record.position = { x: to.x, y: to.y, z: to.z };
+      return true;
+    }
+
+    this.recordViolation(record, 'movement', `moved ${Math.round(moved)} units`, now);
+    return false;
+  }
+
+  // Check a reported death; deaths that come too often are refused, so the
+  // ship can't keep respawning its way across the universe
+  checkDeath(playerId, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+
+    record.deaths = record.deaths.filter(at => now - at < DEATH_WINDOW);
+    if (record.deaths.length >= MAX_DEATHS) {
+      this.recordViolation(record, 'deaths', `${record.deaths.length + 1} deaths in ${DEATH_WINDOW / 1000}s`, now);
+      return false;
+    }
+
+    record.deaths.push(now);
+    record.deathPenaltyDue = true;
+    return true;
+  }
+
+  // Check the first move of a destroyed ship, from its wreck at `from` to where it respawned
+  checkRespawn(playerId, from, to, sectorSize, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+
+    const wreckSector = ['x', 'y', 'z'].map(axis => Math.floor(from[axis] / sectorSize));
+    const sector = ['x', 'y', 'z'].map(axis => Math.floor(to[axis] / sectorSize));
+    const sectorCenter = { x: (sector[0] + 0.5) * sectorSize, y: (sector[1] + 0.5) * sectorSize, z: (sector[2] + 0.5) * sectorSize };
+    const nearWreck = sector.every((coord, i) => Math.abs(coord - wreckSector[i]) <= RESPAWN_SECTOR_RANGE);
+    if (distance(to, SPAWN_POSITION) <= RESPAWN_RADIUS || (nearWreck && distance(to, sectorCenter) <= RESPAWN_RADIUS)) {
+      record.position = { x: to.x, y: to.y, z: to.z };
+      return true;
+    }
+
+    this.recordViolation(record, 'movement', `respawned ${Math.round(distance(from, to))} units from wreck`, now);
+    return false;
+  }
+
+  // Check a client's resources and upgrade levels. The first claim is taken as
+  // given (progress is saved locally); after that, gains have to fit what the
+  // player could have earned and upgrades have to be paid for, and the first
+  // claim after a death has to show the resources it cost.
+  checkProgress(playerId, claim, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record || !claim || !Number.isFinite(claim.resources) || claim.resources < 0) return false;
+
+    const upgrades = {};
+    for (const upgrade of Object.keys(UPGRADE_BASE_COSTS)) {
+      const level = claim.upgrades ? claim.upgrades[upgrade] : undefined;
+      if (!Number.isInteger(level) || level < 0 || level > MAX_UPGRADE_LEVEL) {
+        this.recordViolation(record, 'upgrades', `invalid ${upgrade}`, now);
+        return false;
+      }
+      upgrades[upgrade] = level;
+    }
+
+    this.accrueCredit(record, now);
+
+    const previous = record.progress;
+    record.progress = { resources: claim.resources, upgrades };
+
+    const deathPenaltyDue = record.deathPenaltyDue;
+    record.deathPenaltyDue = false;
+    if (!previous) return true;
+
+    let spent = 0;
+    for (const upgrade of Object.keys(upgrades)) {
+      if (upgrades[upgrade] < previous.upgrades[upgrade]) {
+        this.recordViolation(record, 'upgrades', `${upgrade} went down`, now);
+        return false;
+      }
+      spent += getUpgradeCost(upgrade, previous.upgrades[upgrade], upgrades[upgrade]);
+    }
+
+    // The most the player could have carried when they died, less what dying costs
+    if (deathPenaltyDue) {
+      const mostCarried = previous.resources - spent + record.credit + RESOURCE_SLACK;
+      if (claim.resources > Math.floor(mostCarried * (1 - DEATH_RESOURCE_LOSS))) {
+        this.recordViolation(record, 'resources', `kept ${Math.round(claim.resources)} resources through a death`, now);
+        return false;
+      }
+    }
+
+    // The new claim becomes the baseline either way, so one jump only counts once
+    const gained = claim.resources - (previous.resources - spent);
+    if (gained > record.credit + RESOURCE_SLACK) {
+      record.credit = 0;
+      this.recordViolation(record, 'resources', `gained ${Math.round(gained)} resources`, now);
+      return false;
+    }
+
+    record.credit = Math.max(0, record.credit - Math.max(0, gained));
+    return true;
+  }
+
+  // Let a player earn up to `amount` extra resources (e.g. from a destroyed planet)
+  grantResources(playerId, amount, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return;
+
+    this.accrueCredit(record, now);
+    record.credit += amount;
+  }
+
+  // Passive debris keeps earning credit, up to a cap
+  accrueCredit(record, now) {
+    if (record.credit < MAX_PASSIVE_CREDIT) {
+      record.credit = Math.min(
+        MAX_PASSIVE_CREDIT,
+        record.credit + (now - record.creditUpdatedAt) / 1000 * PASSIVE_RESOURCE_RATE
+      );
+    }
+    record.creditUpdatedAt = now;
+  }
+
+  recordViolation(record, type, details, now) {
+    this.decayScore(record, now);
+    record.score += VIOLATION_WEIGHTS[type] || 1;
+
+    const violation = {
+      playerId: record.playerId,
+      name: record.name,
+      address: record.address,
+      type,
+      details,
+      score: record.score,
+      at: now
+    };
+    this.violations.push(violation);
+    if (this.violations.length > VIOLATION_LOG_SIZE) {
+      this.violations.shift();
+    }
+
+    this.logger.log(`[ANTI-CHEAT] ${record.playerId} (${record.name}): ${type} - ${details} (score ${record.score.toFixed(1)})`);
+  }
+
+  decayScore(record, now) {
+    record.score = Math.max(0, record.score - (now - record.scoreUpdatedAt) / 1000 * SCORE_DECAY_RATE);
+    record.scoreUpdatedAt = now;
+  }
+
+  // Check whether a player has collected enough violations to be kicked
+  shouldKick(playerId, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+
+    this.decayScore(record, now);
+    return record.score >= KICK_THRESHOLD;
+  }
+
+  // Note that a player was kicked; returns true if their address is now banned
+  recordKick(playerId, now = Date.now()) {
+    const record = this.records.get(playerId);
+    if (!record) return false;
+
+    // A fresh start if they come back, apart from the progress checks
+    this.release(playerId, now);
+    this.records.delete(playerId);
+
+    if (!record.address) return false;
+
+    const kicks = (this.kicks.get(record.address) || []).filter(at => now - at < BAN_KICK_WINDOW);
+    kicks.push(now);
+    this.kicks.set(record.address, kicks);
+
+    if (kicks.length >= BAN_KICK_COUNT) {
+      this.kicks.delete(record.address);
+      this.bans.set(record.address, now + BAN_DURATION);
+      this.logger.log(`[ANTI-CHEAT] Banned ${record.address} for ${BAN_DURATION / 60000} minutes`);
+      return true;
+    }
+    return false;
+  }
+
+  isBanned(address, now = Date.now()) {
+    const expiresAt = this.bans.get(address);
+    if (expiresAt === undefined) return false;
+
+    if (now > expiresAt) {
+      this.bans.delete(address);
+      return false;
+    }
+    return true;
+  }
+
+  // Most recent violations, newest first
+  getRecentViolations(limit = VIOLATION_LOG_SIZE) {
+    return this.violations.slice(-limit).reverse();
+  }
+
+  // Forget players not heard from in a while, departed progress, and expired bans and kicks
+  removeStale(now = Date.now()) {
+    this.records.forEach((record, playerId) => {
+      if (now - record.lastSeenAt > RECORD_TIMEOUT) {
+        this.records.delete(playerId);
+      }
+    });
+    this.departedProgress.forEach((departed, address) => {
+      if (now - departed.departedAt > RECORD_TIMEOUT) this.departedProgress.delete(address);
+    });
+    this.bans.forEach((expiresAt, address) => {
+      if (now > expiresAt) this.bans.delete(address);
+    });
+    this.kicks.forEach((kicks, address) => {
+      if (kicks.every(at => now - at >= BAN_KICK_WINDOW)) this.kicks.delete(address);
+    });
+  }
+}
+
+module.exports = {
+  AntiCheat,
+  getMaxPlanetYield,
+  getMaxDebrisYield
+};
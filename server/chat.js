@@ -0,0 +1,85 @@
+/**
+ * Chat Module
+ * Parses chat messages and slash commands.
+ *
+ * Plain messages go to everyone in the room. Messages starting with `/` are
+ * commands: whispers, the team channel, emotes and a few informational
+ * commands. Delivery is left to server.js, which knows the sockets.
+ */
+
+// Longest chat message, in characters
+const MAX_CHAT_LENGTH = 200;
+
+// Team names are short tags like "RED" or "SQUAD-7"
+const TEAM_NAME_PATTERN = /^[A-Z0-9-]{1,16}$/;
+
+// Other spellings accepted for commands
+const COMMAND_ALIASES = {
+  whisper: 'w',
+  msg: 'w',
+  t: 'team',
+  emote: 'me'
+};
+
+// Shown by /help
+const COMMAND_HELP = [
+  '/w <player> <message> - private message',
+  '/team join <name> - join a team (/team leave to leave)',
+  '/team <message> - message your team',
+  '/me <action> - emote',
+  '/who - list players in the room',
+  '/ping - show your latency',
+  '/mute <player>, /unmute <player> - hide a player\'s chat',
+  '/block <player>, /unblock <player> - hide chat both ways',
+  '/login <account> <key> - log in as a moderator',
+  '/kick <player> [reason] - disconnect a player (moderators)'
+];
+
+// Split a chat message into a command and its arguments. Plain messages
+// come back with a null command.
+function parseChatMessage(message) {
+  const text = message.trim();
+  const match = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+  if (!match) {
+    return { command: null, args: text };
+  }
+
+  const name = match[1].toLowerCase();
+  return {
+    command: COMMAND_ALIASES[name] || name,
+    args: match[2].trim()
+  };
+}
+
+// Find the player whose name starts `text` (names may contain spaces, so the
+// longest match wins) and return it with the rest of the text
+function findPlayerByNamePrefix(players, text) {
+  const lowerText = text.toLowerCase();
+  let found = null;
+
+  players.forEach((player) => {
+    const lowerName = player.name.toLowerCase();
+    const matches = lowerText === lowerName || lowerText.startsWith(`${lowerName} `);
+    if (matches && (!found || player.name.length > found.name.length)) {
+      found = player;
+    }
+  });
+
+  if (!found) return null;
+  return { player: found, rest: text.slice(found.name.length).trim() };
+}
+
+// Normalize a user-entered team name, or return null if it can't be one
+function normalizeTeamName(name) {
+  if (typeof name !== 'string') return null;
+  const normalized = name.trim().toUpperCase();
+  return TEAM_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+module.exports = {
+  parseChatMessage,
+  findPlayerByNamePrefix,
+  normalizeTeamName,
+  COMMAND_HELP,
+  MAX_CHAT_LENGTH
+};
@@ -0,0 +1,1668 @@
+/**
+ * Game Server Module
+ * The Express app, WebSocket server and game loop behind server.js.
+ *
+ * createGameServer() builds a complete server (rooms, sessions, anti-cheat,
+ * chat, admin API and metrics) without starting it, so it can be listened on
+ * from server.js or spun up on an ephemeral port by the tests. The current
+ * time comes from an injectable clock, which lets tests move time forward
+ * instead of waiting for it.
+ */
+
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+const path = require('path');
+const cors = require('cors');
+const { RoomManager, normalizeSeed } = require('./rooms');
+const { SessionStore } = require('./sessions');
+const { ProfileStore, MAX_PROFILE_SIZE } = require('./profiles');
+const { createSnapshotState, encodeSnapshot } = require('./state-codec');
+const { getRelevantPlayerIds, diffInterest } = require('./interest');
+const { AntiCheat, getMaxPlanetYield, getMaxDebrisYield } = require('./anti-cheat');
+const { parseChatMessage, findPlayerByNamePrefix, normalizeTeamName, COMMAND_HELP, MAX_CHAT_LENGTH } = require('./chat');
+const { createWordFilter, parseWordList, createFloodState, checkFlood, ModeratorAccounts } = require('./moderation');
+const { requireAdminToken } = require('./admin');
+const { MetricsRegistry, quantile } = require('./metrics');
+const { saveState, takeState } = require('./persistence');
+
+// Repository root, where the client files and the data directory live
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Colors handed out to players who don't bring their own
+const playerColors = ['#FF4136', '#0074D9', '#2ECC40', '#FFDC00', '#B10DC9', '#FF851B', '#7FDBFF', '#F012BE'];
+
+// Maximum number of sectors a client may request in one message
+const MAX_SECTORS_PER_REQUEST = 27;
+
+// Bomb countdown in ms (mirrors Config.bombs.countdownTime on the client)
+const BOMB_COUNTDOWN = 10000;
+const MAX_BOMB_SIZE = 3;
+
+// Smallest bomb that gets through a planet shield (mirrors canBombPenetrate in js/modules/simulation.js)
+const SHIELD_PENETRATING_BOMB_SIZE = 3;
+
+// Game state synchronization rate (ms) - increasing from 50ms to reduce server load
+const SYNC_RATE = 100;
+
+// Binary snapshots kept per client as delta bases; older acks get a full snapshot
+const SNAPSHOT_HISTORY_SIZE = 32;
+
+// How long players are warned before the server shuts down (ms)
+const SHUTDOWN_COUNTDOWN = 5000;
+
+// WebSocket close code telling clients the server is restarting (1012 Service Restart)
+const SERVER_RESTART_CODE = 1012;
+
+// How long to wait for connections to close after a shutdown (ms)
+const SHUTDOWN_CLOSE_TIMEOUT = 5000;
+
+// Default file rooms and sessions are handed over through on shutdown
+const DEFAULT_STATE_FILE = path.join(ROOT_DIR, 'data', 'server-state.json');
+
+// Longest display name, in characters
+const MAX_NAME_LENGTH = 16;
+
+// Message types counted by name; anything else is counted as 'unknown'
+const KNOWN_MESSAGE_TYPES = new Set([
+  'updatePosition', 'alienMode', 'placeBomb', 'playerDied', 'requestSectors', 'stateAck', 'progress', 'chat', 'pong'
+]);
+
+// Longest cause of death passed on to the room, in characters
+const MAX_DEATH_CAUSE_LENGTH = 32;
+
+// How far from a planet's center a player may land, in planet sizes (mirrors
+// attemptLanding in js/modules/player.js), plus room for a position update in flight
+const LANDING_RANGE = 2;
+const LANDING_SLACK = 50;
+
+// Data validation. Positions have to be finite (JSON allows 1e999) and inside
+// the universe, or they can't be encoded into snapshots or sector keys.
+function isValidPosition(position, universe) {
+  if (!position) return false;
+  return (
+    Number.isFinite(position.x) &&
+    Number.isFinite(position.y) &&
+    Number.isFinite(position.z) &&
+    universe.containsPosition(position)
+  );
+}
+
+function isValidRotation(rotation) {
+  if (!rotation) return false;
+  return (
+    Number.isFinite(rotation.x) &&
+    Number.isFinite(rotation.y) &&
+    Number.isFinite(rotation.z)
+  );
+}
+
+// Whether a ship at `position` is close enough to land on `planet`
+function isWithinLandingRange(position, planet) {
+  const dx = position.x - planet.position.x;
+  const dy = position.y - planet.position.y;
+  const dz = position.z - planet.position.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz) <= planet.size * LANDING_RANGE + LANDING_SLACK;
+}
+
+// The address a connection comes from. Behind a trusted reverse proxy (such
+// as Heroku's router) that is the last entry of X-Forwarded-For, the one the
+// proxy itself saw; clients can put anything in front of it.
+function getClientAddress(req, trustProxy) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (trustProxy && typeof forwardedFor === 'string') {
+    const address = forwardedFor.split(',').pop().trim();
+    if (address) return address;
+  }
+  return req.socket.remoteAddress;
+}
+
+// Generate a unique ID
+function generateId() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * @param {object} [options]
+ * @param {{ now: function(): number }} [options.clock] - Current time in ms (Date by default)
+ * @param {{ log: function, error: function }} [options.logger] - Where log lines go
+ *   (console by default)
+ * @param {string} [options.universeSeed] - Seed of the default room's universe
+ * @param {string|null} [options.stateFile] - Where rooms and sessions are handed over on
+ *   shutdown and restored from on creation; null for neither
+ * @param {string} [options.profileDir] - Where saved player profiles are kept
+ * @param {string} [options.adminToken] - Token for the admin API; the API is off without one
+ * @param {string} [options.chatFilterWords] - "word,word" list replacing the default chat filter
+ * @param {string} [options.moderators] - "name:key,name:key" moderator accounts
+ * @param {boolean} [options.trustProxy] - Take client addresses (for bans) from
+ *   X-Forwarded-For; only for servers behind a reverse proxy that sets it
+ */
+function createGameServer(options = {}) {
+  // Source of the current time; tests pass one they can move forward
+  const clock = options.clock || Date;
+
+  // Where the server and its modules log to; tests pass a quieter one
+  const logger = options.logger || console;
+
+  // Initialize Express app and HTTP server
+  const app = express();
+  const server = http.createServer(app);
+
+  // Add CORS support
+  app.use(cors({
+    origin: '*', // In production, you would restrict this to your domain
+    methods: ['GET', 'POST', 'PUT'],
+    credentials: true
+  }));
+
+  // Initialize WebSocket server with proper configuration
+  const wss = new WebSocket.Server({ 
+    server,
+    clientTracking: true,
+    perMessageDeflate: false
+  });
+
+  // Serve static files from public directory
+  app.use(express.static(path.join(ROOT_DIR, 'public')));
+
+  // Serve JavaScript modules
+  app.use('/js', express.static(path.join(ROOT_DIR, 'js')));
+
+  // Main page route
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(ROOT_DIR, 'public', 'index.html'));
+  });
+
+  // Saved player profiles (see js/modules/save-system.js)
+  const profiles = new ProfileStore(options.profileDir || path.join(ROOT_DIR, 'data', 'profiles'));
+
+  // Load a saved profile
+  app.get('/api/profile/:profileId', async (req, res) => {
+    try {
+      const profile = await profiles.get(req.params.profileId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      res.json(profile);
+    } catch (error) {
+      logger.error('Error loading profile:', error);
+      errors.inc({ source: 'profile' });
+      res.status(500).json({ error: 'Could not load profile' });
+    }
+  });
+
+  // Save a profile; an older save never overwrites a newer one
+  app.put('/api/profile/:profileId', express.json({ limit: MAX_PROFILE_SIZE }), async (req, res) => {
+    try {
+      const profile = await profiles.save(req.params.profileId, req.body);
+      res.json(profile);
+    } catch (error) {
+      // Filesystem errors carry a code; anything else is a rejected payload
+      if (error.code) {
+        logger.error('Error saving profile:', error);
+        errors.inc({ source: 'profile' });
+        return res.status(500).json({ error: 'Could not save profile' });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // List public rooms with their player counts
+  app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: rooms.listPublicRooms() });
+  });
+
+  // Look up a room by join code
+  app.get('/api/rooms/:code', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(room.getInfo());
+  });
+
+  // Create a room; players join it with its code
+  app.post('/api/rooms', express.json(), (req, res) => {
+    try {
+      const room = rooms.createRoom(req.body || {});
+      res.status(201).json(room.getInfo());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Admin console (its API needs the ADMIN_TOKEN, see server/admin.js)
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(ROOT_DIR, 'public', 'admin.html'));
+  });
+
+  app.use('/api/admin', requireAdminToken(options.adminToken, logger), express.json());
+
+  // Every connected player, with where they are and their latency
+  app.get('/api/admin/players', (req, res) => {
+    res.json({ players: Array.from(players.values()).map(getPlayerDataForAdmin) });
+  });
+
+  // Disconnect a player
+  app.post('/api/admin/players/:playerId/kick', (req, res) => {
+    const player = players.get(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 100) : '';
+    logger.log(`[ADMIN] Kicked ${player.id} (${player.name})${reason ? `: ${reason}` : ''}`);
+    kickPlayer(player, reason ? `KICKED BY AN ADMIN: ${reason.toUpperCase()}` : 'KICKED BY AN ADMIN');
+
+    player.room.players.forEach((p) => {
+      sendChatNotice(p, `${player.name} WAS KICKED BY AN ADMIN`);
+    });
+    res.json({ kicked: player.id });
+  });
+
+  // Show a notice to every player, or only to one room's players
+  app.post('/api/admin/notice', (req, res) => {
+    const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_CHAT_LENGTH) {
+      return res.status(400).json({ error: 'Invalid message' });
+    }
+
+    let room = null;
+    if (req.body.room) {
+      room = rooms.getRoom(req.body.room);
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+    }
+
+    logger.log(`[ADMIN] Notice to ${room ? `room ${room.code}` : 'all rooms'}: ${message}`);
+    const notice = { type: 'serverNotice', message };
+    if (room) {
+      broadcastToRoom(room, notice);
+    } else {
+      rooms.forEach(r => broadcastToRoom(r, notice));
+    }
+    res.json({ sent: room ? room.players.size : players.size });
+  });
+
+  // Every room, including private ones
+  app.get('/api/admin/rooms', (req, res) => {
+    const roomList = [];
+    rooms.forEach(room => roomList.push(getRoomDataForAdmin(room)));
+    res.json({ rooms: roomList });
+  });
+
+  // Give a room a new universe seed (a random one if none is given)
+  app.put('/api/admin/rooms/:code/seed', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    try {
+      resetRoomUniverse(room, normalizeSeed(req.body && req.body.seed));
+      res.json(getRoomDataForAdmin(room));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Bring back every destroyed planet in a room
+  app.post('/api/admin/rooms/:code/reset-planets', (req, res) => {
+    const room = rooms.getRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    resetRoomUniverse(room, room.universe.seed);
+    res.json(getRoomDataForAdmin(room));
+  });
+
+  // Server-wide counters and memory use
+  app.get('/api/admin/metrics', (req, res) => {
+    res.json(getServerMetrics());
+  });
+
+  // Recent anti-cheat violations, newest first
+  app.get('/api/admin/violations', (req, res) => {
+    res.json({ violations: antiCheat.getRecentViolations() });
+  });
+
+  // Prometheus metrics (see the metric definitions below)
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Player data storage (every connected player, whatever room they're in)
+  const players = new Map();
+  let nextColorIndex = 0;
+
+  // Game rooms, each with its own seeded universe. Players without a join
+  // code share the default room, which uses the universeSeed option.
+  const rooms = new RoomManager({ defaultSeed: options.universeSeed, clock, logger });
+  logger.log(`Universe seed: ${rooms.defaultRoom.universe.seed}`);
+
+  // Binary snapshot state (see server/state-codec.js)
+  let snapshotSeq = 0;
+
+  // Compact per-connection IDs used in binary snapshots
+  let nextNetId = 1;
+
+  // Resumable player sessions (see server/sessions.js)
+  const sessions = new SessionStore();
+
+  // Rooms and sessions are handed over to the next server through this file on shutdown
+  const stateFile = options.stateFile !== undefined ? options.stateFile : DEFAULT_STATE_FILE;
+
+  const savedState = stateFile ? takeState(stateFile, logger) : null;
+  if (savedState) {
+    rooms.restore(savedState.rooms || []);
+    sessions.restore(savedState.sessions || [], clock.now());
+    logger.log(`Restored ${(savedState.rooms || []).length} rooms and ${(savedState.sessions || []).length} sessions from ${stateFile}`);
+  }
+
+  let shuttingDown = false;
+
+  // Plausibility checks, rate limits, kicks and bans (see server/anti-cheat.js)
+  const antiCheat = new AntiCheat({ logger });
+
+  // Server metrics, scraped from /metrics
+  const metrics = new MetricsRegistry();
+
+  const messagesReceived = metrics.counter('cosmic_messages_received_total', 'WebSocket messages received, by type');
+  const messagesDropped = metrics.counter('cosmic_messages_dropped_total', 'WebSocket messages dropped by rate limiting, by type');
+  const messagesSent = metrics.counter('cosmic_messages_sent_total', 'WebSocket messages sent, by format');
+  const bytesSent = metrics.counter('cosmic_bytes_sent_total', 'WebSocket payload bytes sent, by format');
+  const playerTimeouts = metrics.counter('cosmic_player_timeouts_total', 'Players removed for not being heard from');
+  const playerDeaths = metrics.counter('cosmic_player_deaths_total', 'Player ships destroyed');
+  const errors = metrics.counter('cosmic_errors_total', 'Errors caught by the server, by source');
+  const syncDuration = metrics.summary('cosmic_sync_duration_seconds', 'Time taken by each game state sync loop');
+
+  metrics.gauge('cosmic_players_connected', 'Connected players', () => players.size);
+  metrics.gauge('cosmic_rooms', 'Open rooms', () => {
+    let count = 0;
+    rooms.forEach(() => count++);
+    return count;
+  });
+  metrics.gauge('cosmic_sessions', 'Player sessions, connected or waiting to be resumed', () => sessions.sessions.size);
+
+  // Latency from each player's last ping/pong, across the connected players
+  metrics.gauge('cosmic_player_latency_seconds', 'Average and 95th percentile player latency', () => {
+    const latencies = Array.from(players.values())
+      .map(player => player.latency)
+      .filter(latency => latency !== undefined)
+      .sort((a, b) => a - b);
+    const average = latencies.length > 0 ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length : NaN;
+
+    return [
+      { labels: { stat: 'average' }, value: average / 1000 },
+      { labels: { stat: 'p95' }, value: quantile(latencies, 0.95) / 1000 }
+    ];
+  });
+
+  metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+  metrics.gauge('process_uptime_seconds', 'Seconds since the server started', () => process.uptime());
+
+  // Chat word filter ("word,word" replaces the default list)
+  // and moderator accounts ("name:key,name:key")
+  const filterChat = createWordFilter(parseWordList(options.chatFilterWords) || undefined);
+  const moderators = new ModeratorAccounts(options.moderators);
+
+  // WebSocket connection handler
+  wss.on('connection', (ws, req) => {
+    // Nobody joins a server that's about to stop; clients retry against the next one
+    if (shuttingDown) {
+      ws.close(SERVER_RESTART_CODE, 'Server restarting');
+      return;
+    }
+
+    const urlParams = new URLSearchParams(req.url.slice(req.url.indexOf('?')));
+    const address = getClientAddress(req, options.trustProxy);
+
+    if (antiCheat.isBanned(address, clock.now())) {
+      sendToPlayer(ws, { type: 'banned', reason: 'TOO MANY KICKS' });
+      ws.close();
+      return;
+    }
+
+    // Resume a dropped session if the client still holds a valid token
+    let session = sessions.get(urlParams.get('session'), clock.now());
+    const sessionRoom = session ? rooms.getRoom(session.roomCode) : null;
+    if (!sessionRoom) session = null;
+
+    // A session that is still connected (e.g. a half-open socket) is taken over
+    const previousConnection = session ? players.get(session.playerId) : null;
+
+    // Join the session's room, the room named by the join code, or the default room
+    const roomCode = urlParams.get('room');
+    const room = session ? sessionRoom : roomCode ? rooms.getRoom(roomCode) : rooms.defaultRoom;
+    if (!room || (!previousConnection && room.isFull())) {
+      sendToPlayer(ws, {
+        type: 'roomError',
+        reason: room ? 'ROOM FULL' : 'ROOM NOT FOUND'
+      });
+      ws.close();
+      return;
+    }
+
+    // IDs are always issued by the server; the requested username is only a display name
+    const playerId = session ? session.playerId : generatePlayerId();
+    const playerName = session ? session.name : getUniqueName(room, urlParams.get('username'), playerId);
+
+    // Assign color to player - kept from the session, from URL params or the next available
+    let playerColor = session ? session.color : urlParams.get('color');
+    if (!playerColor) {
+      playerColor = playerColors[nextColorIndex];
+      nextColorIndex = (nextColorIndex + 1) % playerColors.length;
+    }
+
+    // Clients opt in to binary state snapshots; JSON stays the default
+    const protocol = urlParams.get('protocol') === 'binary' ? 'binary' : 'json';
+
+    // Initialize player data
+    const playerData = {
+      id: playerId,
+      name: playerName,
+      room,
+      netId: previousConnection ? previousConnection.netId : allocateNetId(),
+      protocol,
+      ackedSnapshotSeq: 0,
+      sentSnapshots: new Map(), // seq -> quantized state this client was sent
+      visiblePlayers: new Set(), // Players this client has been told are nearby
+      position: { x: 0, y: 100, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 },
+      color: playerColor,
+      isAlienMode: false,
+      team: null, // Chat team, joined with /team join
+      muted: new Map(), // Players whose chat this player doesn't see (ID -> name)
+      blocked: new Map(), // Players muted both ways (ID -> name)
+      chatFlood: createFloodState(),
+      moderator: null, // Moderator account name after /login
+      lastUpdate: clock.now(),
+      socket: ws,
+      pingTime: 0,
+      address,
+      connectedAt: clock.now()
+    };
+
+    // Pick up where the session left off
+    if (session) {
+      const state = previousConnection || session.state;
+      if (state) restorePlayerState(playerData, state);
+
+      // The old socket's close handler sees it has been replaced and leaves the player alone
+      if (previousConnection) {
+        previousConnection.socket.close();
+      }
+      sessions.resume(session.token);
+    }
+    playerData.sessionToken = session ? session.token : sessions.create(playerData);
+
+    // Store player data
+    players.set(playerId, playerData);
+    room.addPlayer(playerData);
+    const record = antiCheat.track(playerData, address, clock.now());
+
+    // A new player starts at spawn, or where the address's last player left off
+    // when their progress carries over; the client moves there on `init`, and
+    // the first position it reports is checked from there like any other
+    if (!session && record.position) {
+      playerData.position = { ...record.position };
+    }
+
+    logger.log(`Player ${session ? 'resumed' : 'connected'}: ${playerId} as ${playerName} (room ${room.code})`);
+
+    // Set up ping interval for this specific connection
+    const pingInterval = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        try {
+          const pingTime = clock.now();
+          playerData.pingTime = pingTime;
+          sendRaw(ws, JSON.stringify({ type: 'ping', timestamp: pingTime }));
+        } catch (error) {
+          logger.error(`Error sending ping to ${playerId}:`, error);
+          errors.inc({ source: 'send' });
+          clearInterval(pingInterval);
+        }
+      } else {
+        clearInterval(pingInterval);
+      }
+    }, 15000); // Ping every 15 seconds
+
+    // Send initial player data
+    sendToPlayer(ws, {
+      type: 'init',
+      playerId,
+      playerName,
+      playerColor,
+      sessionToken: playerData.sessionToken,
+      resumed: !!session,
+      players: getPlayersData(room),
+      universe: room.universe.getInfo(),
+      room: room.getInfo(),
+      protocol,
+      chatHistory: room.chatHistory.filter(chatData => canHear(playerData, chatData.playerId)),
+      chatFilters: getChatFilters(playerData)
+    });
+
+    // Broadcast new player to others (a takeover is the same player, already known)
+    if (!previousConnection) {
+      broadcastToOthers(room, playerId, {
+        type: 'playerJoined',
+        player: getPlayerDataForBroadcast(playerData)
+      });
+    }
+
+    // Message handler
+    ws.on('message', (message) => {
+      try {
+        const data = JSON.parse(message);
+
+        // Update last activity timestamp to prevent timeout
+        const player = players.get(playerId);
+        if (player) {
+          player.lastUpdate = clock.now();
+        }
+
+        const messageType = KNOWN_MESSAGE_TYPES.has(data.type) ? data.type : 'unknown';
+        messagesReceived.inc({ type: messageType });
+
+        // Drop messages over their type's rate limit
+        if (!antiCheat.allowMessage(playerId, data.type, clock.now())) {
+          messagesDropped.inc({ type: messageType });
+          enforceAntiCheat(playerData);
+          return;
+        }
+
+        // Handle different message types
+        switch (data.type) {
+          case 'updatePosition':
+            updatePlayerPosition(playerId, data);
+            break;
+
+          case 'alienMode':
+            updatePlayerAlienMode(playerId, data);
+            break;
+
+          case 'placeBomb':
+            handleBombPlacement(playerId, data);
+            break;
+
+          case 'playerDied':
+            handlePlayerDeath(playerId, data.cause);
+            break;
+
+          case 'requestSectors':
+            handleSectorRequest(playerId, data.sectorKeys);
+            break;
+
+          case 'stateAck':
+            acknowledgeSnapshot(player, data.seq);
+            break;
+
+          case 'progress':
+            handleProgressClaim(playerId, data);
+            break;
+
+          case 'chat':
+            handleChatMessage(playerId, data.message);
+            break;
+
+          case 'pong':
+            // Player responded to ping
+            if (player && data.pingTime) {
+              const latency = clock.now() - data.pingTime;
+              player.latency = latency;
+              logger.log(`Player ${playerId} latency: ${latency}ms`);
+            }
+            break;
+
+          default:
+            logger.log(`Unknown message type: ${data.type}`);
+        }
+      } catch (error) {
+        logger.error('Error processing message:', error);
+        errors.inc({ source: 'message' });
+      }
+    });
+
+    // Handle disconnection
+    ws.on('close', () => {
+      logger.log(`Player disconnected: ${playerId}`);
+
+      // Clear ping interval
+      clearInterval(pingInterval);
+
+      // Remove player data and tell the room
+      removePlayer(playerData);
+    });
+
+    // Handle errors
+    ws.on('error', (error) => {
+      logger.error(`WebSocket error for player ${playerId}:`, error);
+      errors.inc({ source: 'socket' });
+      clearInterval(pingInterval);
+      removePlayer(playerData);
+    });
+  });
+
+  const timers = [];
+
+  // One tick of the sync loop: state to every player, then bomb countdowns
+  function tick() {
+    syncGameState();
+    updateBombs();
+  }
+
+  // Start server sync loop
+  timers.push(setInterval(tick, SYNC_RATE));
+
+  // Remove rooms nobody has used for a while, and sessions past their grace period
+  timers.push(setInterval(() => {
+    const now = clock.now();
+    rooms.removeIdleRooms(now);
+    sessions.removeExpired(now);
+    antiCheat.removeStale(now);
+  }, 10000));
+
+  // Add a heartbeat interval to keep connections alive
+  timers.push(setInterval(() => {
+    sendHeartbeat();
+  }, 5000)); // Send heartbeat every 5 seconds
+
+  // Send heartbeat to all connected players
+  function sendHeartbeat() {
+    players.forEach((player) => {
+      if (player.socket && player.socket.readyState === WebSocket.OPEN) {
+        try {
+          sendRaw(player.socket, JSON.stringify({ type: 'heartbeat', timestamp: clock.now() }));
+        } catch (error) {
+          logger.error(`Error sending heartbeat to player ${player.id}:`, error);
+          errors.inc({ source: 'send' });
+        }
+      }
+    });
+  }
+
+  // Sync game state to all players with improved error handling
+  function syncGameState() {
+      const startedAt = process.hrtime.bigint();
+
+      try {
+          // Clean up inactive players (disconnected without proper close). Clients
+          // send their position ten times a second while flying and answer a ping
+          // every 15 seconds, so this is at least one missed ping.
+          const now = clock.now();
+          const timeout = 30000; // 30 seconds (increased from 10 seconds)
+
+          players.forEach((player, id) => {
+              if (now - player.lastUpdate > timeout) {
+                  logger.log(`Player timed out: ${id}, last update: ${new Date(player.lastUpdate).toISOString()}`);
+                  playerTimeouts.inc();
+                  removePlayer(player);
+              }
+          });
+
+          let binaryState = null;
+
+          // Send each player the state of the players near them, with error handling
+          players.forEach((player) => {
+              try {
+                  if (!player.socket || player.socket.readyState !== WebSocket.OPEN) return;
+
+                  const relevantIds = getRelevantPlayerIds(player, player.room.players, player.room.universe.sectorSize);
+                  updatePlayerInterest(player, relevantIds);
+
+                  if (player.protocol === 'binary') {
+                      if (!binaryState) binaryState = createBinarySnapshot();
+                      sendRaw(player.socket, encodeSnapshotFor(player, binaryState, relevantIds, now));
+                  } else {
+                      sendRaw(player.socket, JSON.stringify(createJsonSnapshot(relevantIds, now)));
+                  }
+              } catch (error) {
+                  logger.error(`Error sending game state to player ${player.id}:`, error);
+                  errors.inc({ source: 'send' });
+              }
+          });
+      } catch (error) {
+          logger.error("Error in syncGameState:", error);
+          errors.inc({ source: 'sync' });
+      }
+
+      syncDuration.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+
+  // Update player position with error handling
+  function updatePlayerPosition(playerId, data) {
+      try {
+          const player = players.get(playerId);
+          if (!player) return;
+
+          // Basic validation
+          if (!isValidPosition(data.position, player.room.universe) || !isValidRotation(data.rotation)) {
+              logger.log(`Invalid position/rotation data from ${playerId}`);
+              return;
+          }
+
+          // Echoed back in gameState so the client can reconcile its prediction;
+          // after a rejected move that snaps the ship back to where it was
+          if (Number.isInteger(data.seq)) {
+              player.lastInputSeq = data.seq;
+          }
+
+          // A destroyed ship comes back at spawn or in a sector next to its wreck;
+          // otherwise it can't get further than its top speed (or a wormhole) allows
+          const now = clock.now();
+          const moveAllowed = player.isDead ?
+              antiCheat.checkRespawn(playerId, player.position, data.position, player.room.universe.sectorSize, now) :
+              antiCheat.checkMovement(playerId, player.position, data.position, player.room.universe.getWormholes(), now);
+          if (!moveAllowed) {
+              enforceAntiCheat(player);
+              return;
+          }
+
+          // Update player data
+          player.position = data.position;
+          player.rotation = data.rotation;
+          player.lastUpdate = clock.now();
+          player.positionUpdatedAt = player.lastUpdate;
+
+          if (player.isDead) {
+              player.isDead = false;
+              broadcastToRoom(player.room, {
+                  type: 'playerRespawned',
+                  playerId,
+                  position: data.position
+              });
+          }
+
+          // Binary clients piggyback snapshot acks on position updates
+          acknowledgeSnapshot(player, data.ack);
+      } catch (error) {
+          logger.error(`Error updating position for player ${playerId}:`, error);
+          errors.inc({ source: 'message' });
+      }
+  }
+
+  // Update player alien mode
+  function updatePlayerAlienMode(playerId, data) {
+    const player = players.get(playerId);
+    if (!player) return;
+
+    player.isAlienMode = data.isAlienMode === true;
+
+    // If landed on a known, intact planet the ship is actually next to, store planet data
+    const universe = player.room.universe;
+    const planet = data.planetId ? universe.getPlanet(data.planetId) : null;
+    if (planet && !universe.isPlanetDestroyed(data.planetId) && isWithinLandingRange(player.position, planet)) {
+      player.landedPlanetId = data.planetId;
+    } else {
+      if (planet) {
+        logger.log(`Rejected landing on ${data.planetId} from ${playerId}: too far away`);
+      }
+      player.landedPlanetId = null;
+    }
+
+    // Broadcast alien mode change
+    broadcastToRoom(player.room, {
+      type: 'playerAlienMode',
+      playerId,
+      isAlienMode: player.isAlienMode,
+      planetId: player.landedPlanetId
+    });
+  }
+
+  // A player's shields ran out; their ship stays where it was destroyed until they respawn
+  function handlePlayerDeath(playerId, cause) {
+    const player = players.get(playerId);
+    if (!player || player.isDead) return;
+
+    // A dead ship may respawn far from where it was, so deaths are rationed
+    if (!antiCheat.checkDeath(playerId, clock.now())) {
+      enforceAntiCheat(player);
+      return;
+    }
+
+    player.isDead = true;
+    player.isAlienMode = false;
+    player.landedPlanetId = null;
+    playerDeaths.inc();
+
+    broadcastToRoom(player.room, {
+      type: 'playerDied',
+      playerId,
+      cause: typeof cause === 'string' ?
+        cause.replace(/[^\w .-]/g, '').trim().slice(0, MAX_DEATH_CAUSE_LENGTH) || null : null
+    });
+  }
+
+  // Tell a player which other players came into or went out of range since the last sync
+  function updatePlayerInterest(player, relevantIds) {
+    const { entered, exited } = diffInterest(player.visiblePlayers, relevantIds);
+    player.visiblePlayers = relevantIds;
+
+    entered.forEach((id) => {
+      if (id === player.id) return;
+      sendToPlayer(player.socket, {
+        type: 'playerEntered',
+        player: getPlayerDataForBroadcast(players.get(id))
+      });
+    });
+
+    exited.forEach((id) => {
+      sendToPlayer(player.socket, {
+        type: 'playerExited',
+        playerId: id
+      });
+    });
+  }
+
+  // Prepare a lightweight JSON game state - only send necessary data
+  function createJsonSnapshot(playerIds, now) {
+    const playersData = {};
+    playerIds.forEach((id) => {
+      const player = players.get(id);
+      playersData[id] = {
+        id: player.id,
+        position: player.position,
+        rotation: player.rotation,
+        isAlienMode: player.isAlienMode,
+        landedPlanetId: player.landedPlanetId,
+        updatedAt: player.positionUpdatedAt,
+        seq: player.lastInputSeq
+      };
+    });
+
+    return {
+      type: 'gameState',
+      players: playersData,
+      timestamp: now
+    };
+  }
+
+  // Quantize this tick's state once for every binary client
+  function createBinarySnapshot() {
+    snapshotSeq++;
+    return { seq: snapshotSeq, state: createSnapshotState(players) };
+  }
+
+  // Encode the relevant part of a snapshot for one client, as a delta against
+  // the last one it acknowledged
+  function encodeSnapshotFor(player, snapshot, playerIds, now) {
+    const state = new Map();
+    playerIds.forEach((id) => {
+      const netId = players.get(id).netId;
+      state.set(netId, snapshot.state.get(netId));
+    });
+
+    // Each client sees a different set of players, so delta bases are kept per client
+    player.sentSnapshots.set(snapshot.seq, state);
+    player.sentSnapshots.delete(snapshot.seq - SNAPSHOT_HISTORY_SIZE);
+
+    const baseState = player.sentSnapshots.get(player.ackedSnapshotSeq);
+    if (baseState) {
+      return encodeSnapshot(snapshot.seq, now, state, player.ackedSnapshotSeq, baseState);
+    }
+    return encodeSnapshot(snapshot.seq, now, state);
+  }
+
+  // Record the newest snapshot a binary client has decoded
+  function acknowledgeSnapshot(player, seq) {
+    if (!player || !Number.isInteger(seq)) return;
+
+    // Acks for snapshots we never sent would make us delta against a base the client lacks
+    if (seq > player.ackedSnapshotSeq && seq <= snapshotSeq) {
+      player.ackedSnapshotSeq = seq;
+    }
+  }
+
+  // Pick a netId not used by any connected player
+  function allocateNetId() {
+    const inUse = new Set();
+    players.forEach((player) => inUse.add(player.netId));
+
+    while (inUse.has(nextNetId)) {
+      nextNetId = nextNetId % 65535 + 1;
+    }
+
+    const netId = nextNetId;
+    nextNetId = nextNetId % 65535 + 1;
+    return netId;
+  }
+
+  // Handle bomb placement; the server runs the countdown and decides when the planet is destroyed
+  function handleBombPlacement(playerId, data) {
+    const player = players.get(playerId);
+    if (!player) return;
+
+    // Validate data
+    if (!data.planetId || !isValidPosition(data.position, player.room.universe)) {
+      logger.log(`Invalid bomb placement data from ${playerId}`);
+      return;
+    }
+
+    const { universe, bombs } = player.room;
+
+    // Only planets that exist in the room's universe can be bombed
+    if (!universe.getPlanet(data.planetId) || universe.isPlanetDestroyed(data.planetId)) {
+      rejectBomb(player, data.planetId, 'UNKNOWN PLANET');
+      return;
+    }
+
+    // The bomber has to be on the planet's surface as an alien
+    if (!player.isAlienMode || player.landedPlanetId !== data.planetId) {
+      rejectBomb(player, data.planetId, 'NOT LANDED ON PLANET');
+      return;
+    }
+
+    if (bombs.has(data.planetId)) {
+      rejectBomb(player, data.planetId, 'BOMB ALREADY PLACED');
+      return;
+    }
+
+    const size = Number.isInteger(data.size) ? Math.min(Math.max(data.size, 1), MAX_BOMB_SIZE) : 1;
+
+    // The server can't see weapon fire wear a shield down, so a shielded planet
+    // only takes a bomb big enough to get through its shield
+    if (size < SHIELD_PENETRATING_BOMB_SIZE && universe.isPlanetShielded(data.planetId)) {
+      rejectBomb(player, data.planetId, 'PLANET SHIELD ACTIVE');
+      return;
+    }
+
+    bombs.set(data.planetId, {
+      playerId,
+      planetId: data.planetId,
+      position: data.position,
+      size,
+      detonateAt: clock.now() + BOMB_COUNTDOWN
+    });
+
+    // Broadcast bomb placement to everyone in the room
+    broadcastToRoom(player.room, {
+      type: 'bombPlaced',
+      playerId,
+      planetId: data.planetId,
+      position: data.position,
+      size,
+      countdown: BOMB_COUNTDOWN / 1000
+    });
+  }
+
+  // Tell a player their bomb was not accepted
+  function rejectBomb(player, planetId, reason) {
+    logger.log(`Rejected bomb on ${planetId} from ${player.id}: ${reason}`);
+
+    sendToPlayer(player.socket, {
+      type: 'bombRejected',
+      planetId,
+      reason
+    });
+  }
+
+  // Detonate bombs whose countdown has run out
+  function updateBombs() {
+    const now = clock.now();
+
+    rooms.forEach((room) => {
+      room.bombs.forEach((bomb, planetId) => {
+        if (now >= bomb.detonateAt) {
+          room.bombs.delete(planetId);
+          detonateBomb(room, bomb);
+        }
+      });
+    });
+  }
+
+  // Destroy a bomb's planet and tell everyone in its room
+  function detonateBomb(room, bomb) {
+    // Record the destruction so late joiners receive the planet as destroyed
+    if (!room.universe.destroyPlanet(bomb.planetId)) return;
+
+    // Nobody can stay landed on a destroyed planet. Anyone in the room may
+    // collect the debris; only the bomber gets the planet's reward.
+    const planet = room.universe.getPlanet(bomb.planetId);
+    room.players.forEach((player) => {
+      if (player.landedPlanetId === bomb.planetId) {
+        player.landedPlanetId = null;
+      }
+
+      const allowance = player.id === bomb.playerId ? getMaxPlanetYield(planet) : getMaxDebrisYield(planet);
+      antiCheat.grantResources(player.id, allowance, clock.now());
+    });
+
+    broadcastToRoom(room, {
+      type: 'planetDestroyed',
+      playerId: bomb.playerId,
+      planetId: bomb.planetId
+    });
+  }
+
+  // Check a client's resource and upgrade totals against what it could have earned
+  function handleProgressClaim(playerId, data) {
+    const player = players.get(playerId);
+    if (!player) return;
+
+    if (!antiCheat.checkProgress(playerId, { resources: data.resources, upgrades: data.upgrades }, clock.now())) {
+      enforceAntiCheat(player);
+    }
+  }
+
+  // Kick a player whose violations have passed the threshold
+  function enforceAntiCheat(player) {
+    if (!antiCheat.shouldKick(player.id, clock.now())) return;
+
+    const banned = antiCheat.recordKick(player.id, clock.now());
+    logger.log(`[ANTI-CHEAT] Kicked ${player.id} (${player.name})${banned ? ' and banned their address' : ''}`);
+
+    kickPlayer(player, banned ? 'BANNED FOR CHEATING' : 'KICKED FOR CHEATING');
+  }
+
+  // Disconnect a player and tell them why
+  function kickPlayer(player, reason) {
+    sendToPlayer(player.socket, {
+      type: 'kicked',
+      reason
+    });
+
+    // A kicked player can't resume their session
+    sessions.end(player.sessionToken);
+    removePlayer(player);
+    player.socket.close();
+  }
+
+  // Send the contents of the requested sectors to a player
+  function handleSectorRequest(playerId, sectorKeys) {
+    const player = players.get(playerId);
+    if (!player || !Array.isArray(sectorKeys)) return;
+
+    sectorKeys.slice(0, MAX_SECTORS_PER_REQUEST).forEach((sectorKey) => {
+      const sector = player.room.universe.getSectorData(sectorKey);
+      if (!sector) {
+        logger.log(`Invalid sector key from ${playerId}: ${sectorKey}`);
+        return;
+      }
+
+      sendToPlayer(player.socket, {
+        type: 'sectorData',
+        sector
+      });
+    });
+  }
+
+  // Handle a chat message: plain text goes to the room, `/` starts a command
+  function handleChatMessage(playerId, message) {
+    const player = players.get(playerId);
+    if (!player || typeof message !== 'string' || !message.trim() || message.length > MAX_CHAT_LENGTH) return;
+
+    // Flooding players are silenced for a while
+    const silencedFor = checkFlood(player.chatFlood, message, clock.now());
+    if (silencedFor !== null) {
+      sendChatNotice(player, `YOU ARE SILENCED FOR ${Math.ceil(silencedFor / 1000)}S FOR FLOODING`);
+      return;
+    }
+
+    // Commands see the raw text (moderator keys may contain `<` or `&`);
+    // sendChat escapes whatever gets passed on to other players
+    const { command, args } = parseChatMessage(message);
+
+    switch (command) {
+      case null:
+        sendChat(player, 'all', args, player.room.players);
+        break;
+
+      case 'me':
+        if (args) {
+          sendChat(player, 'emote', args, player.room.players);
+        } else {
+          sendChatNotice(player, 'USAGE: /me <action>');
+        }
+        break;
+
+      case 'w':
+        sendWhisper(player, args);
+        break;
+
+      case 'team':
+        handleTeamCommand(player, args);
+        break;
+
+      case 'who': {
+        const names = Array.from(player.room.players.values())
+          .map(p => p.team ? `${p.name} [${p.team}]` : p.name);
+        sendChatNotice(player, `PLAYERS IN ${player.room.code} (${names.length}): ${names.join(', ')}`);
+        break;
+      }
+
+      case 'ping':
+        // Measured from the ping/pong exchange every 15 seconds
+        sendChatNotice(player, player.latency !== undefined ?
+          `LATENCY: ${player.latency}MS` :
+          'LATENCY NOT MEASURED YET - TRY AGAIN SHORTLY');
+        break;
+
+      case 'mute':
+      case 'block':
+        addToChatFilter(player, command === 'mute' ? 'muted' : 'blocked', args);
+        break;
+
+      case 'unmute':
+      case 'unblock':
+        removeFromChatFilter(player, command === 'unmute' ? 'muted' : 'blocked', args);
+        break;
+
+      case 'login':
+        loginModerator(player, args);
+        break;
+
+      case 'kick':
+        handleKickCommand(player, args);
+        break;
+
+      case 'help':
+        COMMAND_HELP.forEach(line => sendChatNotice(player, line));
+        break;
+
+      default:
+        sendChatNotice(player, `UNKNOWN COMMAND /${command} - TRY /help`);
+    }
+  }
+
+  // Send a private message to one player in the sender's room
+  function sendWhisper(player, args) {
+    const match = findPlayerByNamePrefix(player.room.players, args);
+    if (!match) {
+      sendChatNotice(player, args ? `NO PLAYER NAMED ${args.split(' ')[0]}` : 'USAGE: /w <player> <message>');
+      return;
+    }
+    if (!match.rest) {
+      sendChatNotice(player, 'USAGE: /w <player> <message>');
+      return;
+    }
+    if (player.blocked.has(match.player.id)) {
+      sendChatNotice(player, `UNBLOCK ${match.player.name} TO WHISPER THEM`);
+      return;
+    }
+    if (match.player.blocked.has(player.id)) {
+      sendChatNotice(player, `${match.player.name} IS NOT ACCEPTING YOUR MESSAGES`);
+      return;
+    }
+
+    // The sender gets a copy so they can see what they sent
+    const recipients = new Set([player, match.player]);
+    sendChat(player, 'whisper', match.rest, recipients, {
+      targetId: match.player.id,
+      targetName: match.player.name
+    });
+  }
+
+  // `/team join <name>`, `/team leave`, `/team` on its own, or a team message
+  function handleTeamCommand(player, args) {
+    const [action, ...rest] = args.split(' ');
+
+    if (action.toLowerCase() === 'join') {
+      const team = normalizeTeamName(rest.join(' '));
+      if (!team) {
+        sendChatNotice(player, 'TEAM NAMES ARE 1-16 LETTERS, DIGITS OR DASHES');
+        return;
+      }
+
+      player.team = team;
+      sendChatNotice(player, `JOINED TEAM ${team}`);
+      getTeamMembers(player).forEach((member) => {
+        if (member !== player) sendChatNotice(member, `${player.name} JOINED TEAM ${team}`);
+      });
+      return;
+    }
+
+    if (action.toLowerCase() === 'leave' && rest.length === 0) {
+      if (player.team) {
+        sendChatNotice(player, `LEFT TEAM ${player.team}`);
+        player.team = null;
+      }
+      return;
+    }
+
+    if (!player.team) {
+      sendChatNotice(player, 'NOT IN A TEAM - USE /team join <name>');
+      return;
+    }
+
+    if (!args) {
+      sendChatNotice(player, `YOUR TEAM: ${player.team}`);
+      return;
+    }
+
+    sendChat(player, 'team', args, getTeamMembers(player), { team: player.team });
+  }
+
+  // Players in the same room and team as `player`, including itself
+  function getTeamMembers(player) {
+    return Array.from(player.room.players.values()).filter(p => p.team === player.team);
+  }
+
+  // Send a chat message from `player` to each of `recipients` who hasn't muted them
+  function sendChat(player, channel, message, recipients, extra = {}) {
+    // Sanitize message (basic)
+    const sanitizedMessage = message.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const filteredMessage = filterChat(sanitizedMessage);
+
+    // Log the chat message for debugging
+    logger.log(`[CHAT] (${channel}) ${player.id}: ${filteredMessage}`);
+
+    const chatData = {
+      type: 'chat',
+      channel,
+      playerId: player.id,
+      playerName: player.name,
+      playerColor: player.color,
+      message: filteredMessage,
+      ...extra
+    };
+
+    // Room-wide messages are replayed to players who join later
+    if (channel === 'all' || channel === 'emote') {
+      player.room.addChatHistory(chatData, clock.now());
+    }
+
+    // Recipients include the sender, for confirmation
+    recipients.forEach((p) => {
+      if (p === player || canHear(p, player.id)) {
+        sendToPlayer(p.socket, chatData);
+      }
+    });
+  }
+
+  // Check whether `listener` should get chat from the player with ID `speakerId`
+  function canHear(listener, speakerId) {
+    if (listener.muted.has(speakerId) || listener.blocked.has(speakerId)) return false;
+
+    const speaker = players.get(speakerId);
+    return !(speaker && speaker.blocked.has(listener.id));
+  }
+
+  // `/mute <player>` or `/block <player>`; on its own, list who is muted or blocked
+  function addToChatFilter(player, listName, args) {
+    const list = player[listName];
+    const label = listName.toUpperCase();
+
+    if (!args) {
+      sendChatNotice(player, list.size > 0 ? `${label}: ${Array.from(list.values()).join(', ')}` : `NOBODY ${label}`);
+      return;
+    }
+
+    const match = findPlayerByNamePrefix(player.room.players, args);
+    if (!match || match.rest) {
+      sendChatNotice(player, `NO PLAYER NAMED ${args}`);
+      return;
+    }
+    if (match.player === player) {
+      sendChatNotice(player, `YOU CAN'T ${listName === 'muted' ? 'MUTE' : 'BLOCK'} YOURSELF`);
+      return;
+    }
+
+    list.set(match.player.id, match.player.name);
+    sendChatNotice(player, `${label} ${match.player.name}`);
+    sendChatFilters(player);
+  }
+
+  // `/unmute <player>` or `/unblock <player>`; they may have left the room since
+  function removeFromChatFilter(player, listName, args) {
+    const list = player[listName];
+    const entry = Array.from(list.entries()).find(([, name]) => name.toLowerCase() === args.toLowerCase());
+    if (!entry) {
+      sendChatNotice(player, `${args || 'NOBODY'} IS NOT ${listName.toUpperCase()}`);
+      return;
+    }
+
+    list.delete(entry[0]);
+    sendChatNotice(player, `UN${listName.toUpperCase()} ${entry[1]}`);
+    sendChatFilters(player);
+  }
+
+  // Player IDs a player has muted and blocked, so the client can hide them too
+  function getChatFilters(player) {
+    return {
+      muted: Array.from(player.muted.keys()),
+      blocked: Array.from(player.blocked.keys())
+    };
+  }
+
+  function sendChatFilters(player) {
+    sendToPlayer(player.socket, {
+      type: 'chatFilters',
+      ...getChatFilters(player)
+    });
+  }
+
+  // `/login <account> <key>` makes the player a moderator
+  function loginModerator(player, args) {
+    if (moderators.size === 0) {
+      sendChatNotice(player, 'NO MODERATOR ACCOUNTS ARE SET UP');
+      return;
+    }
+
+    const [name, key] = args.split(' ');
+    const account = moderators.authenticate(name, key);
+    if (!account) {
+      logger.log(`[MOD] Failed moderator login from ${player.id} (${player.name})`);
+      sendChatNotice(player, 'LOGIN FAILED');
+      return;
+    }
+
+    player.moderator = account;
+    logger.log(`[MOD] ${player.id} (${player.name}) logged in as moderator ${account}`);
+    sendChatNotice(player, `LOGGED IN AS MODERATOR ${account.toUpperCase()}`);
+  }
+
+  // `/kick <player> [reason]` disconnects a player in any room (moderators only)
+  function handleKickCommand(player, args) {
+    if (!player.moderator) {
+      sendChatNotice(player, 'ONLY MODERATORS CAN KICK PLAYERS');
+      return;
+    }
+
+    const match = findPlayerByNamePrefix(players, args);
+    if (!match || match.player === player) {
+      sendChatNotice(player, args ? `NO PLAYER NAMED ${args.split(' ')[0]}` : 'USAGE: /kick <player> [reason]');
+      return;
+    }
+
+    const target = match.player;
+    logger.log(`[MOD] ${player.moderator} kicked ${target.id} (${target.name})${match.rest ? `: ${match.rest}` : ''}`);
+    kickPlayer(target, match.rest ? `KICKED BY A MODERATOR: ${match.rest.toUpperCase()}` : 'KICKED BY A MODERATOR');
+
+    // Tell the target's room, and the moderator if they're somewhere else
+    const notified = new Set(target.room.players.values()).add(player);
+    notified.forEach((p) => {
+      sendChatNotice(p, `${target.name} WAS KICKED BY A MODERATOR`);
+    });
+  }
+
+  // Send a server notice (command replies and errors) to one player's chat
+  function sendChatNotice(player, message) {
+    sendToPlayer(player.socket, {
+      type: 'chat',
+      channel: 'system',
+      message
+    });
+  }
+
+  // Remove a player from the server and their room, and tell the room they left.
+  // The session is kept so the player can resume within the grace period.
+  function removePlayer(player) {
+    // Already removed, or replaced by a resumed connection
+    if (players.get(player.id) !== player) return;
+
+    players.delete(player.id);
+    player.room.removePlayer(player.id, clock.now());
+    antiCheat.release(player.id, clock.now());
+    sessions.suspend(player.sessionToken, player, clock.now());
+
+    broadcastToRoom(player.room, {
+      type: 'playerLeft',
+      playerId: player.id
+    });
+  }
+
+  // Swap a room's universe for a fresh one and have its players reload it
+  function resetRoomUniverse(room, seed) {
+    room.resetUniverse(seed);
+    logger.log(`[ADMIN] Room ${room.code} universe reset (seed ${room.universe.seed})`);
+
+    broadcastToRoom(room, {
+      type: 'universeChanged',
+      universe: room.universe.getInfo()
+    });
+  }
+
+  // Player details for the admin API
+  function getPlayerDataForAdmin(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      room: player.room.code,
+      address: player.address,
+      connectedAt: player.connectedAt,
+      latency: player.latency !== undefined ? player.latency : null,
+      protocol: player.protocol,
+      position: player.position,
+      isAlienMode: player.isAlienMode,
+      landedPlanetId: player.landedPlanetId || null,
+      team: player.team,
+      moderator: player.moderator
+    };
+  }
+
+  // Room details for the admin API
+  function getRoomDataForAdmin(room) {
+    return {
+      ...room.getInfo(),
+      seed: room.universe.seed,
+      destroyedPlanets: room.universe.destroyedPlanets.size,
+      activeBombs: room.bombs.size
+    };
+  }
+
+  // Counters for the admin API
+  function getServerMetrics() {
+    let roomCount = 0;
+    rooms.forEach(() => roomCount++);
+
+    return {
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      players: players.size,
+      rooms: roomCount,
+      sessions: sessions.sessions.size,
+      snapshotSeq,
+      antiCheat: {
+        trackedPlayers: antiCheat.records.size,
+        recentViolations: antiCheat.violations.length,
+        bannedAddresses: antiCheat.bans.size
+      }
+    };
+  }
+
+  // Copy a resumed session's position and landed state onto a new connection
+  function restorePlayerState(player, state) {
+    player.position = { ...state.position };
+    player.rotation = { ...state.rotation };
+    player.isAlienMode = state.isAlienMode;
+    player.team = state.team || null;
+    player.muted = new Map(state.muted || []);
+    player.blocked = new Map(state.blocked || []);
+    player.moderator = state.moderator || null;
+
+    // The planet may have been destroyed (or the universe replaced) while the player was away
+    const universe = player.room.universe;
+    if (state.landedPlanetId && universe.getPlanet(state.landedPlanetId) && !universe.isPlanetDestroyed(state.landedPlanetId)) {
+      player.landedPlanetId = state.landedPlanetId;
+    } else {
+      player.isAlienMode = false;
+    }
+  }
+
+  // Generate a player ID no connected player is using
+  function generatePlayerId() {
+    let id = generateId();
+    while (players.has(id)) {
+      id = generateId();
+    }
+    return id;
+  }
+
+  // Turn a requested username into a display name that is unique within the room
+  function getUniqueName(room, requestedName, playerId) {
+    let name = typeof requestedName === 'string' ?
+      requestedName.replace(/[^\w .-]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name) {
+      name = `PILOT-${playerId.slice(0, 4).toUpperCase()}`;
+    }
+
+    const takenNames = new Set();
+    room.players.forEach((player) => takenNames.add(player.name.toLowerCase()));
+
+    // Add a number to names already in use: "Nova", "Nova-2", "Nova-3"...
+    let uniqueName = name;
+    for (let suffix = 2; takenNames.has(uniqueName.toLowerCase()); suffix++) {
+      const ending = `-${suffix}`;
+      uniqueName = name.slice(0, MAX_NAME_LENGTH - ending.length) + ending;
+    }
+
+    return uniqueName;
+  }
+
+  // Get player data for broadcasting (exclude socket)
+  function getPlayerDataForBroadcast(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      netId: player.netId,
+      position: player.position,
+      rotation: player.rotation,
+      color: player.color,
+      isAlienMode: player.isAlienMode,
+      isDead: !!player.isDead,
+      landedPlanetId: player.landedPlanetId
+    };
+  }
+
+  // Get data for all players in a room for broadcasting
+  function getPlayersData(room) {
+    const playersData = {};
+
+    room.players.forEach((player, id) => {
+      playersData[id] = getPlayerDataForBroadcast(player);
+    });
+
+    return playersData;
+  }
+
+  // Send a serialized message (JSON string or binary frame) and count it
+  function sendRaw(socket, payload) {
+    socket.send(payload);
+
+    const format = typeof payload === 'string' ? 'json' : 'binary';
+    messagesSent.inc({ format });
+    bytesSent.inc({ format }, typeof payload === 'string' ? Buffer.byteLength(payload) : payload.byteLength);
+  }
+
+  // Send data to specific player
+  function sendToPlayer(socket, data) {
+    if (socket.readyState === WebSocket.OPEN) {
+      sendRaw(socket, JSON.stringify(data));
+    }
+  }
+
+  // Broadcast to all players in a room except one
+  function broadcastToOthers(room, excludePlayerId, data) {
+    room.players.forEach((player, id) => {
+      if (id !== excludePlayerId && player.socket.readyState === WebSocket.OPEN) {
+        sendRaw(player.socket, JSON.stringify(data));
+      }
+    });
+  }
+
+  // Broadcast to all players in a room with error handling
+  function broadcastToRoom(room, data) {
+      try {
+          const serializedData = JSON.stringify(data);
+          room.players.forEach((player) => {
+              try {
+                  if (player.socket && player.socket.readyState === WebSocket.OPEN) {
+                      sendRaw(player.socket, serializedData);
+                  }
+              } catch (socketError) {
+                  logger.error(`Error sending to player ${player.id}:`, socketError);
+                  errors.inc({ source: 'send' });
+              }
+          });
+      } catch (error) {
+          logger.error("Error in broadcastToRoom:", error);
+          errors.inc({ source: 'send' });
+      }
+  }
+
+  // Start accepting connections; resolves with the port (the one picked when given 0)
+  function listen(port, host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        logger.log(`UFO Game server running on port ${server.address().port}`);
+        logger.log(`WebSocket server is ready to accept connections`);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  // Stop the game loops and close the servers
+  function stopServer(resolve) {
+    timers.forEach(clearInterval);
+    wss.close();
+    server.close(() => resolve());
+
+    // Don't wait forever for connections that won't close
+    setTimeout(resolve, SHUTDOWN_CLOSE_TIMEOUT).unref();
+  }
+
+  // Warn everyone, then save rooms and sessions for the next server and close
+  // every socket with a code that tells clients to reconnect. Resolves once
+  // the server has stopped.
+  function shutdown(signal) {
+    shuttingDown = true;
+    logger.log(`${signal} received, shutting down in ${SHUTDOWN_COUNTDOWN / 1000}s`);
+
+    rooms.forEach((room) => {
+      broadcastToRoom(room, {
+        type: 'serverShutdown',
+        countdown: SHUTDOWN_COUNTDOWN / 1000
+      });
+    });
+
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        // Keep every connected player's session so they resume on the next server
+        players.forEach(player => sessions.suspend(player.sessionToken, player, clock.now()));
+
+        if (stateFile) {
+          try {
+            saveState(stateFile, { rooms: rooms.toJSON(), sessions: sessions.toJSON() });
+            logger.log(`Saved server state to ${stateFile}`);
+          } catch (error) {
+            logger.error('Error saving server state:', error);
+          }
+        }
+
+        players.forEach(player => player.socket.close(SERVER_RESTART_CODE, 'Server restarting'));
+        stopServer(resolve);
+      }, SHUTDOWN_COUNTDOWN);
+    });
+  }
+
+  // Stop at once, dropping every connection without saving anything
+  function close() {
+    shuttingDown = true;
+    wss.clients.forEach(ws => ws.terminate());
+    return new Promise(resolve => stopServer(resolve));
+  }
+
+  return {
+    app,
+    server,
+    wss,
+    players,
+    rooms,
+    sessions,
+    antiCheat,
+    tick,
+    listen,
+    shutdown,
+    close
+  };
+}
+
+module.exports = {
+  createGameServer,
+  SERVER_RESTART_CODE
+};
@@ -0,0 +1,83 @@
+/**
+ * Interest Module
+ * Decides which players each client needs to hear about.
+ *
+ * Players are bucketed into the same `SEC-x:y:z` sectors the client uses in
+ * updatePlayerSector. A client is sent the players in its own sector and the
+ * sectors around it, closest first, up to a limit.
+ */
+
+// Sectors in each direction that count as nearby (1 = the surrounding 3x3x3 block)
+const INTEREST_RADIUS = 1;
+
+// Most other players sent to one client
+const MAX_VISIBLE_PLAYERS = 32;
+
+// Sector coordinates containing a position (mirrors updatePlayerSector on the client)
+function getSectorCoords(position, sectorSize) {
+  return {
+    x: Math.floor(position.x / sectorSize),
+    y: Math.floor(position.y / sectorSize),
+    z: Math.floor(position.z / sectorSize)
+  };
+}
+
+// Check whether two sectors are within `radius` sectors of each other on every axis
+function areSectorsNearby(a, b, radius = INTEREST_RADIUS) {
+  return Math.abs(a.x - b.x) <= radius &&
+    Math.abs(a.y - b.y) <= radius &&
+    Math.abs(a.z - b.z) <= radius;
+}
+
+function distanceSquared(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// Get the IDs of the players relevant to `viewer`: itself plus the closest
+// players in nearby sectors
+function getRelevantPlayerIds(viewer, players, sectorSize, options = {}) {
+  const radius = options.radius !== undefined ? options.radius : INTEREST_RADIUS;
+  const maxPlayers = options.maxPlayers !== undefined ? options.maxPlayers : MAX_VISIBLE_PLAYERS;
+  const viewerSector = getSectorCoords(viewer.position, sectorSize);
+
+  const nearby = [];
+  players.forEach((player) => {
+    if (player === viewer) return;
+    if (!areSectorsNearby(viewerSector, getSectorCoords(player.position, sectorSize), radius)) return;
+
+    nearby.push({ id: player.id, distance: distanceSquared(viewer.position, player.position) });
+  });
+
+  nearby.sort((a, b) => a.distance - b.distance);
+
+  const ids = new Set([viewer.id]);
+  nearby.slice(0, maxPlayers).forEach(({ id }) => ids.add(id));
+  return ids;
+}
+
+// Compare the players a client knew about with the ones now relevant
+function diffInterest(previousIds, currentIds) {
+  const entered = [];
+  const exited = [];
+
+  currentIds.forEach((id) => {
+    if (!previousIds.has(id)) entered.push(id);
+  });
+  previousIds.forEach((id) => {
+    if (!currentIds.has(id)) exited.push(id);
+  });
+
+  return { entered, exited };
+}
+
+module.exports = {
+  getSectorCoords,
+  areSectorsNearby,
+  getRelevantPlayerIds,
+  diffInterest,
+  INTEREST_RADIUS,
+  MAX_VISIBLE_PLAYERS
+};
@@ -0,0 +1,150 @@
+/**
+ * Metrics Module
+ * Counters, gauges and summaries rendered in the Prometheus text format.
+ *
+ * Only what the game server needs: counters with optional labels, gauges
+ * whose values are read when metrics are scraped, and summaries that report
+ * quantiles over a sliding window of recent observations.
+ */
+
+// Observations kept per summary for its quantiles
+const DEFAULT_SUMMARY_WINDOW = 600;
+const DEFAULT_QUANTILES = [0.5, 0.95, 0.99];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels || {});
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Value at quantile `q` (0-1) of a sorted array, or NaN if it's empty
+function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const index = Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+
+    // Values keyed by their formatted labels
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.values.size === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    this.values.forEach((value, labels) => {
+      lines.push(`${this.name}${labels} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Gauge {
+  // `collect` returns a number, or an array of { labels, value }
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    const result = this.collect();
+    const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+
+    samples.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Summary {
+  constructor(name, help, options = {}) {
+    this.name = name;
+    this.help = help;
+    this.windowSize = options.windowSize || DEFAULT_SUMMARY_WINDOW;
+    this.quantiles = options.quantiles || DEFAULT_QUANTILES;
+
+    // Recent observations for the quantiles; sum and count cover all of them
+    this.window = [];
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.window.push(value);
+    if (this.window.length > this.windowSize) {
+      this.window.shift();
+    }
+    this.sum += value;
+    this.count++;
+  }
+
+  render() {
+    const sorted = [...this.window].sort((a, b) => a - b);
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} summary`];
+
+    this.quantiles.forEach((q) => {
+      lines.push(`${this.name}${formatLabels({ quantile: q })} ${formatValue(quantile(sorted, q))}`);
+    });
+    lines.push(`${this.name}_sum ${formatValue(this.sum)}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  summary(name, help, options) {
+    return this.register(new Summary(name, help, options));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Every metric in the Prometheus text exposition format
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  quantile
+};
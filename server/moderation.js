@@ -0,0 +1,118 @@
+/**
+ * Moderation Module
+ * Word filter, flood protection and moderator accounts for chat.
+ *
+ * The word filter masks listed words (and words starting with them) with
+ * asterisks; the list can be replaced with the CHAT_FILTER_WORDS environment
+ * variable. Players who send too many messages, or the same message over and
+ * over, are silenced for a while. Moderator accounts come from the MODERATORS
+ * environment variable ("name:key,name:key") and log in with `/login`.
+ */
+
+const crypto = require('crypto');
+
+// Masked unless CHAT_FILTER_WORDS says otherwise
+const DEFAULT_FILTER_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'piss'];
+
+// Most messages in the flood window, and most identical messages in a row
+const FLOOD_WINDOW = 10000;
+const FLOOD_MAX_MESSAGES = 6;
+const FLOOD_MAX_REPEATS = 3;
+
+// How long a flooding player is silenced (ms)
+const FLOOD_SILENCE_DURATION = 30000;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse a comma-separated word list, or return null if none is given
+function parseWordList(spec) {
+  if (typeof spec !== 'string') return null;
+  return spec.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+// Build a function that masks the given words in a message
+function createWordFilter(words = DEFAULT_FILTER_WORDS) {
+  if (words.length === 0) return message => message;
+
+  const pattern = new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  return message => message.replace(pattern, match => '*'.repeat(match.length));
+}
+
+function createFloodState() {
+  return {
+    sentAt: [], // When recent messages were sent
+    lastMessage: null,
+    repeats: 0,
+    silencedUntil: 0
+  };
+}
+
+// Check a message against a player's flood state. Returns null if it may be
+// sent, or how long (ms) the player is silenced for.
+function checkFlood(state, message, now = Date.now()) {
+  if (now < state.silencedUntil) {
+    return state.silencedUntil - now;
+  }
+
+  state.sentAt = state.sentAt.filter(at => now - at < FLOOD_WINDOW);
+  state.sentAt.push(now);
+
+  const normalized = message.trim().toLowerCase();
+  state.repeats = normalized === state.lastMessage ? state.repeats + 1 : 1;
+  state.lastMessage = normalized;
+
+  if (state.sentAt.length > FLOOD_MAX_MESSAGES || state.repeats > FLOOD_MAX_REPEATS) {
+    state.sentAt = [];
+    state.repeats = 0;
+    state.silencedUntil = now + FLOOD_SILENCE_DURATION;
+    return FLOOD_SILENCE_DURATION;
+  }
+
+  return null;
+}
+
+class ModeratorAccounts {
+  // `spec` is "name:key,name:key"; names are case-insensitive
+  constructor(spec) {
+    this.accounts = new Map();
+
+    if (typeof spec !== 'string') return;
+    spec.split(',').forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) return;
+
+      const name = entry.slice(0, separator).trim().toLowerCase();
+      const key = entry.slice(separator + 1).trim();
+      if (name && key) this.accounts.set(name, key);
+    });
+  }
+
+  get size() {
+    return this.accounts.size;
+  }
+
+  // Check a moderator name and key; returns the account name, or null
+  authenticate(name, key) {
+    if (typeof name !== 'string' || typeof key !== 'string') return null;
+
+    const accountName = name.trim().toLowerCase();
+    const expected = this.accounts.get(accountName);
+    if (!expected) return null;
+
+    // Compare hashes so the comparison takes the same time whatever the key
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const actualHash = crypto.createHash('sha256').update(key).digest();
+    return crypto.timingSafeEqual(expectedHash, actualHash) ? accountName : null;
+  }
+}
+
+module.exports = {
+  createWordFilter,
+  parseWordList,
+  createFloodState,
+  checkFlood,
+  ModeratorAccounts,
+  DEFAULT_FILTER_WORDS
+};
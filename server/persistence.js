@@ -0,0 +1,58 @@
+/**
+ * Persistence Module
+ * Hands room and session state from a server that is shutting down to the
+ * one that replaces it.
+ *
+ * On shutdown the server writes its rooms (seed, destroyed planets, pending
+ * bombs, chat history) and player sessions to a state file; on boot it reads
+ * the file back so players reconnecting with their session tokens resume
+ * where they were. The file is deleted once read, so a server that later
+ * crashes doesn't bring back stale state.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the state format changes; older files are ignored
+const STATE_VERSION = 1;
+
+// Write the state file (synchronously, since the process is about to exit)
+function saveState(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write to a temp file first so a crash mid-write never leaves a corrupt file
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ version: STATE_VERSION, savedAt: Date.now(), ...state }));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read and delete the state file; null if there is none or it can't be used
+function takeState(filePath, logger = console) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Could not read server state from ${filePath}:`, error);
+    }
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(contents);
+    if (state.version !== STATE_VERSION) {
+      logger.log(`Ignoring server state with version ${state.version}`);
+      return null;
+    }
+    return state;
+  } catch (error) {
+    logger.error(`Ignoring unreadable server state in ${filePath}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  saveState,
+  takeState
+};
@@ -0,0 +1,91 @@
+/**
+ * Profiles Module
+ * File-backed storage for player save profiles.
+ *
+ * Clients own the save format (see js/modules/save-system.js); the server
+ * only checks that a profile looks like a save and keeps the newest copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Profile IDs are generated by the client; keep them filesystem-safe
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Largest serialized profile accepted (bytes)
+const MAX_PROFILE_SIZE = 256 * 1024;
+
+// Check that a profile ID is well formed
+function isValidProfileId(profileId) {
+  return typeof profileId === 'string' && PROFILE_ID_PATTERN.test(profileId);
+}
+
+// Check that a payload looks like a versioned save
+function isValidProfile(profile) {
+  return !!profile &&
+    typeof profile === 'object' &&
+    !Array.isArray(profile) &&
+    Number.isInteger(profile.version) &&
+    profile.version > 0 &&
+    typeof profile.savedAt === 'number';
+}
+
+class ProfileStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  getProfilePath(profileId) {
+    return path.join(this.directory, `${profileId}.json`);
+  }
+
+  // Load a profile, or null if none has been saved
+  async get(profileId) {
+    if (!isValidProfileId(profileId)) return null;
+
+    try {
+      const contents = await fs.promises.readFile(this.getProfilePath(profileId), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Store a profile unless the stored copy is newer; returns the kept profile
+  async save(profileId, profile) {
+    if (!isValidProfileId(profileId)) {
+      throw new Error('Invalid profile ID');
+    }
+    if (!isValidProfile(profile)) {
+      throw new Error('Invalid profile data');
+    }
+
+    const contents = JSON.stringify(profile);
+    if (Buffer.byteLength(contents) > MAX_PROFILE_SIZE) {
+      throw new Error('Profile too large');
+    }
+
+    const existing = await this.get(profileId);
+    if (existing && existing.savedAt > profile.savedAt) {
+      return existing;
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a partial save
+    const profilePath = this.getProfilePath(profileId);
+    const tempPath = `${profilePath}.tmp`;
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, profilePath);
+
+    return profile;
+  }
+}
+
+module.exports = {
+  ProfileStore,
+  isValidProfileId,
+  isValidProfile,
+  MAX_PROFILE_SIZE
+};
@@ -0,0 +1,280 @@
+/**
+ * Rooms Module
+ * Named game rooms, each with its own players, universe and bombs.
+ *
+ * Players join a room with the `?room=CODE` WebSocket parameter; without one
+ * they land in the default room, which always exists and uses the server's
+ * UNIVERSE_SEED. Other rooms are created through the REST API and removed
+ * once they have been empty for a while.
+ */
+
+const { Universe } = require('./universe');
+
+// Characters used in join codes (no 0/O or 1/I to avoid misreading)
+const ROOM_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+
+const DEFAULT_ROOM_CODE = 'MAIN';
+
+// Player cap for rooms that don't ask for one, and the most a room may ask for
+const DEFAULT_MAX_PLAYERS = 16;
+const MAX_PLAYERS_LIMIT = 64;
+
+// Most rooms that may exist at once
+const MAX_ROOMS = 100;
+
+// How long an empty room is kept before it is removed (ms)
+const ROOM_IDLE_TIMEOUT = 60000;
+
+// Room chat messages kept and replayed to players who join
+const CHAT_HISTORY_SIZE = 50;
+
+const MAX_ROOM_NAME_LENGTH = 32;
+const MAX_SEED_LENGTH = 64;
+
+// Normalize a user-entered join code, or return null if it can't be one
+function normalizeRoomCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return ROOM_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Check a user-supplied universe seed; undefined picks a random one
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return undefined;
+
+  const normalized = String(seed);
+  if (normalized.length > MAX_SEED_LENGTH) {
+    throw new Error('Invalid universe seed');
+  }
+  return normalized;
+}
+
+function generateRoomCode() {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_CHARACTERS[Math.floor(Math.random() * ROOM_CODE_CHARACTERS.length)];
+  }
+  return code;
+}
+
+class Room {
+  constructor(code, options = {}) {
+    // Source of the current time (see createGameServer)
+    this.clock = options.clock || Date;
+
+    this.code = code;
+    this.name = options.name || `Room ${code}`;
+    this.isPublic = options.isPublic !== false;
+    this.maxPlayers = options.maxPlayers || DEFAULT_MAX_PLAYERS;
+    this.universe = new Universe(options.seed || undefined);
+
+    // Players in this room, keyed by player ID
+    this.players = new Map();
+
+    // Active bombs, keyed by the ID of the planet they are planted on
+    this.bombs = new Map();
+
+    // Recent room-wide chat messages, oldest first
+    this.chatHistory = [];
+
+    // When the last player left, or null while the room is in use
+    this.emptySince = this.clock.now();
+  }
+
+  isFull() {
+    return this.players.size >= this.maxPlayers;
+  }
+
+  addPlayer(player) {
+    this.players.set(player.id, player);
+    this.emptySince = null;
+  }
+
+  removePlayer(playerId, now = this.clock.now()) {
+    this.players.delete(playerId);
+    if (this.players.size === 0 && this.emptySince === null) {
+      this.emptySince = now;
+    }
+  }
+
+  // Replace the universe with a fresh one; passing the current seed brings
+  // every planet back, undefined picks a random seed. Pending bombs go with
+  // the old universe.
+  resetUniverse(seed) {
+    this.universe = new Universe(seed);
+    this.bombs.clear();
+
+    this.players.forEach((player) => {
+      player.landedPlanetId = null;
+      player.isAlienMode = false;
+    });
+  }
+
+  addChatHistory(chatData, now = this.clock.now()) {
+    this.chatHistory.push({ ...chatData, timestamp: now });
+    if (this.chatHistory.length > CHAT_HISTORY_SIZE) {
+      this.chatHistory.shift();
+    }
+  }
+
+  // State saved across a server restart (see server/persistence.js)
+  toJSON() {
+    return {
+      code: this.code,
+      name: this.name,
+      isPublic: this.isPublic,
+      maxPlayers: this.maxPlayers,
+      seed: this.universe.seed,
+      destroyedPlanets: Array.from(this.universe.destroyedPlanets),
+      bombs: Array.from(this.bombs.values()),
+      chatHistory: this.chatHistory
+    };
+  }
+
+  // Room summary for the lobby and `init`
+  getInfo() {
+    return {
+      code: this.code,
+      name: this.name,
+      isPublic: this.isPublic,
+      playerCount: this.players.size,
+      maxPlayers: this.maxPlayers
+    };
+  }
+}
+
+class RoomManager {
+  constructor(options = {}) {
+    this.rooms = new Map();
+
+    // Source of the current time, handed to every room
+    this.clock = options.clock || Date;
+
+    // Where rooms coming and going are logged
+    this.logger = options.logger || console;
+
+    // Whether the default room's seed was chosen (UNIVERSE_SEED) rather than random
+    this.defaultSeedFixed = options.defaultSeed !== undefined;
+
+    // The default room is never removed
+    this.defaultRoom = new Room(DEFAULT_ROOM_CODE, {
+      name: 'Main Universe',
+      seed: options.defaultSeed,
+      maxPlayers: options.defaultMaxPlayers || MAX_PLAYERS_LIMIT,
+      clock: this.clock
+    });
+    this.rooms.set(DEFAULT_ROOM_CODE, this.defaultRoom);
+  }
+
+  // Look up a room by join code, or null if there is no such room
+  getRoom(code) {
+    const normalized = normalizeRoomCode(code);
+    return normalized ? this.rooms.get(normalized) || null : null;
+  }
+
+  // Create a room from user-supplied options; throws if they're invalid
+  createRoom(options = {}) {
+    if (this.rooms.size >= MAX_ROOMS) {
+      throw new Error('Too many rooms');
+    }
+
+    const name = options.name === undefined ? undefined : String(options.name).trim();
+    if (name !== undefined && (name.length === 0 || name.length > MAX_ROOM_NAME_LENGTH)) {
+      throw new Error('Invalid room name');
+    }
+
+    const seed = normalizeSeed(options.seed);
+
+    let maxPlayers = DEFAULT_MAX_PLAYERS;
+    if (options.maxPlayers !== undefined) {
+      maxPlayers = Number(options.maxPlayers);
+      if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_PLAYERS_LIMIT) {
+        throw new Error('Invalid player cap');
+      }
+    }
+
+    let code = generateRoomCode();
+    while (this.rooms.has(code)) {
+      code = generateRoomCode();
+    }
+
+    const room = new Room(code, {
+      name,
+      seed,
+      maxPlayers,
+      isPublic: options.isPublic !== false,
+      clock: this.clock
+    });
+    this.rooms.set(code, room);
+
+    this.logger.log(`Room created: ${code} (seed ${room.universe.seed})`);
+    return room;
+  }
+
+  // Public rooms for the lobby, busiest first
+  listPublicRooms() {
+    return Array.from(this.rooms.values())
+      .filter(room => room.isPublic)
+      .map(room => room.getInfo())
+      .sort((a, b) => b.playerCount - a.playerCount);
+  }
+
+  // Remove rooms that have been empty for longer than the idle timeout
+  removeIdleRooms(now = this.clock.now()) {
+    this.rooms.forEach((room, code) => {
+      if (room === this.defaultRoom || room.emptySince === null) return;
+
+      if (now - room.emptySince > ROOM_IDLE_TIMEOUT) {
+        this.rooms.delete(code);
+        this.logger.log(`Room removed: ${code}`);
+      }
+    });
+  }
+
+  forEach(callback) {
+    this.rooms.forEach(callback);
+  }
+
+  // Rooms to save across a server restart
+  toJSON() {
+    return Array.from(this.rooms.values()).map(room => room.toJSON());
+  }
+
+  // Bring back rooms saved by the previous server
+  restore(savedRooms) {
+    savedRooms.forEach((saved) => {
+      let room = this.rooms.get(saved.code);
+
+      if (room === this.defaultRoom) {
+        // A UNIVERSE_SEED set for this server wins over the saved universe
+        if (this.defaultSeedFixed && saved.seed !== room.universe.seed) return;
+        room.resetUniverse(saved.seed);
+      } else if (!room) {
+        room = new Room(saved.code, {
+          name: saved.name,
+          seed: saved.seed,
+          maxPlayers: saved.maxPlayers,
+          isPublic: saved.isPublic,
+          clock: this.clock
+        });
+        this.rooms.set(saved.code, room);
+      } else {
+        return;
+      }
+
+      (saved.destroyedPlanets || []).forEach(planetId => room.universe.destroyPlanet(planetId));
+      (saved.bombs || []).forEach(bomb => room.bombs.set(bomb.planetId, bomb));
+      room.chatHistory = saved.chatHistory || [];
+    });
+  }
+}
+
+module.exports = {
+  Room,
+  RoomManager,
+  normalizeRoomCode,
+  normalizeSeed,
+  DEFAULT_ROOM_CODE
+};
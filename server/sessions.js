@@ -0,0 +1,119 @@
+/**
+ * Sessions Module
+ * Server-issued session tokens that let a dropped player resume.
+ *
+ * Every connection gets a session token in `init`. When the connection drops
+ * the player's state is kept for a grace period; reconnecting with
+ * `?session=TOKEN` in that window restores the same player ID, name, color,
+ * room, position, landed state and chat settings instead of creating a new player.
+ */
+
+const crypto = require('crypto');
+
+// How long a dropped player's session can be resumed (ms)
+const SESSION_GRACE_PERIOD = 60000;
+
+const SESSION_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+class SessionStore {
+  constructor(gracePeriod = SESSION_GRACE_PERIOD) {
+    this.gracePeriod = gracePeriod;
+
+    // Sessions keyed by token
+    this.sessions = new Map();
+  }
+
+  // Start a session for a newly connected player and return its token
+  create(player) {
+    const token = generateToken();
+
+    this.sessions.set(token, {
+      token,
+      playerId: player.id,
+      name: player.name,
+      color: player.color,
+      roomCode: player.room.code,
+      state: null, // Saved when the connection drops
+      expiresAt: null // Null while connected
+    });
+
+    return token;
+  }
+
+  // Look up a session that can still be resumed, or null
+  get(token, now = Date.now()) {
+    if (typeof token !== 'string' || !SESSION_TOKEN_PATTERN.test(token)) return null;
+
+    const session = this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt !== null && now > session.expiresAt) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return session;
+  }
+
+  // Keep a dropped player's state until the grace period runs out
+  suspend(token, player, now = Date.now()) {
+    const session = this.sessions.get(token);
+    if (!session) return;
+
+    session.state = {
+      position: { ...player.position },
+      rotation: { ...player.rotation },
+      isAlienMode: player.isAlienMode,
+      landedPlanetId: player.landedPlanetId || null,
+      team: player.team || null,
+      muted: Array.from(player.muted || []),
+      blocked: Array.from(player.blocked || []),
+      moderator: player.moderator || null
+    };
+    session.expiresAt = now + this.gracePeriod;
+  }
+
+  // Mark a session as connected again
+  resume(token) {
+    const session = this.sessions.get(token);
+    if (!session) return;
+
+    session.expiresAt = null;
+  }
+
+  // End a session so it can't be resumed (e.g. after a kick)
+  end(token) {
+    this.sessions.delete(token);
+  }
+
+  // Sessions to save across a server restart; call suspend() for connected players first
+  toJSON() {
+    return Array.from(this.sessions.values());
+  }
+
+  // Bring back sessions saved by the previous server, with a fresh grace period
+  restore(savedSessions, now = Date.now()) {
+    savedSessions.forEach((session) => {
+      if (!session.state || !SESSION_TOKEN_PATTERN.test(session.token)) return;
+      this.sessions.set(session.token, { ...session, expiresAt: now + this.gracePeriod });
+    });
+  }
+
+  // Forget sessions whose grace period has run out
+  removeExpired(now = Date.now()) {
+    this.sessions.forEach((session, token) => {
+      if (session.expiresAt !== null && now > session.expiresAt) {
+        this.sessions.delete(token);
+      }
+    });
+  }
+}
+
+module.exports = {
+  SessionStore,
+  SESSION_GRACE_PERIOD
+};
@@ -0,0 +1,228 @@
+/**
+ * State Codec Module
+ * Compact binary encoding of `gameState` snapshots.
+ *
+ * Clients that connect with `?protocol=binary` receive player state as binary
+ * frames instead of JSON. Positions are quantized to fixed point, rotations
+ * are sent as compressed quaternions, and each frame only carries what changed
+ * since the last snapshot the client acknowledged.
+ *
+ * The decoder lives in js/modules/state-codec.js - keep the two in sync.
+ *
+ * Frame layout (little endian):
+ *   u8 type, u32 seq, u32 baseSeq (0 = full snapshot), f64 timestamp,
+ *   u16 entryCount, u16 removedCount, u16 removed netIds...,
+ *   entries: u16 netId, u8 flags, then the fields named by the flags in order
+ */
+
+const MESSAGE_STATE_SNAPSHOT = 1;
+
+// Fixed-point steps per world unit (1/16 unit precision)
+const POSITION_SCALE = 16;
+
+// Entry flags
+const FLAG_POSITION_FULL = 0x01;  // 3 x i32
+const FLAG_POSITION_DELTA = 0x02; // 3 x i16, relative to the base snapshot
+const FLAG_ROTATION = 0x04;       // u32 packed quaternion
+const FLAG_ALIEN_MODE = 0x08;     // State bit, no payload
+const FLAG_LANDED = 0x10;         // u8 length + UTF-8 planet ID
+const FLAG_INPUT_SEQ = 0x20;      // u32 last processed position update
+const FLAG_UPDATED_AT = 0x40;     // u16 ms between position update and snapshot
+
+const HEADER_SIZE = 1 + 4 + 4 + 8 + 2 + 2;
+const QUATERNION_RANGE = Math.SQRT1_2;
+
+// Convert Euler angles (XYZ order, as used by THREE.Object3D) to a quaternion
+function eulerToQuaternion(rotation) {
+  const c1 = Math.cos(rotation.x / 2);
+  const c2 = Math.cos(rotation.y / 2);
+  const c3 = Math.cos(rotation.z / 2);
+  const s1 = Math.sin(rotation.x / 2);
+  const s2 = Math.sin(rotation.y / 2);
+  const s3 = Math.sin(rotation.z / 2);
+
+  return [
+    s1 * c2 * c3 + c1 * s2 * s3,
+    c1 * s2 * c3 - s1 * c2 * s3,
+    c1 * c2 * s3 + s1 * s2 * c3,
+    c1 * c2 * c3 - s1 * s2 * s3
+  ];
+}
+
+// Pack a unit quaternion into 32 bits ("smallest three"): 2 bits for the index
+// of the largest component, 10 bits for each of the other three
+function packQuaternion(quaternion) {
+  let largest = 0;
+  for (let i = 1; i < 4; i++) {
+    if (Math.abs(quaternion[i]) > Math.abs(quaternion[largest])) {
+      largest = i;
+    }
+  }
+
+  // q and -q are the same rotation; make the dropped component positive
+  const sign = quaternion[largest] < 0 ? -1 : 1;
+
+  let packed = largest;
+  for (let i = 0; i < 4; i++) {
+    if (i === largest) continue;
+    const value = Math.max(-1, Math.min(1, (quaternion[i] * sign) / QUATERNION_RANGE));
+    packed = (packed << 10) | Math.round(value * 511 + 511);
+  }
+
+  return packed >>> 0;
+}
+
+// Quantize a world position to fixed point
+function quantizePosition(position) {
+  return {
+    x: Math.round(position.x * POSITION_SCALE),
+    y: Math.round(position.y * POSITION_SCALE),
+    z: Math.round(position.z * POSITION_SCALE)
+  };
+}
+
+// Build the quantized state of every player for one snapshot.
+// The result is shared by all binary clients and kept as a delta base.
+function createSnapshotState(players) {
+  const state = new Map();
+
+  players.forEach((player) => {
+    state.set(player.netId, {
+      netId: player.netId,
+      position: quantizePosition(player.position),
+      rotation: packQuaternion(eulerToQuaternion(player.rotation)),
+      isAlienMode: !!player.isAlienMode,
+      landedPlanetId: player.landedPlanetId || null,
+      updatedAt: player.positionUpdatedAt || 0,
+      seq: Number.isInteger(player.lastInputSeq) ? player.lastInputSeq : null
+    });
+  });
+
+  return state;
+}
+
+function fitsInt16(value) {
+  return value >= -32768 && value <= 32767;
+}
+
+// Work out which fields of an entry differ from its base (alien mode excluded)
+function getChangedFields(entry, base) {
+  if (!base) {
+    let fields = FLAG_POSITION_FULL | FLAG_ROTATION | FLAG_UPDATED_AT;
+    if (entry.landedPlanetId) fields |= FLAG_LANDED;
+    if (entry.seq !== null) fields |= FLAG_INPUT_SEQ;
+    return fields;
+  }
+
+  let fields = 0;
+
+  const dx = entry.position.x - base.position.x;
+  const dy = entry.position.y - base.position.y;
+  const dz = entry.position.z - base.position.z;
+  if (dx || dy || dz) {
+    fields |= fitsInt16(dx) && fitsInt16(dy) && fitsInt16(dz) ? FLAG_POSITION_DELTA : FLAG_POSITION_FULL;
+  }
+
+  if (entry.rotation !== base.rotation) fields |= FLAG_ROTATION;
+  if (entry.landedPlanetId !== base.landedPlanetId) fields |= FLAG_LANDED;
+  if (entry.seq !== null && entry.seq !== base.seq) fields |= FLAG_INPUT_SEQ;
+  if (entry.updatedAt !== base.updatedAt) fields |= FLAG_UPDATED_AT;
+
+  return fields;
+}
+
+// Encode a snapshot, as a delta against `baseState` when one is given
+function encodeSnapshot(seq, timestamp, state, baseSeq = 0, baseState = null) {
+  const entries = [];
+  const removed = [];
+  let size = HEADER_SIZE;
+
+  state.forEach((entry, netId) => {
+    const base = baseState ? baseState.get(netId) : null;
+    const changes = getChangedFields(entry, base);
+
+    // Nothing changed since the base snapshot
+    if (base && !changes && entry.isAlienMode === base.isAlienMode) {
+      return;
+    }
+
+    const flags = changes | (entry.isAlienMode ? FLAG_ALIEN_MODE : 0);
+
+    const landed = flags & FLAG_LANDED ? Buffer.from(entry.landedPlanetId || '', 'utf8').slice(0, 255) : null;
+
+    size += 3;
+    if (flags & FLAG_POSITION_FULL) size += 12;
+    if (flags & FLAG_POSITION_DELTA) size += 6;
+    if (flags & FLAG_ROTATION) size += 4;
+    if (landed) size += 1 + landed.length;
+    if (flags & FLAG_INPUT_SEQ) size += 4;
+    if (flags & FLAG_UPDATED_AT) size += 2;
+
+    entries.push({ entry, base, flags, landed });
+  });
+
+  if (baseState) {
+    baseState.forEach((entry, netId) => {
+      if (!state.has(netId)) removed.push(netId);
+    });
+  }
+  size += removed.length * 2;
+
+  const buffer = Buffer.alloc(size);
+  let offset = 0;
+
+  buffer.writeUInt8(MESSAGE_STATE_SNAPSHOT, offset); offset += 1;
+  buffer.writeUInt32LE(seq, offset); offset += 4;
+  buffer.writeUInt32LE(baseState ? baseSeq : 0, offset); offset += 4;
+  buffer.writeDoubleLE(timestamp, offset); offset += 8;
+  buffer.writeUInt16LE(entries.length, offset); offset += 2;
+  buffer.writeUInt16LE(removed.length, offset); offset += 2;
+
+  removed.forEach((netId) => {
+    buffer.writeUInt16LE(netId, offset); offset += 2;
+  });
+
+  entries.forEach(({ entry, base, flags, landed }) => {
+    buffer.writeUInt16LE(entry.netId, offset); offset += 2;
+    buffer.writeUInt8(flags, offset); offset += 1;
+
+    if (flags & FLAG_POSITION_FULL) {
+      buffer.writeInt32LE(entry.position.x, offset); offset += 4;
+      buffer.writeInt32LE(entry.position.y, offset); offset += 4;
+      buffer.writeInt32LE(entry.position.z, offset); offset += 4;
+    } else if (flags & FLAG_POSITION_DELTA) {
+      buffer.writeInt16LE(entry.position.x - base.position.x, offset); offset += 2;
+      buffer.writeInt16LE(entry.position.y - base.position.y, offset); offset += 2;
+      buffer.writeInt16LE(entry.position.z - base.position.z, offset); offset += 2;
+    }
+
+    if (flags & FLAG_ROTATION) {
+      buffer.writeUInt32LE(entry.rotation, offset); offset += 4;
+    }
+
+    if (landed) {
+      buffer.writeUInt8(landed.length, offset); offset += 1;
+      landed.copy(buffer, offset); offset += landed.length;
+    }
+
+    if (flags & FLAG_INPUT_SEQ) {
+      buffer.writeUInt32LE(entry.seq >>> 0, offset); offset += 4;
+    }
+
+    if (flags & FLAG_UPDATED_AT) {
+      const age = Math.max(0, Math.min(65535, Math.round(timestamp - entry.updatedAt)));
+      buffer.writeUInt16LE(age, offset); offset += 2;
+    }
+  });
+
+  return buffer;
+}
+
+module.exports = {
+  createSnapshotState,
+  encodeSnapshot,
+  eulerToQuaternion,
+  packQuaternion,
+  quantizePosition,
+  POSITION_SCALE
+};
@@ -0,0 +1,359 @@
+/**
+ * Universe Module
+ * Server-owned registry of the seeded procedural universe.
+ *
+ * Every sector is generated lazily from the universe seed and its sector key,
+ * so the same seed always yields the same planets. Clients receive sector
+ * contents from here instead of rolling their own, which keeps planet IDs
+ * (used by landings, bombs and destruction) identical for every player.
+ */
+
+// Mirrors Config.universe / Config.planets in js/config.js
+const UNIVERSE_SIZE = 200000;
+const SECTOR_SIZE = 10000;
+const PLANETS_PER_SECTOR = 8;
+const HOME_SECTOR_KEY = 'SEC-0:0:0';
+const HOME_STARTER_PLANETS = 5;
+
+// Wormholes placed by GameApp.createWormhole on the client
+const WORMHOLE_COUNT = 1;
+
+// Planetary defenses (mirrors Config.defenses and initializeDefenseSystem in
+// js/modules/planetary-defense.js): the chance a planet is defended in each
+// tier, from the home sectors outward, and the roll a defended planet needs
+// to beat to get a shield
+const SECTORS_PER_TIER = 2;
+const DEFENSE_PROBABILITIES = [0.25, 0.4, 0.55, 0.7];
+const SHIELD_THRESHOLD = 0.7;
+
+const PLANET_TYPES = [
+  'Rocky', 'Gaseous', 'Molten', 'Frozen',
+  'Toxic', 'Oceanic', 'Desert', 'Crystalline'
+];
+
+const NAME_PREFIXES = [
+  'Zor', 'Xen', 'Qua', 'Vril', 'Nyx',
+  'Trag', 'Plex', 'Kron', 'Glib', 'Blip'
+];
+
+const NAME_SUFFIXES = [
+  'zar', 'tron', 'plex', 'ton', 'thor',
+  'mor', 'gor', 'nox', 'lax', 'dox'
+];
+
+const GREEK_LETTERS = [
+  'ALPHA', 'BETA', 'GAMMA', 'DELTA', 'EPSILON',
+  'ZETA', 'ETA', 'THETA', 'IOTA', 'KAPPA',
+  'LAMBDA', 'MU', 'NU', 'XI', 'OMICRON',
+  'PI', 'RHO', 'SIGMA', 'TAU', 'UPSILON',
+  'PHI', 'CHI', 'PSI', 'OMEGA'
+];
+
+// Special sectors with unique characteristics (same as createSpecialSectors on the client)
+const SPECIAL_SECTORS = {
+  'SEC-10:5:-5': { name: 'INFERNO-3', planetTypes: ['Molten'] },
+  'SEC-8:-4:10': { name: 'CRYSTAL-7', planetTypes: ['Crystalline'] },
+  'SEC-8:9:11': { name: 'GLACIUS-VOID', planetTypes: ['Frozen'] },
+  'SEC-9:-7:-10': { name: 'AQUARIS-DEEP', planetTypes: ['Oceanic'] }
+};
+
+const SECTOR_KEY_PATTERN = /^SEC-(-?\d{1,4}):(-?\d{1,4}):(-?\d{1,4})$/;
+
+// Sectors past the edge of the universe that still exist (the special sector
+// SEC-8:9:11 lies just beyond it)
+const EDGE_SECTORS = 1;
+
+// Generated sectors kept per universe; the least recently used are dropped
+// and regenerated from the seed when needed again
+const MAX_CACHED_SECTORS = 500;
+
+// Hash a string into an unsigned 32-bit integer (FNV-1a)
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create a seeded random number generator (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Parse a `SEC-x:y:z` key into integer coordinates, or null if malformed
+function parseSectorKey(sectorKey) {
+  if (typeof sectorKey !== 'string') return null;
+  const match = SECTOR_KEY_PATTERN.exec(sectorKey);
+  if (!match) return null;
+  return {
+    x: parseInt(match[1], 10),
+    y: parseInt(match[2], 10),
+    z: parseInt(match[3], 10)
+  };
+}
+
+// Generate a sector name based on coordinates (same formula as the client)
+function generateSectorName(x, y, z) {
+  const index = Math.abs((x * 5 + y * 7 + z * 11) % GREEK_LETTERS.length);
+  const number = Math.abs((x * 3 + y * 5 + z * 7) % 9) + 1;
+  return `${GREEK_LETTERS[index]}-${number}`;
+}
+
+// Generate a random universe seed
+function generateSeed() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+class Universe {
+  constructor(seed = generateSeed(), options = {}) {
+    this.seed = String(seed);
+    this.sectorSize = options.sectorSize || SECTOR_SIZE;
+    this.planetsPerSector = options.planetsPerSector || PLANETS_PER_SECTOR;
+
+    // Furthest sector from the origin along any axis; keys beyond it are invalid
+    this.maxSectorCoord = Math.ceil(UNIVERSE_SIZE / 2 / this.sectorSize) + EDGE_SECTORS;
+
+    // Recently used sectors, keyed by sector key, least recently used first.
+    // Destroyed planets are tracked separately, so any sector can be dropped.
+    this.sectors = new Map();
+
+    // IDs of planets destroyed during this universe's lifetime
+    this.destroyedPlanets = new Set();
+  }
+
+  // Get (and lazily generate) a sector, or null for an invalid key or one outside the universe
+  getSector(sectorKey) {
+    let sector = this.sectors.get(sectorKey);
+    if (sector) {
+      // Move it to the back of the queue
+      this.sectors.delete(sectorKey);
+    } else {
+      const coords = parseSectorKey(sectorKey);
+      if (!coords || Object.values(coords).some(coord => Math.abs(coord) > this.maxSectorCoord)) return null;
+
+      sector = this.generateSector(sectorKey, coords);
+      if (this.sectors.size >= MAX_CACHED_SECTORS) {
+        this.sectors.delete(this.sectors.keys().next().value);
+      }
+    }
+
+    this.sectors.set(sectorKey, sector);
+    return sector;
+  }
+
+  // Deterministically generate a sector's contents from the seed and its key
+  generateSector(sectorKey, coords) {
+    const random = createRandom(hashString(`${this.seed}:${sectorKey}`));
+    const special = SPECIAL_SECTORS[sectorKey];
+    const isHome = sectorKey === HOME_SECTOR_KEY;
+
+    let name;
+    let planetTypes;
+
+    if (special) {
+      name = special.name;
+      planetTypes = [...special.planetTypes];
+    } else if (isHome) {
+      name = 'ALPHA-1';
+      planetTypes = [...PLANET_TYPES];
+    } else {
+      name = generateSectorName(coords.x, coords.y, coords.z);
+      planetTypes = pickSectorPlanetTypes(random);
+    }
+
+    const center = {
+      x: coords.x * this.sectorSize,
+      y: coords.y * this.sectorSize,
+      z: coords.z * this.sectorSize
+    };
+
+    const planets = [];
+
+    for (let i = 0; i < this.planetsPerSector; i++) {
+      const position = {
+        x: center.x + (random() - 0.5) * this.sectorSize,
+        y: center.y + (random() - 0.5) * this.sectorSize,
+        z: center.z + (random() - 0.5) * this.sectorSize
+      };
+      planets.push(createPlanetDescriptor(`${sectorKey}-${i}`, sectorKey, position, planetTypes, random));
+    }
+
+    // A few close planets around spawn for immediate gameplay
+    if (isHome) {
+      for (let i = 0; i < HOME_STARTER_PLANETS; i++) {
+        const distance = 1000 + random() * 1500;
+        const angle = random() * Math.PI * 2;
+        const height = (random() - 0.5) * 500;
+
+        const position = {
+          x: Math.cos(angle) * distance,
+          y: height,
+          z: Math.sin(angle) * distance
+        };
+        const index = this.planetsPerSector + i;
+        planets.push(createPlanetDescriptor(`${sectorKey}-${index}`, sectorKey, position, PLANET_TYPES, random));
+      }
+    }
+
+    return {
+      key: sectorKey,
+      name,
+      center,
+      size: this.sectorSize,
+      planetTypes,
+      special: !!special,
+      planets
+    };
+  }
+
+  // Look up a planet by ID, or null if it is not part of this universe
+  getPlanet(planetId) {
+    if (typeof planetId !== 'string') return null;
+
+    const separator = planetId.lastIndexOf('-');
+    if (separator <= 0) return null;
+
+    const sector = this.getSector(planetId.slice(0, separator));
+    if (!sector) return null;
+
+    return sector.planets.find(planet => planet.id === planetId) || null;
+  }
+
+  // Whether a planet is protected by a shield, rolled from the same seeded
+  // stream the client arms its planets with
+  isPlanetShielded(planetId) {
+    const planet = this.getPlanet(planetId);
+    if (!planet) return false;
+
+    const sectorDistance = Math.max(
+      ...['x', 'y', 'z'].map(axis => Math.abs(Math.floor(planet.position[axis] / this.sectorSize)))
+    );
+    const tier = Math.min(DEFENSE_PROBABILITIES.length - 1, Math.floor(sectorDistance / SECTORS_PER_TIER));
+
+    const random = createRandom(hashString(`${this.seed}:defense:${planetId}`));
+    if (random() > DEFENSE_PROBABILITIES[tier]) return false;
+
+    // The turret and missile launcher rolls come first
+    random();
+    random();
+    return random() > SHIELD_THRESHOLD;
+  }
+
+  isPlanetDestroyed(planetId) {
+    return this.destroyedPlanets.has(planetId);
+  }
+
+  // Mark a planet destroyed; returns false if unknown or already destroyed
+  destroyPlanet(planetId) {
+    if (!this.getPlanet(planetId) || this.destroyedPlanets.has(planetId)) {
+      return false;
+    }
+    this.destroyedPlanets.add(planetId);
+    return true;
+  }
+
+  // Serializable sector contents for the `sectorData` message
+  getSectorData(sectorKey) {
+    const sector = this.getSector(sectorKey);
+    if (!sector) return null;
+
+    return {
+      key: sector.key,
+      name: sector.name,
+      center: sector.center,
+      size: sector.size,
+      planetTypes: sector.planetTypes,
+      special: sector.special,
+      planets: sector.planets.map(planet => ({
+        ...planet,
+        isDestroyed: this.destroyedPlanets.has(planet.id)
+      }))
+    };
+  }
+
+  // Seeded wormhole entrances and destinations (same as GameApp.createWormhole)
+  getWormholes() {
+    if (!this.wormholes) {
+      this.wormholes = [];
+      for (let index = 0; index < WORMHOLE_COUNT; index++) {
+        const random = createRandom(hashString(`${this.seed}:wormhole:${index}`));
+        const position = {
+          x: (random() - 0.5) * UNIVERSE_SIZE * 0.5,
+          y: (random() - 0.5) * UNIVERSE_SIZE * 0.5,
+          z: (random() - 0.5) * UNIVERSE_SIZE * 0.5
+        };
+        const destination = {
+          x: (random() - 0.5) * UNIVERSE_SIZE * 0.8,
+          y: (random() - 0.5) * UNIVERSE_SIZE * 0.8,
+          z: (random() - 0.5) * UNIVERSE_SIZE * 0.8
+        };
+        this.wormholes.push({ position, destination });
+      }
+    }
+    return this.wormholes;
+  }
+
+  // Whether a position lies in one of the sectors this universe has
+  containsPosition(position) {
+    return ['x', 'y', 'z'].every(axis => Math.abs(Math.floor(position[axis] / this.sectorSize)) <= this.maxSectorCoord);
+  }
+
+  // Universe metadata sent to clients in `init`
+  getInfo() {
+    return {
+      seed: this.seed,
+      sectorSize: this.sectorSize,
+      planetsPerSector: this.planetsPerSector
+    };
+  }
+}
+
+// Pick a random subset of 3-5 planet types for a sector
+function pickSectorPlanetTypes(random) {
+  const types = [...PLANET_TYPES];
+  const typeCount = 3 + Math.floor(random() * 3);
+
+  for (let i = types.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [types[i], types[j]] = [types[j], types[i]];
+  }
+
+  return types.slice(0, typeCount);
+}
+
+// Build the shared description of a single planet
+function createPlanetDescriptor(id, sectorKey, position, allowedTypes, random) {
+  const size = 30 + random() * 70;
+  const type = allowedTypes[Math.floor(random() * allowedTypes.length)];
+  const prefix = NAME_PREFIXES[Math.floor(random() * NAME_PREFIXES.length)];
+  const suffix = NAME_SUFFIXES[Math.floor(random() * NAME_SUFFIXES.length)];
+  const rotationSpeed = random() * 0.001 - 0.0005;
+
+  return {
+    id,
+    sector: sectorKey,
+    position,
+    size,
+    type,
+    name: prefix + suffix,
+    rotationSpeed
+  };
+}
+
+module.exports = {
+  Universe,
+  parseSectorKey,
+  generateSectorName,
+  hashString,
+  createRandom,
+  HOME_SECTOR_KEY
+};
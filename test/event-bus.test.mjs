@@ -0,0 +1,93 @@
+/**
+ * Event Bus Tests
+ * Subscribing, publishing and unsubscribing through js/modules/event-bus.js.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameEvents, on, off, emit } from '../js/modules/event-bus.js';
+
+let unsubscribers;
+
+beforeEach(() => {
+  unsubscribers = [];
+});
+
+afterEach(() => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  mock.restoreAll();
+});
+
+function subscribe(event, handler) {
+  unsubscribers.push(on(event, handler));
+}
+
+describe('event bus', () => {
+  it('passes the event data to every subscriber in the order they subscribed', () => {
+    const calls = [];
+    subscribe(GameEvents.SECTOR_DISCOVERED, data => calls.push(['first', data.name]));
+    subscribe(GameEvents.SECTOR_DISCOVERED, data => calls.push(['second', data.name]));
+
+    emit(GameEvents.SECTOR_DISCOVERED, { key: 'SEC-1:0:0', name: 'ORION-7' });
+
+    assert.deepEqual(calls, [['first', 'ORION-7'], ['second', 'ORION-7']]);
+  });
+
+  it('only calls subscribers of the published event', () => {
+    let calls = 0;
+    subscribe(GameEvents.SHIP_LANDED, () => calls++);
+
+    emit(GameEvents.SECTORS_NEEDED, { sectorKeys: [] });
+
+    assert.equal(calls, 0);
+  });
+
+  it('stops calling a handler once it unsubscribes', () => {
+    let calls = 0;
+    const handler = () => calls++;
+    const unsubscribe = on(GameEvents.SCORE_CHANGED, handler);
+
+    emit(GameEvents.SCORE_CHANGED, { points: 1, score: 1 });
+    unsubscribe();
+    emit(GameEvents.SCORE_CHANGED, { points: 1, score: 2 });
+
+    on(GameEvents.SCORE_CHANGED, handler);
+    off(GameEvents.SCORE_CHANGED, handler);
+    emit(GameEvents.SCORE_CHANGED, { points: 1, score: 3 });
+
+    assert.equal(calls, 1);
+  });
+
+  it('lets a handler unsubscribe while the event is being published', () => {
+    const calls = [];
+    const unsubscribe = on(GameEvents.SHIP_LANDED, () => {
+      calls.push('once');
+      unsubscribe();
+    });
+    subscribe(GameEvents.SHIP_LANDED, () => calls.push('always'));
+
+    emit(GameEvents.SHIP_LANDED, {});
+    emit(GameEvents.SHIP_LANDED, {});
+
+    assert.deepEqual(calls, ['once', 'always', 'always']);
+  });
+
+  it('keeps publishing to the other subscribers when one throws', () => {
+    const logError = mock.method(console, 'error', () => {});
+    let calls = 0;
+    subscribe(GameEvents.SHIP_LANDED, () => {
+      throw new Error('broken subscriber');
+    });
+    subscribe(GameEvents.SHIP_LANDED, () => calls++);
+
+    emit(GameEvents.SHIP_LANDED, {});
+
+    assert.equal(calls, 1);
+    assert.equal(logError.mock.callCount(), 1);
+  });
+
+  it('rejects events that are not in the catalogue', () => {
+    assert.throws(() => on('planetDestoryed', () => {}), /Unknown game event: planetDestoryed/);
+    assert.throws(() => emit('planetDestoryed', {}), /Unknown game event/);
+  });
+});
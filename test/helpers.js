@@ -0,0 +1,139 @@
+/**
+ * Test Helpers
+ * Game servers on ephemeral ports with a clock the tests control, and
+ * WebSocket clients that collect what the server sends them.
+ */
+
+const WebSocket = require('ws');
+const { createGameServer } = require('../server/game-server');
+
+// How long to wait for a message before failing (ms)
+const DEFAULT_WAIT = 2000;
+
+// The server logs every connection and chat message; keep the test output
+// readable but still show errors
+const QUIET_LOGGER = {
+  log: () => {},
+  error: (...args) => console.error(...args)
+};
+
+// A clock that only moves when told to
+function createManualClock(start = Date.now()) {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    }
+  };
+}
+
+// Start a game server on a free port; resolves with { gameServer, clock, port }
+async function startServer(options = {}) {
+  const clock = createManualClock();
+  const gameServer = createGameServer({
+    clock,
+    logger: process.env.TEST_LOGS ? console : QUIET_LOGGER,
+    universeSeed: 'test-seed',
+    stateFile: null,
+    ...options
+  });
+  const port = await gameServer.listen(0, '127.0.0.1');
+  return { gameServer, clock, port };
+}
+
+// Resolve once `condition` returns something truthy, checking every few ms
+function waitUntil(condition, timeout = DEFAULT_WAIT) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      const result = condition();
+      if (result) return resolve(result);
+      if (Date.now() - startedAt > timeout) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+class TestClient {
+  constructor(socket) {
+    this.socket = socket;
+    this.init = null;
+
+    // JSON messages not yet taken by next(), oldest first
+    this.messages = [];
+    this.waiters = [];
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      this.messages.push(JSON.parse(data));
+      this.waiters.slice().forEach(waiter => waiter());
+    });
+  }
+
+  // Open a connection with the given query parameters (and request headers)
+  static open(port, params = {}, headers = {}) {
+    return new TestClient(new WebSocket(`ws://127.0.0.1:${port}/?${new URLSearchParams(params)}`, { headers }));
+  }
+
+  // Connect and join; resolves once `init` has arrived
+  static connect(port, params = {}, headers = {}) {
+    const client = TestClient.open(port, params, headers);
+    return client.next('init').then((init) => {
+      client.init = init;
+      return client;
+    });
+  }
+
+  get playerId() {
+    return this.init.playerId;
+  }
+
+  send(data) {
+    this.socket.send(typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  // Take the oldest message of a type (and matching `predicate`), waiting for it if needed
+  next(type, predicate = () => true, timeout = DEFAULT_WAIT) {
+    return new Promise((resolve, reject) => {
+      const take = () => {
+        const index = this.messages.findIndex(message => message.type === type && predicate(message));
+        if (index === -1) return false;
+
+        const [message] = this.messages.splice(index, 1);
+        this.waiters = this.waiters.filter(waiter => waiter !== take);
+        clearTimeout(timer);
+        resolve(message);
+        return true;
+      };
+
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(waiter => waiter !== take);
+        reject(new Error(`Timed out waiting for a '${type}' message`));
+      }, timeout);
+
+      if (!take()) this.waiters.push(take);
+    });
+  }
+
+  // Whether a message of a type has arrived (and not been taken)
+  has(type, predicate = () => true) {
+    return this.messages.some(message => message.type === type && predicate(message));
+  }
+
+  close() {
+    if (this.socket.readyState === WebSocket.CLOSED) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.socket.once('close', resolve);
+      this.socket.close();
+    });
+  }
+}
+
+module.exports = {
+  createManualClock,
+  startServer,
+  waitUntil,
+  TestClient
+};
@@ -0,0 +1,640 @@
+/**
+ * Protocol Tests
+ * Real WebSocket clients against a game server on an ephemeral port,
+ * exercising the message handlers and the timeout logic in the sync loop.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitUntil, TestClient } = require('./helpers');
+
+const HOME_SECTOR_KEY = 'SEC-0:0:0';
+const ROTATION = { x: 0, y: 0, z: 0 };
+// Furthest a test ship flies per second, inside the top speed at engine level 0
+const FLIGHT_HOP = 3000;
+const UPGRADES = {
+  engineLevel: 0, shieldLevel: 0, tractorBeamLevel: 0, bombCapacityLevel: 0,
+  boostLevel: 0, weaponsLevel: 0, countermeasuresLevel: 0
+};
+
+let gameServer;
+let clock;
+let port;
+let clients;
+
+beforeEach(async () => {
+  ({ gameServer, clock, port } = await startServer());
+  clients = [];
+});
+
+afterEach(async () => {
+  await Promise.all(clients.map(client => client.close()));
+  await gameServer.close();
+});
+
+async function connect(params) {
+  const client = await TestClient.connect(port, params);
+  clients.push(client);
+  return client;
+}
+
+// Messages are handled in order, so once a sector request is answered
+// everything the client sent before it has been handled too
+async function roundTrip(client) {
+  client.send({ type: 'requestSectors', sectorKeys: [HOME_SECTOR_KEY] });
+  return (await client.next('sectorData')).sector;
+}
+
+async function getHomePlanet(client) {
+  const sector = await roundTrip(client);
+  return sector.planets[0];
+}
+
+// Fly from the last accepted position to `position`, one hop per second of clock time
+async function flyTo(client, position) {
+  await roundTrip(client);
+  const from = serverPlayer(client).position;
+  const hops = Math.max(1, Math.ceil(Math.hypot(position.x - from.x, position.y - from.y, position.z - from.z) / FLIGHT_HOP));
+
+  for (let hop = 1; hop <= hops; hop++) {
+    const t = hop / hops;
+    clock.advance(1000);
+    client.send({
+      type: 'updatePosition',
+      position: hop === hops ? position : {
+        x: from.x + (position.x - from.x) * t,
+        y: from.y + (position.y - from.y) * t,
+        z: from.z + (position.z - from.z) * t
+      },
+      rotation: ROTATION
+    });
+    await roundTrip(client);
+  }
+}
+
+// Fly to a planet and land on it
+async function landOn(client, planet) {
+  await flyTo(client, planet.position);
+  client.send({ type: 'alienMode', isAlienMode: true, planetId: planet.id });
+}
+
+function serverPlayer(client) {
+  return gameServer.players.get(client.playerId);
+}
+
+describe('joining and leaving', () => {
+  it('sends the new player their ID, room and universe', async () => {
+    const client = await connect({ username: 'Nova' });
+
+    assert.equal(client.init.playerName, 'Nova');
+    assert.equal(client.init.room.code, 'MAIN');
+    assert.equal(client.init.universe.seed, 'test-seed');
+    assert.equal(client.init.resumed, false);
+    assert.match(client.init.sessionToken, /^[a-f0-9]{48}$/);
+    assert.ok(client.init.players[client.playerId]);
+  });
+
+  it('tells the room when players join and leave', async () => {
+    const first = await connect({ username: 'Nova' });
+    const second = await connect({ username: 'Nova' });
+
+    const joined = await first.next('playerJoined');
+    assert.equal(joined.player.id, second.playerId);
+    assert.equal(joined.player.name, 'Nova-2');
+    assert.ok(second.init.players[first.playerId]);
+
+    await second.close();
+    const left = await first.next('playerLeft');
+    assert.equal(left.playerId, second.playerId);
+    assert.equal(gameServer.players.has(second.playerId), false);
+  });
+
+  it('strips unusual characters from names', async () => {
+    const client = await connect({ username: '<img src=x>Nova!' });
+    assert.equal(client.init.playerName, 'img srcxNova');
+  });
+
+  it('turns away players asking for a room that does not exist', async () => {
+    const client = TestClient.open(port, { room: 'NOPE42' });
+    clients.push(client);
+
+    const error = await client.next('roomError');
+    assert.equal(error.reason, 'ROOM NOT FOUND');
+    assert.equal(gameServer.players.size, 0);
+  });
+});
+
+describe('updatePosition', () => {
+  it('stores the position and echoes the input sequence number', async () => {
+    const client = await connect();
+
+    client.send({ type: 'updatePosition', position: { x: 10, y: 100, z: 0 }, rotation: ROTATION, seq: 1 });
+
+    const state = await client.next('gameState', message => message.players[client.playerId].seq === 1);
+    assert.deepEqual(state.players[client.playerId].position, { x: 10, y: 100, z: 0 });
+    assert.deepEqual(serverPlayer(client).position, { x: 10, y: 100, z: 0 });
+  });
+
+  it('ignores malformed, non-finite and out-of-universe positions', async () => {
+    const client = await connect();
+
+    client.send({ type: 'updatePosition', position: { x: '10', y: 100, z: 0 }, rotation: ROTATION, seq: 1 });
+    client.send({ type: 'updatePosition', position: { x: 10, y: 100 }, rotation: ROTATION, seq: 2 });
+    client.send({ type: 'updatePosition', position: { x: 10, y: 100, z: 0 }, seq: 3 });
+    client.send('{"type":"updatePosition","position":{"x":1e999,"y":100,"z":0},"rotation":{"x":0,"y":0,"z":0},"seq":4}');
+    client.send({ type: 'updatePosition', position: { x: 10, y: 1e9, z: 0 }, rotation: ROTATION, seq: 5 });
+    await roundTrip(client);
+
+    assert.deepEqual(serverPlayer(client).position, { x: 0, y: 100, z: 0 });
+  });
+
+  it('rejects moves faster than a ship can fly', async () => {
+    const client = await connect();
+
+    client.send({ type: 'updatePosition', position: { x: 0, y: 100, z: 0 }, rotation: ROTATION, seq: 1 });
+    clock.advance(1000);
+    client.send({ type: 'updatePosition', position: { x: 100000, y: 100, z: 0 }, rotation: ROTATION, seq: 2 });
+    await roundTrip(client);
+
+    const player = serverPlayer(client);
+    assert.deepEqual(player.position, { x: 0, y: 100, z: 0 });
+    assert.equal(player.lastInputSeq, 2);
+    assert.equal(gameServer.antiCheat.getRecentViolations()[0].type, 'movement');
+  });
+
+  it('checks a new player\'s first position against the spawn point', async () => {
+    const client = await connect();
+
+    client.send({ type: 'updatePosition', position: { x: 50000, y: 100, z: 0 }, rotation: ROTATION, seq: 1 });
+    await roundTrip(client);
+
+    assert.deepEqual(serverPlayer(client).position, { x: 0, y: 100, z: 0 });
+    assert.equal(gameServer.antiCheat.getRecentViolations()[0].type, 'movement');
+  });
+
+  it('lets ships jump through a wormhole', async () => {
+    const client = await connect();
+    const [wormhole] = gameServer.rooms.defaultRoom.universe.getWormholes();
+
+    await flyTo(client, wormhole.position);
+    clock.advance(1000);
+    client.send({ type: 'updatePosition', position: wormhole.destination, rotation: ROTATION, seq: 2 });
+    await roundTrip(client);
+
+    assert.deepEqual(serverPlayer(client).position, wormhole.destination);
+    assert.equal(gameServer.antiCheat.getRecentViolations().length, 0);
+  });
+
+  it('keeps the connection open after malformed or unknown messages', async () => {
+    const client = await connect();
+
+    client.send('not json');
+    client.send({ type: 'noSuchMessage' });
+    const sector = await roundTrip(client);
+
+    assert.equal(sector.key, HOME_SECTOR_KEY);
+  });
+});
+
+describe('requestSectors', () => {
+  it('only generates sectors inside the universe', async () => {
+    const client = await connect();
+
+    client.send({ type: 'requestSectors', sectorKeys: ['SEC-9999:0:0', 'SEC-0:-12:0', 'SEC-8:9:11'] });
+
+    assert.equal((await client.next('sectorData')).sector.key, 'SEC-8:9:11');
+    assert.deepEqual(Array.from(gameServer.rooms.defaultRoom.universe.sectors.keys()), ['SEC-8:9:11']);
+  });
+
+  it('keeps a bounded number of generated sectors, regenerating dropped ones', () => {
+    const universe = gameServer.rooms.defaultRoom.universe;
+    const firstSector = universe.getSector('SEC--10:-10:0');
+
+    for (let z = 0; z <= 1; z++) {
+      for (let x = -10; x <= 10; x++) {
+        for (let y = -10; y <= 10; y++) {
+          universe.getSector(`SEC-${x}:${y}:${z}`);
+        }
+      }
+    }
+
+    assert.equal(universe.sectors.size, 500);
+    assert.equal(universe.sectors.has('SEC--10:-10:0'), false);
+    assert.deepEqual(universe.getSector('SEC--10:-10:0'), firstSector);
+  });
+});
+
+describe('alienMode', () => {
+  it('tells the room which planet a player landed on', async () => {
+    const lander = await connect();
+    const watcher = await connect();
+    const planet = await getHomePlanet(lander);
+
+    await landOn(lander, planet);
+
+    const landed = await watcher.next('playerAlienMode');
+    assert.equal(landed.playerId, lander.playerId);
+    assert.equal(landed.isAlienMode, true);
+    assert.equal(landed.planetId, planet.id);
+  });
+
+  it('does not land players on planets they are nowhere near', async () => {
+    const lander = await connect();
+    const watcher = await connect();
+    const planet = await getHomePlanet(lander);
+
+    lander.send({ type: 'alienMode', isAlienMode: true, planetId: planet.id });
+
+    const landed = await watcher.next('playerAlienMode');
+    assert.equal(landed.planetId, null);
+    assert.equal(serverPlayer(lander).landedPlanetId, null);
+
+    lander.send({ type: 'placeBomb', planetId: planet.id, position: planet.position });
+    assert.equal((await lander.next('bombRejected')).reason, 'NOT LANDED ON PLANET');
+  });
+
+  it('only takes true as being in alien mode', async () => {
+    const lander = await connect();
+    const watcher = await connect();
+
+    lander.send({ type: 'alienMode', isAlienMode: 'yes' });
+
+    assert.equal((await watcher.next('playerAlienMode')).isAlienMode, false);
+    assert.equal(serverPlayer(lander).isAlienMode, false);
+  });
+
+  it('does not land players on planets that do not exist', async () => {
+    const lander = await connect();
+    const watcher = await connect();
+
+    lander.send({ type: 'alienMode', isAlienMode: true, planetId: `${HOME_SECTOR_KEY}-999` });
+
+    const landed = await watcher.next('playerAlienMode');
+    assert.equal(landed.planetId, null);
+    assert.equal(serverPlayer(lander).landedPlanetId, null);
+  });
+});
+
+describe('placeBomb and planetDestroyed', () => {
+  it('rejects bombs from players who have not landed on the planet', async () => {
+    const client = await connect();
+    const planet = await getHomePlanet(client);
+
+    client.send({ type: 'placeBomb', planetId: planet.id, position: planet.position });
+
+    const rejected = await client.next('bombRejected');
+    assert.equal(rejected.planetId, planet.id);
+    assert.equal(rejected.reason, 'NOT LANDED ON PLANET');
+  });
+
+  it('rejects bombs without a valid position', async () => {
+    const client = await connect();
+    const planet = await getHomePlanet(client);
+
+    await landOn(client, planet);
+    client.send({ type: 'placeBomb', planetId: planet.id, position: { x: 'here' } });
+    await roundTrip(client);
+
+    assert.equal(client.has('bombPlaced'), false);
+    assert.equal(gameServer.rooms.defaultRoom.bombs.size, 0);
+  });
+
+  it('only takes bombs big enough to get through a planet shield', async () => {
+    const client = await connect();
+    // A shielded planet in the test universe
+    const planet = gameServer.rooms.defaultRoom.universe.getPlanet('SEC-1:0:0-1');
+    assert.equal(gameServer.rooms.defaultRoom.universe.isPlanetShielded(planet.id), true);
+
+    await landOn(client, planet);
+    client.send({ type: 'placeBomb', planetId: planet.id, position: planet.position, size: 2 });
+    assert.equal((await client.next('bombRejected')).reason, 'PLANET SHIELD ACTIVE');
+
+    client.send({ type: 'placeBomb', planetId: planet.id, position: planet.position, size: 3 });
+    assert.equal((await client.next('bombPlaced')).size, 3);
+  });
+
+  it('destroys the planet for everyone when the countdown runs out', async () => {
+    const bomber = await connect();
+    const watcher = await connect();
+    const planet = await getHomePlanet(bomber);
+
+    await landOn(bomber, planet);
+    bomber.send({ type: 'placeBomb', planetId: planet.id, position: planet.position, size: 99 });
+
+    const placed = await watcher.next('bombPlaced');
+    assert.equal(placed.playerId, bomber.playerId);
+    assert.equal(placed.size, 3);
+    assert.equal(placed.countdown, 10);
+
+    bomber.send({ type: 'placeBomb', planetId: planet.id, position: planet.position });
+    assert.equal((await bomber.next('bombRejected')).reason, 'BOMB ALREADY PLACED');
+
+    clock.advance(10000);
+
+    const destroyed = await watcher.next('planetDestroyed');
+    assert.equal(destroyed.planetId, planet.id);
+    assert.equal(destroyed.playerId, bomber.playerId);
+    assert.equal(gameServer.rooms.defaultRoom.universe.isPlanetDestroyed(planet.id), true);
+
+    const sector = await roundTrip(watcher);
+    assert.equal(sector.planets[0].isDestroyed, true);
+  });
+});
+
+describe('playerDied', () => {
+  // Far from spawn, in sector 2:0:0
+  const WRECK = { x: 24000, y: 100, z: 300 };
+
+  async function die(client, watcher, cause) {
+    await flyTo(client, WRECK);
+    client.send({ type: 'playerDied', cause });
+    return watcher.next('playerDied');
+  }
+
+  it('tells the room whose ship was destroyed and by what', async () => {
+    const client = await connect();
+    const watcher = await connect();
+
+    const died = await die(client, watcher, '<b>MISSILE IMPACT</b>');
+
+    assert.equal(died.playerId, client.playerId);
+    assert.equal(died.cause, 'bMISSILE IMPACTb');
+    assert.equal(serverPlayer(client).isDead, true);
+
+    const metrics = await fetch(`http://127.0.0.1:${port}/metrics`).then(response => response.text());
+    assert.match(metrics, /^cosmic_player_deaths_total 1$/m);
+  });
+
+  it('lets the ship respawn in the middle of its sector and tells the room', async () => {
+    const client = await connect();
+    const watcher = await connect();
+    await die(client, watcher, 'TURRET FIRE');
+
+    const respawnPosition = { x: 25000, y: 5000, z: 5000 };
+    client.send({ type: 'updatePosition', position: respawnPosition, rotation: ROTATION, seq: 2 });
+
+    const respawned = await watcher.next('playerRespawned');
+    assert.equal(respawned.playerId, client.playerId);
+    assert.deepEqual(respawned.position, respawnPosition);
+    assert.deepEqual(serverPlayer(client).position, respawnPosition);
+    assert.equal(serverPlayer(client).isDead, false);
+  });
+
+  it('lets the ship respawn at spawn', async () => {
+    const client = await connect();
+    const watcher = await connect();
+    await die(client, watcher, null);
+
+    client.send({ type: 'updatePosition', position: { x: 0, y: 100, z: 0 }, rotation: ROTATION, seq: 2 });
+
+    assert.equal((await watcher.next('playerRespawned')).playerId, client.playerId);
+  });
+
+  it('refuses deaths that come too often', async () => {
+    const client = await connect();
+    const watcher = await connect();
+
+    for (let i = 0; i < 3; i++) {
+      await die(client, watcher, null);
+      client.send({ type: 'updatePosition', position: { x: 0, y: 100, z: 0 }, rotation: ROTATION, seq: 2 });
+      await watcher.next('playerRespawned');
+    }
+
+    client.send({ type: 'playerDied', cause: null });
+    await roundTrip(client);
+
+    assert.equal(serverPlayer(client).isDead, false);
+    assert.equal(watcher.has('playerDied'), false);
+    assert.equal(gameServer.antiCheat.getRecentViolations()[0].type, 'deaths');
+  });
+
+  it('checks that the next progress claim shows the death penalty', async () => {
+    const honest = await connect();
+    const cheater = await connect();
+    const watcher = await connect();
+
+    for (const client of [honest, cheater]) {
+      client.send({ type: 'progress', resources: 1000, upgrades: UPGRADES });
+      await die(client, watcher, null);
+    }
+
+    honest.send({ type: 'progress', resources: 750, upgrades: UPGRADES });
+    await roundTrip(honest);
+    assert.equal(gameServer.antiCheat.getRecentViolations().length, 0);
+
+    cheater.send({ type: 'progress', resources: 1000, upgrades: UPGRADES });
+    await roundTrip(cheater);
+    const [violation] = gameServer.antiCheat.getRecentViolations();
+    assert.equal(violation.playerId, cheater.playerId);
+    assert.equal(violation.type, 'resources');
+  });
+
+  it('rejects a destroyed ship turning up anywhere else', async () => {
+    const client = await connect();
+    const watcher = await connect();
+    await die(client, watcher, null);
+
+    client.send({ type: 'updatePosition', position: { x: 95000, y: 5000, z: 5000 }, rotation: ROTATION, seq: 2 });
+    await roundTrip(client);
+
+    const player = serverPlayer(client);
+    assert.deepEqual(player.position, WRECK);
+    assert.equal(player.isDead, true);
+    assert.equal(watcher.has('playerRespawned'), false);
+    assert.equal(gameServer.antiCheat.getRecentViolations()[0].type, 'movement');
+  });
+});
+
+describe('anti-cheat', () => {
+  it('keeps checking progress when a player comes back without their session', async () => {
+    const first = await connect();
+    first.send({ type: 'progress', resources: 100, upgrades: UPGRADES });
+    await roundTrip(first);
+    await first.close();
+    await waitUntil(() => gameServer.players.size === 0);
+
+    const second = await connect();
+    second.send({ type: 'progress', resources: 100000, upgrades: UPGRADES });
+    await roundTrip(second);
+
+    const [violation] = gameServer.antiCheat.getRecentViolations();
+    assert.equal(violation.playerId, second.playerId);
+    assert.equal(violation.type, 'resources');
+  });
+
+  it('starts a player who comes back without their session where the last one left off', async () => {
+    const lastPosition = { x: 20000, y: 100, z: 0 };
+    const first = await connect();
+    first.send({ type: 'progress', resources: 100, upgrades: UPGRADES });
+    await flyTo(first, lastPosition);
+    await first.close();
+    await waitUntil(() => gameServer.players.size === 0);
+
+    const second = await connect();
+    assert.deepEqual(second.init.players[second.playerId].position, lastPosition);
+
+    second.send({ type: 'updatePosition', position: { x: 0, y: 100, z: 0 }, rotation: ROTATION, seq: 1 });
+    await roundTrip(second);
+
+    assert.deepEqual(serverPlayer(second).position, lastPosition);
+    const [violation] = gameServer.antiCheat.getRecentViolations();
+    assert.equal(violation.playerId, second.playerId);
+    assert.equal(violation.type, 'movement');
+  });
+
+  it('bans the address a trusted proxy forwarded, not the proxy', async () => {
+    const proxied = await startServer({ trustProxy: true });
+    const open = (address) => {
+      const client = TestClient.open(proxied.port, {}, { 'X-Forwarded-For': `10.0.0.1, ${address}` });
+      clients.push(client);
+      return client;
+    };
+
+    try {
+      proxied.gameServer.antiCheat.bans.set('203.0.113.5', proxied.clock.now() + 60000);
+
+      assert.equal((await open('203.0.113.5').next('banned')).reason, 'TOO MANY KICKS');
+
+      const allowed = await open('198.51.100.7').next('init');
+      assert.equal(proxied.gameServer.players.get(allowed.playerId).address, '198.51.100.7');
+    } finally {
+      await Promise.all(clients.map(client => client.close()));
+      await proxied.gameServer.close();
+    }
+  });
+});
+
+describe('chat', () => {
+  it('escapes HTML and masks filtered words', async () => {
+    const sender = await connect({ username: 'Nova' });
+    const listener = await connect();
+
+    sender.send({ type: 'chat', message: '<b>hello</b>' });
+    sender.send({ type: 'chat', message: 'oh shit' });
+
+    const first = await listener.next('chat');
+    assert.equal(first.message, '&lt;b&gt;hello&lt;/b&gt;');
+    assert.equal(first.playerName, 'Nova');
+    assert.equal(first.channel, 'all');
+    assert.equal((await listener.next('chat')).message, 'oh ****');
+  });
+
+  it('reads commands before escaping, so moderator keys may contain HTML characters', async () => {
+    await gameServer.close();
+    ({ gameServer, clock, port } = await startServer({ moderators: 'mod:k<e>y&1' }));
+    const moderator = await connect();
+
+    moderator.send({ type: 'chat', message: '/login mod k<e>y&1' });
+
+    const notice = await moderator.next('chat', message => message.channel === 'system');
+    assert.equal(notice.message, 'LOGGED IN AS MODERATOR MOD');
+  });
+
+  it('lets moderators kick players in other rooms', async () => {
+    await gameServer.close();
+    ({ gameServer, clock, port } = await startServer({ moderators: 'mod:key' }));
+    const room = gameServer.rooms.createRoom({ name: 'Elsewhere' });
+    const moderator = await connect();
+    const target = await connect({ username: 'Rogue', room: room.code });
+
+    moderator.send({ type: 'chat', message: '/login mod key' });
+    moderator.send({ type: 'chat', message: '/kick Rogue griefing' });
+
+    assert.equal((await target.next('kicked')).reason, 'KICKED BY A MODERATOR: GRIEFING');
+    await moderator.next('chat', message => message.message === 'Rogue WAS KICKED BY A MODERATOR');
+    assert.equal(gameServer.players.has(target.playerId), false);
+  });
+
+  it('drops empty, over-long and non-text messages', async () => {
+    const sender = await connect();
+    const listener = await connect();
+
+    sender.send({ type: 'chat', message: '   ' });
+    sender.send({ type: 'chat', message: 'x'.repeat(201) });
+    sender.send({ type: 'chat', message: { text: 'hi' } });
+    sender.send({ type: 'chat', message: 'hello' });
+
+    assert.equal((await listener.next('chat')).message, 'hello');
+  });
+
+  it('silences players who repeat themselves', async () => {
+    const sender = await connect();
+    const listener = await connect();
+
+    for (let i = 0; i < 4; i++) {
+      sender.send({ type: 'chat', message: 'spam' });
+    }
+
+    const notice = await sender.next('chat', message => message.channel === 'system');
+    assert.match(notice.message, /SILENCED FOR 30S/);
+
+    await roundTrip(listener);
+    const heard = listener.messages.filter(message => message.type === 'chat');
+    assert.equal(heard.length, 3);
+  });
+});
+
+describe('pong', () => {
+  it('records the round trip as the player latency', async () => {
+    const client = await connect();
+
+    client.send({ type: 'pong', pingTime: clock.now() - 42 });
+    await roundTrip(client);
+
+    assert.equal(serverPlayer(client).latency, 42);
+  });
+});
+
+describe('rooms', () => {
+  it('times idle rooms with the server clock', () => {
+    clock.advance(120000);
+    const room = gameServer.rooms.createRoom({ name: 'Idle' });
+
+    gameServer.rooms.removeIdleRooms();
+    assert.equal(gameServer.rooms.getRoom(room.code), room);
+
+    clock.advance(61000);
+    gameServer.rooms.removeIdleRooms();
+    assert.equal(gameServer.rooms.getRoom(room.code), null);
+  });
+});
+
+describe('timeouts', () => {
+  // Time between sync loop ticks (mirrors SYNC_RATE in server/game-server.js)
+  const SYNC_RATE = 100;
+
+  it('keeps players the server heard from within 30 seconds', async () => {
+    const client = await connect();
+
+    clock.advance(29000);
+    // Give the sync loop a few ticks
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal(gameServer.players.has(client.playerId), true);
+  });
+
+  it('evicts players the server has not heard from for 30 seconds', async () => {
+    const idle = await connect();
+    const active = await connect();
+    const joinedAt = clock.now();
+
+    // Time moves on a tick at a time, as it does for a running server;
+    // the active player answers a ping every 5 seconds
+    while (gameServer.players.has(idle.playerId) && clock.now() - joinedAt <= 31000) {
+      clock.advance(SYNC_RATE);
+      gameServer.tick();
+      if ((clock.now() - joinedAt) % 5000 === 0) {
+        active.send({ type: 'pong', pingTime: clock.now() });
+        await roundTrip(active);
+      }
+    }
+
+    assert.equal(gameServer.players.has(idle.playerId), false);
+    assert.ok(clock.now() - joinedAt > 30000);
+    assert.equal(gameServer.players.has(active.playerId), true);
+    assert.equal((await active.next('playerLeft')).playerId, idle.playerId);
+
+    const metrics = await fetch(`http://127.0.0.1:${port}/metrics`).then(response => response.text());
+    assert.match(metrics, /^cosmic_player_timeouts_total 1$/m);
+  });
+});
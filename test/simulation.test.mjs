@@ -0,0 +1,651 @@
+/**
+ * Simulation Tests
+ * The game rules from js/modules/simulation.js, run headless against a
+ * plain player state - no Three.js, no DOM.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Config from '../js/config.js';
+import { on, GameEvents } from '../js/modules/event-bus.js';
+import {
+  createPlayerState,
+  updateShipPhysics,
+  startDodge,
+  getUpgradeCost,
+  canUpgrade,
+  applyUpgrade,
+  refreshUpgradeEffects,
+  getTractorBeamRange,
+  takeDamage,
+  fireWeapon,
+  updateWeaponSystems,
+  getTorpedoCapacity,
+  deployCountermeasure,
+  getCountermeasureCapacity,
+  resolveShot,
+  updatePlanetShields,
+  getDefenseTier,
+  shieldAbsorbsBomb,
+  serverAcceptsBomb,
+  respawnPlayer,
+  getRespawnPosition,
+  collectResources,
+  getPlanetResourceYield,
+  destroyPlanet,
+  updateBombs,
+  updatePlanetBombs
+} from '../js/modules/simulation.js';
+
+const NO_INPUT = {};
+
+let state;
+let ship;
+let events;
+let unsubscribers;
+let startingBombCount;
+
+function createShip() {
+  return {
+    position: { x: 0, y: 0, z: 0 },
+    quaternion: { x: 0, y: 0, z: 0, w: 1 }
+  };
+}
+
+function createPlanet(overrides = {}) {
+  return { id: 'SEC-0:0:0-0', name: 'Zeta', size: 40, type: 'Rocky', isDestroyed: false, ...overrides };
+}
+
+// A planet of size 40 with a turret and a missile launcher on top, 10 apart,
+// and if it's shielded a shield generator on the other side
+function createDefendedPlanet(shield = false) {
+  return createPlanet({
+    hasDefenses: true,
+    defenseSystems: {
+      hasTurrets: true,
+      hasMissiles: true,
+      hasShield: shield,
+      shieldActive: shield,
+      shieldHealth: shield ? 100 : 0,
+      maxShieldHealth: 100,
+      shieldRegenDelay: 0,
+      shieldRebootTimer: 0,
+      shieldGenerator: shield ? { x: 0, y: -42, z: 0, health: 80 } : null,
+      turretPositions: [{ x: 0, y: 42, z: 0, health: 30 }],
+      missilePositions: [{ x: 10, y: 42, z: 0, health: 60 }]
+    }
+  });
+}
+
+// A shot coming straight down onto the turret
+const ABOVE_TURRET = { x: 0, y: 100, z: 0 };
+const BELOW_TURRET = { x: 0, y: 30, z: 0 };
+
+// Run the ship for a number of frames at 60fps
+function fly(input, frames) {
+  for (let i = 0; i < frames; i++) {
+    updateShipPhysics(state, ship, input, 1 / 60);
+  }
+}
+
+function record(...types) {
+  types.forEach((type) => {
+    unsubscribers.push(on(type, data => events.push({ event: type, ...data })));
+  });
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message || `expected ${actual} to be ${expected}`);
+}
+
+beforeEach(() => {
+  state = createPlayerState();
+  ship = createShip();
+  events = [];
+  unsubscribers = [];
+  // Bomb capacity upgrades raise it for the rest of the game
+  startingBombCount = Config.bombs.startingCount;
+});
+
+afterEach(() => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  Config.bombs.startingCount = startingBombCount;
+});
+
+describe('ship physics', () => {
+  it('accelerates toward full speed in the direction the ship faces', () => {
+    fly({ moveForward: true }, 1);
+    assert.ok(ship.position.z < 0);
+    assertClose(ship.position.x, 0);
+
+    fly({ moveForward: true }, 600);
+    assert.ok(Math.abs(state.speed - state.maxSpeed) < 0.01);
+  });
+
+  it('drifts to a stop without input', () => {
+    fly({ moveForward: true }, 120);
+    fly(NO_INPUT, 300);
+
+    assert.equal(state.speed, 0);
+    const stoppedAt = { ...ship.position };
+    fly(NO_INPUT, 10);
+    assert.deepEqual(ship.position, stoppedAt);
+  });
+
+  it('moves faster and burns fuel while boosting', () => {
+    fly({ moveForward: true, boost: true }, 60);
+
+    assert.equal(state.isBoostActive, true);
+    assert.ok(state.speed > state.maxSpeed);
+    assertClose(state.boostFuel, Config.player.maxBoostFuel - Config.player.boostDrainRate);
+  });
+
+  it('stops boosting when the fuel runs out and recharges it afterwards', () => {
+    state.boostFuel = 0;
+    fly({ moveForward: true, boost: true }, 1);
+    assert.equal(state.isBoostActive, false);
+
+    fly(NO_INPUT, 59);
+    assertClose(state.boostFuel, Config.player.boostRechargeRate);
+  });
+
+  it('turns with the mouse and clamps the pitch', () => {
+    // Moving the mouse left turns the ship left
+    updateShipPhysics(state, ship, { mouseX: -(Math.PI / 2) / 0.07, mouseY: 0 }, 1 / 60);
+    assertClose(state.shipOrientation.yaw, Math.PI / 2);
+
+    updateShipPhysics(state, ship, { mouseX: 0, mouseY: 100 }, 1 / 60);
+    assertClose(state.shipOrientation.pitch, Math.PI / 2.5);
+  });
+
+  it('flies where the ship is pointing', () => {
+    // A quarter turn to the right, then level out
+    updateShipPhysics(state, ship, { mouseX: (Math.PI / 2) / 0.07, mouseY: 0 }, 1 / 60);
+    updateShipPhysics(state, ship, { mouseX: 0, mouseY: 0 }, 1 / 60);
+    fly({ moveForward: true }, 10);
+
+    assert.ok(ship.position.x > 0);
+    assert.ok(Math.abs(ship.position.z) < 1e-9);
+  });
+});
+
+describe('upgrades', () => {
+  it('cost 50% more each level', () => {
+    assert.equal(getUpgradeCost(state, 'engine'), 50);
+    state.upgrades.engineLevel = 2;
+    assert.equal(getUpgradeCost(state, 'engine'), 113);
+  });
+
+  it('need enough resources and an unknown track never upgrades', () => {
+    state.resourcesCollected = 49;
+    assert.equal(canUpgrade(state, 'engine'), false);
+    assert.equal(applyUpgrade(state, 'engine'), false);
+
+    state.resourcesCollected = 1000;
+    assert.equal(canUpgrade(state, 'warpDrive'), false);
+  });
+
+  it('spend resources, apply the effect and tell subscribers', () => {
+    record(GameEvents.UPGRADE_PURCHASED);
+    state.resourcesCollected = 100;
+
+    assert.equal(applyUpgrade(state, 'engine'), true);
+
+    assert.equal(state.resourcesCollected, 50);
+    assert.equal(state.upgrades.engineLevel, 1);
+    assertClose(state.maxSpeed, Config.player.maxSpeed * 1.2);
+    assert.deepEqual(events, [{ event: 'upgradePurchased', type: 'engine', level: 1, cost: 50 }]);
+  });
+
+  it('stop at the maximum level', () => {
+    state.resourcesCollected = 100000;
+    for (let i = 0; i < 5; i++) {
+      assert.equal(applyUpgrade(state, 'tractorBeam'), true);
+    }
+
+    assert.equal(applyUpgrade(state, 'tractorBeam'), false);
+    assertClose(getTractorBeamRange(state), 250);
+  });
+
+  it('add a bomb and refill boost fuel', () => {
+    state.resourcesCollected = 1000;
+    state.boostFuel = 10;
+
+    applyUpgrade(state, 'bombCapacity');
+    applyUpgrade(state, 'boost');
+
+    assert.equal(state.bombsRemaining, Config.bombs.startingCount);
+    assertClose(state.maxBoostFuel, Config.player.maxBoostFuel * 1.3);
+    assert.equal(state.boostFuel, state.maxBoostFuel);
+  });
+
+  it('are reapplied from saved levels', () => {
+    state.upgrades.shieldLevel = 2;
+    state.upgrades.engineLevel = 5;
+
+    refreshUpgradeEffects(state);
+
+    assertClose(state.shields, 150);
+    assertClose(state.maxSpeed, Config.player.maxSpeed * 2);
+  });
+});
+
+describe('damage', () => {
+  it('is reduced by shield upgrades', () => {
+    state.upgrades.shieldLevel = 2;
+    takeDamage(state, 50);
+    assertClose(state.shields, 60);
+  });
+
+  it('reports when the shields are depleted, without going below zero', () => {
+    record(GameEvents.DAMAGE_TAKEN);
+
+    assert.equal(takeDamage(state, 60, 'MISSILE IMPACT'), false);
+    assert.equal(takeDamage(state, 60, 'MISSILE IMPACT'), true);
+
+    assert.equal(state.shields, 0);
+    assert.deepEqual(events.map(event => event.shieldsDepleted), [false, true]);
+    assert.equal(events[0].source, 'MISSILE IMPACT');
+    assert.equal(events[0].amount, 60);
+  });
+});
+
+describe('death', () => {
+  it('comes when the shields run out, costing a share of resources and bombs', () => {
+    record(GameEvents.PLAYER_DIED);
+    state = createPlayerState(1000);
+    collectResources(state, 10);
+    state.resourcesCollected = 103;
+    state.currentVelocity = { x: 1, y: 2, z: 3 };
+
+    takeDamage(state, 100, 'TURRET FIRE', 91000);
+
+    assert.equal(state.isDead, true);
+    assert.deepEqual(state.currentVelocity, { x: 0, y: 0, z: 0 });
+    assert.equal(state.resourcesCollected, 78);
+    assert.equal(state.bombsRemaining, 2);
+    assert.deepEqual(events, [{
+      event: 'playerDied',
+      cause: 'TURRET FIRE',
+      stats: { time: 90000, score: 100, planetsDestroyed: 0, resourcesCollected: 10 },
+      penalty: { resources: 25, bombs: 1 }
+    }]);
+  });
+
+  it('ignores hits on the wreck', () => {
+    record(GameEvents.DAMAGE_TAKEN, GameEvents.PLAYER_DIED);
+    takeDamage(state, 100);
+
+    assert.equal(takeDamage(state, 100), false);
+    assert.deepEqual(events.map(event => event.event), ['damageTaken', 'playerDied']);
+  });
+
+  it('is followed by a respawn with full shields and a new run', () => {
+    record(GameEvents.PLAYER_RESPAWNED);
+    state.upgrades.shieldLevel = 2;
+    destroyPlanet(state, createPlanet());
+    takeDamage(state, 200);
+    ship.position = { x: 12345, y: -20, z: 7 };
+    state.shipOrientation.yaw = 1;
+
+    assert.equal(respawnPlayer(state, ship, null, 5000), true);
+
+    assert.equal(state.isDead, false);
+    assert.equal(state.shields, 150);
+    assert.equal(state.boostFuel, state.maxBoostFuel);
+    assert.deepEqual(ship.position, Config.player.startPosition);
+    assert.deepEqual(ship.quaternion, { x: 0, y: 0, z: 0, w: 1 });
+    assert.equal(state.shipOrientation.yaw, 0);
+    assert.deepEqual(state.run, { startedAt: 5000, score: 0, planetsDestroyed: 0, resourcesCollected: 0 });
+    assert.equal(state.planetsDestroyed, 1);
+    assert.deepEqual(events, [{ event: 'playerRespawned', position: Config.player.startPosition }]);
+  });
+
+  it('needs to have happened before a respawn', () => {
+    assert.equal(respawnPlayer(state, ship), false);
+    assert.deepEqual(ship.position, { x: 0, y: 0, z: 0 });
+  });
+
+  it('respawns in the middle of a sector, or at spawn for the home sector', () => {
+    assert.deepEqual(getRespawnPosition('SEC-2:-1:0', 10000), { x: 25000, y: -5000, z: 5000 });
+    assert.deepEqual(getRespawnPosition('SEC-0:0:0', 10000), Config.player.startPosition);
+    assert.deepEqual(getRespawnPosition(null, 10000), Config.player.startPosition);
+  });
+});
+
+describe('dodge roll', () => {
+  const LEVEL = { mouseX: 0, mouseY: 0 };
+
+  it('slides the ship sideways through a full roll', () => {
+    record(GameEvents.SHIP_DODGED);
+
+    assert.equal(startDodge(state, 1), true);
+    assert.equal(state.boostFuel, Config.player.maxBoostFuel - Config.dodge.fuelCost);
+
+    fly(LEVEL, 15);
+    assert.ok(Math.abs(ship.quaternion.z) > 0.9, 'upside down halfway through');
+
+    fly(LEVEL, 20);
+    assertClose(ship.position.x, Config.dodge.distance);
+    assertClose(ship.quaternion.w, 1);
+    assert.deepEqual(events, [{ event: 'shipDodged', direction: 1 }]);
+  });
+
+  it('waits for its cooldown and needs the boost fuel', () => {
+    startDodge(state, -1);
+    fly(LEVEL, 35);
+    assert.ok(ship.position.x < 0);
+    assert.equal(startDodge(state, -1), false);
+
+    fly(LEVEL, Config.dodge.cooldown * 60);
+    state.boostFuel = Config.dodge.fuelCost - 1;
+    assert.equal(startDodge(state, -1), false);
+
+    state.boostFuel = Config.dodge.fuelCost;
+    assert.equal(startDodge(state, -1), true);
+  });
+});
+
+describe('countermeasures', () => {
+  it('launch one at a time and tell the defenses', () => {
+    record(GameEvents.COUNTERMEASURES_DEPLOYED);
+
+    assert.equal(deployCountermeasure(state), true);
+    assert.equal(deployCountermeasure(state), false);
+
+    updateWeaponSystems(state, Config.countermeasures.cooldown);
+    assert.equal(deployCountermeasure(state), true);
+    assert.deepEqual(events.map(event => event.remaining), [
+      Config.countermeasures.startingCount - 1,
+      Config.countermeasures.startingCount - 2
+    ]);
+  });
+
+  it('are rebuilt over time and upgraded in capacity', () => {
+    state.weapons.countermeasuresRemaining = 0;
+    assert.equal(deployCountermeasure(state), false);
+
+    updateWeaponSystems(state, Config.countermeasures.reloadTime);
+    assert.equal(state.weapons.countermeasuresRemaining, 1);
+
+    state.resourcesCollected = 1000;
+    applyUpgrade(state, 'countermeasures');
+    assert.equal(state.weapons.countermeasuresRemaining, 2);
+    assert.equal(getCountermeasureCapacity(state), Config.countermeasures.startingCount + 1);
+  });
+});
+
+describe('weapons', () => {
+  it('fire again once they cool down', () => {
+    const shot = fireWeapon(state, 'laser');
+
+    assert.deepEqual(shot, { weapon: 'laser', damage: 10, speed: 400, life: 1.5, blastRadius: 0 });
+    assert.equal(fireWeapon(state, 'laser'), null);
+
+    updateWeaponSystems(state, Config.weapons.laser.cooldown);
+    assert.notEqual(fireWeapon(state, 'laser'), null);
+  });
+
+  it('run out of torpedoes and build new ones up to capacity', () => {
+    state.weapons.torpedoesRemaining = 0;
+    assert.equal(fireWeapon(state, 'torpedo'), null);
+
+    updateWeaponSystems(state, Config.weapons.torpedo.reloadTime);
+    assert.equal(state.weapons.torpedoesRemaining, 1);
+
+    state.weapons.torpedoesRemaining = getTorpedoCapacity(state);
+    updateWeaponSystems(state, Config.weapons.torpedo.reloadTime);
+    assert.equal(state.weapons.torpedoesRemaining, Config.weapons.torpedo.startingCount);
+  });
+
+  it('are upgraded with more damage and a torpedo', () => {
+    state.resourcesCollected = 1000;
+
+    assert.equal(applyUpgrade(state, 'weapons'), true);
+
+    assert.equal(fireWeapon(state, 'laser').damage, 12);
+    assert.equal(fireWeapon(state, 'torpedo').damage, 48);
+    assert.equal(getTorpedoCapacity(state), Config.weapons.torpedo.startingCount + 1);
+    assert.equal(state.weapons.torpedoesRemaining, Config.weapons.torpedo.startingCount);
+  });
+
+  it('wear a planet shield down until it fails, without reaching the defenses', () => {
+    record(GameEvents.PLANET_SHIELD_DOWN);
+    const planet = createDefendedPlanet(true);
+
+    const hit = resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 60);
+
+    assert.equal(hit.target, 'shield');
+    assertClose(hit.point.y, 48);
+    assert.equal(planet.defenseSystems.shieldHealth, 40);
+    assert.equal(planet.defenseSystems.shieldActive, true);
+
+    resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 60);
+
+    assert.equal(planet.defenseSystems.shieldActive, false);
+    assert.deepEqual(events, [{ event: 'planetShieldDown', planet }]);
+    assert.equal(planet.defenseSystems.turretPositions[0].health, 30);
+  });
+
+  it('knock out a turret when its health runs out and award points', () => {
+    record(GameEvents.DEFENSE_DESTROYED);
+    const planet = createDefendedPlanet();
+    const turret = planet.defenseSystems.turretPositions[0];
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 10).target, 'turret');
+    }
+
+    assert.deepEqual(planet.defenseSystems.turretPositions, []);
+    assert.equal(planet.defenseSystems.hasTurrets, false);
+    assert.equal(planet.defenseSystems.hasMissiles, true);
+    assert.equal(state.score, 50);
+    assert.deepEqual(events, [{ event: 'defenseDestroyed', planet, kind: 'turret', position: turret, points: 50 }]);
+  });
+
+  it('hit everything in a torpedo blast', () => {
+    const planet = createDefendedPlanet();
+
+    resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 60, Config.weapons.torpedo.blastRadius);
+
+    assert.equal(planet.defenseSystems.hasTurrets, false);
+    assert.equal(planet.defenseSystems.hasMissiles, false);
+    assert.equal(state.score, 150);
+  });
+
+  it('miss when nothing is in the way', () => {
+    const planet = createDefendedPlanet();
+
+    assert.equal(resolveShot(state, planet, { x: 100, y: 100, z: 0 }, { x: 100, y: -100, z: 0 }, 10), null);
+    assert.equal(planet.defenseSystems.turretPositions[0].health, 30);
+  });
+});
+
+describe('defense tiers', () => {
+  it('rise every few sectors out from the origin', () => {
+    const sectorSize = Config.universe.sectorSize;
+
+    assert.equal(getDefenseTier({ x: 0, y: 100, z: 0 }, 0).name, 'LOW');
+    assert.equal(getDefenseTier({ x: -100, y: 100, z: -100 }, 0).level, 0);
+    assert.equal(getDefenseTier({ x: 100, y: 2 * sectorSize + 1, z: 0 }, 0).name, 'MODERATE');
+    assert.equal(getDefenseTier({ x: 5 * sectorSize, y: 0, z: -sectorSize }, 0).name, 'HIGH');
+    assert.equal(getDefenseTier({ x: 0, y: 0, z: -50 * sectorSize }, 0).name, 'EXTREME');
+  });
+
+  it('shift with the difficulty setting, within the tiers there are', () => {
+    const home = { x: 0, y: 100, z: 0 };
+
+    assert.equal(getDefenseTier(home, 1).name, 'MODERATE');
+    assert.equal(getDefenseTier(home, -1).level, 0);
+    assert.equal(getDefenseTier(home, 10).level, Config.defenses.tiers.length - 1);
+  });
+
+  it('carry their scaling settings', () => {
+    const tier = getDefenseTier({ x: 0, y: 0, z: 0 }, 1);
+
+    assert.deepEqual(tier, { ...Config.defenses.tiers[1], level: 1 });
+    assert.ok(getDefenseTier({ x: 0, y: 0, z: 0 }, 3).damageMultiplier > tier.damageMultiplier);
+  });
+});
+
+describe('planet shields', () => {
+  it('regenerate once they stop taking hits', () => {
+    const planet = createDefendedPlanet(true);
+    state.planets = [planet];
+    resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 50);
+
+    updatePlanetShields(state, Config.planetShields.regenDelay);
+    assert.equal(planet.defenseSystems.shieldHealth, 50);
+
+    updatePlanetShields(state, 2);
+    assert.equal(planet.defenseSystems.shieldHealth, 50 + Config.planetShields.regenRate * 2);
+
+    updatePlanetShields(state, 100);
+    assert.equal(planet.defenseSystems.shieldHealth, 100);
+  });
+
+  it('reboot at full health after going down', () => {
+    record(GameEvents.PLANET_SHIELD_DOWN, GameEvents.PLANET_SHIELD_RESTORED);
+    const planet = createDefendedPlanet(true);
+    state.planets = [planet];
+    resolveShot(state, planet, ABOVE_TURRET, BELOW_TURRET, 100);
+
+    updatePlanetShields(state, Config.planetShields.rebootTime - 1);
+    assert.equal(planet.defenseSystems.shieldActive, false);
+
+    updatePlanetShields(state, 1);
+    assert.equal(planet.defenseSystems.shieldActive, true);
+    assert.equal(planet.defenseSystems.shieldHealth, 100);
+    assert.deepEqual(events.map(event => event.event), ['planetShieldDown', 'planetShieldRestored']);
+  });
+
+  it('stay down once their generator is destroyed', () => {
+    record(GameEvents.DEFENSE_DESTROYED);
+    const planet = createDefendedPlanet(true);
+    state.planets = [planet];
+    const below = { x: 0, y: -100, z: 0 };
+    const generatorHit = () => resolveShot(state, planet, below, { x: 0, y: -30, z: 0 }, 100);
+
+    assert.equal(generatorHit().target, 'shield');
+    assert.equal(generatorHit().target, 'shieldGenerator');
+
+    updatePlanetShields(state, Config.planetShields.rebootTime * 2);
+
+    assert.equal(planet.defenseSystems.shieldGenerator, null);
+    assert.equal(planet.defenseSystems.shieldActive, false);
+    assert.equal(state.score, 150);
+    assert.equal(events[0].kind, 'shieldGenerator');
+  });
+
+  it('absorb smaller bombs, taking damage for the bomb size', () => {
+    record(GameEvents.BOMB_ABSORBED);
+    const planet = createDefendedPlanet(true);
+    state.planets = [planet];
+    Object.assign(planet, { hasBomb: true, bombCountdown: 0.5, bombSize: 2 });
+
+    updatePlanetBombs(state, 1);
+
+    assert.equal(planet.isDestroyed, false);
+    assert.equal(planet.hasBomb, false);
+    assert.equal(planet.defenseSystems.shieldHealth, 100 - Config.planetShields.bombDamage * 2);
+    assert.deepEqual(events, [{ event: 'bombAbsorbed', planet, damage: Config.planetShields.bombDamage * 2 }]);
+  });
+
+  it('are brought down by the biggest bombs, which get through', () => {
+    record(GameEvents.PLANET_SHIELD_DOWN);
+    const planet = createDefendedPlanet(true);
+
+    assert.equal(shieldAbsorbsBomb(planet, 3), false);
+
+    assert.equal(planet.defenseSystems.shieldActive, false);
+    assert.equal(events.length, 1);
+    assert.equal(shieldAbsorbsBomb(planet, 1), false);
+  });
+
+  it('make the multiplayer server turn down smaller bombs even while down', () => {
+    const planet = createDefendedPlanet(true);
+    shieldAbsorbsBomb(planet, 3);
+
+    assert.equal(serverAcceptsBomb(planet, 2), false);
+    assert.equal(serverAcceptsBomb(planet, 3), true);
+    assert.equal(serverAcceptsBomb(createDefendedPlanet(false), 1), true);
+  });
+});
+
+describe('resources', () => {
+  it('are worth 10 points each when collected', () => {
+    record(GameEvents.RESOURCE_COLLECTED, GameEvents.SCORE_CHANGED);
+
+    collectResources(state, 12);
+
+    assert.equal(state.resourcesCollected, 12);
+    assert.equal(state.score, 120);
+    assert.deepEqual(events.map(event => event.event), ['scoreChanged', 'resourceCollected']);
+    assert.equal(events[1].points, 120);
+  });
+
+  it('from a planet depend on its size and type', () => {
+    assert.equal(getPlanetResourceYield(createPlanet({ size: 41 })), 20);
+    assert.equal(getPlanetResourceYield(createPlanet({ size: 41, type: 'Crystalline' })), 40);
+    assert.equal(getPlanetResourceYield(createPlanet({ size: 41, type: 'Oceanic' })), 25);
+  });
+});
+
+describe('destroying planets', () => {
+  it('awards resources and score once', () => {
+    record(GameEvents.PLANET_DESTROYED);
+    const planet = createPlanet({ type: 'Molten', hasDefenses: true });
+
+    assert.equal(destroyPlanet(state, planet), true);
+    assert.equal(destroyPlanet(state, planet), false);
+
+    assert.equal(planet.isDestroyed, true);
+    assert.equal(planet.hasDefenses, false);
+    assert.equal(state.resourcesCollected, 30);
+    assert.equal(state.score, 400);
+    assert.equal(state.planetsDestroyed, 1);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].resources, 30);
+  });
+
+  it("awards nothing for another player's bomb", () => {
+    record(GameEvents.PLANET_DESTROYED);
+
+    destroyPlanet(state, createPlanet(), false);
+
+    assert.equal(state.score, 0);
+    assert.equal(state.planetsDestroyed, 0);
+    assert.equal(events[0].awarded, false);
+  });
+});
+
+describe('bombs', () => {
+  it('go off when the countdown runs out', () => {
+    record(GameEvents.BOMB_EXPLODED);
+    const bomb = { countdown: 10, isActive: true };
+    const bombs = [bomb];
+
+    for (let i = 0; i < 9; i++) updateBombs(bombs, 1);
+    assert.equal(events.length, 0);
+
+    updateBombs(bombs, 1);
+    assert.deepEqual(bombs, []);
+    assert.equal(bomb.isActive, false);
+    assert.equal(events[0].bomb, bomb);
+  });
+
+  it('planted on planets explode them for score', () => {
+    record(GameEvents.PLANET_EXPLODED);
+    const planet = createPlanet({ hasBomb: true, bombCountdown: 1 });
+    state.planets = [planet, createPlanet({ id: 'SEC-0:0:0-1' })];
+
+    updatePlanetBombs(state, 0.5);
+    assert.equal(planet.isDestroyed, false);
+
+    updatePlanetBombs(state, 0.5);
+    assert.equal(planet.isDestroyed, true);
+    assert.equal(state.score, 400);
+    assert.equal(state.planets[1].isDestroyed, false);
+    assert.deepEqual(events.map(event => event.points), [400]);
+  });
+});